@@ -62,6 +62,63 @@ def index():
     })
 
 
+# Describes a label without hypotheses, "{}" is replaced by the label
+DEFAULT_HYPOTHESIS_TEMPLATE = "This example is about {}."
+# Used with the built-in labels
+BUILT_IN_HYPOTHESIS_TEMPLATE = "This example is {}."
+MAX_BATCH_SIZE = 64
+
+
+def build_candidates(labels, hypothesis_template=DEFAULT_HYPOTHESIS_TEMPLATE):
+    """Maps every hypothesis to the label it stands for. Labels without
+    hypotheses are described by the hypothesis template."""
+    candidates = {}
+    for entry in labels:
+        label = entry['label']
+        for hypothesis in entry.get('hypotheses') or [hypothesis_template.format(label)]:
+            candidates[hypothesis] = label
+    return candidates
+
+
+def read_candidates(data):
+    template = data.get('hypothesis_template')
+    if template is not None and (not isinstance(template, str) or "{}" not in template):
+        raise ValueError("hypothesis_template must contain {}")
+
+    if data.get('labels'):
+        return build_candidates(data['labels'], template or DEFAULT_HYPOTHESIS_TEMPLATE)
+
+    # Without labels the built-in list is used, for older clients
+    template = template or BUILT_IN_HYPOTHESIS_TEMPLATE
+    return {
+        template.format(label.replace('_', ' ')): label.capitalize().replace("_", " ")
+        for label in CANDIDATE_LABELS
+    }
+
+
+def score_labels(result, candidates):
+    """Categories sorted by score. A label with several hypotheses scores the
+    sum of their scores."""
+    scores = {}
+    for hypothesis, score in zip(result['labels'], result['scores']):
+        label = candidates[hypothesis]
+        scores[label] = scores.get(label, 0) + score
+
+    categories = [
+        {"label": label, "score": score} for label, score in scores.items()
+    ]
+    return sorted(categories, key=lambda x: x["score"], reverse=True)
+
+
+def error_response(error):
+    return jsonify({
+        "response": {
+            "status": 500,
+            "statusText": str(error)
+        }
+    })
+
+
 @app.route('/classify', methods=['POST'])
 def classify():
     try:
@@ -71,43 +128,55 @@ def classify():
             raise ValueError("Text is required")
 
         text = data['text']
+        candidates = read_candidates(data)
 
         classifier = get_classifier()
-        result = classifier(text, CANDIDATE_LABELS)
-
-        labels = result['labels']
-        scores = result['scores']
+        result = classifier(text, list(candidates.keys()), hypothesis_template="{}")
 
-        returnData = {
+        formattedReturnData = {
             "response": {
-                "statusText": "OK",
-                "status": 200,
-                "categories": []
+                "categories": score_labels(result, candidates)
             }
         }
 
-        for label, score in zip(labels, scores):
-            category = {
-                "label": label.capitalize().replace("_", " "),
-                "score": score
-            }
+        return jsonify(formattedReturnData)
+    except Exception as e:
+        return error_response(e)
+
+
+@app.route('/classify/batch', methods=['POST'])
+def classify_batch():
+    try:
+        data = request.json
 
-            returnData["response"]["categories"].append(category)
+        texts = data.get('texts')
+        if not isinstance(texts, list) or len(texts) == 0:
+            raise ValueError("Texts are required")
+        if len(texts) > MAX_BATCH_SIZE:
+            raise ValueError(f"At most {MAX_BATCH_SIZE} texts can be classified at once")
+        if any(not isinstance(text, str) or text == "" for text in texts):
+            raise ValueError("Texts must not be empty")
+
+        candidates = read_candidates(data)
+
+        classifier = get_classifier()
+        results = classifier(texts, list(candidates.keys()), hypothesis_template="{}")
+        # The pipeline returns a single result for a single text
+        if isinstance(results, dict):
+            results = [results]
 
         formattedReturnData = {
             "response": {
-                "categories": sorted(returnData["response"]["categories"], key=lambda x: x["score"], reverse=True)
+                "results": [
+                    {"categories": score_labels(result, candidates)}
+                    for result in results
+                ]
             }
         }
 
         return jsonify(formattedReturnData)
     except Exception as e:
-        return jsonify({
-            "response": {
-                "status": 500,
-                "statusText": str(e)
-            }
-        })
+        return error_response(e)
 
 
 if __name__ == '__main__':
@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  getPlatformAppealsAction,
+  reviewPlatformAppealAction,
+} from "../../redux/actions/adminActions";
+import AppealReviewItem from "../shared/AppealReviewItem";
+import CommonLoading from "../loader/CommonLoading";
+
+const Appeals = () => {
+  const dispatch = useDispatch();
+  const appeals = useSelector((state) => state.admin?.appeals);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    dispatch(getPlatformAppealsAction());
+  }, [dispatch]);
+
+  const handleReview = async (id, review) => {
+    setReviewingId(id);
+    await dispatch(reviewPlatformAppealAction(id, review));
+    setReviewingId(null);
+  };
+
+  if (!appeals) {
+    return (
+      <div className="flex items-center justify-center mt-5">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white mt-3 rounded-md border">
+      <h3 className="font-semibold text-sm px-3 py-2 border-b bg-gray-50">
+        Appeals against platform-level blocks ({appeals.length})
+      </h3>
+      {appeals.length === 0 ? (
+        <p className="text-center text-sm text-gray-500 p-3">
+          Nothing to review
+        </p>
+      ) : (
+        appeals.map((appeal) => (
+          <AppealReviewItem
+            key={appeal._id}
+            appeal={appeal}
+            onReview={handleReview}
+            isReviewing={reviewingId === appeal._id}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Appeals;
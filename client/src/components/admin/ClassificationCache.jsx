@@ -0,0 +1,75 @@
+import { useEffect } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  getClassificationCacheAction,
+  clearClassificationCacheAction,
+} from "../../redux/actions/adminActions";
+
+const CAPABILITY_LABELS = {
+  toxicity: "Toxicity",
+  category: "Category filtering",
+};
+
+const formatHitRate = (hitRate) =>
+  hitRate === null ? "-" : `${Math.round(hitRate * 100)}%`;
+
+const ClassificationCache = () => {
+  const dispatch = useDispatch();
+  const classificationCache = useSelector(
+    (state) => state.admin?.classificationCache
+  );
+
+  useEffect(() => {
+    dispatch(getClassificationCacheAction());
+  }, [dispatch]);
+
+  if (!classificationCache) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center mb-2">
+        <div>Result cache</div>
+        <button
+          className="ml-auto text-sm text-blue-500 hover:text-blue-700"
+          onClick={() => dispatch(getClassificationCacheAction())}
+        >
+          Refresh
+        </button>
+        <button
+          className="ml-4 text-sm text-red-500 hover:text-red-700"
+          onClick={() => dispatch(clearClassificationCacheAction())}
+        >
+          Clear
+        </button>
+      </div>
+      <table className="w-full text-sm border rounded-md">
+        <thead className="bg-gray-50 text-left">
+          <tr>
+            <th className="p-2">Capability</th>
+            <th className="p-2">Hit rate</th>
+            <th className="p-2">Hits / misses</th>
+            <th className="p-2">Cached results</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {Object.entries(classificationCache).map(([capability, stats]) => (
+            <tr key={capability}>
+              <td className="p-2">
+                {CAPABILITY_LABELS[capability] || capability}
+              </td>
+              <td className="p-2">{formatHitRate(stats.hitRate)}</td>
+              <td className="p-2">
+                {stats.hits} / {stats.misses}
+              </td>
+              <td className="p-2">{stats.entries}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ClassificationCache;
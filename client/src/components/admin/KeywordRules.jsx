@@ -0,0 +1,307 @@
+import { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  getKeywordRuleSetsAction,
+  saveKeywordRuleSetAction,
+  deleteKeywordRuleSetAction,
+  getCommunitiesAction,
+} from "../../redux/actions/adminActions";
+import CommonLoading from "../loader/CommonLoading";
+import { LANGUAGES } from "../../utils/languages";
+
+const EMPTY_RULE_SET = {
+  name: "",
+  community: "",
+  language: "",
+  inheritGlobal: true,
+  enabled: true,
+  words: "",
+  patterns: "",
+  allowList: "",
+};
+
+const toLines = (list) => (list || []).join("\n");
+const fromLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+const inputClassName =
+  "bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5";
+
+const KeywordRules = () => {
+  const dispatch = useDispatch();
+  const ruleSets = useSelector((state) => state.admin?.keywordRuleSets);
+  const communities = useSelector((state) => state.admin?.communities);
+  const keywordRuleSetError = useSelector(
+    (state) => state.admin?.keywordRuleSetError
+  );
+
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+
+  useEffect(() => {
+    dispatch(getKeywordRuleSetsAction());
+    dispatch(getCommunitiesAction());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (isSubmitted) {
+      if (!keywordRuleSetError) {
+        setForm(null);
+      }
+      setIsSubmitted(false);
+    }
+  }, [isSubmitted, keywordRuleSetError]);
+
+  const handleNew = () => {
+    setEditingId(null);
+    setForm(EMPTY_RULE_SET);
+  };
+
+  const handleEdit = (ruleSet) => {
+    setEditingId(ruleSet._id);
+    setForm({
+      name: ruleSet.name,
+      community: ruleSet.community?._id || "",
+      language: ruleSet.language || "",
+      inheritGlobal: ruleSet.inheritGlobal,
+      enabled: ruleSet.enabled,
+      words: toLines(ruleSet.words),
+      patterns: toLines(ruleSet.patterns),
+      allowList: toLines(ruleSet.allowList),
+    });
+  };
+
+  const handleChange = (field, value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await dispatch(
+        saveKeywordRuleSetAction(editingId, {
+          ...form,
+          community: form.community || null,
+          language: form.language || null,
+          words: fromLines(form.words),
+          patterns: fromLines(form.patterns),
+          allowList: fromLines(form.allowList),
+        })
+      );
+      await dispatch(getKeywordRuleSetsAction());
+      setIsSubmitted(true);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    await dispatch(deleteKeywordRuleSetAction(id));
+    await dispatch(getKeywordRuleSetsAction());
+    if (editingId === id) {
+      setForm(null);
+    }
+  };
+
+  if (!ruleSets || !communities) {
+    return (
+      <div className="flex items-center justify-center mt-5">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex gap-2 w-full mt-3 border rounded-md">
+      {/* Left column */}
+      <div className="flex flex-col w-full bg-white shadow-inner rounded-md border-r">
+        <div className="flex items-center justify-between p-4 border-b-2">
+          <h1 className="text-lg font-bold">Keyword Rule Sets</h1>
+          <button
+            className="bg-blue-500 text-white text-sm py-1 px-3 rounded hover:bg-blue-700"
+            onClick={handleNew}
+          >
+            New
+          </button>
+        </div>
+        <div className="flex flex-col overflow-y-auto">
+          {ruleSets.map((ruleSet) => (
+            <div
+              key={ruleSet._id}
+              className={`p-4 cursor-pointer hover:bg-background border-b flex items-center ${
+                editingId === ruleSet._id ? "bg-gray-200" : ""
+              }`}
+              onClick={() => handleEdit(ruleSet)}
+            >
+              <div className="flex flex-col">
+                <span className="text-gray-700 font-medium">
+                  {ruleSet.name}
+                  {!ruleSet.enabled && (
+                    <span className="ml-2 text-xs text-gray-400">
+                      (disabled)
+                    </span>
+                  )}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {ruleSet.community ? ruleSet.community.name : "Global"} ·{" "}
+                  {ruleSet.language
+                    ? LANGUAGES[ruleSet.language]
+                    : "All languages"}{" "}
+                  · {ruleSet.words.length} words · {ruleSet.patterns.length}{" "}
+                  patterns · {ruleSet.allowList.length} exceptions
+                </span>
+              </div>
+              <button
+                className="ml-auto text-sm text-red-500 hover:text-red-700"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDelete(ruleSet._id);
+                }}
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Right column */}
+      <div className="flex flex-col w-full bg-white rounded-md px-5 py-5 border-l">
+        {form ? (
+          <>
+            <h1 className="font-bold text-lg border-b border-black pb-1 mb-4">
+              {editingId ? "Edit rule set" : "New rule set"}
+            </h1>
+
+            {keywordRuleSetError && (
+              <div className="bg-red-100 text-red-800 p-2 mb-4 rounded">
+                {keywordRuleSetError}
+              </div>
+            )}
+
+            <label className="text-sm mb-1">Name</label>
+            <input
+              className={`${inputClassName} mb-3`}
+              value={form.name}
+              onChange={(e) => handleChange("name", e.target.value)}
+            />
+
+            <label className="text-sm mb-1">Applies to</label>
+            <select
+              className={`${inputClassName} mb-3`}
+              value={form.community}
+              onChange={(e) => handleChange("community", e.target.value)}
+            >
+              <option value="">All communities (global)</option>
+              {communities.map((community) => (
+                <option key={community._id} value={community._id}>
+                  {community.name}
+                </option>
+              ))}
+            </select>
+
+            <label className="text-sm mb-1">Language</label>
+            <select
+              className={`${inputClassName} mb-1`}
+              value={form.language}
+              onChange={(e) => handleChange("language", e.target.value)}
+            >
+              <option value="">All languages</option>
+              {Object.entries(LANGUAGES).map(([code, name]) => (
+                <option key={code} value={code}>
+                  {name}
+                </option>
+              ))}
+            </select>
+            <span className="text-xs text-gray-500 mb-3">
+              Rules for one language only check content detected in it. Content
+              too short to detect is checked against every rule set.
+            </span>
+
+            <div className="flex items-center gap-4 mb-3 text-sm">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={form.enabled}
+                  onChange={(e) => handleChange("enabled", e.target.checked)}
+                />
+                Enabled
+              </label>
+              {form.community && (
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={form.inheritGlobal}
+                    onChange={(e) =>
+                      handleChange("inheritGlobal", e.target.checked)
+                    }
+                  />
+                  Also apply global rules
+                </label>
+              )}
+            </div>
+
+            <label className="text-sm mb-1">
+              Words and phrases (one per line, whole words only)
+            </label>
+            <textarea
+              className={`${inputClassName} mb-3`}
+              rows={5}
+              value={form.words}
+              onChange={(e) => handleChange("words", e.target.value)}
+            />
+
+            <label className="text-sm mb-1">
+              Regular expressions (one per line, case-insensitive)
+            </label>
+            <textarea
+              className={`${inputClassName} mb-3 font-mono`}
+              rows={3}
+              value={form.patterns}
+              onChange={(e) => handleChange("patterns", e.target.value)}
+            />
+
+            <label className="text-sm mb-1">
+              Allowed exceptions (one per line, e.g. Scunthorpe)
+            </label>
+            <textarea
+              className={`${inputClassName} mb-3`}
+              rows={3}
+              value={form.allowList}
+              onChange={(e) => handleChange("allowList", e.target.value)}
+            />
+
+            <div className="flex justify-end gap-2">
+              <button
+                className="px-4 py-2 rounded border"
+                onClick={() => setForm(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="bg-blue-500 text-white px-4 py-2 rounded disabled:opacity-50"
+                onClick={handleSave}
+                disabled={isSaving || !form.name}
+              >
+                {isSaving ? "Saving..." : "Save"}
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className="flex flex-col items-center justify-center h-full">
+            <span className="font-medium text-gray-400">
+              Select a rule set to edit
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default KeywordRules;
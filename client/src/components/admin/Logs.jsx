@@ -123,6 +123,14 @@ const Logs = () => {
                       >
                         <span className="capitalize">{log.type}: </span>
                         <span>{log.message}</span>
+                        {log.riskScore !== undefined &&
+                          log.riskScore !== null && (
+                            <div className="text-xs text-gray-500">
+                              {`Risk score ${log.riskScore.toFixed(2)}`}
+                              {log.riskFactors?.length > 0 &&
+                                ` from ${log.riskFactors.join(", ")}`}
+                            </div>
+                          )}
                       </td>
                       <p>{log.email}</p>
                       <td className="">
@@ -0,0 +1,186 @@
+import { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  getMediaHashesAction,
+  addMediaHashAction,
+  deleteMediaHashAction,
+} from "../../redux/actions/adminActions";
+import CommonLoading from "../loader/CommonLoading";
+
+const inputClassName =
+  "bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 p-2";
+
+const describeSource = (entry) => {
+  if (!entry.addedBy) return "-";
+  const name = entry.addedBy.name || entry.addedBy.username;
+  return entry.addedByModel === "Admin" ? `${name} (admin)` : name;
+};
+
+const MediaBlocklist = () => {
+  const dispatch = useDispatch();
+  const mediaHashes = useSelector((state) => state.admin?.mediaHashes);
+  const mediaHashError = useSelector((state) => state.admin?.mediaHashError);
+
+  const [page, setPage] = useState(1);
+  const [file, setFile] = useState(null);
+  const [hash, setHash] = useState("");
+  const [note, setNote] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(getMediaHashesAction(page));
+  }, [dispatch, page]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const formData = new FormData();
+    if (file) {
+      formData.append("file", file);
+    } else {
+      formData.append("hash", hash);
+    }
+    formData.append("note", note);
+
+    await dispatch(addMediaHashAction(formData));
+    await dispatch(getMediaHashesAction(page));
+    setFile(null);
+    setHash("");
+    setNote("");
+    e.target.reset();
+    setIsSaving(false);
+  };
+
+  const handleDelete = async (id) => {
+    await dispatch(deleteMediaHashAction(id));
+    await dispatch(getMediaHashesAction(page));
+  };
+
+  if (!mediaHashes) {
+    return (
+      <div className="flex items-center justify-center mt-5">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  const { hashes, total, pageSize } = mediaHashes;
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+
+  return (
+    <div className="bg-white mt-3 rounded-md border p-4 flex flex-col gap-4 w-full">
+      <div className="flex flex-col gap-3">
+        <h3 className="font-semibold">Media blocklist</h3>
+        <p className="text-sm text-gray-600">
+          Uploads whose image or video keyframes are near-duplicates of these
+          perceptual hashes are blocked in every community. Moderators add
+          hashes when they remove a post and ban its media.
+        </p>
+
+        <form
+          className="flex flex-wrap items-center gap-3 text-sm"
+          onSubmit={handleAdd}
+        >
+          <input
+            type="file"
+            accept="image/*,video/*"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+          />
+          <span className="text-gray-500">or</span>
+          <input
+            type="text"
+            className={inputClassName}
+            placeholder="Hash (16 hex digits)"
+            value={hash}
+            disabled={!!file}
+            onChange={(e) => setHash(e.target.value)}
+          />
+          <input
+            type="text"
+            className={`${inputClassName} flex-1`}
+            placeholder="Note"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-md bg-primary text-white hover:bg-blue-700 disabled:opacity-50"
+            disabled={isSaving || (!file && !hash)}
+          >
+            {isSaving ? "Adding..." : "Add to blocklist"}
+          </button>
+        </form>
+
+        {mediaHashError && (
+          <p className="text-sm text-red-500">{mediaHashError}</p>
+        )}
+      </div>
+
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-left">
+          <tr>
+            <th className="p-2">Hash</th>
+            <th className="p-2">Source</th>
+            <th className="p-2">Added by</th>
+            <th className="p-2">Note</th>
+            <th className="p-2">Added</th>
+            <th className="p-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {hashes.length === 0 && (
+            <tr>
+              <td className="p-2 text-gray-500" colSpan={6}>
+                No media is blocked.
+              </td>
+            </tr>
+          )}
+          {hashes.map((entry) => (
+            <tr key={entry._id}>
+              <td className="p-2 font-mono text-xs">{entry.hash}</td>
+              <td className="p-2">
+                {entry.fileType || "hash"}
+                {entry.community && ` from ${entry.community.name}`}
+              </td>
+              <td className="p-2">{describeSource(entry)}</td>
+              <td className="p-2">{entry.note || "-"}</td>
+              <td className="p-2 text-xs">
+                {new Date(entry.createdAt).toLocaleString()}
+              </td>
+              <td className="p-2">
+                <button
+                  className="text-xs px-2 py-1 rounded border border-red-500 text-red-500 hover:bg-red-50"
+                  onClick={() => handleDelete(entry._id)}
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-center justify-end gap-2 text-sm">
+        <button
+          className="px-3 py-1 rounded border disabled:opacity-50"
+          disabled={page <= 1}
+          onClick={() => setPage(page - 1)}
+        >
+          Previous
+        </button>
+        <span>
+          Page {page} of {pageCount}
+        </span>
+        <button
+          className="px-3 py-1 rounded border disabled:opacity-50"
+          disabled={page >= pageCount}
+          onClick={() => setPage(page + 1)}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MediaBlocklist;
@@ -0,0 +1,281 @@
+import { Fragment, useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  getModerationDecisionsAction,
+  getCommunitiesAction,
+} from "../../redux/actions/adminActions";
+import CommonLoading from "../loader/CommonLoading";
+
+const ACTIONS = ["allow", "warn", "hold", "block", "error"];
+const PROVIDERS = [
+  "Perspective",
+  "Local",
+  "TextRazor",
+  "InterfaceAPI",
+  "ClassifierAPI",
+];
+const CONTENT_TYPES = ["post", "comment", "community", "profile"];
+
+const ACTION_STYLES = {
+  allow: "bg-green-100 text-green-800",
+  warn: "bg-blue-100 text-blue-800",
+  hold: "bg-yellow-100 text-yellow-800",
+  block: "bg-red-100 text-red-800",
+  error: "bg-gray-200 text-gray-800",
+};
+
+const EMPTY_FILTERS = {
+  community: "",
+  provider: "",
+  action: "",
+  contentType: "",
+  overridden: "",
+};
+
+const selectClassName =
+  "bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 p-2";
+
+const formatScores = (scores) =>
+  Object.entries(scores || {})
+    .filter(([, score]) => typeof score === "number" && score > 0)
+    .map(([name, score]) => `${name} ${score.toFixed(2)}`)
+    .join(", ");
+
+const DecisionDetails = ({ decision }) => (
+  <div className="text-xs flex flex-col gap-2 p-3 bg-gray-50">
+    <div className="text-gray-500 break-all">
+      Content hash: {decision.contentHash}
+    </div>
+    {decision.rule && <div>Matched rule: {decision.rule}</div>}
+    {decision.stages.map((stage) => (
+      <div key={stage.stage} className="border-l-2 pl-2">
+        <div className="font-semibold">
+          {stage.stage}: {stage.skipped ? "skipped" : stage.action}
+          {stage.provider && ` via ${stage.provider}`} ({stage.latency} ms)
+        </div>
+        {stage.reasons.map((reason, index) => (
+          <div key={index}>{reason.message}</div>
+        ))}
+        {formatScores(stage.scores) && (
+          <div className="text-gray-600">{formatScores(stage.scores)}</div>
+        )}
+        {stage.error && <div className="text-red-700">{stage.error}</div>}
+      </div>
+    ))}
+    {decision.overrides.length > 0 && (
+      <div>
+        <div className="font-semibold">Moderator overrides</div>
+        {decision.overrides.map((override, index) => (
+          <div key={index}>
+            {override.action} on {new Date(override.createdAt).toLocaleString()}
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+const ModerationDecisions = () => {
+  const dispatch = useDispatch();
+  const moderationDecisions = useSelector(
+    (state) => state.admin?.moderationDecisions
+  );
+  const communities = useSelector((state) => state.admin?.communities);
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    dispatch(getCommunitiesAction());
+  }, [dispatch]);
+
+  useEffect(() => {
+    dispatch(getModerationDecisionsAction({ ...filters, page }));
+  }, [dispatch, filters, page]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters((current) => ({ ...current, [field]: value }));
+    setPage(1);
+  };
+
+  if (!moderationDecisions) {
+    return (
+      <div className="flex items-center justify-center mt-5">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  const { decisions, total, pageSize, stats } = moderationDecisions;
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+
+  return (
+    <div className="bg-white mt-3 rounded-md border p-4 flex flex-col gap-3">
+      <div className="flex flex-wrap gap-2">
+        <select
+          className={selectClassName}
+          value={filters.community}
+          onChange={(e) => handleFilterChange("community", e.target.value)}
+        >
+          <option value="">All communities</option>
+          {(communities || []).map((community) => (
+            <option key={community._id} value={community._id}>
+              {community.name}
+            </option>
+          ))}
+        </select>
+        <select
+          className={selectClassName}
+          value={filters.provider}
+          onChange={(e) => handleFilterChange("provider", e.target.value)}
+        >
+          <option value="">All providers</option>
+          {PROVIDERS.map((provider) => (
+            <option key={provider} value={provider}>
+              {provider}
+            </option>
+          ))}
+        </select>
+        <select
+          className={selectClassName}
+          value={filters.action}
+          onChange={(e) => handleFilterChange("action", e.target.value)}
+        >
+          <option value="">All outcomes</option>
+          {ACTIONS.map((action) => (
+            <option key={action} value={action}>
+              {action}
+            </option>
+          ))}
+        </select>
+        <select
+          className={selectClassName}
+          value={filters.contentType}
+          onChange={(e) => handleFilterChange("contentType", e.target.value)}
+        >
+          <option value="">All content</option>
+          {CONTENT_TYPES.map((contentType) => (
+            <option key={contentType} value={contentType}>
+              {contentType}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={filters.overridden === "true"}
+            onChange={(e) =>
+              handleFilterChange("overridden", e.target.checked ? "true" : "")
+            }
+          />
+          Overridden only
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-sm">
+        <span>{total} decisions</span>
+        {ACTIONS.map(
+          (action) =>
+            stats.byAction[action] > 0 && (
+              <span key={action}>
+                {action}: {stats.byAction[action]}
+              </span>
+            )
+        )}
+        <span className="font-medium">
+          False positives: {stats.falsePositives} (
+          {(stats.falsePositiveRate * 100).toFixed(1)}% of held or blocked)
+        </span>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-left">
+          <tr>
+            <th className="p-2">Time</th>
+            <th className="p-2">Content</th>
+            <th className="p-2">Community</th>
+            <th className="p-2">Author</th>
+            <th className="p-2">Providers</th>
+            <th className="p-2">Outcome</th>
+            <th className="p-2">Latency</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {decisions.map((decision) => (
+            <Fragment key={decision._id}>
+              <tr
+                className="cursor-pointer hover:bg-gray-50"
+                onClick={() =>
+                  setExpandedId(
+                    expandedId === decision._id ? null : decision._id
+                  )
+                }
+              >
+                <td className="p-2 text-xs">
+                  {new Date(decision.createdAt).toLocaleString()}
+                </td>
+                <td className="p-2">
+                  {decision.contentType}
+                  {decision.language && (
+                    <span className="ml-1 text-xs text-gray-500 uppercase">
+                      {decision.language}
+                    </span>
+                  )}
+                </td>
+                <td className="p-2">{decision.community?.name || "-"}</td>
+                <td className="p-2">{decision.user?.name || "-"}</td>
+                <td className="p-2">{decision.providers.join(", ") || "-"}</td>
+                <td className="p-2">
+                  <span
+                    className={`text-xs font-medium px-2 py-0.5 rounded-full ${
+                      ACTION_STYLES[decision.action]
+                    }`}
+                  >
+                    {decision.action}
+                  </span>
+                  {decision.overrides.length > 0 && (
+                    <span className="ml-1 text-xs text-gray-500">
+                      &rarr;{" "}
+                      {decision.overrides[decision.overrides.length - 1].action}
+                    </span>
+                  )}
+                </td>
+                <td className="p-2 text-xs">{decision.latency} ms</td>
+              </tr>
+              {expandedId === decision._id && (
+                <tr>
+                  <td colSpan={7}>
+                    <DecisionDetails decision={decision} />
+                  </td>
+                </tr>
+              )}
+            </Fragment>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="flex items-center justify-end gap-2 text-sm">
+        <button
+          className="px-3 py-1 rounded border disabled:opacity-50"
+          disabled={page <= 1}
+          onClick={() => setPage(page - 1)}
+        >
+          Previous
+        </button>
+        <span>
+          Page {page} of {pageCount}
+        </span>
+        <button
+          className="px-3 py-1 rounded border disabled:opacity-50"
+          disabled={page >= pageCount}
+          onClick={() => setPage(page + 1)}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationDecisions;
@@ -0,0 +1,351 @@
+import { Fragment, useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  getReplayJobsAction,
+  getReplayJobAction,
+  createReplayJobAction,
+  cancelReplayJobAction,
+  getCommunitiesAction,
+} from "../../redux/actions/adminActions";
+import CommonLoading from "../loader/CommonLoading";
+
+const CONTENT_TYPES = ["post", "comment"];
+// Replays never check the topic of published posts
+const STAGES = ["keyword", "toxicity", "media"];
+const POLL_INTERVAL = 3000;
+
+const STATUS_STYLES = {
+  queued: "bg-gray-200 text-gray-800",
+  running: "bg-blue-100 text-blue-800",
+  completed: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  cancelled: "bg-yellow-100 text-yellow-800",
+};
+
+const EMPTY_FORM = {
+  contentTypes: ["post", "comment"],
+  community: "",
+  from: "",
+  to: "",
+  stages: STAGES,
+  dryRun: true,
+  onBlock: "hold",
+};
+
+const inputClassName =
+  "bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 p-2";
+
+const isActive = (job) => ["queued", "running"].includes(job.status);
+
+const toggle = (list, value) =>
+  list.includes(value)
+    ? list.filter((item) => item !== value)
+    : [...list, value];
+
+const describeScope = (job) =>
+  [
+    job.contentTypes.join(" & "),
+    job.community ? `in ${job.community.name}` : "in all communities",
+    job.from && `from ${new Date(job.from).toLocaleDateString()}`,
+    job.to && `to ${new Date(job.to).toLocaleDateString()}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+const ReplayChanges = ({ job }) => {
+  if (!job) {
+    return <CommonLoading />;
+  }
+  if (job.changes.length === 0) {
+    return <p className="text-xs text-gray-500 p-3">No content changed.</p>;
+  }
+
+  return (
+    <div className="text-xs flex flex-col gap-1 p-3 bg-gray-50">
+      {job.changes.map((change) => (
+        <div key={change.item} className="border-l-2 pl-2">
+          <div className="font-semibold">
+            {change.contentType}{" "}
+            {change.community ? `in ${change.community.name}` : ""}:{" "}
+            {change.action}
+            {change.applied !== "none" && ` (${change.applied})`}
+          </div>
+          <div className="text-gray-600 truncate">{change.content}</div>
+          <div>{change.reasons.join(", ")}</div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const ModerationReplay = () => {
+  const dispatch = useDispatch();
+  const replayJobs = useSelector((state) => state.admin?.replayJobs);
+  const replayJob = useSelector((state) => state.admin?.replayJob);
+  const replayJobError = useSelector((state) => state.admin?.replayJobError);
+  const communities = useSelector((state) => state.admin?.communities);
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isStarting, setIsStarting] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    dispatch(getReplayJobsAction());
+    dispatch(getCommunitiesAction());
+  }, [dispatch]);
+
+  // Follow the progress of queued and running jobs
+  const hasActiveJobs = !!replayJobs && replayJobs.some(isActive);
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const interval = setInterval(() => {
+      dispatch(getReplayJobsAction());
+      if (expandedId) dispatch(getReplayJobAction(expandedId));
+    }, POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [dispatch, hasActiveJobs, expandedId]);
+
+  const handleChange = (field, value) => {
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleStart = async () => {
+    setIsStarting(true);
+    await dispatch(
+      createReplayJobAction({
+        ...form,
+        community: form.community || undefined,
+        from: form.from || undefined,
+        // the whole last day is included
+        to: form.to ? `${form.to}T23:59:59.999` : undefined,
+      })
+    );
+    await dispatch(getReplayJobsAction());
+    setIsStarting(false);
+  };
+
+  const handleCancel = async (id) => {
+    await dispatch(cancelReplayJobAction(id));
+    await dispatch(getReplayJobsAction());
+  };
+
+  const handleExpand = (id) => {
+    setExpandedId(expandedId === id ? null : id);
+    if (expandedId !== id) dispatch(getReplayJobAction(id));
+  };
+
+  if (!replayJobs) {
+    return (
+      <div className="flex items-center justify-center mt-5">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white mt-3 rounded-md border p-4 flex flex-col gap-4">
+      <div className="flex flex-col gap-3">
+        <h3 className="font-semibold">Replay moderation</h3>
+        <p className="text-sm text-gray-600">
+          Re-run the current moderation pipeline over published posts and
+          comments, for example after changing keyword rules or toxicity
+          policies.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          {CONTENT_TYPES.map((contentType) => (
+            <label key={contentType} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={form.contentTypes.includes(contentType)}
+                onChange={() =>
+                  handleChange(
+                    "contentTypes",
+                    toggle(form.contentTypes, contentType)
+                  )
+                }
+              />
+              {contentType}s
+            </label>
+          ))}
+          <select
+            className={inputClassName}
+            value={form.community}
+            onChange={(e) => handleChange("community", e.target.value)}
+          >
+            <option value="">All communities</option>
+            {(communities || []).map((community) => (
+              <option key={community._id} value={community._id}>
+                {community.name}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1">
+            From
+            <input
+              type="date"
+              className={inputClassName}
+              value={form.from}
+              onChange={(e) => handleChange("from", e.target.value)}
+            />
+          </label>
+          <label className="flex items-center gap-1">
+            To
+            <input
+              type="date"
+              className={inputClassName}
+              value={form.to}
+              onChange={(e) => handleChange("to", e.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <span className="font-medium">Stages:</span>
+          {STAGES.map((stage) => (
+            <label key={stage} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={form.stages.includes(stage)}
+                onChange={() =>
+                  handleChange("stages", toggle(form.stages, stage))
+                }
+              />
+              {stage}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 text-sm">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={form.dryRun}
+              onChange={(e) => handleChange("dryRun", e.target.checked)}
+            />
+            Dry run (only report what would change)
+          </label>
+          <label className="flex items-center gap-1">
+            Blocked content:
+            <select
+              className={inputClassName}
+              value={form.onBlock}
+              onChange={(e) => handleChange("onBlock", e.target.value)}
+            >
+              <option value="hold">Hold for review</option>
+              <option value="delete">Delete</option>
+            </select>
+          </label>
+        </div>
+
+        {replayJobError && (
+          <p className="text-sm text-red-500">{replayJobError}</p>
+        )}
+
+        <button
+          className="self-start px-4 py-2 rounded-md bg-primary text-white text-sm hover:bg-blue-700 disabled:opacity-50"
+          disabled={
+            isStarting ||
+            form.contentTypes.length === 0 ||
+            form.stages.length === 0
+          }
+          onClick={handleStart}
+        >
+          {isStarting
+            ? "Starting..."
+            : form.dryRun
+            ? "Start dry run"
+            : "Start replay"}
+        </button>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-left">
+          <tr>
+            <th className="p-2">Started</th>
+            <th className="p-2">Scope</th>
+            <th className="p-2">Mode</th>
+            <th className="p-2">Progress</th>
+            <th className="p-2">Held / blocked / deleted / errors</th>
+            <th className="p-2">Status</th>
+            <th className="p-2"></th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {replayJobs.map((job) => {
+            const { total, processed, held, blocked, deleted, errors } =
+              job.progress;
+            const percent = total ? Math.round((processed / total) * 100) : 0;
+
+            return (
+              <Fragment key={job._id}>
+                <tr
+                  className="cursor-pointer hover:bg-gray-50"
+                  onClick={() => handleExpand(job._id)}
+                >
+                  <td className="p-2 text-xs">
+                    {new Date(job.createdAt).toLocaleString()}
+                  </td>
+                  <td className="p-2">{describeScope(job)}</td>
+                  <td className="p-2">
+                    {job.dryRun ? "Dry run" : `Live, ${job.onBlock} blocked`}
+                  </td>
+                  <td className="p-2 w-40">
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-primary h-2 rounded-full"
+                        style={{ width: `${percent}%` }}
+                      />
+                    </div>
+                    <span className="text-xs">
+                      {processed} / {total}
+                    </span>
+                  </td>
+                  <td className="p-2">
+                    {held} / {blocked} / {deleted} / {errors}
+                  </td>
+                  <td className="p-2">
+                    <span
+                      className={`text-xs font-medium px-2 py-0.5 rounded-full ${
+                        STATUS_STYLES[job.status]
+                      }`}
+                    >
+                      {job.status}
+                    </span>
+                    {job.error && (
+                      <div className="text-xs text-red-700">{job.error}</div>
+                    )}
+                  </td>
+                  <td className="p-2">
+                    {isActive(job) && (
+                      <button
+                        className="text-xs px-2 py-1 rounded border border-red-500 text-red-500 hover:bg-red-50"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleCancel(job._id);
+                        }}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {expandedId === job._id && (
+                  <tr>
+                    <td colSpan={7}>
+                      <ReplayChanges
+                        job={replayJob?._id === job._id ? replayJob : null}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ModerationReplay;
@@ -0,0 +1,103 @@
+import { useEffect } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { getProviderHealthAction } from "../../redux/actions/adminActions";
+
+const STATE_STYLES = {
+  closed: { label: "Healthy", className: "bg-green-100 text-green-800" },
+  "half-open": {
+    label: "Recovering",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  open: { label: "Circuit open", className: "bg-red-100 text-red-800" },
+};
+
+const CAPABILITY_LABELS = {
+  toxicity: "Toxicity",
+  media: "Media",
+  category: "Category filtering",
+};
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : "-");
+
+const ProviderHealth = () => {
+  const dispatch = useDispatch();
+  const providerHealth = useSelector((state) => state.admin?.providerHealth);
+
+  useEffect(() => {
+    dispatch(getProviderHealthAction());
+  }, [dispatch]);
+
+  if (!providerHealth) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center mb-2">
+        <div>Provider health</div>
+        <button
+          className="ml-auto text-sm text-blue-500 hover:text-blue-700"
+          onClick={() => dispatch(getProviderHealthAction())}
+        >
+          Refresh
+        </button>
+      </div>
+      <table className="w-full text-sm border rounded-md">
+        <thead className="bg-gray-50 text-left">
+          <tr>
+            <th className="p-2">Provider</th>
+            <th className="p-2">Status</th>
+            <th className="p-2">Last success</th>
+            <th className="p-2">Last error</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {Object.entries(providerHealth).map(([capability, providers]) =>
+            providers.map((provider) => {
+              const style = STATE_STYLES[provider.state] || STATE_STYLES.closed;
+              return (
+                <tr key={`${capability}-${provider.provider}`}>
+                  <td className="p-2">
+                    <div>{provider.provider}</div>
+                    <div className="text-xs text-gray-500">
+                      {CAPABILITY_LABELS[capability] || capability}
+                    </div>
+                  </td>
+                  <td className="p-2">
+                    <span
+                      className={`text-xs font-medium px-2 py-0.5 rounded-full ${style.className}`}
+                    >
+                      {style.label}
+                    </span>
+                    {provider.retryAt && (
+                      <div className="text-xs text-gray-500">
+                        Retry at {formatTime(provider.retryAt)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="p-2 text-xs">
+                    {formatTime(provider.lastSuccessAt)}
+                    {provider.lastLatency !== null &&
+                      ` (${provider.lastLatency} ms)`}
+                  </td>
+                  <td className="p-2 text-xs text-red-700">
+                    {provider.lastError && (
+                      <>
+                        {provider.lastError}
+                        <div className="text-gray-500">
+                          {formatTime(provider.lastFailureAt)}
+                        </div>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              );
+            })
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ProviderHealth;
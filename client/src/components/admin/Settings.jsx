@@ -3,7 +3,79 @@ import { useSelector, useDispatch } from "react-redux";
 import {
   getServicePreferencesAction,
   updateServicePreferencesAction,
+  getProviderHealthAction,
 } from "../../redux/actions/adminActions";
+import { IoChevronUp, IoChevronDown } from "react-icons/io5";
+import PolicyRulesEditor from "../shared/PolicyRulesEditor";
+import ProviderHealth from "./ProviderHealth";
+import ClassificationCache from "./ClassificationCache";
+
+const MODERATION_STAGES = [
+  { name: "keyword", label: "Keyword rules" },
+  { name: "spam", label: "Spam and flood detection" },
+  { name: "toxicity", label: "Toxicity provider" },
+  { name: "media", label: "Media attachments (posts only)" },
+  { name: "category", label: "Category filter (posts only)" },
+];
+
+const TOXICITY_PROVIDERS = [
+  { name: "Perspective", label: "Perspective API" },
+  { name: "Local", label: "Local lexicon (offline)" },
+];
+
+const CATEGORY_PROVIDERS = [
+  { name: "TextRazor", label: "TextRazor" },
+  { name: "InterfaceAPI", label: "InterfaceAPI" },
+  { name: "ClassifierAPI", label: "ClassifierAPI" },
+];
+
+const FAILURE_MODES = [
+  { name: "open", label: "Let content through" },
+  { name: "hold", label: "Hold for review" },
+  { name: "closed", label: "Reject content" },
+];
+
+// Ordered fallbacks tried when the primary provider is unavailable
+const FallbackProviders = ({ providers, primary, fallbacks, onChange }) => {
+  const available = providers.filter(
+    (provider) =>
+      provider.name !== primary && !fallbacks.includes(provider.name)
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-500">Fallbacks:</span>
+      {fallbacks.map((name, index) => (
+        <span
+          key={name}
+          className="flex items-center gap-1 bg-gray-100 rounded px-2 py-0.5"
+        >
+          {index + 1}. {name}
+          <button
+            className="text-red-500 hover:text-red-700"
+            onClick={() => onChange(fallbacks.filter((item) => item !== name))}
+          >
+            &times;
+          </button>
+        </span>
+      ))}
+      {available.length > 0 && (
+        <select
+          className="border border-gray-300 rounded text-sm p-1"
+          value=""
+          onChange={(e) => onChange([...fallbacks, e.target.value])}
+        >
+          <option value="">Add fallback...</option>
+          {available.map((provider) => (
+            <option key={provider.name} value={provider.name}>
+              {provider.label}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
 
 const Settings = () => {
   const dispatch = useDispatch();
@@ -13,13 +85,35 @@ const Settings = () => {
   const servicePreferences = useSelector(
     (state) => state.admin?.servicePreferences
   );
-  const [usePerspectiveAPI, setUsePerspectiveAPI] = useState(false);
+  const [toxicityServiceProvider, setToxicityServiceProvider] = useState("");
+  const [toxicityFallbackProviders, setToxicityFallbackProviders] = useState(
+    []
+  );
+  const [moderationFailureModes, setModerationFailureModes] = useState({});
+  const [moderationStages, setModerationStages] = useState([]);
+  const [moderationFloors, setModerationFloors] = useState([]);
+  const [spamHoldThreshold, setSpamHoldThreshold] = useState(0);
+  const [spamBlockThreshold, setSpamBlockThreshold] = useState(0);
+  const [contextRiskStepUpThreshold, setContextRiskStepUpThreshold] =
+    useState(0);
+  const [contextRiskBlockThreshold, setContextRiskBlockThreshold] = useState(0);
+  const [maxTrustedDevices, setMaxTrustedDevices] = useState(0);
+  const [unsupportedLanguageAction, setUnsupportedLanguageAction] =
+    useState("");
+  const [mediaModerationProvider, setMediaModerationProvider] = useState("");
   const [
     categoryFilteringServiceProvider,
     setCategoryFilteringServiceProvider,
   ] = useState("");
+  const [
+    categoryFilteringFallbackProviders,
+    setCategoryFilteringFallbackProviders,
+  ] = useState([]);
   const [categoryFilteringRequestTimeout, setCategoryFilteringRequestTimeout] =
     useState(0);
+  const [categoryMatchMargin, setCategoryMatchMargin] = useState(0);
+  const [categorySuggestionCount, setCategorySuggestionCount] = useState(0);
+  const [classificationCacheTTL, setClassificationCacheTTL] = useState(0);
 
   useEffect(() => {
     dispatch(getServicePreferencesAction());
@@ -27,28 +121,101 @@ const Settings = () => {
 
   useEffect(() => {
     if (servicePreferences) {
-      setUsePerspectiveAPI(servicePreferences.usePerspectiveAPI);
+      setToxicityServiceProvider(servicePreferences.toxicityServiceProvider);
+      setToxicityFallbackProviders(
+        servicePreferences.toxicityFallbackProviders || []
+      );
+      setModerationFailureModes(
+        servicePreferences.moderationFailureModes || {}
+      );
+      setModerationStages(servicePreferences.moderationStages || []);
+      setModerationFloors(servicePreferences.moderationFloors || []);
+      setSpamHoldThreshold(servicePreferences.spamHoldThreshold);
+      setSpamBlockThreshold(servicePreferences.spamBlockThreshold);
+      setContextRiskStepUpThreshold(
+        servicePreferences.contextRiskStepUpThreshold
+      );
+      setContextRiskBlockThreshold(
+        servicePreferences.contextRiskBlockThreshold
+      );
+      setMaxTrustedDevices(servicePreferences.maxTrustedDevices);
+      setUnsupportedLanguageAction(
+        servicePreferences.unsupportedLanguageAction || "hold"
+      );
+      setMediaModerationProvider(servicePreferences.mediaModerationProvider);
       setCategoryFilteringServiceProvider(
         servicePreferences.categoryFilteringServiceProvider
       );
+      setCategoryFilteringFallbackProviders(
+        servicePreferences.categoryFilteringFallbackProviders || []
+      );
       setCategoryFilteringRequestTimeout(
         servicePreferences.categoryFilteringRequestTimeout
       );
+      setCategoryMatchMargin(servicePreferences.categoryMatchMargin);
+      setCategorySuggestionCount(servicePreferences.categorySuggestionCount);
+      setClassificationCacheTTL(servicePreferences.classificationCacheTTL);
       setIsLoading(false);
     }
   }, [servicePreferences]);
 
+  const toggleStage = (name) => {
+    setModerationStages((stages) =>
+      stages.includes(name)
+        ? stages.filter((stage) => stage !== name)
+        : [...stages, name]
+    );
+  };
+
+  const moveStage = (index, offset) => {
+    setModerationStages((stages) => {
+      const target = index + offset;
+      if (target < 0 || target >= stages.length) return stages;
+      const reordered = [...stages];
+      [reordered[index], reordered[target]] = [
+        reordered[target],
+        reordered[index],
+      ];
+      return reordered;
+    });
+  };
+
+  const orderedStages = [
+    ...moderationStages
+      .map((name) => MODERATION_STAGES.find((stage) => stage.name === name))
+      .filter(Boolean),
+    ...MODERATION_STAGES.filter(
+      (stage) => !moderationStages.includes(stage.name)
+    ),
+  ];
+
   const handleUpdate = async () => {
     setIsUpdating(true);
     setIsSuccess(false);
     try {
       await dispatch(
         updateServicePreferencesAction({
-          usePerspectiveAPI,
+          toxicityServiceProvider,
+          toxicityFallbackProviders,
+          moderationStages,
+          moderationFailureModes,
+          moderationFloors,
+          spamHoldThreshold,
+          spamBlockThreshold,
+          contextRiskStepUpThreshold,
+          contextRiskBlockThreshold,
+          maxTrustedDevices,
+          unsupportedLanguageAction,
+          mediaModerationProvider,
           categoryFilteringServiceProvider,
+          categoryFilteringFallbackProviders,
           categoryFilteringRequestTimeout,
+          categoryMatchMargin,
+          categorySuggestionCount,
+          classificationCacheTTL,
         })
       );
+      dispatch(getProviderHealthAction());
       setIsSuccess(true);
       setTimeout(() => {
         setIsSuccess(false);
@@ -75,15 +242,177 @@ const Settings = () => {
       )}
 
       <div className="flex items-center mb-4">
-        <div>Use Perspective API for content moderation</div>
+        <div>Toxicity scoring provider</div>
         <div className="ml-auto">
-          <input
-            className="w-5 h-5 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
-            type="checkbox"
-            checked={usePerspectiveAPI}
-            onChange={(e) => setUsePerspectiveAPI(e.target.checked)}
+          <select
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 "
+            value={toxicityServiceProvider}
+            onChange={(e) => setToxicityServiceProvider(e.target.value)}
+          >
+            <option value="Perspective">Perspective API</option>
+            <option value="Local">Local lexicon (offline)</option>
+            <option value="disabled">Disabled</option>
+          </select>
+        </div>
+      </div>
+      {toxicityServiceProvider !== "disabled" && (
+        <div className="mb-4">
+          <FallbackProviders
+            providers={TOXICITY_PROVIDERS}
+            primary={toxicityServiceProvider}
+            fallbacks={toxicityFallbackProviders}
+            onChange={setToxicityFallbackProviders}
           />
         </div>
+      )}
+
+      {toxicityServiceProvider !== "disabled" && (
+        <div className="flex items-center mb-4">
+          <div>
+            <div>Content in other languages</div>
+            <div className="text-xs text-gray-500">
+              Posts and comments in a language none of the toxicity providers
+              supports, e.g. anything but English for the local lexicon. Keyword
+              rules and spam detection screen them either way.
+            </div>
+          </div>
+          <div className="ml-auto">
+            <select
+              className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 "
+              value={unsupportedLanguageAction}
+              onChange={(e) => setUnsupportedLanguageAction(e.target.value)}
+            >
+              <option value="hold">Hold for review</option>
+              <option value="allow">Let content through</option>
+            </select>
+          </div>
+        </div>
+      )}
+
+      <div className="mb-4">
+        <div className="mb-2">Moderation pipeline stages (in order)</div>
+        <ul className="border rounded-md divide-y">
+          {orderedStages.map((stage) => {
+            const index = moderationStages.indexOf(stage.name);
+            const isEnabled = index !== -1;
+            return (
+              <li key={stage.name} className="flex items-center px-3 py-2">
+                <input
+                  className="w-4 h-4 mr-3"
+                  type="checkbox"
+                  checked={isEnabled}
+                  onChange={() => toggleStage(stage.name)}
+                />
+                <span className={isEnabled ? "" : "text-gray-400"}>
+                  {isEnabled && `${index + 1}. `}
+                  {stage.label}
+                </span>
+                {isEnabled && (
+                  <div className="ml-auto flex items-center gap-1">
+                    <select
+                      className="border border-gray-300 rounded text-xs p-1 mr-2"
+                      title="When this stage fails"
+                      value={moderationFailureModes[stage.name] || ""}
+                      onChange={(e) =>
+                        setModerationFailureModes((modes) => ({
+                          ...modes,
+                          [stage.name]: e.target.value,
+                        }))
+                      }
+                    >
+                      <option value="" disabled>
+                        On failure...
+                      </option>
+                      {FAILURE_MODES.map((mode) => (
+                        <option key={mode.name} value={mode.name}>
+                          On failure: {mode.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                      onClick={() => moveStage(index, -1)}
+                      disabled={index === 0}
+                    >
+                      <IoChevronUp />
+                    </button>
+                    <button
+                      className="p-1 rounded hover:bg-gray-100 disabled:opacity-30"
+                      onClick={() => moveStage(index, 1)}
+                      disabled={index === moderationStages.length - 1}
+                    >
+                      <IoChevronDown />
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      {moderationStages.includes("spam") && (
+        <div className="flex items-center mb-4">
+          <div>
+            <div>Spam score thresholds</div>
+            <div className="text-xs text-gray-500">
+              Posts and comments are held for review, or blocked, from these
+              scores. The score combines posting rate, copies of recent content,
+              links and account age.
+            </div>
+          </div>
+          <div className="ml-auto flex items-center gap-2 text-sm">
+            <label>Hold</label>
+            <input
+              className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-20 p-2.5 "
+              type="number"
+              value={spamHoldThreshold}
+              min={0}
+              max={1}
+              step={0.05}
+              required
+              onChange={(e) => setSpamHoldThreshold(e.target.value)}
+            />
+            <label>Block</label>
+            <input
+              className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-20 p-2.5 "
+              type="number"
+              value={spamBlockThreshold}
+              min={0}
+              max={1}
+              step={0.05}
+              required
+              onChange={(e) => setSpamBlockThreshold(e.target.value)}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="mb-4">
+        <div>Global toxicity floors</div>
+        <div className="text-xs text-gray-500 mb-2">
+          Applied in every community on top of its own moderation policy.
+          Community moderators cannot set thresholds above these.
+        </div>
+        <PolicyRulesEditor
+          rules={moderationFloors}
+          onChange={setModerationFloors}
+          addLabel="Add floor"
+        />
+      </div>
+
+      <div className="flex items-center mb-4">
+        <div>Media moderation provider</div>
+        <div className="ml-auto">
+          <select
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 "
+            value={mediaModerationProvider}
+            onChange={(e) => setMediaModerationProvider(e.target.value)}
+          >
+            <option value="Local">Local heuristic (offline)</option>
+            <option value="disabled">Disabled</option>
+          </select>
+        </div>
       </div>
 
       <div className="flex items-center mb-4">
@@ -104,6 +433,17 @@ const Settings = () => {
           </select>
         </div>
       </div>
+      {categoryFilteringServiceProvider &&
+        categoryFilteringServiceProvider !== "disabled" && (
+          <div className="mb-4">
+            <FallbackProviders
+              providers={CATEGORY_PROVIDERS}
+              primary={categoryFilteringServiceProvider}
+              fallbacks={categoryFilteringFallbackProviders}
+              onChange={setCategoryFilteringFallbackProviders}
+            />
+          </div>
+        )}
 
       <div className="flex items-center mb-4">
         <div>Category filtering request timeout (ms)</div>
@@ -122,6 +462,122 @@ const Settings = () => {
         </div>
       </div>
 
+      <div className="flex items-center mb-4">
+        <div>
+          <div>Category match margin</div>
+          <div className="text-xs text-gray-500">
+            Posts are accepted when their community scores within this margin of
+            the top detected topic.
+          </div>
+        </div>
+        <div className="ml-auto">
+          <input
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 "
+            type="number"
+            value={categoryMatchMargin}
+            min={0}
+            max={1}
+            step={0.05}
+            required
+            onChange={(e) => setCategoryMatchMargin(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center mb-4">
+        <div>Communities suggested for off-topic posts</div>
+        <div className="ml-auto">
+          <input
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 "
+            type="number"
+            value={categorySuggestionCount}
+            min={1}
+            max={10}
+            required
+            onChange={(e) => setCategorySuggestionCount(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center mb-4">
+        <div>
+          Reuse toxicity and category results for (minutes, 0 to disable)
+        </div>
+        <div className="ml-auto">
+          <input
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 "
+            type="number"
+            value={classificationCacheTTL}
+            min={0}
+            max={10080}
+            required
+            onChange={(e) => setClassificationCacheTTL(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center mb-4">
+        <div>
+          <div>Sign in risk thresholds</div>
+          <div className="text-xs text-gray-500">
+            Users with context-based authentication verify a sign in by email
+            from these scores, or are blocked if one of their devices already
+            is. The score weighs how the location, network, device and browser
+            differ from a verified sign in, the hour and the number of recent
+            sign ins.
+          </div>
+        </div>
+        <div className="ml-auto flex items-center gap-2 text-sm">
+          <label>Verify</label>
+          <input
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-20 p-2.5 "
+            type="number"
+            value={contextRiskStepUpThreshold}
+            min={0}
+            max={1}
+            step={0.05}
+            required
+            onChange={(e) => setContextRiskStepUpThreshold(e.target.value)}
+          />
+          <label>Block</label>
+          <input
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-20 p-2.5 "
+            type="number"
+            value={contextRiskBlockThreshold}
+            min={0}
+            max={1}
+            step={0.05}
+            required
+            onChange={(e) => setContextRiskBlockThreshold(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="flex items-center mb-4">
+        <div>
+          <div>Trusted devices per user</div>
+          <div className="text-xs text-gray-500">
+            The least recently seen device is forgotten when another one is
+            added.
+          </div>
+        </div>
+        <div className="ml-auto">
+          <input
+            className="bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-2.5 "
+            type="number"
+            value={maxTrustedDevices}
+            min={1}
+            max={50}
+            required
+            onChange={(e) => setMaxTrustedDevices(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <ProviderHealth />
+
+      <ClassificationCache />
+
       <div className="flex justify-end">
         <button
           className="bg-blue-500 text-white px-4 py-2 rounded disabled:opacity-50"
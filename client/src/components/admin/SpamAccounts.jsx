@@ -0,0 +1,93 @@
+import { useEffect } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { getSpamAccountsAction } from "../../redux/actions/adminActions";
+import CommonLoading from "../loader/CommonLoading";
+
+const SpamAccounts = () => {
+  const dispatch = useDispatch();
+  const spamAccounts = useSelector((state) => state.admin?.spamAccounts);
+
+  useEffect(() => {
+    dispatch(getSpamAccountsAction());
+  }, [dispatch]);
+
+  if (!spamAccounts) {
+    return (
+      <div className="flex items-center justify-center mt-5">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white mt-3 rounded-md border p-4 flex flex-col gap-3 w-full">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Suspected spam accounts</h3>
+          <p className="text-sm text-gray-600">
+            Users whose posts or comments were held or blocked as spam in the
+            last 30 days.
+          </p>
+        </div>
+        <button
+          className="px-4 py-2 rounded-md border text-sm hover:bg-gray-50"
+          onClick={() => dispatch(getSpamAccountsAction())}
+        >
+          Refresh
+        </button>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-left">
+          <tr>
+            <th className="p-2">User</th>
+            <th className="p-2">Joined</th>
+            <th className="p-2">Held</th>
+            <th className="p-2">Blocked</th>
+            <th className="p-2">Highest score</th>
+            <th className="p-2">Last flagged</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {spamAccounts.length === 0 && (
+            <tr>
+              <td className="p-2 text-gray-500" colSpan={6}>
+                No content was flagged as spam recently.
+              </td>
+            </tr>
+          )}
+          {spamAccounts.map((account) => (
+            <tr key={account.user._id}>
+              <td className="p-2">
+                <div className="flex items-center gap-2">
+                  <img
+                    src={account.user.avatar}
+                    alt={account.user.name}
+                    className="w-6 h-6 rounded-full object-cover"
+                  />
+                  <div>
+                    <div>{account.user.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {account.user.email}
+                    </div>
+                  </div>
+                </div>
+              </td>
+              <td className="p-2 text-xs">
+                {new Date(account.user.createdAt).toLocaleString()}
+              </td>
+              <td className="p-2">{account.held}</td>
+              <td className="p-2">{account.blocked}</td>
+              <td className="p-2">{account.maxScore.toFixed(2)}</td>
+              <td className="p-2 text-xs">
+                {new Date(account.lastFlaggedAt).toLocaleString()}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SpamAccounts;
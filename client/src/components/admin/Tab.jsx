@@ -5,7 +5,17 @@ import { logoutAction } from "../../redux/actions/adminActions";
 import ButtonLoadingSpinner from "../loader/ButtonLoadingSpinner";
 import { BiLogOut } from "react-icons/bi";
 import { BsPeople, BsWindowStack } from "react-icons/bs";
-import { IoSettingsOutline } from "react-icons/io5";
+import {
+  IoSettingsOutline,
+  IoShieldCheckmarkOutline,
+  IoListOutline,
+  IoChatbubblesOutline,
+  IoRefreshOutline,
+  IoImagesOutline,
+  IoGitCompareOutline,
+  IoWarningOutline,
+  IoKeyOutline,
+} from "react-icons/io5";
 
 const Tab = ({ activeTab, handleTabClick }) => {
   const navigate = useNavigate();
@@ -49,6 +59,110 @@ const Tab = ({ activeTab, handleTabClick }) => {
             Settings
           </span>
         </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "keyword rules"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("keyword rules")}
+          >
+            <IoShieldCheckmarkOutline className="mr-1" />
+            Keyword Rules
+          </span>
+        </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "media blocklist"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("media blocklist")}
+          >
+            <IoImagesOutline className="mr-1" />
+            Media Blocklist
+          </span>
+        </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "classifier"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("classifier")}
+          >
+            <IoGitCompareOutline className="mr-1" />
+            Classifier
+          </span>
+        </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "decisions"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("decisions")}
+          >
+            <IoListOutline className="mr-1" />
+            Decisions
+          </span>
+        </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "spam"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("spam")}
+          >
+            <IoWarningOutline className="mr-1" />
+            Spam
+          </span>
+        </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "two-factor"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("two-factor")}
+          >
+            <IoKeyOutline className="mr-1" />
+            Two-Factor
+          </span>
+        </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "replay"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("replay")}
+          >
+            <IoRefreshOutline className="mr-1" />
+            Replay
+          </span>
+        </li>
+        <li className="mr-2 flex items-center">
+          <span
+            className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
+              activeTab === "appeals"
+                ? "border-blue-500 bg-primary rounded-md text-white"
+                : "border-transparent hover:text-gray-600 hover:border-gray-300"
+            }`}
+            onClick={() => handleTabClick("appeals")}
+          >
+            <IoChatbubblesOutline className="mr-1" />
+            Appeals
+          </span>
+        </li>
         <li className="mr-2 flex items-center">
           <span
             className={`cursor-pointer inline-flex items-center px-2 py-2 border-b-2 rounded-t-lg ${
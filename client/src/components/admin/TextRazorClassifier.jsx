@@ -0,0 +1,215 @@
+import { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import {
+  getClassifierStatusAction,
+  pushClassifierAction,
+  deleteClassifierAction,
+} from "../../redux/actions/adminActions";
+import CommonLoading from "../loader/CommonLoading";
+
+const STATUS_STYLES = {
+  success: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const DiffList = ({ title, labels, className }) =>
+  labels.length > 0 && (
+    <div>
+      <span className="font-medium">{title}:</span>{" "}
+      <span className={className}>{labels.join(", ")}</span>
+    </div>
+  );
+
+const downloadCsv = (csv) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = "community-classifier.csv";
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const TextRazorClassifier = () => {
+  const dispatch = useDispatch();
+  const classifierStatus = useSelector(
+    (state) => state.admin?.classifierStatus
+  );
+  const classifierError = useSelector((state) => state.admin?.classifierError);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  useEffect(() => {
+    dispatch(getClassifierStatusAction());
+  }, [dispatch]);
+
+  const handleSync = async (action) => {
+    setIsSyncing(true);
+    await dispatch(action());
+    await dispatch(getClassifierStatusAction());
+    setIsSyncing(false);
+  };
+
+  if (!classifierStatus) {
+    return (
+      <div className="flex items-center justify-center mt-5">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  const { configured, local, csv, remote, remoteError, diff, syncs } =
+    classifierStatus;
+
+  return (
+    <div className="bg-white mt-3 rounded-md border p-4 flex flex-col gap-4 w-full">
+      <div className="flex flex-col gap-3">
+        <h3 className="font-semibold">TextRazor classifier</h3>
+        <p className="text-sm text-gray-600">
+          Posts are classified by TextRazor with a custom classifier built from
+          the topic keywords of the communities. It is pushed automatically when
+          a community is created; push it again after changing topic keywords.
+        </p>
+
+        {!configured && (
+          <p className="text-sm text-yellow-700">
+            The TextRazor API key or URL is not set on the server.
+          </p>
+        )}
+        {remoteError && (
+          <p className="text-sm text-red-500">
+            Could not load the classifier from TextRazor: {remoteError}
+          </p>
+        )}
+        {classifierError && (
+          <p className="text-sm text-red-500">{classifierError}</p>
+        )}
+
+        {diff && (
+          <div className="text-sm border rounded-md p-3 bg-gray-50">
+            {diff.inSync ? (
+              <span className="text-green-700">
+                The classifier at TextRazor matches the communities.
+              </span>
+            ) : (
+              <>
+                <div className="text-yellow-700 mb-1">
+                  {remote
+                    ? "The classifier at TextRazor is out of date."
+                    : "The classifier does not exist at TextRazor yet."}
+                </div>
+                <DiffList
+                  title="Missing at TextRazor"
+                  labels={diff.added}
+                  className="text-green-700"
+                />
+                <DiffList
+                  title="No longer a community"
+                  labels={diff.removed}
+                  className="text-red-700"
+                />
+                <DiffList
+                  title="Keywords changed"
+                  labels={diff.changed}
+                  className="text-yellow-700"
+                />
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <button
+            className="px-4 py-2 rounded-md bg-primary text-white hover:bg-blue-700 disabled:opacity-50"
+            disabled={!configured || isSyncing}
+            onClick={() => handleSync(pushClassifierAction)}
+          >
+            {isSyncing ? "Syncing..." : "Push to TextRazor"}
+          </button>
+          <button
+            className="px-4 py-2 rounded-md border border-red-500 text-red-500 hover:bg-red-50 disabled:opacity-50"
+            disabled={!configured || isSyncing || !remote}
+            onClick={() => handleSync(deleteClassifierAction)}
+          >
+            Delete at TextRazor
+          </button>
+          <button
+            className="px-4 py-2 rounded-md border hover:bg-gray-50"
+            onClick={() => downloadCsv(csv)}
+          >
+            Download CSV
+          </button>
+        </div>
+      </div>
+
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 text-left">
+          <tr>
+            <th className="p-2">Category</th>
+            <th className="p-2">Query</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {local.map((category) => (
+            <tr key={category.categoryId}>
+              <td className="p-2">{category.label}</td>
+              <td className="p-2 font-mono text-xs">{category.query}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div>
+        <h4 className="font-medium text-sm mb-2">Recent syncs</h4>
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left">
+            <tr>
+              <th className="p-2">Time</th>
+              <th className="p-2">Action</th>
+              <th className="p-2">By</th>
+              <th className="p-2">Status</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {syncs.length === 0 && (
+              <tr>
+                <td className="p-2 text-gray-500" colSpan={4}>
+                  The classifier has not been pushed yet.
+                </td>
+              </tr>
+            )}
+            {syncs.map((sync) => (
+              <tr key={sync._id}>
+                <td className="p-2 text-xs">
+                  {new Date(sync.createdAt).toLocaleString()}
+                </td>
+                <td className="p-2">
+                  {sync.action === "push"
+                    ? `Pushed ${sync.categoryCount} categories`
+                    : "Deleted"}
+                </td>
+                <td className="p-2">
+                  {sync.triggeredBy
+                    ? sync.triggeredBy.username
+                    : "New community"}
+                </td>
+                <td className="p-2">
+                  <span
+                    className={`text-xs font-medium px-2 py-0.5 rounded-full ${
+                      STATUS_STYLES[sync.status]
+                    }`}
+                  >
+                    {sync.status}
+                  </span>
+                  {sync.error && (
+                    <div className="text-xs text-red-700">{sync.error}</div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TextRazorClassifier;
@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { resetUserTwoFactorAction } from "../../redux/actions/adminActions";
+import ButtonLoadingSpinner from "../loader/ButtonLoadingSpinner";
+
+const TwoFactorReset = () => {
+  const dispatch = useDispatch();
+  const [email, setEmail] = useState("");
+  const [loading, setLoading] = useState(false);
+  const message = useSelector((state) => state.admin?.twoFactorResetMessage);
+  const error = useSelector((state) => state.admin?.twoFactorResetError);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    if (
+      !window.confirm(
+        `Turn off two-factor authentication for ${email.trim()}? They will sign in with their password only until they set it up again.`
+      )
+    ) {
+      return;
+    }
+    setLoading(true);
+    await dispatch(resetUserTwoFactorAction(email.trim()));
+    setLoading(false);
+  };
+
+  return (
+    <div className="bg-white mt-3 rounded-md border p-4 flex flex-col gap-3 w-full">
+      <div>
+        <h3 className="font-semibold">Reset two-factor authentication</h3>
+        <p className="text-sm text-gray-600">
+          For users who lost both their authenticator app and their recovery
+          codes. Only reset it once you have confirmed who they are. Every reset
+          is recorded in the logs.
+        </p>
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex items-center gap-2">
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="User email address"
+          className="border rounded-md px-3 py-2 text-sm w-72"
+          required
+        />
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-4 py-2 rounded-md bg-red-600 text-white text-sm hover:bg-red-700"
+        >
+          {loading ? (
+            <ButtonLoadingSpinner loadingText={"Resetting..."} />
+          ) : (
+            "Reset"
+          )}
+        </button>
+      </form>
+
+      {message && <p className="text-sm text-green-600">{message}</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default TwoFactorReset;
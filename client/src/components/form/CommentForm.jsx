@@ -42,6 +42,9 @@ const CommentForm = ({ communityId, postId }) => {
   const isCommentInappropriate = useSelector(
     (state) => state.posts?.isCommentInappropriate
   );
+  const blockedSubmission = useSelector(
+    (state) => state.posts?.blockedSubmission
+  );
 
   useEffect(() => {
     if (isCommentInappropriate) {
@@ -58,6 +61,7 @@ const CommentForm = ({ communityId, postId }) => {
         }}
         showInappropriateContentModal={showInappropriateContentModal}
         contentType={"comment"}
+        blockedSubmission={blockedSubmission}
       />
 
       <form onSubmit={handleSubmit}>
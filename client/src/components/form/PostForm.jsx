@@ -25,13 +25,17 @@ const PostForm = ({ communityId, communityName }) => {
     loading: false,
   });
 
-  const { isPostInappropriate, postCategory, confirmationToken } = useSelector(
-    (state) => ({
-      isPostInappropriate: state.posts?.isPostInappropriate,
-      postCategory: state.posts?.postCategory,
-      confirmationToken: state.posts?.confirmationToken,
-    })
-  );
+  const {
+    isPostInappropriate,
+    blockedSubmission,
+    postCategory,
+    confirmationToken,
+  } = useSelector((state) => ({
+    isPostInappropriate: state.posts?.isPostInappropriate,
+    blockedSubmission: state.posts?.blockedSubmission,
+    postCategory: state.posts?.postCategory,
+    confirmationToken: state.posts?.confirmationToken,
+  }));
 
   const handleContentChange = (event) => {
     setFormData({
@@ -124,6 +128,7 @@ const PostForm = ({ communityId, communityName }) => {
         }}
         showInappropriateContentModal={showInappropriateContentModal}
         contentType={"post"}
+        blockedSubmission={blockedSubmission}
       />
 
       <TopicConflictModal
@@ -134,6 +139,7 @@ const PostForm = ({ communityId, communityName }) => {
         showTopicConflictModal={showTopicConflictModal}
         communityName={postCategory?.community}
         recommendedCommunity={postCategory?.recommendedCommunity}
+        alternatives={postCategory?.alternatives}
       />
 
       <EligibilityDetectionFailModal
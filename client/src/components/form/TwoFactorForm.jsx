@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  signInTwoFactorAction,
+  requestSignInEmailAction,
+  clearTwoFactorChallengeAction,
+} from "../../redux/actions/authActions";
+import ButtonLoadingSpinner from "../loader/ButtonLoadingSpinner";
+
+const TwoFactorForm = ({ email }) => {
+  const [loading, setLoading] = useState(false);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState("");
+
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const twoFactorChallenge = useSelector(
+    (state) => state.auth?.twoFactorChallenge
+  );
+
+  const createFormData = () => {
+    const formData = new FormData();
+    // for the sign in logs, the user is known from the token
+    formData.append("email", email);
+    formData.append("twoFactorToken", twoFactorChallenge.twoFactorToken);
+    return formData;
+  };
+
+  const handleVerify = async (event) => {
+    event.preventDefault();
+    if (!code.trim()) return;
+    setLoading(true);
+    const formData = createFormData();
+    formData.append(useRecoveryCode ? "recoveryCode" : "code", code.trim());
+    await dispatch(signInTwoFactorAction(formData, navigate));
+    setCode("");
+    setLoading(false);
+  };
+
+  const handleEmailLink = async () => {
+    setLoading(true);
+    await dispatch(requestSignInEmailAction(createFormData()));
+    setLoading(false);
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode("");
+  };
+
+  return (
+    <div className="mt-6">
+      <h2 className="text-center text-lg font-medium text-gray-800">
+        Two-factor authentication
+      </h2>
+      <p className="mt-2 text-center text-sm text-gray-600">
+        {useRecoveryCode
+          ? "Enter one of your recovery codes. Each code can be used once."
+          : "Enter the 6-digit code from your authenticator app."}
+      </p>
+      {twoFactorChallenge.canVerifyByEmail && (
+        <p className="mt-2 text-center text-sm text-gray-600">
+          This sign in is from a new device or location. Verifying it adds the
+          device to your trusted devices.
+        </p>
+      )}
+      <input
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        className="mt-4 block w-full rounded-lg border bg-white px-4 py-3 text-center tracking-widest text-gray-700 focus:border-blue-400 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-40"
+        placeholder={useRecoveryCode ? "XXXXX-XXXXX" : "123456"}
+        inputMode={useRecoveryCode ? "text" : "numeric"}
+        maxLength={useRecoveryCode ? 11 : 6}
+        autoComplete="one-time-code"
+        autoFocus
+        required
+      />
+      <button
+        disabled={loading}
+        onClick={handleVerify}
+        className={`mt-4 w-full transform rounded-lg bg-blue-500 px-6 py-3 text-sm font-medium tracking-wide text-white transition-colors duration-300 hover:bg-blue-700 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-50 ${
+          loading ? "cursor-not-allowed opacity-50" : ""
+        }`}
+      >
+        {loading ? (
+          <ButtonLoadingSpinner loadingText={"Verifying..."} />
+        ) : (
+          "Verify"
+        )}
+      </button>
+      <div className="mt-4 flex flex-col items-center gap-2 text-sm">
+        <button
+          type="button"
+          onClick={toggleRecoveryCode}
+          className="text-blue-500 hover:underline"
+        >
+          {useRecoveryCode
+            ? "Use your authenticator app"
+            : "Use a recovery code"}
+        </button>
+        {twoFactorChallenge.canVerifyByEmail && (
+          <button
+            type="button"
+            disabled={loading}
+            onClick={handleEmailLink}
+            className="text-blue-500 hover:underline"
+          >
+            Email me a verification link instead
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => dispatch(clearTwoFactorChallengeAction())}
+          className="text-gray-500 hover:underline"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorForm;
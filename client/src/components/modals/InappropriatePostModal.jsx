@@ -1,16 +1,21 @@
-import React from "react";
+import React, { useState } from "react";
+import AppealForm from "../shared/AppealForm";
 
 const InappropriatePost = ({
   showInappropriateContentModal,
   closeInappropriateContentModal,
   contentType,
+  blockedSubmission,
 }) => {
+  const [showAppealForm, setShowAppealForm] = useState(false);
+
   const modalClass = showInappropriateContentModal
     ? "fixed inset-0 overflow-y-auto"
     : "hidden";
 
   const handleClose = () => {
     if (showInappropriateContentModal) {
+      setShowAppealForm(false);
       closeInappropriateContentModal();
     }
   };
@@ -40,12 +45,33 @@ const InappropriatePost = ({
               all users, please remove the inappropriate content and ensure
               compliance with our guidelines.
             </p>
-            <button
-              className="bg-red-500 text-white px-4 py-2 rounded-md hover:bg-red-600"
-              onClick={handleClose}
-            >
-              Close
-            </button>
+            {showAppealForm && blockedSubmission && (
+              <div className="mb-4">
+                <AppealForm
+                  appeal={{
+                    type: "blockedContent",
+                    decisionId: blockedSubmission.decisionId,
+                    content: blockedSubmission.content,
+                  }}
+                />
+              </div>
+            )}
+            <div className="flex gap-2">
+              <button
+                className="bg-red-500 text-white px-4 py-2 rounded-md hover:bg-red-600"
+                onClick={handleClose}
+              >
+                Close
+              </button>
+              {!showAppealForm && blockedSubmission?.decisionId && (
+                <button
+                  className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-100"
+                  onClick={() => setShowAppealForm(true)}
+                >
+                  I think this is a mistake
+                </button>
+              )}
+            </div>
           </div>
         </div>
       </div>
@@ -6,7 +6,8 @@ import {
 } from "../../redux/actions/userActions";
 import { useDispatch } from "react-redux";
 import ButtonLoadingSpinner from "../loader/ButtonLoadingSpinner";
-import { FiUser, FiMapPin, FiEdit } from "react-icons/fi";
+import { FiUser, FiMapPin, FiEdit, FiGlobe } from "react-icons/fi";
+import { LANGUAGES } from "../../utils/languages";
 
 const suggestedInterests = [
   "🎨 Art",
@@ -40,6 +41,17 @@ const ProfileUpdateModal = ({ user, isOpen, onClose }) => {
   const [interests, setInterests] = useState(
     user.interests ? user.interests : ""
   );
+  const [preferredLanguages, setPreferredLanguages] = useState(
+    user.preferredLanguages ? user.preferredLanguages : []
+  );
+
+  const toggleLanguage = (language) => {
+    setPreferredLanguages((languages) =>
+      languages.includes(language)
+        ? languages.filter((item) => item !== language)
+        : [...languages, language]
+    );
+  };
 
   const handleUpdateProfile = async () => {
     setIsUpdating(true);
@@ -48,6 +60,7 @@ const ProfileUpdateModal = ({ user, isOpen, onClose }) => {
       bio,
       location,
       interests,
+      preferredLanguages,
     };
 
     await dispatch(updateUserAction(user._id, formData));
@@ -172,6 +185,36 @@ const ProfileUpdateModal = ({ user, isOpen, onClose }) => {
                       </div>
                     </div>
                   </div>
+
+                  <div className="mt-4">
+                    <div className="flex items-center space-x-2">
+                      <FiGlobe className="text-gray-600" />
+                      <label className="block text-sm font-medium text-gray-700">
+                        Feed languages
+                      </label>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Only show posts in these languages. Select none to see
+                      posts in every language.
+                    </p>
+                    <div className="mt-2 flex flex-wrap gap-2">
+                      {Object.entries(LANGUAGES).map(([code, name]) => (
+                        <button
+                          key={code}
+                          type="button"
+                          disabled={isUpdating}
+                          className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+                            preferredLanguages.includes(code)
+                              ? "bg-blue-500 text-white hover:bg-blue-600"
+                              : "bg-gray-100 text-gray-800 hover:bg-gray-200"
+                          }`}
+                          onClick={() => toggleLanguage(code)}
+                        >
+                          {name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
                 </div>
               </div>
 
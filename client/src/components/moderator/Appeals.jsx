@@ -0,0 +1,55 @@
+import { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { useParams } from "react-router-dom";
+import {
+  getCommunityAppealsAction,
+  reviewCommunityAppealAction,
+} from "../../redux/actions/communityActions";
+import AppealReviewItem from "../shared/AppealReviewItem";
+import CommonLoading from "../loader/CommonLoading";
+
+const Appeals = () => {
+  const dispatch = useDispatch();
+  const { communityName } = useParams();
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    dispatch(getCommunityAppealsAction(communityName));
+  }, [dispatch, communityName]);
+
+  const appeals = useSelector((state) => state.moderation?.appeals);
+
+  const handleReview = async (id, review) => {
+    setReviewingId(id);
+    await dispatch(reviewCommunityAppealAction(communityName, id, review));
+    setReviewingId(null);
+  };
+
+  if (!appeals) {
+    return <CommonLoading />;
+  }
+
+  return (
+    <div className="border border-slate-200 rounded">
+      <h3 className="font-semibold text-sm px-3 py-2 border-b bg-gray-50">
+        Pending appeals ({appeals.length})
+      </h3>
+      {appeals.length === 0 ? (
+        <p className="text-center text-sm text-gray-500 p-3">
+          Nothing to review
+        </p>
+      ) : (
+        appeals.map((appeal) => (
+          <AppealReviewItem
+            key={appeal._id}
+            appeal={appeal}
+            onReview={handleReview}
+            isReviewing={reviewingId === appeal._id}
+          />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default Appeals;
@@ -1,5 +1,8 @@
 import { useState } from "react";
 import ReportedPosts from "../moderator/ReportedPosts";
+import ReviewQueue from "../moderator/ReviewQueue";
+import Appeals from "../moderator/Appeals";
+import ModerationPolicy from "../moderator/ModerationPolicy";
 import MembersList from "../moderator/MembersList";
 import BannerMembersList from "../moderator/BannerMembersList";
 
@@ -19,6 +22,36 @@ const MainSection = () => {
         >
           Reported Posts
         </li>
+        <li
+          className={`${
+            activeTab === "Review Queue"
+              ? "border-blue-500 bg-primary rounded text-white"
+              : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+          } flex-1 cursor-pointer text-center p-1 border-b-2 font-medium`}
+          onClick={() => setActiveTab("Review Queue")}
+        >
+          Review Queue
+        </li>
+        <li
+          className={`${
+            activeTab === "Appeals"
+              ? "border-blue-500 bg-primary rounded text-white"
+              : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+          } flex-1 cursor-pointer text-center p-1 border-b-2 font-medium`}
+          onClick={() => setActiveTab("Appeals")}
+        >
+          Appeals
+        </li>
+        <li
+          className={`${
+            activeTab === "Policy"
+              ? "border-blue-500 bg-primary rounded text-white"
+              : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+          } flex-1 cursor-pointer text-center p-1 border-b-2 font-medium`}
+          onClick={() => setActiveTab("Policy")}
+        >
+          Policy
+        </li>
         <li
           className={`${
             activeTab === "Members"
@@ -43,6 +76,9 @@ const MainSection = () => {
       </ul>
       <div className="mt-4 flex flex-col gap-4">
         {activeTab === "Reported Posts" && <ReportedPosts />}
+        {activeTab === "Review Queue" && <ReviewQueue />}
+        {activeTab === "Appeals" && <Appeals />}
+        {activeTab === "Policy" && <ModerationPolicy />}
         {activeTab === "Members" && <MembersList />}
         {activeTab === "Banned Users" && <BannerMembersList />}
       </div>
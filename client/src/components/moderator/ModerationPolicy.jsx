@@ -0,0 +1,117 @@
+import { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { useParams } from "react-router-dom";
+import {
+  getModerationPolicyAction,
+  updateModerationPolicyAction,
+} from "../../redux/actions/communityActions";
+import PolicyRulesEditor from "../shared/PolicyRulesEditor";
+import CommonLoading from "../loader/CommonLoading";
+
+const ModerationPolicy = () => {
+  const dispatch = useDispatch();
+  const { communityName } = useParams();
+  const moderationPolicy = useSelector(
+    (state) => state.moderation?.moderationPolicy
+  );
+  const moderationPolicyError = useSelector(
+    (state) => state.moderation?.moderationPolicyError
+  );
+
+  const [rules, setRules] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSaved, setIsSaved] = useState(false);
+
+  useEffect(() => {
+    dispatch(getModerationPolicyAction(communityName));
+  }, [dispatch, communityName]);
+
+  useEffect(() => {
+    if (moderationPolicy) {
+      setRules(
+        moderationPolicy.policy.length
+          ? moderationPolicy.policy
+          : moderationPolicy.defaultPolicy
+      );
+    }
+  }, [moderationPolicy]);
+
+  const handleSave = async (policy) => {
+    setIsSaving(true);
+    setIsSaved(false);
+    try {
+      await dispatch(updateModerationPolicyAction(communityName, policy));
+      setIsSaved(true);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!moderationPolicy) {
+    return moderationPolicyError ? (
+      <p className="text-center text-sm text-red-500">
+        {moderationPolicyError}
+      </p>
+    ) : (
+      <CommonLoading />
+    );
+  }
+
+  const { policy, floors } = moderationPolicy;
+
+  return (
+    <div className="flex flex-col gap-3">
+      <p className="text-sm text-gray-600">
+        Posts and comments with a toxicity score at or above a threshold get the
+        rule's action: <b>warn</b> publishes them and warns the author,{" "}
+        <b>hold</b> sends them to the review queue and <b>block</b> rejects
+        them. {policy.length === 0 && "This community uses the default policy."}
+      </p>
+
+      {isSaved && !moderationPolicyError && (
+        <div className="bg-green-100 text-green-800 p-2 rounded text-sm">
+          Moderation policy saved
+        </div>
+      )}
+      {moderationPolicyError && (
+        <div className="bg-red-100 text-red-800 p-2 rounded text-sm">
+          {moderationPolicyError}
+        </div>
+      )}
+
+      <PolicyRulesEditor rules={rules} onChange={setRules} />
+
+      {floors.length > 0 && (
+        <div className="text-xs text-gray-500 border-t pt-2">
+          <div className="font-semibold mb-1">
+            Global floors set by the administrators always apply:
+          </div>
+          {floors.map((floor, index) => (
+            <div key={index}>
+              {floor.attribute} &ge; {floor.threshold}: {floor.action}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          className="text-sm px-3 py-1 rounded border disabled:opacity-50"
+          disabled={isSaving || policy.length === 0}
+          onClick={() => handleSave([])}
+        >
+          Reset to default
+        </button>
+        <button
+          className="text-sm px-3 py-1 rounded bg-primary text-white hover:bg-blue-700 disabled:opacity-50"
+          disabled={isSaving}
+          onClick={() => handleSave(rules)}
+        >
+          {isSaving ? "Saving..." : "Save"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationPolicy;
@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import { useSelector, useDispatch } from "react-redux";
+import { useParams } from "react-router-dom";
+import { IoTimerOutline } from "react-icons/io5";
+import {
+  getReviewQueueAction,
+  reviewHeldContentAction,
+} from "../../redux/actions/communityActions";
+import CommonLoading from "../loader/CommonLoading";
+
+const formatScore = (score) =>
+  typeof score === "number" ? score.toFixed(2) : score;
+
+const HeldItem = ({ item, contentType, onReview, isReviewing }) => {
+  const { user, content, fileUrl, createdAt, moderation, post } = item;
+
+  return (
+    <div className="flex flex-col gap-2 p-3 border-b">
+      <div className="flex items-center gap-2">
+        <img
+          className="w-8 h-8 rounded-full object-cover"
+          src={user?.avatar}
+          alt="user avatar"
+        />
+        <span className="text-sm font-medium">{user?.name}</span>
+        <span className="text-xs flex items-center gap-1 text-gray-600 ml-auto">
+          <IoTimerOutline />
+          {createdAt}
+        </span>
+      </div>
+
+      {contentType === "comments" && post && (
+        <p className="text-xs text-gray-500 italic line-clamp-1">
+          On post: {post.content}
+        </p>
+      )}
+
+      <p className="text-sm whitespace-normal break-words">{content}</p>
+      {fileUrl && (
+        <a
+          className="text-xs text-primary underline"
+          href={fileUrl}
+          target="_blank"
+          rel="noreferrer"
+        >
+          View attachment
+        </a>
+      )}
+
+      {moderation && (
+        <div className="text-xs bg-yellow-50 border border-yellow-200 rounded p-2">
+          {moderation.reasons?.map((reason, index) => (
+            <div key={index} className="text-yellow-800">
+              <span className="font-semibold">{reason.stage}:</span>{" "}
+              {reason.message}
+            </div>
+          ))}
+          {moderation.rule && (
+            <div className="text-gray-700">
+              <span className="font-semibold">Matched rule:</span>{" "}
+              {moderation.rule}
+            </div>
+          )}
+          {moderation.normalized && (
+            <div className="text-gray-700">
+              <span className="font-semibold">Normalized text:</span>{" "}
+              {moderation.normalized}
+            </div>
+          )}
+          {moderation.scores?.toxicity &&
+            Object.keys(moderation.scores.toxicity).length > 0 && (
+              <div className="flex flex-wrap gap-x-3 text-gray-600 mt-1">
+                {Object.entries(moderation.scores.toxicity).map(
+                  ([attribute, score]) => (
+                    <span key={attribute}>
+                      {attribute}: {formatScore(score)}
+                    </span>
+                  )
+                )}
+              </div>
+            )}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-2">
+        <button
+          className="text-sm px-3 py-1 rounded border border-red-500 text-red-500 hover:bg-red-50 disabled:opacity-50"
+          disabled={isReviewing}
+          onClick={() => onReview(contentType, item._id, "reject")}
+        >
+          Reject
+        </button>
+        <button
+          className="text-sm px-3 py-1 rounded bg-primary text-white hover:bg-blue-700 disabled:opacity-50"
+          disabled={isReviewing}
+          onClick={() => onReview(contentType, item._id, "approve")}
+        >
+          Approve
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ReviewQueue = () => {
+  const dispatch = useDispatch();
+  const { communityName } = useParams();
+  const [reviewingId, setReviewingId] = useState(null);
+
+  useEffect(() => {
+    dispatch(getReviewQueueAction(communityName));
+  }, [dispatch, communityName]);
+
+  const reviewQueue = useSelector((state) => state.moderation?.reviewQueue);
+
+  const handleReview = async (contentType, id, decision) => {
+    setReviewingId(id);
+    await dispatch(
+      reviewHeldContentAction(communityName, contentType, id, decision)
+    );
+    setReviewingId(null);
+  };
+
+  if (!reviewQueue) {
+    return <CommonLoading />;
+  }
+
+  const sections = [
+    { contentType: "posts", title: "Held posts", items: reviewQueue.posts },
+    {
+      contentType: "comments",
+      title: "Held comments",
+      items: reviewQueue.comments,
+    },
+  ];
+
+  return (
+    <div className="flex flex-col gap-4">
+      {sections.map(({ contentType, title, items }) => (
+        <div key={contentType} className="border border-slate-200 rounded">
+          <h3 className="font-semibold text-sm px-3 py-2 border-b bg-gray-50">
+            {title} ({items.length})
+          </h3>
+          {items.length === 0 ? (
+            <p className="text-center text-sm text-gray-500 p-3">
+              Nothing to review
+            </p>
+          ) : (
+            items.map((item) => (
+              <HeldItem
+                key={item._id}
+                item={item}
+                contentType={contentType}
+                onReview={handleReview}
+                isReviewing={reviewingId === item._id}
+              />
+            ))
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReviewQueue;
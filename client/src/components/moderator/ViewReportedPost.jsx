@@ -1,5 +1,6 @@
 import { deletePostAction } from "../../redux/actions/postActions";
 import { removeReportedPostAction } from "../../redux/actions/communityActions";
+import { useState } from "react";
 import { useDispatch } from "react-redux";
 import { useNavigate } from "react-router";
 import CommonLoading from "../loader/CommonLoading";
@@ -7,9 +8,10 @@ import CommonLoading from "../loader/CommonLoading";
 const ViewReportedPost = ({ post }) => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
+  const [banMedia, setBanMedia] = useState(false);
 
   const onRemove = async () => {
-    await dispatch(deletePostAction(post._id));
+    await dispatch(deletePostAction(post._id, banMedia));
     navigate(-1);
   };
 
@@ -67,7 +69,17 @@ const ViewReportedPost = ({ post }) => {
         </div>
       </div>
 
-      <div className="flex justify-end mt-3 text-sm">
+      <div className="flex items-center justify-end mt-3 text-sm">
+        {fileUrl && (
+          <label className="flex items-center gap-1 mr-3 text-gray-600">
+            <input
+              type="checkbox"
+              checked={banMedia}
+              onChange={(e) => setBanMedia(e.target.checked)}
+            />
+            Ban this {fileType} on the whole platform
+          </label>
+        )}
         <button
           className="px-2 py- bg-red-500 text-white rounded-md mr-2"
           onClick={onRemove}
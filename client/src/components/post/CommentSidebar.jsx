@@ -1,5 +1,6 @@
 import { useState } from "react";
 import { Link } from "react-router-dom";
+import ModerationStatusBadge from "../shared/ModerationStatusBadge";
 
 const CommentSidebar = ({ comments }) => {
   const currentPage = 1;
@@ -44,6 +45,7 @@ const CommentSidebar = ({ comments }) => {
                   <p className="text-gray-500 text-xs ml-1">
                     {comment.createdAt}
                   </p>
+                  <ModerationStatusBadge status={comment.status} />
                 </div>
               </div>
               <p className="text-sm mt-2 whitespace-normal break-words">
@@ -10,14 +10,23 @@ import DeleteModal from "../modals/DeleteModal";
 import Like from "./Like";
 import "react-photo-view/dist/react-photo-view.css";
 import Tooltip from "../shared/Tooltip";
+import ModerationStatusBadge from "../shared/ModerationStatusBadge";
 
 const Post = ({ post }) => {
   const navigate = useNavigate();
   const location = useLocation();
   const userData = useSelector((state) => state.auth?.userData);
 
-  const { content, fileUrl, fileType, user, community, createdAt, comments } =
-    post;
+  const {
+    content,
+    fileUrl,
+    fileType,
+    user,
+    community,
+    createdAt,
+    comments,
+    status,
+  } = post;
 
   const [showModal, setShowModal] = useState(false);
   const toggleModal = (value) => {
@@ -55,7 +64,10 @@ const Post = ({ post }) => {
             </Link>
           </div>
         </div>
-        <p className="text-sm text-gray-500">{createdAt}</p>
+        <div className="flex flex-col items-end gap-1">
+          <p className="text-sm text-gray-500">{createdAt}</p>
+          <ModerationStatusBadge status={status} />
+        </div>
       </div>
       <div>
         <p
@@ -1,12 +1,21 @@
 import { useNavigate, useLocation } from "react-router";
 import { useMemo } from "react";
+import ModerationStatusBadge from "../shared/ModerationStatusBadge";
 
 const PostOnProfile = ({ post }) => {
   const navigate = useNavigate();
   const location = useLocation();
 
-  const { content, fileUrl, community, createdAt, comments, likes, isMember } =
-    post;
+  const {
+    content,
+    fileUrl,
+    community,
+    createdAt,
+    comments,
+    likes,
+    isMember,
+    status,
+  } = post;
 
   const isImageFile = useMemo(() => {
     const validExtensions = [".jpg", ".png", ".jpeg", ".gif", ".webp", ".svg"];
@@ -27,10 +36,11 @@ const PostOnProfile = ({ post }) => {
         }
       }}
     >
-      <div className="flex items-center">
+      <div className="flex items-center justify-between">
         <p className="text-sm text-gray-500">
           Posted in {community.name} on {createdAt}
         </p>
+        <ModerationStatusBadge status={status} />
       </div>
       <div className="my-3">
         {content && <p className="mb-4">{content}</p>}
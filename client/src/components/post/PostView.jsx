@@ -15,6 +15,7 @@ import { PhotoProvider, PhotoView } from "react-photo-view";
 import ReportPostModal from "../modals/ReportPostModal";
 import { VscReport } from "react-icons/vsc";
 import Tooltip from "../shared/Tooltip";
+import ModerationStatusBadge from "../shared/ModerationStatusBadge";
 
 const PostView = ({ post, userData }) => {
   const [loading, setLoading] = useState(true);
@@ -33,6 +34,7 @@ const PostView = ({ post, userData }) => {
     comments,
     savedByCount,
     isReported,
+    status,
   } = post;
 
   useEffect(() => {
@@ -99,7 +101,10 @@ const PostView = ({ post, userData }) => {
           </div>
         </div>
 
-        <span className="text-gray-500 text-sm self-center">{dateTime}</span>
+        <div className="flex flex-col items-end gap-1">
+          <span className="text-gray-500 text-sm">{dateTime}</span>
+          <ModerationStatusBadge status={status} />
+        </div>
       </div>
 
       <div className="mb-4">
@@ -1,7 +1,7 @@
 import { useState } from "react";
 import { useDispatch } from "react-redux";
 import {
-  getTrustedContextAuthDataAction,
+  getTrustedDevicesAction,
   getBlockedAuthContextDataAction,
   unblockContextAuthDataAction,
 } from "../../redux/actions/authActions";
@@ -19,7 +19,7 @@ const BlockedDevicesLocations = ({ blockedContextAuthData }) => {
 
     await dispatch(unblockContextAuthDataAction(contextId));
     await dispatch(getBlockedAuthContextDataAction());
-    await dispatch(getTrustedContextAuthDataAction());
+    await dispatch(getTrustedDevicesAction());
 
     setLoading((prevState) => ({
       ...prevState,
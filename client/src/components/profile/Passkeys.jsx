@@ -0,0 +1,112 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  addPasskeyAction,
+  removePasskeyAction,
+} from "../../redux/actions/authActions";
+import LoadingSpinner from "../loader/ButtonLoadingSpinner";
+
+const Passkeys = ({ passkeys }) => {
+  const [addLoading, setAddLoading] = useState(false);
+  const [deleteLoading, setDeleteLoading] = useState({});
+  const dispatch = useDispatch();
+
+  const passkeyError = useSelector((state) => state.auth?.passkeyError);
+
+  const handleAdd = async () => {
+    setAddLoading(true);
+    await dispatch(addPasskeyAction());
+    setAddLoading(false);
+  };
+
+  const handleDelete = async (passkeyId) => {
+    setDeleteLoading((prevState) => ({
+      ...prevState,
+      [passkeyId]: true,
+    }));
+
+    await dispatch(removePasskeyAction(passkeyId));
+
+    setDeleteLoading((prevState) => ({
+      ...prevState,
+      [passkeyId]: false,
+    }));
+  };
+
+  return (
+    <div className="max-w-3xl mx-auto mt-12 p-5">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-medium text-gray-900">Passkeys</h2>
+        <button
+          type="button"
+          disabled={addLoading}
+          onClick={handleAdd}
+          className="inline-flex items-center px-2.5 py-1.5 border border-transparent text-xs font-medium rounded shadow-sm text-white bg-blue-500 hover:bg-blue-700"
+        >
+          {addLoading ? (
+            <LoadingSpinner loadingText={"Adding..."} />
+          ) : (
+            <span>Add passkey</span>
+          )}
+        </button>
+      </div>
+      <p className="mt-1 text-sm text-gray-500">
+        Sign in with your fingerprint, face or screen lock instead of your
+        password. A passkey only works on this site, so it cannot be phished,
+        and signing in with it never asks you to verify your identity.
+      </p>
+
+      {passkeyError && (
+        <p className="mt-3 text-sm text-red-600">{passkeyError}</p>
+      )}
+
+      <div className="mt-6 border-t border-gray-200 pt-6">
+        <div className="flow-root">
+          <ul className="-my-5 divide-y divide-gray-200">
+            {passkeys.length === 0 && (
+              <span className="text-sm font-medium text-gray-900">
+                No passkeys yet
+              </span>
+            )}
+
+            {passkeys.map((passkey) => (
+              <li key={passkey._id} className="py-5">
+                <div className="flex items-center justify-between space-x-4">
+                  <div className="min-w-0 flex-1">
+                    <span className="text-sm font-medium text-gray-900">
+                      {passkey.name}
+                    </span>
+                    <div className="mt-1 text-sm text-gray-500">
+                      {passkey.lastUsed
+                        ? `Last used ${passkey.lastUsed}`
+                        : "Not used yet"}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      Added {passkey.added}
+                    </div>
+                  </div>
+                  <div className="flex-shrink-0">
+                    <button
+                      disabled={deleteLoading[passkey._id]}
+                      onClick={() => handleDelete(passkey._id)}
+                      type="button"
+                      className="inline-flex items-center px-2.5 py-1.5 border border-transparent text-xs font-medium rounded shadow-sm text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+                    >
+                      {deleteLoading[passkey._id] ? (
+                        <LoadingSpinner loadingText={"Removing..."} />
+                      ) : (
+                        <span>Remove</span>
+                      )}
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Passkeys;
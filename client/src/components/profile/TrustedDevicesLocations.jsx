@@ -1,65 +1,73 @@
 import { useState } from "react";
 import { useDispatch } from "react-redux";
 import {
-  getTrustedContextAuthDataAction,
-  deleteContextAuthDataAction,
+  getTrustedDevicesAction,
+  renameTrustedDeviceAction,
+  removeTrustedDeviceAction,
   getBlockedAuthContextDataAction,
-  blockContextAuthDataAction,
+  blockTrustedDeviceAction,
 } from "../../redux/actions/authActions";
 import LoadingSpinner from "../loader/ButtonLoadingSpinner";
 
-const TrustedDevicesLocations = ({ trustedAuthContextData }) => {
+const TrustedDevicesLocations = ({ trustedDevices }) => {
   const [deleteLoading, setDeleteLoading] = useState({});
   const [blockLoading, setBlockLoading] = useState({});
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState("");
   const dispatch = useDispatch();
 
-  const handleDelete = async (contextId) => {
+  const handleDelete = async (deviceId) => {
     setDeleteLoading((prevState) => ({
       ...prevState,
-      [contextId]: true,
+      [deviceId]: true,
     }));
 
-    await dispatch(deleteContextAuthDataAction(contextId));
-    await dispatch(getTrustedContextAuthDataAction());
+    await dispatch(removeTrustedDeviceAction(deviceId));
+    await dispatch(getTrustedDevicesAction());
 
     setDeleteLoading((prevState) => ({
       ...prevState,
-      [contextId]: false,
+      [deviceId]: false,
     }));
   };
 
-  const handleBlock = async (contextId) => {
+  const handleBlock = async (deviceId) => {
     setBlockLoading((prevState) => ({
       ...prevState,
-      [contextId]: true,
+      [deviceId]: true,
     }));
 
-    await dispatch(blockContextAuthDataAction(contextId));
-    await dispatch(getTrustedContextAuthDataAction());
+    await dispatch(blockTrustedDeviceAction(deviceId));
+    await dispatch(getTrustedDevicesAction());
     await dispatch(getBlockedAuthContextDataAction());
 
     setBlockLoading((prevState) => ({
       ...prevState,
-      [contextId]: false,
+      [deviceId]: false,
     }));
   };
 
-  const trustedDevices = trustedAuthContextData?.map((device) => ({
-    _id: device._id,
-    device: device.device,
-    deviceType: device.deviceType,
-    ipAddress: device.ip,
-    location: `${device.city}, ${device.country}`,
-    browser: device.browser,
-    operatingSystem: device.os,
-    time: device.time,
-  }));
+  const handleEdit = (device) => {
+    setEditingId(device._id);
+    setName(device.name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    await dispatch(renameTrustedDeviceAction(editingId, name.trim()));
+    await dispatch(getTrustedDevicesAction());
+    setEditingId(null);
+  };
 
   return (
     <div className="max-w-3xl mx-auto mt-12 p-5">
-      <h2 className="text-lg font-medium text-gray-900">
-        Trusted Devices and Locations
-      </h2>
+      <h2 className="text-lg font-medium text-gray-900">Trusted Devices</h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Signing in from one of these devices does not ask you to verify your
+        identity unless its location or activity looks unusual.
+      </p>
       <div className="mt-6 border-t border-gray-200 pt-6">
         <div className="flow-root">
           <ul className="-my-5 divide-y divide-gray-200">
@@ -73,23 +81,62 @@ const TrustedDevicesLocations = ({ trustedAuthContextData }) => {
               <li key={device._id} className="py-5">
                 <div className="flex items-center justify-between space-x-4">
                   <div className="min-w-0 flex-1">
-                    <div>
-                      <span className="text-sm font-medium text-gray-900">
-                        {device.device} {device.deviceType} - {device.time}
+                    {editingId === device._id ? (
+                      <form
+                        onSubmit={handleRename}
+                        className="flex items-center gap-2"
+                      >
+                        <input
+                          type="text"
+                          value={name}
+                          maxLength={50}
+                          autoFocus
+                          onChange={(e) => setName(e.target.value)}
+                          className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                        />
+                        <button
+                          type="submit"
+                          className="text-sm text-blue-500 hover:underline"
+                        >
+                          Save
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEditingId(null)}
+                          className="text-sm text-gray-500 hover:underline"
+                        >
+                          Cancel
+                        </button>
+                      </form>
+                    ) : (
+                      <div>
+                        <span className="text-sm font-medium text-gray-900">
+                          {device.name}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => handleEdit(device)}
+                          className="ml-2 text-xs text-blue-500 hover:underline"
+                        >
+                          Rename
+                        </button>
+                      </div>
+                    )}
+                    <div className="mt-1 flex flex-wrap items-center gap-x-4 text-sm text-gray-500">
+                      <span>
+                        {device.device} {device.deviceType}
                       </span>
-
-                      <span className="ml-1 text-sm text-gray-500">
-                        ({device.ipAddress})
+                      <span>•</span>
+                      <span>
+                        {device.browser} on {device.os}
                       </span>
                     </div>
-                    <div className="mt-1 flex items-center space-x-4">
-                      <span className="text-sm text-gray-500">
-                        {device.location}
-                      </span>
-                      <span className="text-sm text-gray-500">•</span>
-                      <span className="text-sm text-gray-500">
-                        {device.browser} on {device.operatingSystem}
-                      </span>
+                    <div className="mt-1 text-sm text-gray-500">
+                      Last seen {device.lastSeen} in {device.city},{" "}
+                      {device.country} ({device.ip})
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      Added {device.firstAdded}
                     </div>
                   </div>
                   <div className="flex-shrink-0">
@@ -0,0 +1,191 @@
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { QRCodeSVG } from "qrcode.react";
+import {
+  setupTwoFactorAction,
+  enableTwoFactorAction,
+  disableTwoFactorAction,
+  regenerateRecoveryCodesAction,
+  clearRecoveryCodesAction,
+} from "../../redux/actions/authActions";
+import LoadingSpinner from "../loader/ButtonLoadingSpinner";
+
+const TwoFactorSettings = ({ twoFactor }) => {
+  const [loading, setLoading] = useState(false);
+  const [code, setCode] = useState("");
+  const dispatch = useDispatch();
+
+  const twoFactorSetup = useSelector((state) => state.auth?.twoFactorSetup);
+  const recoveryCodes = useSelector((state) => state.auth?.recoveryCodes);
+  const twoFactorError = useSelector((state) => state.auth?.twoFactorError);
+
+  const run = async (action) => {
+    setLoading(true);
+    await dispatch(action);
+    setCode("");
+    setLoading(false);
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    run(enableTwoFactorAction(code.trim()));
+  };
+
+  const handleDisable = () => {
+    if (!code.trim()) return;
+    // a recovery code is longer than an authenticator code
+    const factor =
+      code.trim().length > 6
+        ? { recoveryCode: code.trim() }
+        : { code: code.trim() };
+    run(disableTwoFactorAction(factor));
+  };
+
+  const handleRegenerate = () => {
+    if (!code.trim()) return;
+    run(regenerateRecoveryCodesAction(code.trim()));
+  };
+
+  const codeInput = (
+    <input
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="123456"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      className="border border-gray-300 rounded-md px-2 py-1 text-sm w-40"
+    />
+  );
+
+  return (
+    <div className="max-w-3xl mx-auto mt-12 p-5">
+      <h2 className="text-lg font-medium text-gray-900">
+        Two-Factor Authentication
+      </h2>
+      <p className="mt-1 text-sm text-gray-500">
+        Signing in asks for a code from an authenticator app on your phone after
+        your password. It also lets you verify a sign in from a new device
+        without waiting for an email.
+      </p>
+
+      {twoFactorError && (
+        <p className="mt-3 text-sm text-red-600">{twoFactorError}</p>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="mt-4 rounded-md border border-yellow-300 bg-yellow-50 p-4">
+          <p className="text-sm text-gray-700">
+            Save these recovery codes somewhere safe. Each one signs you in once
+            if you lose your phone, and they are not shown again.
+          </p>
+          <ul className="mt-3 grid grid-cols-2 gap-2 font-mono text-sm">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>{recoveryCode}</li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => dispatch(clearRecoveryCodesAction())}
+            className="mt-3 text-sm text-blue-500 hover:underline"
+          >
+            I have saved them
+          </button>
+        </div>
+      )}
+
+      <div className="mt-6 border-t border-gray-200 pt-6">
+        {twoFactor && twoFactor.enabled ? (
+          <div className="flex flex-col gap-3">
+            <span className="text-sm text-gray-900">
+              Enabled on {new Date(twoFactor.enabledAt).toLocaleDateString()}.{" "}
+              {twoFactor.recoveryCodesLeft} recovery codes left.
+            </span>
+            <span className="text-sm text-gray-500">
+              Enter a code from your authenticator app to get new recovery
+              codes, or a code or recovery code to turn two-factor
+              authentication off.
+            </span>
+            <div className="flex items-center gap-2">
+              {codeInput}
+              <button
+                type="button"
+                disabled={loading}
+                onClick={handleRegenerate}
+                className="inline-flex items-center px-2.5 py-1.5 border border-gray-300 text-xs font-medium rounded shadow-sm text-gray-700 bg-white hover:bg-gray-50"
+              >
+                New recovery codes
+              </button>
+              <button
+                type="button"
+                disabled={loading}
+                onClick={handleDisable}
+                className="inline-flex items-center px-2.5 py-1.5 border border-transparent text-xs font-medium rounded shadow-sm text-white bg-red-600 hover:bg-red-700"
+              >
+                {loading ? (
+                  <LoadingSpinner loadingText={"Saving..."} />
+                ) : (
+                  <span>Disable</span>
+                )}
+              </button>
+            </div>
+          </div>
+        ) : twoFactorSetup ? (
+          <form onSubmit={handleEnable} className="flex flex-col gap-3">
+            <span className="text-sm text-gray-700">
+              Scan this QR code with your authenticator app:
+            </span>
+            <QRCodeSVG
+              value={twoFactorSetup.uri}
+              size={176}
+              includeMargin
+              className="rounded border border-gray-200"
+            />
+            <span className="text-sm text-gray-700">
+              Or open{" "}
+              <a
+                href={twoFactorSetup.uri}
+                className="text-blue-500 hover:underline"
+              >
+                this link
+              </a>{" "}
+              on your phone, or enter this key:
+            </span>
+            <code className="rounded bg-gray-100 px-3 py-2 text-sm tracking-wider break-all">
+              {twoFactorSetup.secret.match(/.{1,4}/g).join(" ")}
+            </code>
+            <span className="text-sm text-gray-700">
+              Then enter the code the app shows to finish.
+            </span>
+            <div className="flex items-center gap-2">
+              {codeInput}
+              <button
+                type="submit"
+                disabled={loading}
+                className="inline-flex items-center px-2.5 py-1.5 border border-transparent text-xs font-medium rounded shadow-sm text-white bg-blue-500 hover:bg-blue-700"
+              >
+                {loading ? (
+                  <LoadingSpinner loadingText={"Enabling..."} />
+                ) : (
+                  <span>Enable</span>
+                )}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button
+            type="button"
+            disabled={loading}
+            onClick={() => run(setupTwoFactorAction())}
+            className="inline-flex items-center px-2.5 py-1.5 border border-transparent text-xs font-medium rounded shadow-sm text-white bg-blue-500 hover:bg-blue-700"
+          >
+            Set up two-factor authentication
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  createAppealAction,
+  clearAppealErrorAction,
+} from "../../redux/actions/userActions";
+
+const MAX_STATEMENT_LENGTH = 2000;
+
+/**
+ * Collects the appellant's statement and files an appeal.
+ *
+ * @param {Object} appeal - The appeal type and what it is filed against.
+ * @param {function} [onSubmitted] - Called after the appeal was filed.
+ */
+const AppealForm = ({ appeal, onSubmitted }) => {
+  const dispatch = useDispatch();
+  const appealError = useSelector((state) => state.user?.appealError);
+
+  const [statement, setStatement] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    dispatch(clearAppealErrorAction());
+  }, [dispatch]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    await dispatch(createAppealAction({ ...appeal, statement }));
+    setLoading(false);
+    setSubmitted(true);
+    if (onSubmitted) onSubmitted();
+  };
+
+  if (submitted && !appealError) {
+    return (
+      <p className="text-sm text-green-700">
+        Your appeal was submitted. You will be notified by email once it has
+        been reviewed.
+      </p>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col gap-2">
+      <textarea
+        className="w-full resize-none rounded-md border p-2 text-sm"
+        value={statement}
+        onChange={(e) => setStatement(e.target.value)}
+        maxLength={MAX_STATEMENT_LENGTH}
+        rows={3}
+        required
+        placeholder="Explain why this decision should be reversed..."
+      />
+      {submitted && appealError && (
+        <p className="text-sm text-red-500">{appealError}</p>
+      )}
+      <button
+        type="submit"
+        disabled={loading || !statement.trim()}
+        className="self-end rounded-md bg-primary px-4 py-1 text-sm text-white hover:bg-blue-700 disabled:opacity-50"
+      >
+        {loading ? "Submitting..." : "Submit appeal"}
+      </button>
+    </form>
+  );
+};
+
+export default AppealForm;
@@ -0,0 +1,111 @@
+import { useState } from "react";
+import { IoTimerOutline } from "react-icons/io5";
+
+const TYPE_LABELS = {
+  blockedContent: "Blocked by automated moderation",
+  removedPost: "Removed post",
+  ban: "Community ban",
+};
+
+/**
+ * A pending appeal with what it was filed against, the appellant's statement
+ * and approve / reject controls.
+ */
+const AppealReviewItem = ({ appeal, onReview, isReviewing }) => {
+  const { user, community, post, decision, content, statement, createdAt } =
+    appeal;
+  const [note, setNote] = useState("");
+
+  return (
+    <div className="flex flex-col gap-2 p-3 border-b">
+      <div className="flex items-center gap-2">
+        <img
+          className="w-8 h-8 rounded-full object-cover"
+          src={user?.avatar}
+          alt="user avatar"
+        />
+        <span className="text-sm font-medium">{user?.name}</span>
+        <span className="text-xs text-gray-500">
+          {TYPE_LABELS[appeal.type]}
+          {community && ` in ${community.name}`}
+        </span>
+        <span className="text-xs flex items-center gap-1 text-gray-600 ml-auto">
+          <IoTimerOutline />
+          {createdAt}
+        </span>
+      </div>
+
+      {appeal.type === "blockedContent" && (
+        <>
+          {post && (
+            <p className="text-xs text-gray-500 italic line-clamp-1">
+              On post: {post.content}
+            </p>
+          )}
+          <p className="text-sm whitespace-normal break-words">{content}</p>
+          {decision?.attachment && (
+            <a
+              href={decision.attachment.fileUrl}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-xs text-blue-500 hover:underline"
+            >
+              View the blocked {decision.attachment.fileType}
+            </a>
+          )}
+        </>
+      )}
+      {appeal.type === "removedPost" && post && (
+        <p className="text-sm whitespace-normal break-words">{post.content}</p>
+      )}
+
+      {decision && (
+        <div className="text-xs bg-red-50 border border-red-200 rounded p-2">
+          {decision.reasons?.map((reason, index) => (
+            <div key={index} className="text-red-800">
+              <span className="font-semibold">{reason.stage}:</span>{" "}
+              {reason.message}
+            </div>
+          ))}
+          {decision.rule && (
+            <div className="text-gray-700">
+              <span className="font-semibold">Matched rule:</span>{" "}
+              {decision.rule}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="text-sm bg-gray-50 border rounded p-2">
+        <span className="font-semibold">Statement:</span> {statement}
+      </div>
+
+      <input
+        type="text"
+        className="border rounded p-1 text-sm"
+        placeholder="Note to the user (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+
+      <div className="flex justify-end gap-2">
+        <button
+          className="text-sm px-3 py-1 rounded border border-red-500 text-red-500 hover:bg-red-50 disabled:opacity-50"
+          disabled={isReviewing}
+          onClick={() => onReview(appeal._id, { decision: "reject", note })}
+        >
+          Reject
+        </button>
+        <button
+          className="text-sm px-3 py-1 rounded bg-primary text-white hover:bg-blue-700 disabled:opacity-50"
+          disabled={isReviewing}
+          onClick={() => onReview(appeal._id, { decision: "approve", note })}
+        >
+          Approve
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AppealReviewItem;
@@ -7,6 +7,7 @@ import {
   HiOutlineUserCircle,
   HiOutlineRectangleStack,
   HiOutlineTag,
+  HiOutlineScale,
 } from "react-icons/hi2";
 import { HiOutlineUserGroup } from "react-icons/hi2";
 import { GiTeamIdea } from "react-icons/gi";
@@ -59,6 +60,13 @@ const Leftbar = ({ showLeftbar }) => {
             <HiOutlineTag className="text-xl" />
             <p>Saved</p>
           </Link>
+          <Link
+            className="flex items-center gap-2 text-lg font-medium hover:text-primary"
+            to="/appeals"
+          >
+            <HiOutlineScale className="text-xl" />
+            <p>Appeals</p>
+          </Link>
 
           {user && user.role === "general" && (
             <Link
@@ -0,0 +1,33 @@
+const STATUS_LABELS = {
+  processing: {
+    text: "Processing",
+    className: "bg-blue-100 text-blue-800",
+  },
+  held: {
+    text: "Pending review",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  rejected: {
+    text: "Rejected by moderators",
+    className: "bg-red-100 text-red-800",
+  },
+  removed: {
+    text: "Removed by moderators",
+    className: "bg-red-100 text-red-800",
+  },
+};
+
+const ModerationStatusBadge = ({ status }) => {
+  const label = STATUS_LABELS[status];
+  if (!label) return null;
+
+  return (
+    <span
+      className={`text-xs font-medium px-2 py-0.5 rounded-full ${label.className}`}
+    >
+      {label.text}
+    </span>
+  );
+};
+
+export default ModerationStatusBadge;
@@ -0,0 +1,94 @@
+import { IoTrashOutline } from "react-icons/io5";
+
+const TOXICITY_ATTRIBUTES = [
+  "TOXICITY",
+  "INSULT",
+  "PROFANITY",
+  "THREAT",
+  "IDENTITY_ATTACK",
+  "SEXUALLY_EXPLICIT",
+];
+
+const POLICY_ACTIONS = ["warn", "hold", "block"];
+
+const inputClassName =
+  "bg-gray-50 border border-gray-300 text-gray-900 text-sm rounded-lg focus:ring-blue-500 focus:border-blue-500 block w-full p-1.5";
+
+/**
+ * Editable list of toxicity rules. Each rule applies its action to content
+ * whose attribute score is at or above the threshold.
+ */
+const PolicyRulesEditor = ({ rules, onChange, addLabel = "Add rule" }) => {
+  const updateRule = (index, field, value) => {
+    onChange(
+      rules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule))
+    );
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((_, i) => i !== index));
+  };
+
+  const addRule = () => {
+    onChange([
+      ...rules,
+      { attribute: TOXICITY_ATTRIBUTES[0], threshold: 0.9, action: "block" },
+    ]);
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      {rules.map((rule, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <select
+            className={inputClassName}
+            value={rule.attribute}
+            onChange={(e) => updateRule(index, "attribute", e.target.value)}
+          >
+            {TOXICITY_ATTRIBUTES.map((attribute) => (
+              <option key={attribute} value={attribute}>
+                {attribute}
+              </option>
+            ))}
+          </select>
+          <input
+            className={`${inputClassName} w-24`}
+            type="number"
+            min={0}
+            max={1}
+            step={0.05}
+            value={rule.threshold}
+            onChange={(e) =>
+              updateRule(index, "threshold", Number(e.target.value))
+            }
+          />
+          <select
+            className={`${inputClassName} w-28`}
+            value={rule.action}
+            onChange={(e) => updateRule(index, "action", e.target.value)}
+          >
+            {POLICY_ACTIONS.map((action) => (
+              <option key={action} value={action}>
+                {action}
+              </option>
+            ))}
+          </select>
+          <button
+            className="p-1 text-red-500 hover:text-red-700"
+            onClick={() => removeRule(index)}
+          >
+            <IoTrashOutline />
+          </button>
+        </div>
+      ))}
+      <button
+        className="self-start text-sm text-blue-500 hover:text-blue-700"
+        onClick={addRule}
+      >
+        {addLabel}
+      </button>
+    </div>
+  );
+};
+
+export default PolicyRulesEditor;
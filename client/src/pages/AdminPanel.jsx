@@ -2,6 +2,14 @@ import { useState, useEffect } from "react";
 import Tab from "../components/admin/Tab";
 import Logs from "../components/admin/Logs";
 import Settings from "../components/admin/Settings";
+import KeywordRules from "../components/admin/KeywordRules";
+import MediaBlocklist from "../components/admin/MediaBlocklist";
+import TextRazorClassifier from "../components/admin/TextRazorClassifier";
+import ModerationDecisions from "../components/admin/ModerationDecisions";
+import SpamAccounts from "../components/admin/SpamAccounts";
+import TwoFactorReset from "../components/admin/TwoFactorReset";
+import ModerationReplay from "../components/admin/ModerationReplay";
+import Appeals from "../components/admin/Appeals";
 import CommunityManagement from "../components/admin/CommunityManagement";
 import { useSelector, useDispatch } from "react-redux";
 import { logoutAction } from "../redux/actions/adminActions";
@@ -30,6 +38,14 @@ const AdminPanel = () => {
 
       {activeTab === "logs" && <Logs />}
       {activeTab === "settings" && <Settings />}
+      {activeTab === "keyword rules" && <KeywordRules />}
+      {activeTab === "media blocklist" && <MediaBlocklist />}
+      {activeTab === "classifier" && <TextRazorClassifier />}
+      {activeTab === "decisions" && <ModerationDecisions />}
+      {activeTab === "spam" && <SpamAccounts />}
+      {activeTab === "two-factor" && <TwoFactorReset />}
+      {activeTab === "replay" && <ModerationReplay />}
+      {activeTab === "appeals" && <Appeals />}
       {activeTab === "Community Management" && <CommunityManagement />}
     </div>
   );
@@ -0,0 +1,141 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { getAppealsAction } from "../redux/actions/userActions";
+import AppealForm from "../components/shared/AppealForm";
+import CommonLoading from "../components/loader/CommonLoading";
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  approved: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+};
+
+const describeAppeal = (appeal) => {
+  const community = appeal.community ? ` in ${appeal.community.name}` : "";
+  if (appeal.type === "ban") return `Ban from ${appeal.community?.name}`;
+  if (appeal.type === "removedPost") return `Removed post${community}`;
+  return `Blocked ${appeal.contentType}${community}`;
+};
+
+const EligibleItem = ({ title, excerpt, appeal, onSubmitted }) => {
+  const [showForm, setShowForm] = useState(false);
+
+  return (
+    <li className="border rounded-md p-3 flex flex-col gap-2">
+      <div className="flex items-center justify-between">
+        <span className="font-medium">{title}</span>
+        {!showForm && (
+          <button
+            className="text-sm text-primary hover:underline"
+            onClick={() => setShowForm(true)}
+          >
+            Appeal
+          </button>
+        )}
+      </div>
+      {excerpt && <p className="text-sm text-gray-600 truncate">{excerpt}</p>}
+      {showForm && <AppealForm appeal={appeal} onSubmitted={onSubmitted} />}
+    </li>
+  );
+};
+
+const Appeals = () => {
+  const dispatch = useDispatch();
+  const appeals = useSelector((state) => state.user?.appeals);
+
+  useEffect(() => {
+    dispatch(getAppealsAction());
+  }, [dispatch]);
+
+  const refresh = () => dispatch(getAppealsAction());
+
+  if (!appeals) {
+    return (
+      <div className="main-section flex items-center justify-center">
+        <CommonLoading />
+      </div>
+    );
+  }
+
+  const { removedPosts, bans } = appeals.eligible;
+
+  return (
+    <div className="main-section bg-white border">
+      <h2 className="text-lg font-semibold text-gray-700 mb-4 text-center border-b py-3">
+        Appeals
+      </h2>
+
+      <div className="flex flex-col gap-6 px-5 pb-5">
+        {(removedPosts.length > 0 || bans.length > 0) && (
+          <section>
+            <h3 className="font-semibold text-gray-700 mb-2">
+              Decisions you can appeal
+            </h3>
+            <ul className="flex flex-col gap-2">
+              {removedPosts.map((post) => (
+                <EligibleItem
+                  key={post._id}
+                  title={`Post ${post.status} in ${post.community?.name}`}
+                  excerpt={post.content}
+                  appeal={{ type: "removedPost", postId: post._id }}
+                  onSubmitted={refresh}
+                />
+              ))}
+              {bans.map((community) => (
+                <EligibleItem
+                  key={community._id}
+                  title={`Banned from ${community.name}`}
+                  appeal={{ type: "ban", communityId: community._id }}
+                  onSubmitted={refresh}
+                />
+              ))}
+            </ul>
+          </section>
+        )}
+
+        <section>
+          <h3 className="font-semibold text-gray-700 mb-2">Your appeals</h3>
+          {appeals.appeals.length === 0 ? (
+            <p className="text-gray-500 text-sm">
+              You haven't filed any appeals.
+            </p>
+          ) : (
+            <ul className="flex flex-col gap-2">
+              {appeals.appeals.map((appeal) => (
+                <li
+                  key={appeal._id}
+                  className="border rounded-md p-3 flex flex-col gap-1 text-sm"
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">
+                      {describeAppeal(appeal)}
+                    </span>
+                    <span
+                      className={`text-xs font-medium px-2 py-0.5 rounded-full ${
+                        STATUS_STYLES[appeal.status]
+                      }`}
+                    >
+                      {appeal.status}
+                    </span>
+                  </div>
+                  <p className="text-gray-600">{appeal.statement}</p>
+                  {appeal.reviewNote && (
+                    <p className="text-gray-800">
+                      <span className="font-medium">Reviewer note:</span>{" "}
+                      {appeal.reviewNote}
+                    </p>
+                  )}
+                  <span className="text-xs text-gray-400">
+                    Filed {appeal.createdAt}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Appeals;
@@ -2,15 +2,17 @@ import { useEffect, useState } from "react";
 import { useSelector, useDispatch } from "react-redux";
 
 import TrustedDevicesLocations from "../components/profile/TrustedDevicesLocations";
-import PrimaryDevicesLocations from "../components/profile/PrimaryDevicesLocations";
 import BlockedDevicesLocations from "../components/profile/BlockedDevicesLocations";
+import TwoFactorSettings from "../components/profile/TwoFactorSettings";
+import Passkeys from "../components/profile/Passkeys";
 import CommonLoading from "../components/loader/CommonLoading";
 
 import {
-  getTrustedContextAuthDataAction,
+  getTrustedDevicesAction,
   getUserPreferencesAction,
   getBlockedAuthContextDataAction,
-  getContextAuthDataAction,
+  getTwoFactorAction,
+  getPasskeysAction,
 } from "../redux/actions/authActions";
 
 const DevicesLocations = () => {
@@ -20,18 +22,18 @@ const DevicesLocations = () => {
   useEffect(() => {
     const fetchData = async () => {
       await dispatch(getUserPreferencesAction());
-      await dispatch(getContextAuthDataAction());
-      await dispatch(getTrustedContextAuthDataAction());
+      await dispatch(getTrustedDevicesAction());
       await dispatch(getBlockedAuthContextDataAction());
+      await dispatch(getTwoFactorAction());
+      await dispatch(getPasskeysAction());
     };
     fetchData().then(() => setDateFetched(true));
   }, [dispatch, dateFetched]);
 
   const userPreferences = useSelector((state) => state.auth?.userPreferences);
-  const contextAuthData = useSelector((state) => state.auth?.contextAuthData);
-  const trustedAuthContextData = useSelector(
-    (state) => state.auth?.trustedAuthContextData
-  );
+  const twoFactor = useSelector((state) => state.auth?.twoFactor);
+  const passkeys = useSelector((state) => state.auth?.passkeys);
+  const trustedDevices = useSelector((state) => state.auth?.trustedDevices);
   const blockedContextAuthData = useSelector(
     (state) => state.auth?.blockedAuthContextData
   );
@@ -44,27 +46,30 @@ const DevicesLocations = () => {
     );
   }
 
-  if (!userPreferences || !contextAuthData) {
+  if (!userPreferences) {
     return (
-      <div className="bg-white border p-5 text-gray-700 text-center main-section">
-        <p className="text-lg font-semibold mb-4">
-          Context-based authentication is currently disabled for your account.
-        </p>
-        <p className="text-sm">
-          By enabling context-based authentication, you will gain control over
-          your devices, their locations, and manage trusted and blocked devices.
-        </p>
+      <div className="main-section border bg-white">
+        <TwoFactorSettings twoFactor={twoFactor} />
+        <Passkeys passkeys={passkeys} />
+        <div className="p-5 text-gray-700 text-center">
+          <p className="text-lg font-semibold mb-4">
+            Context-based authentication is currently disabled for your account.
+          </p>
+          <p className="text-sm">
+            By enabling context-based authentication, you will gain control over
+            your devices, their locations, and manage trusted and blocked
+            devices.
+          </p>
+        </div>
       </div>
     );
   }
 
   return (
     <div className="main-section border bg-white">
-      <PrimaryDevicesLocations contextAuthData={contextAuthData} />
-
-      <TrustedDevicesLocations
-        trustedAuthContextData={trustedAuthContextData}
-      />
+      <TwoFactorSettings twoFactor={twoFactor} />
+      <TrustedDevicesLocations trustedDevices={trustedDevices} />
+      <Passkeys passkeys={passkeys} />
       <BlockedDevicesLocations
         blockedContextAuthData={blockedContextAuthData}
       />
@@ -1,11 +1,17 @@
 import { useState } from "react";
 import { Link, useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
-import { signInAction, clearMessage } from "../redux/actions/authActions";
+import {
+  signInAction,
+  signInWithPasskeyAction,
+  clearMessage,
+} from "../redux/actions/authActions";
 import { AiFillGithub } from "react-icons/ai";
 import { RxCross1 } from "react-icons/rx";
 import { MdOutlineAdminPanelSettings } from "react-icons/md";
+import { IoKeyOutline } from "react-icons/io5";
 import ButtonLoadingSpinner from "../components/loader/ButtonLoadingSpinner";
+import TwoFactorForm from "../components/form/TwoFactorForm";
 import Logo from "../assets/ChimeIn.png";
 
 const SignIn = () => {
@@ -34,8 +40,18 @@ const SignIn = () => {
     clearTimeout(timeout);
   };
 
+  const handlePasskeySignIn = async () => {
+    setLoading(true);
+    setLoadingText("Waiting for your passkey...");
+    await dispatch(signInWithPasskeyAction(navigate));
+    setLoading(false);
+  };
+
   const signInError = useSelector((state) => state.auth?.signInError);
   const successMessage = useSelector((state) => state.auth?.successMessage);
+  const twoFactorChallenge = useSelector(
+    (state) => state.auth?.twoFactorChallenge
+  );
 
   const handleClearMessage = () => {
     dispatch(clearMessage());
@@ -80,94 +96,111 @@ const SignIn = () => {
               </button>
             </div>
           )}
-          <div className="mt-6 flex items-center justify-center">
-            <Link
-              to={"/signin"}
-              className="w-1/3 border-b-2 border-blue-500 pb-4 text-center font-medium text-gray-800 "
-            >
-              Sign In
-            </Link>
-            <Link
-              to={"/signup"}
-              className="w-1/3 border-b border-gray-400 pb-4 text-center font-medium text-gray-500 "
-            >
-              Sign Up
-            </Link>
-          </div>
+          {twoFactorChallenge ? (
+            <TwoFactorForm email={email} />
+          ) : (
+            <>
+              <div className="mt-6 flex items-center justify-center">
+                <Link
+                  to={"/signin"}
+                  className="w-1/3 border-b-2 border-blue-500 pb-4 text-center font-medium text-gray-800 "
+                >
+                  Sign In
+                </Link>
+                <Link
+                  to={"/signup"}
+                  className="w-1/3 border-b border-gray-400 pb-4 text-center font-medium text-gray-500 "
+                >
+                  Sign Up
+                </Link>
+              </div>
 
-          <div className="relative mt-6 flex items-center">
-            <span className="absolute">
-              <svg
-                xmlns="http://www.w3.org/2000/svg"
-                className="mx-3 h-6 w-6 text-gray-300"
-                fill="none"
-                viewBox="0 0 24 24"
-                stroke="currentColor"
-                strokeWidth={2}
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+              <div className="relative mt-6 flex items-center">
+                <span className="absolute">
+                  <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    className="mx-3 h-6 w-6 text-gray-300"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                    stroke="currentColor"
+                    strokeWidth={2}
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+                    />
+                  </svg>
+                </span>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="block w-full rounded-lg border bg-white px-11 py-3 text-gray-700 focus:border-blue-400 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-40"
+                  placeholder="Email address"
+                  required
+                  autoComplete="off"
                 />
-              </svg>
-            </span>
-            <input
-              id="email"
-              name="email"
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              className="block w-full rounded-lg border bg-white px-11 py-3 text-gray-700 focus:border-blue-400 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-40"
-              placeholder="Email address"
-              required
-              autoComplete="off"
-            />
-          </div>
-          <div className="relative mt-4 flex items-center">
-            <span className="absolute">
-              <svg
-                xmlns="http://www.w3.org/2000/svg"
-                className="mx-3 h-6 w-6 text-gray-300"
-                fill="none"
-                viewBox="0 0 24 24"
-                stroke="currentColor"
-                strokeWidth={2}
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"
+              </div>
+              <div className="relative mt-4 flex items-center">
+                <span className="absolute">
+                  <svg
+                    xmlns="http://www.w3.org/2000/svg"
+                    className="mx-3 h-6 w-6 text-gray-300"
+                    fill="none"
+                    viewBox="0 0 24 24"
+                    stroke="currentColor"
+                    strokeWidth={2}
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"
+                    />
+                  </svg>
+                </span>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="block w-full rounded-lg border bg-white px-10 py-3 text-gray-700 focus:border-blue-400 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-40"
+                  placeholder="Password"
+                  required
+                  autoComplete="off"
                 />
-              </svg>
-            </span>
-            <input
-              id="password"
-              name="password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              className="block w-full rounded-lg border bg-white px-10 py-3 text-gray-700 focus:border-blue-400 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-40"
-              placeholder="Password"
-              required
-              autoComplete="off"
-            />
-          </div>
-          <div className="mt-6">
-            <button
-              disabled={loading}
-              onClick={handleSubmit}
-              className={`w-full transform rounded-lg bg-blue-500 px-6 py-3 text-sm font-medium tracking-wide text-white transition-colors duration-300 hover:bg-blue-700 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-50 ${
-                loading ? "cursor-not-allowed opacity-50" : ""
-              }`}
-            >
-              {loading ? (
-                <ButtonLoadingSpinner loadingText={loadingText} />
-              ) : (
-                "Sign in"
-              )}
-            </button>
-          </div>
+              </div>
+              <div className="mt-6">
+                <button
+                  disabled={loading}
+                  onClick={handleSubmit}
+                  className={`w-full transform rounded-lg bg-blue-500 px-6 py-3 text-sm font-medium tracking-wide text-white transition-colors duration-300 hover:bg-blue-700 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-50 ${
+                    loading ? "cursor-not-allowed opacity-50" : ""
+                  }`}
+                >
+                  {loading ? (
+                    <ButtonLoadingSpinner loadingText={loadingText} />
+                  ) : (
+                    "Sign in"
+                  )}
+                </button>
+                <button
+                  type="button"
+                  disabled={loading}
+                  onClick={handlePasskeySignIn}
+                  className={`mt-3 flex w-full items-center justify-center rounded-lg border border-gray-300 bg-white px-6 py-3 text-sm font-medium tracking-wide text-gray-700 transition-colors duration-300 hover:bg-gray-50 focus:outline-none focus:ring focus:ring-blue-300 focus:ring-opacity-50 ${
+                    loading ? "cursor-not-allowed opacity-50" : ""
+                  }`}
+                >
+                  <IoKeyOutline className="mr-2 h-5 w-5" />
+                  Sign in with a passkey
+                </button>
+              </div>
+            </>
+          )}
         </form>
         <span className="flex items-center justify-center py-4 text-sm text-gray-600 ">
           <a
@@ -189,3 +189,375 @@ export const removeModeratorAction =
       });
     }
   };
+
+export const getProviderHealthAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getProviderHealth();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_PROVIDER_HEALTH_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_PROVIDER_HEALTH_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getClassificationCacheAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getClassificationCache();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_CLASSIFICATION_CACHE_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_CLASSIFICATION_CACHE_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const clearClassificationCacheAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.clearClassificationCache();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_CLASSIFICATION_CACHE_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_CLASSIFICATION_CACHE_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getModerationDecisionsAction = (filters) => async (dispatch) => {
+  try {
+    const { error, data } = await api.getModerationDecisions(filters);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_MODERATION_DECISIONS_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_MODERATION_DECISIONS_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getKeywordRuleSetsAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getKeywordRuleSets();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_KEYWORD_RULE_SETS_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_KEYWORD_RULE_SETS_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getReplayJobsAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getReplayJobs();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_REPLAY_JOBS_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_REPLAY_JOBS_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getReplayJobAction = (id) => async (dispatch) => {
+  try {
+    const { error, data } = await api.getReplayJob(id);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_REPLAY_JOB_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_REPLAY_JOB_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const createReplayJobAction = (job) => async (dispatch) => {
+  try {
+    const { error } = await api.createReplayJob(job);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.SAVE_REPLAY_JOB_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SAVE_REPLAY_JOB_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const cancelReplayJobAction = (id) => async (dispatch) => {
+  try {
+    const { error } = await api.cancelReplayJob(id);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.SAVE_REPLAY_JOB_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SAVE_REPLAY_JOB_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getPlatformAppealsAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getPlatformAppeals();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_PLATFORM_APPEALS_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_PLATFORM_APPEALS_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const reviewPlatformAppealAction = (id, review) => async (dispatch) => {
+  try {
+    const { error } = await api.reviewPlatformAppeal(id, review);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.REVIEW_PLATFORM_APPEAL_SUCCESS,
+      payload: id,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.REVIEW_PLATFORM_APPEAL_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const saveKeywordRuleSetAction = (id, ruleSet) => async (dispatch) => {
+  try {
+    const { error } = id
+      ? await api.updateKeywordRuleSet(id, ruleSet)
+      : await api.createKeywordRuleSet(ruleSet);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.SAVE_KEYWORD_RULE_SET_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SAVE_KEYWORD_RULE_SET_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const deleteKeywordRuleSetAction = (id) => async (dispatch) => {
+  try {
+    const { error } = await api.deleteKeywordRuleSet(id);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.DELETE_KEYWORD_RULE_SET_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.DELETE_KEYWORD_RULE_SET_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getMediaHashesAction = (page) => async (dispatch) => {
+  try {
+    const { error, data } = await api.getMediaHashes(page);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_MEDIA_HASHES_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_MEDIA_HASHES_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const addMediaHashAction = (formData) => async (dispatch) => {
+  try {
+    const { error } = await api.addMediaHash(formData);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.SAVE_MEDIA_HASH_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SAVE_MEDIA_HASH_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const deleteMediaHashAction = (id) => async (dispatch) => {
+  try {
+    const { error } = await api.deleteMediaHash(id);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.SAVE_MEDIA_HASH_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SAVE_MEDIA_HASH_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getClassifierStatusAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getClassifierStatus();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_CLASSIFIER_STATUS_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_CLASSIFIER_STATUS_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const pushClassifierAction = () => async (dispatch) => {
+  try {
+    const { error } = await api.pushClassifier();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.SYNC_CLASSIFIER_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SYNC_CLASSIFIER_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const deleteClassifierAction = () => async (dispatch) => {
+  try {
+    const { error } = await api.deleteClassifier();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.SYNC_CLASSIFIER_SUCCESS,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SYNC_CLASSIFIER_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const getSpamAccountsAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getSpamAccounts();
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_SPAM_ACCOUNTS_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_SPAM_ACCOUNTS_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const resetUserTwoFactorAction = (email) => async (dispatch) => {
+  try {
+    const { error, data } = await api.resetUserTwoFactor(email);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.RESET_TWO_FACTOR_SUCCESS,
+      payload: data.message,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.RESET_TWO_FACTOR_FAIL,
+      payload: error.message,
+    });
+  }
+};
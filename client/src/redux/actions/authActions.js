@@ -1,6 +1,12 @@
 import * as api from "../api/authAPI";
 import * as types from "../constants/authConstants";
 import { isValidToken } from "../../utils/authUtils";
+import {
+  isPasskeySupported,
+  isPasskeyCancelled,
+  createPasskey,
+  getPasskey,
+} from "../../utils/webauthn";
 import { refreshTokenAction } from "./refreshTokenAction";
 
 export const initializeAuth = () => async (dispatch) => {
@@ -88,8 +94,40 @@ export const signUpAction =
     }
   };
 
+// Stores the tokens of a signed in user, and the device token the server
+// recognizes this trusted device by
+const completeSignIn = (dispatch, data, navigate) => {
+  const {
+    user,
+    accessToken,
+    refreshToken,
+    accessTokenUpdatedAt,
+    deviceToken: newDeviceToken,
+  } = data;
+  if (newDeviceToken) {
+    localStorage.setItem("deviceToken", newDeviceToken);
+  }
+  const profile = {
+    user,
+    accessToken,
+    refreshToken,
+    accessTokenUpdatedAt,
+  };
+  localStorage.setItem("profile", JSON.stringify(profile));
+  dispatch({
+    type: types.SIGNIN_SUCCESS,
+    payload: profile,
+  });
+  navigate("/");
+};
+
 export const signInAction = (formData, navigate) => async (dispatch) => {
   try {
+    // kept after logout, it lets the server recognize this trusted device
+    const deviceToken = localStorage.getItem("deviceToken");
+    if (deviceToken) {
+      formData.append("deviceToken", deviceToken);
+    }
     const response = await api.signIn(formData);
     const { error, data } = response;
     if (error) {
@@ -97,20 +135,16 @@ export const signInAction = (formData, navigate) => async (dispatch) => {
         type: types.SIGNIN_FAIL,
         payload: error,
       });
-    } else {
-      const { user, accessToken, refreshToken, accessTokenUpdatedAt } = data;
-      const profile = {
-        user,
-        accessToken,
-        refreshToken,
-        accessTokenUpdatedAt,
-      };
-      localStorage.setItem("profile", JSON.stringify(profile));
+    } else if (data.twoFactorRequired) {
       dispatch({
-        type: types.SIGNIN_SUCCESS,
-        payload: profile,
+        type: types.TWO_FACTOR_REQUIRED,
+        payload: {
+          twoFactorToken: data.twoFactorToken,
+          canVerifyByEmail: data.canVerifyByEmail,
+        },
       });
-      navigate("/");
+    } else {
+      completeSignIn(dispatch, data, navigate);
     }
   } catch (error) {
     await dispatch({
@@ -121,6 +155,86 @@ export const signInAction = (formData, navigate) => async (dispatch) => {
   }
 };
 
+export const signInTwoFactorAction =
+  (formData, navigate) => async (dispatch) => {
+    try {
+      const { error, data } = await api.signInTwoFactor(formData);
+      if (error) {
+        dispatch({
+          type: types.SIGNIN_FAIL,
+          payload: error,
+        });
+      } else {
+        completeSignIn(dispatch, data, navigate);
+      }
+    } catch (error) {
+      dispatch({
+        type: types.SIGNIN_FAIL,
+        payload: types.ERROR_MESSAGE,
+      });
+    }
+  };
+
+// Verifies a flagged sign in by email instead of the second factor. The
+// server answers with the same message as any sign in waiting for the email
+export const requestSignInEmailAction = (formData) => async (dispatch) => {
+  try {
+    const { error, data } = await api.requestSignInEmail(formData);
+    dispatch({ type: types.CLEAR_TWO_FACTOR_CHALLENGE });
+    dispatch({
+      type: types.SIGNIN_FAIL,
+      payload: error ? error : data.message,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.SIGNIN_FAIL,
+      payload: types.ERROR_MESSAGE,
+    });
+  }
+};
+
+// A passkey is a trusted context of its own: it replaces the password, the
+// second factor and the suspicious login email
+export const signInWithPasskeyAction = (navigate) => async (dispatch) => {
+  if (!isPasskeySupported()) {
+    dispatch({
+      type: types.SIGNIN_FAIL,
+      payload: types.PASSKEY_NOT_SUPPORTED_MESSAGE,
+    });
+    return;
+  }
+  try {
+    const options = await api.getPasskeySignInOptions();
+    if (options.error) {
+      throw new Error(options.error);
+    }
+    const credential = await getPasskey(options.data);
+    const { error, data } = await api.signInWithPasskey(
+      credential,
+      localStorage.getItem("deviceToken")
+    );
+    if (error) {
+      dispatch({
+        type: types.SIGNIN_FAIL,
+        payload: error,
+      });
+    } else {
+      completeSignIn(dispatch, data, navigate);
+    }
+  } catch (error) {
+    dispatch({
+      type: types.SIGNIN_FAIL,
+      payload: isPasskeyCancelled(error)
+        ? types.PASSKEY_CANCELLED_MESSAGE
+        : error.message || types.ERROR_MESSAGE,
+    });
+  }
+};
+
+export const clearTwoFactorChallengeAction = () => async (dispatch) => {
+  dispatch({ type: types.CLEAR_TWO_FACTOR_CHALLENGE });
+};
+
 export const getModProfileAction = () => async (dispatch) => {
   try {
     const { error, data } = await api.getModProfile();
@@ -139,37 +253,62 @@ export const getModProfileAction = () => async (dispatch) => {
   }
 };
 
-export const getContextAuthDataAction = () => async (dispatch) => {
+export const getTrustedDevicesAction = () => async (dispatch) => {
   try {
-    const { error, data } = await api.getContextAuthData();
+    const { error, data } = await api.getTrustedDevices();
     if (error) {
       throw new Error(error);
     }
     dispatch({
-      type: types.GET_CONTEXT_AUTH_DATA_SUCCESS,
+      type: types.GET_TRUSTED_DEVICES_SUCCESS,
       payload: data,
     });
   } catch (error) {
     dispatch({
-      type: types.GET_CONTEXT_AUTH_DATA_FAIL,
+      type: types.GET_TRUSTED_DEVICES_FAIL,
       payload: types.ERROR_MESSAGE,
     });
   }
 };
 
-export const getTrustedContextAuthDataAction = () => async (dispatch) => {
+export const renameTrustedDeviceAction =
+  (deviceId, name) => async (dispatch) => {
+    try {
+      const { error } = await api.renameTrustedDevice(deviceId, name);
+      if (error) {
+        throw new Error(error);
+      }
+    } catch (error) {
+      dispatch({
+        type: types.RENAME_TRUSTED_DEVICE_FAIL,
+        payload: types.ERROR_MESSAGE,
+      });
+    }
+  };
+
+export const removeTrustedDeviceAction = (deviceId) => async (dispatch) => {
   try {
-    const { error, data } = await api.getTrustedContextAuthData();
+    const { error } = await api.removeTrustedDevice(deviceId);
     if (error) {
       throw new Error(error);
     }
+  } catch (error) {
     dispatch({
-      type: types.GET_TRUSTED_AUTH_CONTEXT_DATA_SUCCESS,
-      payload: data,
+      type: types.REMOVE_TRUSTED_DEVICE_FAIL,
+      payload: types.ERROR_MESSAGE,
     });
+  }
+};
+
+export const blockTrustedDeviceAction = (deviceId) => async (dispatch) => {
+  try {
+    const { error } = await api.blockTrustedDevice(deviceId);
+    if (error) {
+      throw new Error(error);
+    }
   } catch (error) {
     dispatch({
-      type: types.GET_TRUSTED_AUTH_CONTEXT_DATA_FAIL,
+      type: types.BLOCK_TRUSTED_DEVICE_FAIL,
       payload: types.ERROR_MESSAGE,
     });
   }
@@ -211,44 +350,166 @@ export const getBlockedAuthContextDataAction = () => async (dispatch) => {
   }
 };
 
-export const deleteContextAuthDataAction = (contextId) => async (dispatch) => {
+export const unblockContextAuthDataAction = (contextId) => async (dispatch) => {
   try {
-    const { error } = await api.deleteContextAuthData(contextId);
+    const { error } = await api.unblockContextAuthData(contextId);
     if (error) {
       throw new Error(error);
     }
   } catch (error) {
     dispatch({
-      type: types.DELETE_CONTEXT_AUTH_DATA_FAIL,
+      type: types.UNBLOCK_CONTEXT_AUTH_DATA_FAIL,
       payload: types.ERROR_MESSAGE,
     });
   }
 };
 
-export const blockContextAuthDataAction = (contextId) => async (dispatch) => {
+export const getTwoFactorAction = () => async (dispatch) => {
   try {
-    const { error } = await api.blockContextAuthData(contextId);
+    const { error, data } = await api.getTwoFactor();
     if (error) {
       throw new Error(error);
     }
+    dispatch({
+      type: types.GET_TWO_FACTOR_SUCCESS,
+      payload: data,
+    });
   } catch (error) {
     dispatch({
-      type: types.BLOCK_CONTEXT_AUTH_DATA_FAIL,
+      type: types.GET_TWO_FACTOR_FAIL,
       payload: types.ERROR_MESSAGE,
     });
   }
 };
 
-export const unblockContextAuthDataAction = (contextId) => async (dispatch) => {
+export const setupTwoFactorAction = () => async (dispatch) => {
+  const { error, data } = await api.setupTwoFactor();
+  if (error) {
+    dispatch({
+      type: types.SETUP_TWO_FACTOR_FAIL,
+      payload: error,
+    });
+  } else {
+    dispatch({
+      type: types.SETUP_TWO_FACTOR_SUCCESS,
+      payload: data,
+    });
+  }
+};
+
+export const enableTwoFactorAction = (code) => async (dispatch) => {
+  const { error, data } = await api.enableTwoFactor(code);
+  if (error) {
+    dispatch({
+      type: types.ENABLE_TWO_FACTOR_FAIL,
+      payload: error,
+    });
+  } else {
+    dispatch({
+      type: types.ENABLE_TWO_FACTOR_SUCCESS,
+      payload: data.recoveryCodes,
+    });
+    await dispatch(getTwoFactorAction());
+  }
+};
+
+/**
+ * @param {Object} factor - {code} or {recoveryCode}
+ */
+export const disableTwoFactorAction = (factor) => async (dispatch) => {
+  const { error } = await api.disableTwoFactor(factor);
+  if (error) {
+    dispatch({
+      type: types.DISABLE_TWO_FACTOR_FAIL,
+      payload: error,
+    });
+  } else {
+    dispatch({ type: types.DISABLE_TWO_FACTOR_SUCCESS });
+    await dispatch(getTwoFactorAction());
+  }
+};
+
+export const regenerateRecoveryCodesAction = (code) => async (dispatch) => {
+  const { error, data } = await api.regenerateRecoveryCodes(code);
+  if (error) {
+    dispatch({
+      type: types.REGENERATE_RECOVERY_CODES_FAIL,
+      payload: error,
+    });
+  } else {
+    dispatch({
+      type: types.REGENERATE_RECOVERY_CODES_SUCCESS,
+      payload: data.recoveryCodes,
+    });
+    await dispatch(getTwoFactorAction());
+  }
+};
+
+export const clearRecoveryCodesAction = () => async (dispatch) => {
+  dispatch({ type: types.CLEAR_RECOVERY_CODES });
+};
+
+export const getPasskeysAction = () => async (dispatch) => {
   try {
-    const { error } = await api.unblockContextAuthData(contextId);
+    const { error, data } = await api.getPasskeys();
     if (error) {
       throw new Error(error);
     }
+    dispatch({
+      type: types.GET_PASSKEYS_SUCCESS,
+      payload: data,
+    });
   } catch (error) {
     dispatch({
-      type: types.UNBLOCK_CONTEXT_AUTH_DATA_FAIL,
+      type: types.GET_PASSKEYS_FAIL,
       payload: types.ERROR_MESSAGE,
     });
   }
 };
+
+export const addPasskeyAction = () => async (dispatch) => {
+  if (!isPasskeySupported()) {
+    dispatch({
+      type: types.ADD_PASSKEY_FAIL,
+      payload: types.PASSKEY_NOT_SUPPORTED_MESSAGE,
+    });
+    return;
+  }
+  try {
+    const options = await api.getPasskeyRegistrationOptions();
+    if (options.error) {
+      throw new Error(options.error);
+    }
+    const credential = await createPasskey(options.data);
+    const { error, data } = await api.registerPasskey(credential);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.ADD_PASSKEY_SUCCESS,
+      payload: data.passkey,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.ADD_PASSKEY_FAIL,
+      payload: isPasskeyCancelled(error)
+        ? types.PASSKEY_CANCELLED_MESSAGE
+        : error.message || types.ERROR_MESSAGE,
+    });
+  }
+};
+
+export const removePasskeyAction = (passkeyId) => async (dispatch) => {
+  const { error } = await api.removePasskey(passkeyId);
+  if (error) {
+    dispatch({
+      type: types.REMOVE_PASSKEY_FAIL,
+      payload: error,
+    });
+  } else {
+    dispatch({
+      type: types.REMOVE_PASSKEY_SUCCESS,
+      payload: passkeyId,
+    });
+  }
+};
@@ -317,3 +317,164 @@ export const leaveFetchData = (communityName) => async (dispatch) => {
     });
   }
 };
+
+export const getReviewQueueAction = (communityName) => async (dispatch) => {
+  try {
+    const { error, data } = await api.getReviewQueue(communityName);
+    if (error) {
+      throw new Error(error);
+    }
+    dispatch({
+      type: types.GET_REVIEW_QUEUE_SUCCESS,
+      payload: data,
+      meta: {
+        requiresAuth: true,
+      },
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_REVIEW_QUEUE_FAIL,
+      payload: error.message,
+      meta: {
+        requiresAuth: true,
+      },
+    });
+  }
+};
+
+export const reviewHeldContentAction =
+  (communityName, contentType, id, decision) => async (dispatch) => {
+    try {
+      const { error } = await api.reviewHeldContent(
+        communityName,
+        contentType,
+        id,
+        decision
+      );
+      if (error) {
+        throw new Error(error);
+      }
+      dispatch({
+        type: types.REVIEW_CONTENT_SUCCESS,
+        payload: { contentType, id },
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    } catch (error) {
+      dispatch({
+        type: types.REVIEW_CONTENT_FAIL,
+        payload: error.message,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    }
+  };
+
+export const getModerationPolicyAction =
+  (communityName) => async (dispatch) => {
+    try {
+      const { error, data } = await api.getModerationPolicy(communityName);
+      if (error) {
+        throw new Error(error);
+      }
+      dispatch({
+        type: types.GET_MODERATION_POLICY_SUCCESS,
+        payload: data,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    } catch (error) {
+      dispatch({
+        type: types.GET_MODERATION_POLICY_FAIL,
+        payload: error.message,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    }
+  };
+
+export const updateModerationPolicyAction =
+  (communityName, policy) => async (dispatch) => {
+    try {
+      const { error, data } = await api.updateModerationPolicy(
+        communityName,
+        policy
+      );
+      if (error) {
+        throw new Error(error);
+      }
+      dispatch({
+        type: types.UPDATE_MODERATION_POLICY_SUCCESS,
+        payload: data,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    } catch (error) {
+      dispatch({
+        type: types.UPDATE_MODERATION_POLICY_FAIL,
+        payload: error.message,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    }
+  };
+
+export const getCommunityAppealsAction =
+  (communityName) => async (dispatch) => {
+    try {
+      const { error, data } = await api.getCommunityAppeals(communityName);
+      if (error) {
+        throw new Error(error);
+      }
+      dispatch({
+        type: types.GET_COMMUNITY_APPEALS_SUCCESS,
+        payload: data,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    } catch (error) {
+      dispatch({
+        type: types.GET_COMMUNITY_APPEALS_FAIL,
+        payload: error.message,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    }
+  };
+
+export const reviewCommunityAppealAction =
+  (communityName, id, review) => async (dispatch) => {
+    try {
+      const { error } = await api.reviewCommunityAppeal(
+        communityName,
+        id,
+        review
+      );
+      if (error) {
+        throw new Error(error);
+      }
+      dispatch({
+        type: types.REVIEW_COMMUNITY_APPEAL_SUCCESS,
+        payload: id,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    } catch (error) {
+      dispatch({
+        type: types.REVIEW_COMMUNITY_APPEAL_FAIL,
+        payload: error.message,
+        meta: {
+          requiresAuth: true,
+        },
+      });
+    }
+  };
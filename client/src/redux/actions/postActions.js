@@ -8,6 +8,7 @@ export const createPostAction = (formData) => async (dispatch) => {
       data = null,
       info = null,
       isInappropriate = false,
+      decisionId = null,
       confirmationToken = null,
     } = await api.createPost(formData);
 
@@ -16,11 +17,10 @@ export const createPostAction = (formData) => async (dispatch) => {
     }
 
     if (isInappropriate) {
-      dispatchCreatePostFail(
-        dispatch,
-        types.CREATE_POST_FAIL_INAPPROPRIATE,
-        null
-      );
+      dispatchCreatePostFail(dispatch, types.CREATE_POST_FAIL_INAPPROPRIATE, {
+        decisionId,
+        content: formData.get("content"),
+      });
     } else if (confirmationToken) {
       dispatchCreatePostFail(
         dispatch,
@@ -289,9 +289,9 @@ export const getFollowingUsersPostsAction =
     }
   };
 
-export const deletePostAction = (id) => async (dispatch) => {
+export const deletePostAction = (id, banMedia) => async (dispatch) => {
   try {
-    const { error } = await api.deletePost(id);
+    const { error } = await api.deletePost(id, banMedia);
 
     if (error) {
       throw new Error(error);
@@ -367,11 +367,12 @@ export const unlikePostAction = (id) => async (dispatch) => {
 
 export const addCommentAction = (postId, newComment) => async (dispatch) => {
   try {
-    const { error } = await api.addComment(postId, newComment);
+    const { error, decisionId } = await api.addComment(postId, newComment);
 
     if (error === "inappropriateContent") {
       dispatch({
         type: types.ADD_COMMENT_FAIL_INAPPROPRIATE,
+        payload: { decisionId, content: newComment.content },
         meta: {
           requiresAuth: true,
         },
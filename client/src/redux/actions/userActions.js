@@ -152,3 +152,49 @@ export const followUserAndFetchData =
       });
     }
   };
+
+export const getAppealsAction = () => async (dispatch) => {
+  try {
+    const { error, data } = await api.getAppeals();
+
+    if (error) {
+      throw new Error(error);
+    }
+
+    dispatch({
+      type: types.GET_APPEALS_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.GET_APPEALS_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const createAppealAction = (appeal) => async (dispatch) => {
+  try {
+    const { error, data } = await api.createAppeal(appeal);
+
+    if (error) {
+      throw new Error(error);
+    }
+
+    dispatch({
+      type: types.CREATE_APPEAL_SUCCESS,
+      payload: data,
+    });
+  } catch (error) {
+    dispatch({
+      type: types.CREATE_APPEAL_FAIL,
+      payload: error.message,
+    });
+  }
+};
+
+export const clearAppealErrorAction = () => async (dispatch) => {
+  dispatch({
+    type: types.CLEAR_APPEAL_ERROR,
+  });
+};
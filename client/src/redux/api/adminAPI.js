@@ -89,3 +89,207 @@ export const removeModerator = async (communityId, moderatorId) => {
     return handleApiError(error);
   }
 };
+
+export const getProviderHealth = async () => {
+  try {
+    const res = await ADMIN_API.get("/provider-health");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getClassificationCache = async () => {
+  try {
+    const res = await ADMIN_API.get("/classification-cache");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const clearClassificationCache = async () => {
+  try {
+    const res = await ADMIN_API.delete("/classification-cache");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getModerationDecisions = async (filters) => {
+  try {
+    const res = await ADMIN_API.get("/moderation-decisions", {
+      params: filters,
+    });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getReplayJobs = async () => {
+  try {
+    const res = await ADMIN_API.get("/moderation-replays");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getReplayJob = async (id) => {
+  try {
+    const res = await ADMIN_API.get(`/moderation-replays/${id}`);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const createReplayJob = async (job) => {
+  try {
+    const res = await ADMIN_API.post("/moderation-replays", job);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const cancelReplayJob = async (id) => {
+  try {
+    const res = await ADMIN_API.post(`/moderation-replays/${id}/cancel`);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getPlatformAppeals = async () => {
+  try {
+    const res = await ADMIN_API.get("/appeals");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const reviewPlatformAppeal = async (id, review) => {
+  try {
+    const res = await ADMIN_API.patch(`/appeals/${id}`, review);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getKeywordRuleSets = async () => {
+  try {
+    const res = await ADMIN_API.get("/keyword-rules");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const createKeywordRuleSet = async (ruleSet) => {
+  try {
+    const res = await ADMIN_API.post("/keyword-rules", ruleSet);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const updateKeywordRuleSet = async (id, ruleSet) => {
+  try {
+    const res = await ADMIN_API.put(`/keyword-rules/${id}`, ruleSet);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const deleteKeywordRuleSet = async (id) => {
+  try {
+    await ADMIN_API.delete(`/keyword-rules/${id}`);
+    return { error: null };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getMediaHashes = async (page) => {
+  try {
+    const res = await ADMIN_API.get("/media-hashes", { params: { page } });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const addMediaHash = async (formData) => {
+  try {
+    const res = await ADMIN_API.post("/media-hashes", formData, {
+      headers: {
+        "Content-Type": "multipart/form-data",
+      },
+    });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const deleteMediaHash = async (id) => {
+  try {
+    await ADMIN_API.delete(`/media-hashes/${id}`);
+    return { error: null };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getClassifierStatus = async () => {
+  try {
+    const res = await ADMIN_API.get("/textrazor-classifier");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const pushClassifier = async () => {
+  try {
+    const res = await ADMIN_API.put("/textrazor-classifier");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const deleteClassifier = async () => {
+  try {
+    const res = await ADMIN_API.delete("/textrazor-classifier");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getSpamAccounts = async () => {
+  try {
+    const res = await ADMIN_API.get("/spam-accounts");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const resetUserTwoFactor = async (email) => {
+  try {
+    const res = await ADMIN_API.patch("/users/reset-two-factor", { email });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
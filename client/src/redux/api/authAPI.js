@@ -13,6 +13,32 @@ export const signIn = async (formData) => {
   }
 };
 
+export const signInTwoFactor = async (formData) => {
+  try {
+    const res = await API.post("/users/signin/2fa", formData, {
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const requestSignInEmail = async (formData) => {
+  try {
+    const res = await API.post("/users/signin/2fa/email", formData, {
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
 export const signUp = async (formData) => {
   try {
     const res = await API.post("/users/signup", formData, {
@@ -51,18 +77,36 @@ export const getModProfile = async () => {
   }
 };
 
-export const getContextAuthData = async () => {
+export const getTrustedDevices = async () => {
+  try {
+    const res = await API.get("/auth/devices");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const renameTrustedDevice = async (deviceId, name) => {
   try {
-    const res = await API.get("/auth/context-data/primary");
+    const res = await API.patch(`/auth/devices/${deviceId}`, { name });
     return { error: null, data: res.data };
   } catch (error) {
     return handleApiError(error);
   }
 };
 
-export const getTrustedContextAuthData = async () => {
+export const removeTrustedDevice = async (deviceId) => {
   try {
-    const res = await API.get("/auth/context-data/trusted");
+    const res = await API.delete(`/auth/devices/${deviceId}`);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const blockTrustedDevice = async (deviceId) => {
+  try {
+    const res = await API.patch(`/auth/devices/${deviceId}/block`);
     return { error: null, data: res.data };
   } catch (error) {
     return handleApiError(error);
@@ -87,27 +131,111 @@ export const getUserPreferences = async () => {
   }
 };
 
-export const deleteContextAuthData = async (contextId) => {
+export const unblockContextAuthData = async (contextId) => {
   try {
-    const res = await API.delete(`/auth/context-data/${contextId}`);
+    const res = await API.patch(`/auth/context-data/unblock/${contextId}`);
     return { error: null, data: res.data };
   } catch (error) {
     return handleApiError(error);
   }
 };
 
-export const blockContextAuthData = async (contextId) => {
+export const getTwoFactor = async () => {
   try {
-    const res = await API.patch(`/auth/context-data/block/${contextId}`);
+    const res = await API.get("/auth/two-factor");
     return { error: null, data: res.data };
   } catch (error) {
     return handleApiError(error);
   }
 };
 
-export const unblockContextAuthData = async (contextId) => {
+export const setupTwoFactor = async () => {
   try {
-    const res = await API.patch(`/auth/context-data/unblock/${contextId}`);
+    const res = await API.post("/auth/two-factor/setup");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const enableTwoFactor = async (code) => {
+  try {
+    const res = await API.post("/auth/two-factor/enable", { code });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const disableTwoFactor = async (factor) => {
+  try {
+    const res = await API.post("/auth/two-factor/disable", factor);
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const regenerateRecoveryCodes = async (code) => {
+  try {
+    const res = await API.post("/auth/two-factor/recovery-codes", { code });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getPasskeySignInOptions = async () => {
+  try {
+    const res = await API.post("/users/signin/passkey/options");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const signInWithPasskey = async (credential, deviceToken) => {
+  try {
+    const res = await API.post("/users/signin/passkey", {
+      credential,
+      deviceToken,
+    });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getPasskeys = async () => {
+  try {
+    const res = await API.get("/auth/passkeys");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getPasskeyRegistrationOptions = async () => {
+  try {
+    const res = await API.post("/auth/passkeys/registration-options");
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const registerPasskey = async (credential) => {
+  try {
+    const res = await API.post("/auth/passkeys", { credential });
+    return { error: null, data: res.data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const removePasskey = async (passkeyId) => {
+  try {
+    const res = await API.delete(`/auth/passkeys/${passkeyId}`);
     return { error: null, data: res.data };
   } catch (error) {
     return handleApiError(error);
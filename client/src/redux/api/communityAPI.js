@@ -125,3 +125,77 @@ export const unbanUser = async (communityName, userId) => {
     return handleApiError(error);
   }
 };
+
+export const getReviewQueue = async (communityName) => {
+  try {
+    const { data } = await COMMUNITY_API.get(
+      `/communities/${communityName}/review-queue`
+    );
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const reviewHeldContent = async (
+  communityName,
+  contentType,
+  id,
+  decision
+) => {
+  try {
+    const { data } = await COMMUNITY_API.patch(
+      `/communities/${communityName}/review-queue/${contentType}/${id}`,
+      { decision }
+    );
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getModerationPolicy = async (communityName) => {
+  try {
+    const { data } = await COMMUNITY_API.get(
+      `/communities/${communityName}/moderation-policy`
+    );
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const updateModerationPolicy = async (communityName, policy) => {
+  try {
+    const { data } = await COMMUNITY_API.put(
+      `/communities/${communityName}/moderation-policy`,
+      { policy }
+    );
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const getCommunityAppeals = async (communityName) => {
+  try {
+    const { data } = await COMMUNITY_API.get(
+      `/communities/${communityName}/appeals`
+    );
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const reviewCommunityAppeal = async (communityName, id, review) => {
+  try {
+    const { data } = await COMMUNITY_API.patch(
+      `/communities/${communityName}/appeals/${id}`,
+      review
+    );
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
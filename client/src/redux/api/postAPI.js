@@ -1,24 +1,52 @@
 import { API, handleApiError } from "./utils";
 
+const POST_JOB_POLL_INTERVAL = 2000;
+// Slow topic detection can take minutes, after this the post keeps being
+// processed but the form stops waiting for it
+const POST_JOB_MAX_WAIT = 15 * 60 * 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Polls the background processing of a new post until it is done.
+ */
+const waitForPostJob = async (jobId) => {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < POST_JOB_MAX_WAIT) {
+    await wait(POST_JOB_POLL_INTERVAL);
+    const { data } = await API.get(`/posts/jobs/${jobId}`);
+    if (["completed", "failed"].includes(data.status)) {
+      return data;
+    }
+  }
+  throw new Error(
+    "Your post is still being processed. It will appear once it is ready."
+  );
+};
+
 export const createPost = async (formData) => {
   try {
-    const { data } = await API.post("/posts", formData, {
+    const { data: job } = await API.post("/posts", formData, {
       headers: {
         "Content-Type": "multipart/form-data",
       },
     });
-    return { error: null, data };
+    const { outcome, post, info, decisionId, confirmationToken } =
+      await waitForPostJob(job.jobId);
+
+    if (outcome === "inappropriateContent") {
+      return { isInappropriate: true, decisionId, data: null };
+    } else if (outcome === "failedDetection") {
+      return { confirmationToken, data: null };
+    } else if (outcome === "categoryMismatch") {
+      return { info, data: null };
+    } else if (!post) {
+      return { error: "Your post could not be processed", data: null };
+    }
+    return { error: null, data: post };
   } catch (error) {
-    const { response } = error;
-    if (response?.status === 403) {
-      const { type, confirmationToken, info } = response.data || {};
-      if (type === "inappropriateContent") {
-        return { isInappropriate: true, data: null };
-      } else if (type === "failedDetection") {
-        return { confirmationToken, data: null };
-      } else if (type === "categoryMismatch") {
-        return { info, data: null };
-      }
+    if (!error.response) {
+      return { error: error.message, data: null };
     }
     return handleApiError(error);
   }
@@ -71,9 +99,11 @@ export const getComPosts = async (communityId, limit = 10, skip = 0) => {
   }
 };
 
-export const deletePost = async (id) => {
+export const deletePost = async (id, banMedia = false) => {
   try {
-    const { data } = await API.delete(`/posts/${id}`);
+    const { data } = await API.delete(`/posts/${id}`, {
+      params: banMedia ? { banMedia } : undefined,
+    });
     return { error: null, data };
   } catch (error) {
     return handleApiError(error);
@@ -104,9 +134,9 @@ export const addComment = async (id, newComment) => {
     return { error: null };
   } catch (error) {
     if (error.response?.status === 403) {
-      const { type } = error.response.data || {};
+      const { type, decisionId } = error.response.data || {};
       if (type === "inappropriateContent") {
-        return { error: "inappropriateContent" };
+        return { error: "inappropriateContent", decisionId };
       }
     }
     return handleApiError(error);
@@ -65,3 +65,25 @@ export const getFollowingUsers = async () => {
     return handleApiError(error);
   }
 };
+
+export const getAppeals = async () => {
+  try {
+    const { data } = await API.get("/appeals");
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
+
+export const createAppeal = async (appeal) => {
+  try {
+    const { data } = await API.post("/appeals", appeal, {
+      headers: {
+        "Content-Type": "application/json",
+      },
+    });
+    return { error: null, data };
+  } catch (error) {
+    return handleApiError(error);
+  }
+};
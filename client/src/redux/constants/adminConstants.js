@@ -42,3 +42,74 @@ export const ADD_MODERATOR_FAIL = "ADD_MODERATOR_FAIL";
 export const REMOVE_MODERATOR_SUCCESS = "REMOVE_MODERATOR_SUCCESS";
 
 export const REMOVE_MODERATOR_FAIL = "REMOVE_MODERATOR_FAIL";
+
+export const GET_PROVIDER_HEALTH_SUCCESS = "GET_PROVIDER_HEALTH_SUCCESS";
+
+export const GET_PROVIDER_HEALTH_FAIL = "GET_PROVIDER_HEALTH_FAIL";
+
+export const GET_CLASSIFICATION_CACHE_SUCCESS =
+  "GET_CLASSIFICATION_CACHE_SUCCESS";
+
+export const GET_CLASSIFICATION_CACHE_FAIL = "GET_CLASSIFICATION_CACHE_FAIL";
+
+export const GET_MODERATION_DECISIONS_SUCCESS =
+  "GET_MODERATION_DECISIONS_SUCCESS";
+
+export const GET_MODERATION_DECISIONS_FAIL = "GET_MODERATION_DECISIONS_FAIL";
+
+export const GET_REPLAY_JOBS_SUCCESS = "GET_REPLAY_JOBS_SUCCESS";
+
+export const GET_REPLAY_JOBS_FAIL = "GET_REPLAY_JOBS_FAIL";
+
+export const GET_REPLAY_JOB_SUCCESS = "GET_REPLAY_JOB_SUCCESS";
+
+export const GET_REPLAY_JOB_FAIL = "GET_REPLAY_JOB_FAIL";
+
+export const SAVE_REPLAY_JOB_SUCCESS = "SAVE_REPLAY_JOB_SUCCESS";
+
+export const SAVE_REPLAY_JOB_FAIL = "SAVE_REPLAY_JOB_FAIL";
+
+export const GET_PLATFORM_APPEALS_SUCCESS = "GET_PLATFORM_APPEALS_SUCCESS";
+
+export const GET_PLATFORM_APPEALS_FAIL = "GET_PLATFORM_APPEALS_FAIL";
+
+export const REVIEW_PLATFORM_APPEAL_SUCCESS = "REVIEW_PLATFORM_APPEAL_SUCCESS";
+
+export const REVIEW_PLATFORM_APPEAL_FAIL = "REVIEW_PLATFORM_APPEAL_FAIL";
+
+export const GET_KEYWORD_RULE_SETS_SUCCESS = "GET_KEYWORD_RULE_SETS_SUCCESS";
+
+export const GET_KEYWORD_RULE_SETS_FAIL = "GET_KEYWORD_RULE_SETS_FAIL";
+
+export const SAVE_KEYWORD_RULE_SET_SUCCESS = "SAVE_KEYWORD_RULE_SET_SUCCESS";
+
+export const SAVE_KEYWORD_RULE_SET_FAIL = "SAVE_KEYWORD_RULE_SET_FAIL";
+
+export const DELETE_KEYWORD_RULE_SET_SUCCESS =
+  "DELETE_KEYWORD_RULE_SET_SUCCESS";
+
+export const DELETE_KEYWORD_RULE_SET_FAIL = "DELETE_KEYWORD_RULE_SET_FAIL";
+
+export const GET_MEDIA_HASHES_SUCCESS = "GET_MEDIA_HASHES_SUCCESS";
+
+export const GET_MEDIA_HASHES_FAIL = "GET_MEDIA_HASHES_FAIL";
+
+export const SAVE_MEDIA_HASH_SUCCESS = "SAVE_MEDIA_HASH_SUCCESS";
+
+export const SAVE_MEDIA_HASH_FAIL = "SAVE_MEDIA_HASH_FAIL";
+
+export const GET_CLASSIFIER_STATUS_SUCCESS = "GET_CLASSIFIER_STATUS_SUCCESS";
+
+export const GET_CLASSIFIER_STATUS_FAIL = "GET_CLASSIFIER_STATUS_FAIL";
+
+export const SYNC_CLASSIFIER_SUCCESS = "SYNC_CLASSIFIER_SUCCESS";
+
+export const SYNC_CLASSIFIER_FAIL = "SYNC_CLASSIFIER_FAIL";
+
+export const GET_SPAM_ACCOUNTS_SUCCESS = "GET_SPAM_ACCOUNTS_SUCCESS";
+
+export const GET_SPAM_ACCOUNTS_FAIL = "GET_SPAM_ACCOUNTS_FAIL";
+
+export const RESET_TWO_FACTOR_SUCCESS = "RESET_TWO_FACTOR_SUCCESS";
+
+export const RESET_TWO_FACTOR_FAIL = "RESET_TWO_FACTOR_FAIL";
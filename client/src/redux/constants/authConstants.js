@@ -4,6 +4,9 @@ export const SIGNUP_FAIL = "SIGNUP_FAIL";
 export const SIGNIN_SUCCESS = "SIGNIN_SUCCESS";
 export const SIGNIN_FAIL = "SIGNIN_FAIL";
 
+export const TWO_FACTOR_REQUIRED = "TWO_FACTOR_REQUIRED";
+export const CLEAR_TWO_FACTOR_CHALLENGE = "CLEAR_TWO_FACTOR_CHALLENGE";
+
 export const LOGOUT = "LOGOUT";
 
 export const REFRESH_TOKEN_SUCCESS = "REFRESH_TOKEN_SUCCESS";
@@ -11,29 +14,56 @@ export const REFRESH_TOKEN_FAIL = "REFRESH_TOKEN_FAIL";
 export const GET_MOD_PROFILE_SUCCESS = "GET_MOD_PROFILE_SUCCESS";
 export const GET_MOD_PROFILE_FAIL = "GET_MOD_PROFILE_FAIL";
 
-export const GET_CONTEXT_AUTH_DATA_SUCCESS = "GET_CONTEXT_AUTH_DATA_SUCCESS";
-export const GET_CONTEXT_AUTH_DATA_FAIL = "GET_CONTEXT_AUTH_DATA_FAIL";
+export const GET_TRUSTED_DEVICES_SUCCESS = "GET_TRUSTED_DEVICES_SUCCESS";
+export const GET_TRUSTED_DEVICES_FAIL = "GET_TRUSTED_DEVICES_FAIL";
+
+export const RENAME_TRUSTED_DEVICE_FAIL = "RENAME_TRUSTED_DEVICE_FAIL";
 
-export const GET_TRUSTED_AUTH_CONTEXT_DATA_SUCCESS =
-  "GET_TRUSTED_AUTH_CONTEXT_DATA_SUCCESS";
-export const GET_TRUSTED_AUTH_CONTEXT_DATA_FAIL =
-  "GET_TRUSTED_AUTH_CONTEXT_DATA_FAIL";
+export const REMOVE_TRUSTED_DEVICE_FAIL = "REMOVE_TRUSTED_DEVICE_FAIL";
+
+export const BLOCK_TRUSTED_DEVICE_FAIL = "BLOCK_TRUSTED_DEVICE_FAIL";
 
 export const GET_BLOCKED_AUTH_CONTEXT_DATA_SUCCESS =
   "GET_BLOCKED_AUTH_CONTEXT_DATA_SUCCESS";
 export const GET_BLOCKED_AUTH_CONTEXT_DATA_FAIL =
   "GET_BLOCKED_AUTH_CONTEXT_DATA_FAIL";
 
-export const DELETE_CONTEXT_AUTH_DATA_FAIL = "DELETE_CONTEXT_AUTH_DATA_FAIL";
-
-export const BLOCK_CONTEXT_AUTH_DATA_FAIL = "BLOCK_CONTEXT_AUTH_DATA_FAIL";
-
 export const UNBLOCK_CONTEXT_AUTH_DATA_FAIL = "UNBLOCK_CONTEXT_AUTH_DATA_FAIL";
 
 export const GET_USER_PREFERENCES_SUCCESS = "GET_USER_PREFERENCES_SUCCESS";
 export const GET_USER_PREFERENCES_FAIL = "GET_USER_PREFERENCES_FAIL";
 
+export const GET_TWO_FACTOR_SUCCESS = "GET_TWO_FACTOR_SUCCESS";
+export const GET_TWO_FACTOR_FAIL = "GET_TWO_FACTOR_FAIL";
+
+export const SETUP_TWO_FACTOR_SUCCESS = "SETUP_TWO_FACTOR_SUCCESS";
+export const SETUP_TWO_FACTOR_FAIL = "SETUP_TWO_FACTOR_FAIL";
+
+export const ENABLE_TWO_FACTOR_SUCCESS = "ENABLE_TWO_FACTOR_SUCCESS";
+export const ENABLE_TWO_FACTOR_FAIL = "ENABLE_TWO_FACTOR_FAIL";
+
+export const DISABLE_TWO_FACTOR_SUCCESS = "DISABLE_TWO_FACTOR_SUCCESS";
+export const DISABLE_TWO_FACTOR_FAIL = "DISABLE_TWO_FACTOR_FAIL";
+
+export const REGENERATE_RECOVERY_CODES_SUCCESS =
+  "REGENERATE_RECOVERY_CODES_SUCCESS";
+export const REGENERATE_RECOVERY_CODES_FAIL = "REGENERATE_RECOVERY_CODES_FAIL";
+
+export const CLEAR_RECOVERY_CODES = "CLEAR_RECOVERY_CODES";
+
+export const GET_PASSKEYS_SUCCESS = "GET_PASSKEYS_SUCCESS";
+export const GET_PASSKEYS_FAIL = "GET_PASSKEYS_FAIL";
+
+export const ADD_PASSKEY_SUCCESS = "ADD_PASSKEY_SUCCESS";
+export const ADD_PASSKEY_FAIL = "ADD_PASSKEY_FAIL";
+
+export const REMOVE_PASSKEY_SUCCESS = "REMOVE_PASSKEY_SUCCESS";
+export const REMOVE_PASSKEY_FAIL = "REMOVE_PASSKEY_FAIL";
+
 export const ERROR_MESSAGE = "Something went wrong.";
+export const PASSKEY_NOT_SUPPORTED_MESSAGE =
+  "This browser does not support passkeys.";
+export const PASSKEY_CANCELLED_MESSAGE = "The passkey request was cancelled.";
 export const SIGNUP_SUCCESS_MESSAGE =
   "You have successfully created an account. Please sign in.";
 
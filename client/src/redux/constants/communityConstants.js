@@ -23,3 +23,17 @@ export const GET_COMMUNITY_MODS_FAIL = "GET_COMMUNITY_MODS_FAIL";
 export const BAN_USER_SUCCESS = "BAN_USER_SUCCESS";
 export const BAN_USER_FAIL = "BAN_USER_FAIL";
 export const UNBAN_USER_FAIL = "UNBAN_USER_FAIL";
+export const GET_REVIEW_QUEUE_SUCCESS = "GET_REVIEW_QUEUE_SUCCESS";
+export const GET_REVIEW_QUEUE_FAIL = "GET_REVIEW_QUEUE_FAIL";
+export const REVIEW_CONTENT_SUCCESS = "REVIEW_CONTENT_SUCCESS";
+export const REVIEW_CONTENT_FAIL = "REVIEW_CONTENT_FAIL";
+export const GET_MODERATION_POLICY_SUCCESS = "GET_MODERATION_POLICY_SUCCESS";
+export const GET_MODERATION_POLICY_FAIL = "GET_MODERATION_POLICY_FAIL";
+export const UPDATE_MODERATION_POLICY_SUCCESS =
+  "UPDATE_MODERATION_POLICY_SUCCESS";
+export const UPDATE_MODERATION_POLICY_FAIL = "UPDATE_MODERATION_POLICY_FAIL";
+export const GET_COMMUNITY_APPEALS_SUCCESS = "GET_COMMUNITY_APPEALS_SUCCESS";
+export const GET_COMMUNITY_APPEALS_FAIL = "GET_COMMUNITY_APPEALS_FAIL";
+export const REVIEW_COMMUNITY_APPEAL_SUCCESS =
+  "REVIEW_COMMUNITY_APPEAL_SUCCESS";
+export const REVIEW_COMMUNITY_APPEAL_FAIL = "REVIEW_COMMUNITY_APPEAL_FAIL";
@@ -9,3 +9,8 @@ export const CHANGE_FOLLOW_STATUS_SUCCESS = "CHANGE_FOLLOW_STATUS_SUCCESS";
 export const CHANGE_FOLLOW_STATUS_FAIL = "CHANGE_FOLLOW_STATUS_FAIL";
 export const GET_FOLLOWING_USERS_SUCCESS = "GET_FOLLOWING_USERS_SUCCESS";
 export const GET_FOLLOWING_USERS_FAIL = "GET_FOLLOWING_USERS_FAIL";
+export const GET_APPEALS_SUCCESS = "GET_APPEALS_SUCCESS";
+export const GET_APPEALS_FAIL = "GET_APPEALS_FAIL";
+export const CREATE_APPEAL_SUCCESS = "CREATE_APPEAL_SUCCESS";
+export const CREATE_APPEAL_FAIL = "CREATE_APPEAL_FAIL";
+export const CLEAR_APPEAL_ERROR = "CLEAR_APPEAL_ERROR";
@@ -3,9 +3,25 @@ import * as types from "../constants/adminConstants";
 const initialState = {
   logs: [],
   servicePreferences: null,
+  providerHealth: null,
+  classificationCache: null,
+  moderationDecisions: null,
+  spamAccounts: null,
+  appeals: null,
+  replayJobs: null,
+  replayJob: null,
+  replayJobError: null,
   communities: null,
   community: null,
   moderators: null,
+  keywordRuleSets: null,
+  keywordRuleSetError: null,
+  mediaHashes: null,
+  mediaHashError: null,
+  classifierStatus: null,
+  classifierError: null,
+  twoFactorResetMessage: null,
+  twoFactorResetError: null,
   adminPanelError: null,
   signInError: null,
 };
@@ -31,9 +47,22 @@ const adminReducer = (state = initialState, action) => {
         adminAccessToken: null,
         logs: [],
         servicePreferences: null,
+        providerHealth: null,
+        classificationCache: null,
+        moderationDecisions: null,
+        appeals: null,
+        replayJobs: null,
+        replayJob: null,
+        replayJobError: null,
         communities: null,
         community: null,
         moderators: null,
+        keywordRuleSets: null,
+        keywordRuleSetError: null,
+        mediaHashes: null,
+        mediaHashError: null,
+        classifierStatus: null,
+        classifierError: null,
         adminPanelError: null,
         signInError: null,
       };
@@ -145,6 +174,190 @@ const adminReducer = (state = initialState, action) => {
         ...state,
         adminPanelError: payload ? payload : null,
       };
+    case types.GET_PROVIDER_HEALTH_SUCCESS:
+      return {
+        ...state,
+        providerHealth: payload ? payload : null,
+      };
+    case types.GET_PROVIDER_HEALTH_FAIL:
+      return {
+        ...state,
+        providerHealth: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.GET_CLASSIFICATION_CACHE_SUCCESS:
+      return {
+        ...state,
+        classificationCache: payload ? payload : null,
+      };
+    case types.GET_CLASSIFICATION_CACHE_FAIL:
+      return {
+        ...state,
+        classificationCache: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.GET_MODERATION_DECISIONS_SUCCESS:
+      return {
+        ...state,
+        moderationDecisions: payload ? payload : null,
+        adminPanelError: null,
+      };
+    case types.GET_MODERATION_DECISIONS_FAIL:
+      return {
+        ...state,
+        moderationDecisions: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.GET_REPLAY_JOBS_SUCCESS:
+      return {
+        ...state,
+        replayJobs: payload ? payload : [],
+        adminPanelError: null,
+      };
+    case types.GET_REPLAY_JOBS_FAIL:
+      return {
+        ...state,
+        replayJobs: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.GET_REPLAY_JOB_SUCCESS:
+      return {
+        ...state,
+        replayJob: payload ? payload : null,
+        adminPanelError: null,
+      };
+    case types.GET_REPLAY_JOB_FAIL:
+      return {
+        ...state,
+        replayJob: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.SAVE_REPLAY_JOB_SUCCESS:
+      return {
+        ...state,
+        replayJobError: null,
+      };
+    case types.SAVE_REPLAY_JOB_FAIL:
+      return {
+        ...state,
+        replayJobError: payload ? payload : null,
+      };
+    case types.GET_PLATFORM_APPEALS_SUCCESS:
+      return {
+        ...state,
+        appeals: payload ? payload : [],
+        adminPanelError: null,
+      };
+    case types.GET_PLATFORM_APPEALS_FAIL:
+      return {
+        ...state,
+        appeals: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.REVIEW_PLATFORM_APPEAL_SUCCESS:
+      return {
+        ...state,
+        appeals:
+          state.appeals &&
+          state.appeals.filter((appeal) => appeal._id !== payload),
+        adminPanelError: null,
+      };
+    case types.REVIEW_PLATFORM_APPEAL_FAIL:
+      return {
+        ...state,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.GET_KEYWORD_RULE_SETS_SUCCESS:
+      return {
+        ...state,
+        keywordRuleSets: payload ? payload : [],
+        adminPanelError: null,
+      };
+    case types.GET_KEYWORD_RULE_SETS_FAIL:
+      return {
+        ...state,
+        keywordRuleSets: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.SAVE_KEYWORD_RULE_SET_SUCCESS:
+    case types.DELETE_KEYWORD_RULE_SET_SUCCESS:
+      return {
+        ...state,
+        keywordRuleSetError: null,
+      };
+    case types.SAVE_KEYWORD_RULE_SET_FAIL:
+    case types.DELETE_KEYWORD_RULE_SET_FAIL:
+      return {
+        ...state,
+        keywordRuleSetError: payload ? payload : null,
+      };
+    case types.GET_MEDIA_HASHES_SUCCESS:
+      return {
+        ...state,
+        mediaHashes: payload ? payload : null,
+        adminPanelError: null,
+      };
+    case types.GET_MEDIA_HASHES_FAIL:
+      return {
+        ...state,
+        mediaHashes: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.SAVE_MEDIA_HASH_SUCCESS:
+      return {
+        ...state,
+        mediaHashError: null,
+      };
+    case types.SAVE_MEDIA_HASH_FAIL:
+      return {
+        ...state,
+        mediaHashError: payload ? payload : null,
+      };
+    case types.GET_CLASSIFIER_STATUS_SUCCESS:
+      return {
+        ...state,
+        classifierStatus: payload ? payload : null,
+      };
+    case types.GET_CLASSIFIER_STATUS_FAIL:
+      return {
+        ...state,
+        classifierStatus: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.SYNC_CLASSIFIER_SUCCESS:
+      return {
+        ...state,
+        classifierError: null,
+      };
+    case types.SYNC_CLASSIFIER_FAIL:
+      return {
+        ...state,
+        classifierError: payload ? payload : null,
+      };
+    case types.GET_SPAM_ACCOUNTS_SUCCESS:
+      return {
+        ...state,
+        spamAccounts: payload ? payload : null,
+        adminPanelError: null,
+      };
+    case types.GET_SPAM_ACCOUNTS_FAIL:
+      return {
+        ...state,
+        spamAccounts: null,
+        adminPanelError: payload ? payload : null,
+      };
+    case types.RESET_TWO_FACTOR_SUCCESS:
+      return {
+        ...state,
+        twoFactorResetMessage: payload ? payload : null,
+        twoFactorResetError: null,
+      };
+    case types.RESET_TWO_FACTOR_FAIL:
+      return {
+        ...state,
+        twoFactorResetMessage: null,
+        twoFactorResetError: payload ? payload : null,
+      };
     default:
       return state;
   }
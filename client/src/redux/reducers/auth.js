@@ -12,11 +12,17 @@ const initialState = {
   signUpError: [],
   successMessage: null,
   isModeratorOfThisCommunity: false,
-  contextAuthData: null,
-  trustedAuthContextData: [],
+  trustedDevices: [],
   blockedAuthContextData: [],
   userPreferences: null,
   contextAuthError: null,
+  twoFactorChallenge: null,
+  twoFactor: null,
+  twoFactorSetup: null,
+  recoveryCodes: [],
+  twoFactorError: null,
+  passkeys: [],
+  passkeyError: null,
 };
 
 const authReducer = (state = initialState, action) => {
@@ -63,6 +69,21 @@ const authReducer = (state = initialState, action) => {
         refreshToken: payload ? payload.refreshToken : null,
         signInError: null,
         successMessage: payload ? payload : null,
+        twoFactorChallenge: null,
+      };
+
+    case types.TWO_FACTOR_REQUIRED:
+      return {
+        ...state,
+        signInError: null,
+        successMessage: null,
+        twoFactorChallenge: payload ? payload : null,
+      };
+
+    case types.CLEAR_TWO_FACTOR_CHALLENGE:
+      return {
+        ...state,
+        twoFactorChallenge: null,
       };
 
     case types.SIGNIN_FAIL:
@@ -83,6 +104,11 @@ const authReducer = (state = initialState, action) => {
         signUpError: [],
         successMessage: null,
         isModeratorOfThisCommunity: false,
+        twoFactorChallenge: null,
+        twoFactor: null,
+        twoFactorSetup: null,
+        recoveryCodes: [],
+        passkeys: [],
       };
 
     case types.REFRESH_TOKEN_SUCCESS:
@@ -120,31 +146,17 @@ const authReducer = (state = initialState, action) => {
         isModeratorOfThisCommunity: false,
       };
 
-    case types.GET_CONTEXT_AUTH_DATA_SUCCESS:
-      return {
-        ...state,
-        contextAuthData: payload ? payload : null,
-        contextAuthError: null,
-      };
-
-    case types.GET_CONTEXT_AUTH_DATA_FAIL:
-      return {
-        ...state,
-        contextAuthData: null,
-        contextAuthError: payload ? payload : null,
-      };
-
-    case types.GET_TRUSTED_AUTH_CONTEXT_DATA_SUCCESS:
+    case types.GET_TRUSTED_DEVICES_SUCCESS:
       return {
         ...state,
-        trustedAuthContextData: payload ? payload : [],
+        trustedDevices: payload ? payload : [],
         contextAuthError: null,
       };
 
-    case types.GET_TRUSTED_AUTH_CONTEXT_DATA_FAIL:
+    case types.GET_TRUSTED_DEVICES_FAIL:
       return {
         ...state,
-        trustedAuthContextData: [],
+        trustedDevices: [],
         contextAuthError: payload ? payload : null,
       };
 
@@ -176,14 +188,95 @@ const authReducer = (state = initialState, action) => {
         contextAuthError: payload ? payload : null,
       };
 
-    case types.DELETE_CONTEXT_AUTH_DATA_FAIL:
+    case types.RENAME_TRUSTED_DEVICE_FAIL:
+    case types.REMOVE_TRUSTED_DEVICE_FAIL:
+    case types.BLOCK_TRUSTED_DEVICE_FAIL:
     case types.UNBLOCK_CONTEXT_AUTH_DATA_FAIL:
-    case types.BLOCK_CONTEXT_AUTH_DATA_FAIL:
       return {
         ...state,
         contextAuthError: payload ? payload : null,
       };
 
+    case types.GET_TWO_FACTOR_SUCCESS:
+      return {
+        ...state,
+        twoFactor: payload ? payload : null,
+      };
+
+    case types.GET_TWO_FACTOR_FAIL:
+      return {
+        ...state,
+        twoFactor: null,
+        twoFactorError: payload ? payload : null,
+      };
+
+    case types.SETUP_TWO_FACTOR_SUCCESS:
+      return {
+        ...state,
+        twoFactorSetup: payload ? payload : null,
+        twoFactorError: null,
+      };
+
+    case types.ENABLE_TWO_FACTOR_SUCCESS:
+    case types.REGENERATE_RECOVERY_CODES_SUCCESS:
+      return {
+        ...state,
+        twoFactorSetup: null,
+        recoveryCodes: payload ? payload : [],
+        twoFactorError: null,
+      };
+
+    case types.DISABLE_TWO_FACTOR_SUCCESS:
+      return {
+        ...state,
+        recoveryCodes: [],
+        twoFactorError: null,
+      };
+
+    case types.SETUP_TWO_FACTOR_FAIL:
+    case types.ENABLE_TWO_FACTOR_FAIL:
+    case types.DISABLE_TWO_FACTOR_FAIL:
+    case types.REGENERATE_RECOVERY_CODES_FAIL:
+      return {
+        ...state,
+        twoFactorError: payload ? payload : null,
+      };
+
+    case types.CLEAR_RECOVERY_CODES:
+      return {
+        ...state,
+        recoveryCodes: [],
+      };
+
+    case types.GET_PASSKEYS_SUCCESS:
+      return {
+        ...state,
+        passkeys: payload ? payload : [],
+        passkeyError: null,
+      };
+
+    case types.ADD_PASSKEY_SUCCESS:
+      return {
+        ...state,
+        passkeys: payload ? [payload, ...state.passkeys] : state.passkeys,
+        passkeyError: null,
+      };
+
+    case types.REMOVE_PASSKEY_SUCCESS:
+      return {
+        ...state,
+        passkeys: state.passkeys.filter((passkey) => passkey._id !== payload),
+        passkeyError: null,
+      };
+
+    case types.GET_PASSKEYS_FAIL:
+    case types.ADD_PASSKEY_FAIL:
+    case types.REMOVE_PASSKEY_FAIL:
+      return {
+        ...state,
+        passkeyError: payload ? payload : null,
+      };
+
     case types.CLEAR_MESSAGE:
       return {
         ...state,
@@ -10,6 +10,10 @@ const initialState = {
   communityMembers: [],
   communityMods: [],
   bannedUsers: [],
+  reviewQueue: null,
+  appeals: null,
+  moderationPolicy: null,
+  moderationPolicyError: null,
   modError: null,
 };
 
@@ -24,6 +28,10 @@ const moderationReducer = (state = initialState, action) => {
         communityMembers: [],
         communityMods: [],
         bannedUsers: [],
+        reviewQueue: null,
+        appeals: null,
+        moderationPolicy: null,
+        moderationPolicyError: null,
         modError: null,
       };
 
@@ -81,6 +89,97 @@ const moderationReducer = (state = initialState, action) => {
         modError: payload,
       };
 
+    case types.GET_REVIEW_QUEUE_SUCCESS:
+      return {
+        ...state,
+        reviewQueue: payload ? payload : { posts: [], comments: [] },
+        modError: null,
+      };
+
+    case types.GET_REVIEW_QUEUE_FAIL:
+      return {
+        ...state,
+        reviewQueue: null,
+        modError: payload,
+      };
+
+    case types.REVIEW_CONTENT_SUCCESS:
+      return {
+        ...state,
+        reviewQueue: state.reviewQueue && {
+          ...state.reviewQueue,
+          [payload.contentType]: state.reviewQueue[payload.contentType].filter(
+            (item) => item._id !== payload.id
+          ),
+        },
+        modError: null,
+      };
+
+    case types.REVIEW_CONTENT_FAIL:
+      return {
+        ...state,
+        modError: payload,
+      };
+
+    case types.GET_COMMUNITY_APPEALS_SUCCESS:
+      return {
+        ...state,
+        appeals: payload ? payload : [],
+        modError: null,
+      };
+
+    case types.GET_COMMUNITY_APPEALS_FAIL:
+      return {
+        ...state,
+        appeals: null,
+        modError: payload,
+      };
+
+    case types.REVIEW_COMMUNITY_APPEAL_SUCCESS:
+      return {
+        ...state,
+        appeals:
+          state.appeals &&
+          state.appeals.filter((appeal) => appeal._id !== payload),
+        modError: null,
+      };
+
+    case types.REVIEW_COMMUNITY_APPEAL_FAIL:
+      return {
+        ...state,
+        modError: payload,
+      };
+
+    case types.GET_MODERATION_POLICY_SUCCESS:
+      return {
+        ...state,
+        moderationPolicy: payload ? payload : null,
+        moderationPolicyError: null,
+      };
+
+    case types.GET_MODERATION_POLICY_FAIL:
+      return {
+        ...state,
+        moderationPolicy: null,
+        moderationPolicyError: payload,
+      };
+
+    case types.UPDATE_MODERATION_POLICY_SUCCESS:
+      return {
+        ...state,
+        moderationPolicy: state.moderationPolicy && {
+          ...state.moderationPolicy,
+          policy: payload.policy,
+        },
+        moderationPolicyError: null,
+      };
+
+    case types.UPDATE_MODERATION_POLICY_FAIL:
+      return {
+        ...state,
+        moderationPolicyError: payload,
+      };
+
     default:
       return state;
   }
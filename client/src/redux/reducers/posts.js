@@ -16,6 +16,7 @@ const initialState = {
   confirmationToken: null,
   isPostInappropriate: false,
   isCommentInappropriate: false,
+  blockedSubmission: null,
 };
 
 const postsReducer = (state = initialState, action) => {
@@ -40,6 +41,7 @@ const postsReducer = (state = initialState, action) => {
         confirmationToken: null,
         isPostInappropriate: false,
         isCommentInappropriate: false,
+        blockedSubmission: null,
       };
 
     case types.CREATE_POST_SUCCESS:
@@ -65,6 +67,7 @@ const postsReducer = (state = initialState, action) => {
       return {
         ...state,
         isPostInappropriate: true,
+        blockedSubmission: payload ? payload : null,
       };
 
     case types.CREATE_POST_FAIL_DETECT_CATEGORY:
@@ -86,6 +89,7 @@ const postsReducer = (state = initialState, action) => {
         postCategory: null,
         confirmationToken: null,
         isPostInappropriate: false,
+        blockedSubmission: null,
       };
 
     case types.GET_POST_SUCCESS:
@@ -243,6 +247,7 @@ const postsReducer = (state = initialState, action) => {
       return {
         ...state,
         isCommentInappropriate: true,
+        blockedSubmission: payload ? payload : null,
       };
 
     case types.CLEAR_COMMENT_FAIL:
@@ -250,6 +255,7 @@ const postsReducer = (state = initialState, action) => {
         ...state,
         commentError: null,
         isCommentInappropriate: false,
+        blockedSubmission: null,
       };
 
     case types.LIKE_POST_SUCCESS:
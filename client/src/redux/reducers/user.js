@@ -8,6 +8,8 @@ const initialState = {
   followingUsers: [],
   isFollowing: null,
   userError: null,
+  appeals: null,
+  appealError: null,
 };
 
 const userReducer = (state = initialState, action) => {
@@ -23,6 +25,8 @@ const userReducer = (state = initialState, action) => {
         followingUsers: [],
         isFollowing: null,
         userError: null,
+        appeals: null,
+        appealError: null,
       };
 
     case types.GET_USER_SUCCESS:
@@ -68,6 +72,21 @@ const userReducer = (state = initialState, action) => {
     case types.GET_FOLLOWING_USERS_FAIL:
       return { ...state, userError: payload };
 
+    case types.GET_APPEALS_SUCCESS:
+      return { ...state, appeals: payload ? payload : null, appealError: null };
+
+    case types.GET_APPEALS_FAIL:
+      return { ...state, appeals: null, appealError: payload };
+
+    case types.CREATE_APPEAL_SUCCESS:
+      return { ...state, appealError: null };
+
+    case types.CREATE_APPEAL_FAIL:
+      return { ...state, appealError: payload };
+
+    case types.CLEAR_APPEAL_ERROR:
+      return { ...state, appealError: null };
+
     default:
       return state;
   }
@@ -15,6 +15,7 @@ import SignUp from "./pages/SignUp";
 const ReportedPost = lazy(() => import("./pages/ReportedPost"));
 const Moderator = lazy(() => import("./pages/Moderator"));
 const DevicesLocations = lazy(() => import("./pages/DevicesLocations"));
+const Appeals = lazy(() => import("./pages/Appeals"));
 const VerifyEmail = lazy(() => import("./pages/VerifyEmail"));
 const EmailVerifiedMessage = lazy(() => import("./pages/EmailVerifiedMessage"));
 const BlockDevice = lazy(() => import("./pages/BlockDevice"));
@@ -79,6 +80,10 @@ export const privateRoutes = [
     path: "/devices-locations",
     element: <DevicesLocations />,
   },
+  {
+    path: "/appeals",
+    element: <Appeals />,
+  },
 ];
 
 export const publicRoutes = [
@@ -0,0 +1,28 @@
+/**
+ * The languages detected in posts and comments, by ISO 639-1 code. Mirrors
+ * LANGUAGES in the server's services/moderation/languageDetection.js.
+ */
+const LANGUAGES = {
+  ar: "Arabic",
+  de: "German",
+  el: "Greek",
+  en: "English",
+  es: "Spanish",
+  fr: "French",
+  he: "Hebrew",
+  hi: "Hindi",
+  id: "Indonesian",
+  it: "Italian",
+  ja: "Japanese",
+  ko: "Korean",
+  nl: "Dutch",
+  pl: "Polish",
+  pt: "Portuguese",
+  ru: "Russian",
+  sv: "Swedish",
+  th: "Thai",
+  tr: "Turkish",
+  zh: "Chinese",
+};
+
+export { LANGUAGES };
@@ -0,0 +1,95 @@
+/**
+ * Browser side of passkeys. The server sends and receives binary WebAuthn
+ * values as base64url strings, navigator.credentials works with buffers.
+ */
+
+const toBase64Url = (buffer) =>
+  window
+    .btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = window.atob(
+    base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), "=")
+  );
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0)).buffer;
+};
+
+/**
+ * Whether the browser supports passkeys.
+ * @returns {boolean}
+ */
+const isPasskeySupported = () =>
+  typeof window !== "undefined" && !!window.PublicKeyCredential;
+
+/**
+ * Whether the user closed the browser prompt, or let it time out.
+ * @param {Error} error - The error navigator.credentials threw.
+ * @returns {boolean}
+ */
+const isPasskeyCancelled = (error) => error?.name === "NotAllowedError";
+
+/**
+ * Creates a passkey on this device.
+ * @param {Object} options - The registration options from the server.
+ * @returns {Promise<Object>} The new credential, to send to the server.
+ */
+const createPasskey = async (options) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+      user: { ...options.user, id: fromBase64Url(options.user.id) },
+      excludeCredentials: options.excludeCredentials.map((excluded) => ({
+        ...excluded,
+        id: fromBase64Url(excluded.id),
+      })),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+      attestationObject: toBase64Url(credential.response.attestationObject),
+      transports: credential.response.getTransports
+        ? credential.response.getTransports()
+        : [],
+    },
+  };
+};
+
+/**
+ * Signs in with one of the passkeys of the site the user picks.
+ * @param {Object} options - The authentication options from the server.
+ * @returns {Promise<Object>} The assertion, to send to the server.
+ */
+const getPasskey = async (options) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: fromBase64Url(options.challenge),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(credential.response.clientDataJSON),
+      authenticatorData: toBase64Url(credential.response.authenticatorData),
+      signature: toBase64Url(credential.response.signature),
+      userHandle: credential.response.userHandle
+        ? toBase64Url(credential.response.userHandle)
+        : null,
+    },
+  };
+};
+
+export { isPasskeySupported, isPasskeyCancelled, createPasskey, getPasskey };
@@ -13,9 +13,13 @@ const userRoutes = require("./routes/user.route");
 const postRoutes = require("./routes/post.route");
 const communityRoutes = require("./routes/community.route");
 const contextAuthRoutes = require("./routes/context-auth.route");
+const appealRoutes = require("./routes/appeal.route");
 const search = require("./controllers/search.controller");
 const Database = require("./config/database");
 const decodeToken = require("./middlewares/auth/decodeToken");
+const { resumeReplayJobs } = require("./services/moderation/replay");
+const { startJobWorker } = require("./services/jobQueue");
+const { checkDecoders } = require("./services/moderation/mediaFrames");
 
 const app = express();
 
@@ -30,9 +34,13 @@ const db = new Database(process.env.MONGODB_URI, {
   useUnifiedTopology: true,
 });
 
-db.connect().catch((err) =>
-  console.error("Error connecting to database:", err)
-);
+db.connect()
+  .then(async () => {
+    await checkDecoders();
+    startJobWorker();
+    return resumeReplayJobs();
+  })
+  .catch((err) => console.error("Error connecting to database:", err));
 
 app.use(cors());
 app.use(morgan("dev"));
@@ -58,6 +66,7 @@ app.use("/users", userRoutes);
 app.use("/posts", postRoutes);
 app.use("/communities", communityRoutes);
 app.use("/admin", adminRoutes);
+app.use("/appeals", appealRoutes);
 
 process.on("SIGINT", async () => {
   try {
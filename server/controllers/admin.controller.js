@@ -8,6 +8,11 @@ const AdminToken = require("../models/token.admin.model");
 const Config = require("../models/config.model");
 const Community = require("../models/community.model");
 const User = require("../models/user.model");
+const AdminAction = require("../models/adminAction.model");
+const {
+  findPolicyViolation,
+} = require("../services/moderation/moderationPolicy");
+const { resetTwoFactor } = require("../services/twoFactor");
 
 /**
  * @route GET /admin/logs
@@ -25,8 +30,17 @@ const retrieveLogInfo = async (req, res) => {
 
     const formattedSignInLogs = [];
     for (let i = 0; i < signInLogs.length; i++) {
-      const { _id, email, context, message, type, level, timestamp } =
-        signInLogs[i];
+      const {
+        _id,
+        email,
+        context,
+        message,
+        type,
+        level,
+        riskScore,
+        riskFactors,
+        timestamp,
+      } = signInLogs[i];
       const contextData = context.split(",");
       const formattedContext = {};
 
@@ -49,6 +63,8 @@ const retrieveLogInfo = async (req, res) => {
         message,
         type,
         level,
+        riskScore,
+        riskFactors,
         timestamp,
       });
     }
@@ -169,17 +185,75 @@ const retrieveServicePreference = async (req, res) => {
 const updateServicePreference = async (req, res) => {
   try {
     const {
-      usePerspectiveAPI,
+      toxicityServiceProvider,
+      toxicityFallbackProviders,
+      moderationStages,
+      moderationFailureModes,
+      moderationFloors,
+      spamHoldThreshold,
+      spamBlockThreshold,
+      contextRiskStepUpThreshold,
+      contextRiskBlockThreshold,
+      maxTrustedDevices,
+      unsupportedLanguageAction,
+      mediaModerationProvider,
       categoryFilteringServiceProvider,
+      categoryFilteringFallbackProviders,
       categoryFilteringRequestTimeout,
+      categoryMatchMargin,
+      categorySuggestionCount,
+      classificationCacheTTL,
     } = req.body;
 
+    if (
+      spamHoldThreshold !== undefined &&
+      spamBlockThreshold !== undefined &&
+      Number(spamHoldThreshold) > Number(spamBlockThreshold)
+    ) {
+      return res.status(400).json({
+        message: "The spam hold threshold cannot be above the block threshold",
+      });
+    }
+
+    if (
+      contextRiskStepUpThreshold !== undefined &&
+      contextRiskBlockThreshold !== undefined &&
+      Number(contextRiskStepUpThreshold) > Number(contextRiskBlockThreshold)
+    ) {
+      return res.status(400).json({
+        message:
+          "The sign in verification threshold cannot be above the block threshold",
+      });
+    }
+
+    if (moderationFloors !== undefined) {
+      const violation = findPolicyViolation(moderationFloors);
+      if (violation) {
+        return res.status(400).json({ message: violation });
+      }
+    }
+
     const config = await Config.findOneAndUpdate(
       {},
       {
-        usePerspectiveAPI,
+        toxicityServiceProvider,
+        toxicityFallbackProviders,
+        moderationStages,
+        moderationFailureModes,
+        moderationFloors,
+        spamHoldThreshold,
+        spamBlockThreshold,
+        contextRiskStepUpThreshold,
+        contextRiskBlockThreshold,
+        maxTrustedDevices,
+        unsupportedLanguageAction,
+        mediaModerationProvider,
         categoryFilteringServiceProvider,
+        categoryFilteringFallbackProviders,
         categoryFilteringRequestTimeout,
+        categoryMatchMargin,
+        categorySuggestionCount,
+        classificationCacheTTL,
       },
       { new: true, upsert: true, setDefaultsOnInsert: true }
     );
@@ -285,7 +359,56 @@ const removeModerator = async (req, res) => {
   }
 };
 
+/**
+ * Turns off two-factor authentication of a user who lost their
+ * authenticator app and recovery codes. Logged for audit.
+ *
+ * @route PATCH /admin/users/reset-two-factor
+ */
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email: { $eq: email } }).select(
+      "+twoFactor.enabled"
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is not enabled for this user",
+      });
+    }
+
+    await resetTwoFactor(user._id);
+
+    await AdminAction.create({
+      admin: req.adminId,
+      action: "resetTwoFactor",
+      user: user._id,
+      email: user.email,
+    });
+    // and in the logs with the recent activity
+    const admin = await Admin.findById(req.adminId).select("username");
+    await Log.create({
+      email: user.email,
+      message: `Two-factor authentication reset by admin ${admin.username}`,
+      type: "two-factor",
+      level: "warn",
+    });
+
+    res.status(200).json({ message: "Two-factor authentication reset" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Error resetting two-factor authentication" });
+  }
+};
+
 module.exports = {
+  resetUserTwoFactor,
   retrieveServicePreference,
   updateServicePreference,
   retrieveLogInfo,
@@ -0,0 +1,387 @@
+const dayjs = require("dayjs");
+const relativeTime = require("dayjs/plugin/relativeTime");
+dayjs.extend(relativeTime);
+
+const Appeal = require("../models/appeal.model");
+const Post = require("../models/post.model");
+const Community = require("../models/community.model");
+const ModerationDecision = require("../models/moderationDecision.model");
+const { hashContent } = require("../services/moderation/decisionLog");
+const { resolveAppeal } = require("../services/appealService");
+
+const MAX_STATEMENT_LENGTH = 2000;
+
+const formatAppeal = (appeal) => ({
+  ...appeal,
+  createdAt: dayjs(appeal.createdAt).fromNow(),
+});
+
+/**
+ * Finds what a new appeal is filed against and who reviews it.
+ *
+ * @returns {Promise<{appeal?: Object, error?: string, status?: number}>}
+ */
+const buildAppeal = async (userId, body) => {
+  const { type, decisionId, content, postId, communityId } = body;
+
+  if (type === "blockedContent") {
+    const decision = await ModerationDecision.findOne({
+      _id: decisionId,
+      user: userId,
+      action: "block",
+      contentType: { $in: ["post", "comment"] },
+    }).lean();
+    if (!decision) {
+      return { status: 404, error: "Blocked content not found" };
+    }
+    if (decision.post || decision.comment) {
+      return { status: 409, error: "This content was published already" };
+    }
+    // The text is not stored with the decision, so the resubmitted content
+    // has to be exactly what was blocked
+    if (hashContent(content) !== decision.contentHash) {
+      return {
+        status: 400,
+        error: "The content does not match the blocked submission",
+      };
+    }
+
+    // a blocked comment is published on the post it was written on, never
+    // on one named by the client
+    let post = null;
+    if (decision.contentType === "comment") {
+      post = decision.commentedPost
+        ? await Post.findOne({
+            _id: decision.commentedPost,
+            community: decision.community,
+          })
+            .select("_id community")
+            .lean()
+        : null;
+      if (!post) {
+        return {
+          status: 404,
+          error: "The post this comment was written on was not found",
+        };
+      }
+    }
+
+    // Blocks by global keyword rules or global toxicity floors, and blocks
+    // outside any community, are platform decisions
+    const isPlatformBlock =
+      !decision.community ||
+      decision.reasons.some((reason) => reason && reason.global);
+
+    return {
+      appeal: {
+        type,
+        decision: decision._id,
+        contentType: decision.contentType,
+        content,
+        community: decision.community,
+        post: post ? post._id : null,
+        routedTo: isPlatformBlock ? "admins" : "moderators",
+      },
+    };
+  }
+
+  if (type === "removedPost") {
+    const post = await Post.findOne({
+      _id: postId,
+      user: userId,
+      status: { $in: ["removed", "rejected"] },
+    })
+      .select("_id community")
+      .lean();
+    if (!post) {
+      return { status: 404, error: "Removed post not found" };
+    }
+    return {
+      appeal: {
+        type,
+        post: post._id,
+        community: post.community,
+        routedTo: "moderators",
+      },
+    };
+  }
+
+  if (type === "ban") {
+    const community = await Community.findOne({
+      _id: communityId,
+      bannedUsers: userId,
+    })
+      .select("_id")
+      .lean();
+    if (!community) {
+      return { status: 404, error: "You are not banned from this community" };
+    }
+    return {
+      appeal: { type, community: community._id, routedTo: "moderators" },
+    };
+  }
+
+  return { status: 400, error: "Invalid appeal type" };
+};
+
+/**
+ * Files an appeal against a blocked post or comment, a removed post or a
+ * community ban. Each decision can be appealed once.
+ *
+ * @route POST /appeals
+ *
+ * @param {string} req.body.type - "blockedContent", "removedPost" or "ban".
+ * @param {string} req.body.statement - Why the decision should be reversed.
+ * @param {string} [req.body.decisionId] - The blocking decision, for blocked content.
+ * @param {string} [req.body.content] - The blocked text, for blocked content.
+ * @param {string} [req.body.postId] - The removed post.
+ * @param {string} [req.body.communityId] - The community, for bans.
+ */
+const createAppeal = async (req, res) => {
+  try {
+    const statement =
+      typeof req.body.statement === "string" ? req.body.statement.trim() : "";
+    if (!statement || statement.length > MAX_STATEMENT_LENGTH) {
+      return res.status(400).json({
+        message: `A statement of up to ${MAX_STATEMENT_LENGTH} characters is required`,
+      });
+    }
+
+    const { appeal, error, status } = await buildAppeal(req.userId, req.body);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const target =
+      appeal.type === "blockedContent"
+        ? { decision: appeal.decision }
+        : appeal.type === "removedPost"
+        ? { post: appeal.post }
+        : { community: appeal.community };
+    const existing = await Appeal.exists({
+      user: req.userId,
+      type: appeal.type,
+      ...target,
+    });
+    if (existing) {
+      return res
+        .status(409)
+        .json({ message: "This decision has already been appealed" });
+    }
+
+    const savedAppeal = await Appeal.create({
+      ...appeal,
+      user: req.userId,
+      statement,
+    });
+
+    res.status(201).json(savedAppeal);
+  } catch (error) {
+    res.status(500).json({ message: "Error filing appeal" });
+  }
+};
+
+/**
+ * Retrieves the current user's appeals, along with the removed posts and bans
+ * that can still be appealed.
+ *
+ * @route GET /appeals
+ */
+const getMyAppeals = async (req, res) => {
+  try {
+    const userId = req.userId;
+
+    const [appeals, removedPosts, bannedFrom] = await Promise.all([
+      Appeal.find({ user: userId })
+        .select("-user -reviewedBy -reviewerModel")
+        .populate("community", "name")
+        .populate("post", "content")
+        .sort({ createdAt: -1 })
+        .lean(),
+      Post.find({ user: userId, status: { $in: ["removed", "rejected"] } })
+        .select("_id content status community")
+        .populate("community", "name")
+        .lean(),
+      Community.find({ bannedUsers: userId }).select("_id name").lean(),
+    ]);
+
+    const appealedPosts = appeals
+      .filter((appeal) => appeal.type === "removedPost" && appeal.post)
+      .map((appeal) => appeal.post._id.toString());
+    const appealedBans = appeals
+      .filter((appeal) => appeal.type === "ban" && appeal.community)
+      .map((appeal) => appeal.community._id.toString());
+
+    res.status(200).json({
+      appeals: appeals.map(formatAppeal),
+      eligible: {
+        removedPosts: removedPosts.filter(
+          (post) => !appealedPosts.includes(post._id.toString())
+        ),
+        bans: bannedFrom.filter(
+          (community) => !appealedBans.includes(community._id.toString())
+        ),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving appeals" });
+  }
+};
+
+const findPendingAppeals = async (filter) => {
+  const appeals = await Appeal.find({ ...filter, status: "pending" })
+    .populate("user", "name avatar")
+    .populate("community", "name")
+    .populate("post", "content fileUrl fileType status")
+    .populate("decision", "reasons rule providers attachment createdAt")
+    .sort({ createdAt: 1 })
+    .lean();
+  return appeals.map(formatAppeal);
+};
+
+const parseReview = (body) => {
+  const { decision, note } = body;
+  if (!["approve", "reject"].includes(decision)) return null;
+  return {
+    decision,
+    note: typeof note === "string" ? note.trim() : "",
+  };
+};
+
+const findModeratedCommunity = async (name, userId) =>
+  await Community.findOne({ name, moderators: userId }).select("_id").lean();
+
+/**
+ * @route GET /communities/:name/appeals
+ */
+const getCommunityAppeals = async (req, res) => {
+  try {
+    const community = await findModeratedCommunity(req.params.name, req.userId);
+    if (!community) {
+      return res.status(401).json({
+        message: "Only moderators of this community can review appeals",
+      });
+    }
+
+    const appeals = await findPendingAppeals({
+      community: community._id,
+      routedTo: "moderators",
+    });
+
+    res.status(200).json(appeals);
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving appeals" });
+  }
+};
+
+/**
+ * Approves or rejects an appeal routed to the community moderators. Approved
+ * appeals restore the content or lift the ban.
+ *
+ * @route PATCH /communities/:name/appeals/:id
+ *
+ * @param {string} req.body.decision - "approve" or "reject".
+ * @param {string} [req.body.note] - Shown to the appellant.
+ */
+const reviewCommunityAppeal = async (req, res) => {
+  try {
+    const review = parseReview(req.body);
+    if (!review) {
+      return res.status(400).json({
+        message: "Invalid data. A decision is required.",
+      });
+    }
+
+    const community = await findModeratedCommunity(req.params.name, req.userId);
+    if (!community) {
+      return res.status(401).json({
+        message: "Only moderators of this community can review appeals",
+      });
+    }
+
+    const pending = await Appeal.exists({
+      _id: req.params.id,
+      community: community._id,
+      routedTo: "moderators",
+    });
+    const appeal =
+      pending &&
+      (await resolveAppeal(req.params.id, {
+        ...review,
+        reviewer: req.userId,
+        reviewerModel: "User",
+      }));
+
+    if (!appeal) {
+      return res.status(404).json({
+        message: "Appeal not found. It may have been reviewed already",
+      });
+    }
+
+    res.status(200).json({ _id: appeal._id, status: appeal.status });
+  } catch (error) {
+    res.status(500).json({ message: "Error reviewing appeal" });
+  }
+};
+
+/**
+ * @route GET /admin/appeals
+ */
+const getPlatformAppeals = async (req, res) => {
+  try {
+    const appeals = await findPendingAppeals({ routedTo: "admins" });
+    res.status(200).json(appeals);
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving appeals" });
+  }
+};
+
+/**
+ * Approves or rejects an appeal against a platform-level block.
+ *
+ * @route PATCH /admin/appeals/:id
+ *
+ * @param {string} req.body.decision - "approve" or "reject".
+ * @param {string} [req.body.note] - Shown to the appellant.
+ */
+const reviewPlatformAppeal = async (req, res) => {
+  try {
+    const review = parseReview(req.body);
+    if (!review) {
+      return res.status(400).json({
+        message: "Invalid data. A decision is required.",
+      });
+    }
+
+    const pending = await Appeal.exists({
+      _id: req.params.id,
+      routedTo: "admins",
+    });
+    const appeal =
+      pending &&
+      (await resolveAppeal(req.params.id, {
+        ...review,
+        reviewer: req.adminId,
+        reviewerModel: "Admin",
+      }));
+
+    if (!appeal) {
+      return res.status(404).json({
+        message: "Appeal not found. It may have been reviewed already",
+      });
+    }
+
+    res.status(200).json({ _id: appeal._id, status: appeal.status });
+  } catch (error) {
+    res.status(500).json({ message: "Error reviewing appeal" });
+  }
+};
+
+module.exports = {
+  createAppeal,
+  getMyAppeals,
+  getCommunityAppeals,
+  reviewCommunityAppeal,
+  getPlatformAppeals,
+  reviewPlatformAppeal,
+};
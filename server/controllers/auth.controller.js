@@ -4,6 +4,21 @@ const SuspiciousLogin = require("../models/suspiciousLogin.model");
 const geoip = require("geoip-lite");
 const { saveLogInfo } = require("../middlewares/logger/logInfo");
 const formatCreatedAt = require("../utils/timeConverter");
+const {
+  scoreLoginRisk,
+  getRiskDecision,
+  recordLoginAttempt,
+  describeTravel,
+} = require("../services/loginRisk");
+const {
+  CONTEXT_FIELDS,
+  toContextData,
+  getDeviceName,
+  verifyDeviceToken,
+  registerDevice,
+  listDevices,
+  touchDevice,
+} = require("../services/deviceRegistry");
 
 const types = {
   NO_CONTEXT_DATA: "no_context_data",
@@ -52,20 +67,12 @@ const getCurrentContextData = (req) => {
   };
 };
 
-const isTrustedDevice = (currentContextData, userContextData) =>
-  Object.keys(userContextData).every(
-    (key) => userContextData[key] === currentContextData[key]
-  );
-
-const isSuspiciousContextChanged = (oldContextData, newContextData) =>
-  Object.keys(oldContextData).some(
-    (key) => oldContextData[key] !== newContextData[key]
-  );
-
-const isOldDataMatched = (oldSuspiciousContextData, userContextData) =>
-  Object.keys(oldSuspiciousContextData).every(
-    (key) => oldSuspiciousContextData[key] === userContextData[key]
-  );
+const DECISION_MESSAGES = {
+  allow: "Sign in allowed",
+  stepUp: "Sign in requires verification by email",
+  block: "Sign in blocked",
+};
+const PASSKEY_MESSAGE = "Sign in allowed by passkey";
 
 const getOldSuspiciousContextData = (_id, currentContextData) =>
   SuspiciousLogin.findOne({
@@ -80,7 +87,12 @@ const getOldSuspiciousContextData = (_id, currentContextData) =>
     deviceType: currentContextData.deviceType,
   });
 
-const addNewSuspiciousLogin = async (_id, existingUser, currentContextData) => {
+const addNewSuspiciousLogin = async (
+  _id,
+  existingUser,
+  currentContextData,
+  impossibleTravel
+) => {
   const newSuspiciousLogin = new SuspiciousLogin({
     user: _id,
     email: existingUser.email,
@@ -92,180 +104,182 @@ const addNewSuspiciousLogin = async (_id, existingUser, currentContextData) => {
     os: currentContextData.os,
     device: currentContextData.device,
     deviceType: currentContextData.deviceType,
+    impossibleTravel,
   });
 
   return await newSuspiciousLogin.save();
 };
 
-const verifyContextData = async (req, existingUser) => {
-  try {
-    const { _id } = existingUser;
-    const userContextDataRes = await UserContext.findOne({ user: _id });
+/**
+ * Whether a device of the user was blocked, in which case the riskiest sign
+ * ins are blocked rather than verified by email.
+ */
+const isAccountLocked = async (_id) =>
+  !!(await SuspiciousLogin.exists({ user: _id, isBlocked: true }));
 
-    if (!userContextDataRes) {
-      return types.NO_CONTEXT_DATA;
-    }
+/**
+ * The context of a suspicious login as shown in its verification email.
+ */
+const getSuspiciousContextData = (suspiciousLogin) => ({
+  time: formatCreatedAt(suspiciousLogin.createdAt),
+  id: suspiciousLogin._id,
+  ...toContextData(suspiciousLogin),
+  impossibleTravel: suspiciousLogin.impossibleTravel,
+});
 
-    const userContextData = {
-      ip: userContextDataRes.ip,
-      country: userContextDataRes.country,
-      city: userContextDataRes.city,
-      browser: userContextDataRes.browser,
-      platform: userContextDataRes.platform,
-      os: userContextDataRes.os,
-      device: userContextDataRes.device,
-      deviceType: userContextDataRes.deviceType,
-    };
+/**
+ * Scores the risk of a sign in against the trusted devices of the user, see
+ * services/loginRisk.js, and decides whether it is allowed, needs to be
+ * verified by email or, for an account with a blocked device, is blocked.
+ * The trusted device a sign in is allowed from is set on req.trustedDevice,
+ * for the client to remember it, and the pending suspicious login of a sign
+ * in still to verify on req.suspiciousLogin. A sign in allowed from a device
+ * the user never verified does not trust it, only a verification does.
+ *
+ * A sign in with a passkey is allowed whatever its score, like one from a
+ * trusted device, and trusts the device it came from. A blocked device stays
+ * blocked.
+ *
+ * @param {Object} [options] - {passkey: true} for a sign in with a passkey.
+ *
+ * @returns {Promise<string|Object>} One of types, or the context to verify
+ * with the properties that differ from the closest trusted device.
+ */
+const verifyContextData = async (
+  req,
+  existingUser,
+  { passkey = false } = {}
+) => {
+  try {
+    const { _id } = existingUser;
+    const devices = await listDevices(_id);
 
     const currentContextData = getCurrentContextData(req);
 
-    if (isTrustedDevice(currentContextData, userContextData)) {
-      return types.MATCH;
-    }
-
     const oldSuspiciousContextData = await getOldSuspiciousContextData(
       _id,
       currentContextData
     );
 
-    if (oldSuspiciousContextData) {
-      if (oldSuspiciousContextData.isBlocked) return types.BLOCKED;
-      if (oldSuspiciousContextData.isTrusted) return types.MATCH;
+    if (oldSuspiciousContextData && oldSuspiciousContextData.isBlocked) {
+      return types.BLOCKED;
     }
 
-    let newSuspiciousData = {};
-    if (
-      oldSuspiciousContextData &&
-      isSuspiciousContextChanged(oldSuspiciousContextData, currentContextData)
-    ) {
-      const {
-        ip: suspiciousIp,
-        country: suspiciousCountry,
-        city: suspiciousCity,
-        browser: suspiciousBrowser,
-        platform: suspiciousPlatform,
-        os: suspiciousOs,
-        device: suspiciousDevice,
-        deviceType: suspiciousDeviceType,
-      } = oldSuspiciousContextData;
-
-      if (
-        suspiciousIp !== currentContextData.ip ||
-        suspiciousCountry !== currentContextData.country ||
-        suspiciousCity !== currentContextData.city ||
-        suspiciousBrowser !== currentContextData.browser ||
-        suspiciousDevice !== currentContextData.device ||
-        suspiciousDeviceType !== currentContextData.deviceType ||
-        suspiciousPlatform !== currentContextData.platform ||
-        suspiciousOs !== currentContextData.os
-      ) {
-        //  Suspicious login data found, but it doesn't match the current context data, so we add new suspicious login data
-        const res = await addNewSuspiciousLogin(
-          _id,
-          existingUser,
-          currentContextData
-        );
+    const risk = await scoreLoginRisk(
+      _id,
+      currentContextData,
+      devices,
+      verifyDeviceToken(req.body.deviceToken)
+    );
+    // a passkey is as good as a trusted device. Without trusted devices left
+    // the sign in is verified by email, which adds the device
+    const decision = passkey
+      ? "allow"
+      : devices.length === 0
+      ? "stepUp"
+      : await getRiskDecision(risk.score, {
+          locked: await isAccountLocked(_id),
+        });
+    await recordLoginAttempt(_id, risk, decision);
+
+    await saveLogInfo(
+      req,
+      `${
+        passkey ? PASSKEY_MESSAGE : DECISION_MESSAGES[decision]
+      } (risk score ${risk.score.toFixed(2)})`,
+      "sign in",
+      decision === "allow" ? "info" : "warn",
+      {
+        riskScore: risk.score,
+        riskFactors: Object.keys(risk.signals).filter(
+          (signal) => risk.signals[signal] > 0
+        ),
+      }
+    );
+
+    const impossibleTravel =
+      risk.travel && risk.travel.impossible
+        ? describeTravel(risk.travel)
+        : null;
+
+    if (impossibleTravel) {
+      await saveLogInfo(
+        req,
+        `Impossible travel ${impossibleTravel} (${risk.travel.distance} km)`,
+        "sign in",
+        "warn"
+      );
+    }
+
+    if (decision === "allow") {
+      // the device token or fingerprint matched a trusted device
+      const knownDevice =
+        risk.closestContext && risk.signals.device === 0
+          ? risk.closestContext
+          : null;
+      req.trustedDevice = knownDevice
+        ? await touchDevice(knownDevice, currentContextData)
+        : passkey
+        ? await registerDevice(existingUser, currentContextData)
+        : null;
+      return types.MATCH;
+    }
 
-        newSuspiciousData = {
-          time: formatCreatedAt(res.createdAt),
-          ip: res.ip,
-          country: res.country,
-          city: res.city,
-          browser: res.browser,
-          platform: res.platform,
-          os: res.os,
-          device: res.device,
-          deviceType: res.deviceType,
-        };
-      } else {
-        // increase the unverifiedAttempts count by 1
+    if (decision === "block") {
+      return types.BLOCKED;
+    }
+
+    if (oldSuspiciousContextData) {
+      // increase the unverifiedAttempts count by 1
+      await SuspiciousLogin.findByIdAndUpdate(
+        oldSuspiciousContextData._id,
+        {
+          $inc: { unverifiedAttempts: 1 },
+        },
+        { new: true }
+      );
+      //  If the unverifiedAttempts count is greater than or equal to 3, then we block the user
+      if (oldSuspiciousContextData.unverifiedAttempts >= 3) {
         await SuspiciousLogin.findByIdAndUpdate(
           oldSuspiciousContextData._id,
           {
-            $inc: { unverifiedAttempts: 1 },
+            isBlocked: true,
+            isTrusted: false,
           },
           { new: true }
         );
-        //  If the unverifiedAttempts count is greater than or equal to 3, then we block the user
-        if (oldSuspiciousContextData.unverifiedAttempts >= 3) {
-          await SuspiciousLogin.findByIdAndUpdate(
-            oldSuspiciousContextData._id,
-            {
-              isBlocked: true,
-              isTrusted: false,
-            },
-            { new: true }
-          );
-
-          await saveLogInfo(
-            req,
-            "Device blocked due to too many unverified login attempts",
-            "sign in",
-            "warn"
-          );
-
-          return types.BLOCKED;
-        }
-
-        // Suspicious login data found, and it matches the current context data, so we return "already_exists"
-        return types.SUSPICIOUS;
-      }
-    } else if (
-      oldSuspiciousContextData &&
-      isOldDataMatched(oldSuspiciousContextData, currentContextData)
-    ) {
-      return types.MATCH;
-    } else {
-      //  No previous suspicious login data found, so we create a new one
-      const res = await addNewSuspiciousLogin(
-        _id,
-        existingUser,
-        currentContextData
-      );
 
-      newSuspiciousData = {
-        time: formatCreatedAt(res.createdAt),
-        id: res._id,
-        ip: res.ip,
-        country: res.country,
-        city: res.city,
-        browser: res.browser,
-        platform: res.platform,
-        os: res.os,
-        device: res.device,
-        deviceType: res.deviceType,
-      };
-    }
+        await saveLogInfo(
+          req,
+          "Device blocked due to too many unverified login attempts",
+          "sign in",
+          "warn"
+        );
 
-    const mismatchedProps = [];
+        return types.BLOCKED;
+      }
 
-    if (userContextData.ip !== newSuspiciousData.ip) {
-      mismatchedProps.push("ip");
-    }
-    if (userContextData.browser !== newSuspiciousData.browser) {
-      mismatchedProps.push("browser");
-    }
-    if (userContextData.device !== newSuspiciousData.device) {
-      mismatchedProps.push("device");
-    }
-    if (userContextData.deviceType !== newSuspiciousData.deviceType) {
-      mismatchedProps.push("deviceType");
-    }
-    if (userContextData.country !== newSuspiciousData.country) {
-      mismatchedProps.push("country");
-    }
-    if (userContextData.city !== newSuspiciousData.city) {
-      mismatchedProps.push("city");
+      // A verification email was already sent for this context, or the
+      // user is asked for their second factor again
+      req.suspiciousLogin = oldSuspiciousContextData;
+      return types.SUSPICIOUS;
     }
 
-    if (mismatchedProps.length > 0) {
-      return {
-        mismatchedProps: mismatchedProps,
-        currentContextData: newSuspiciousData,
-      };
-    }
+    const suspiciousLogin = await addNewSuspiciousLogin(
+      _id,
+      existingUser,
+      currentContextData,
+      impossibleTravel
+    );
 
-    return types.MATCH;
+    return {
+      mismatchedProps: CONTEXT_FIELDS.filter(
+        (field) =>
+          !risk.closestContext ||
+          risk.closestContext[field] !== currentContextData[field]
+      ),
+      currentContextData: getSuspiciousContextData(suspiciousLogin),
+    };
   } catch (error) {
     return types.ERROR;
   }
@@ -301,21 +315,11 @@ const addContextData = async (req, res) => {
     ? "Tablet"
     : "unknown";
 
-  const newUserContext = new UserContext({
-    user: userId,
-    email,
-    ip,
-    country,
-    city,
-    browser,
-    platform,
-    os,
-    device,
-    deviceType,
-  });
-
   try {
-    await newUserContext.save();
+    await registerDevice(
+      { _id: userId, email },
+      { ip, country, city, browser, platform, os, device, deviceType }
+    );
     res.status(200).json({
       message: "Email verification process was successful",
     });
@@ -327,29 +331,61 @@ const addContextData = async (req, res) => {
 };
 
 /**
- * @route GET /auth/context-data/primary
+ * @route GET /auth/devices
  */
-const getAuthContextData = async (req, res) => {
+const getTrustedDevices = async (req, res) => {
   try {
-    const result = await UserContext.findOne({ user: req.userId });
+    const devices = await listDevices(req.userId);
+
+    const trustedDevices = devices.map((device) => ({
+      _id: device._id,
+      name: device.name || getDeviceName(device),
+      firstAdded: formatCreatedAt(device.createdAt),
+      lastSeen: formatCreatedAt(device.lastSeenAt || device.updatedAt),
+      ip: device.ip,
+      country: device.country,
+      city: device.city,
+      browser: device.browser,
+      platform: device.platform,
+      os: device.os,
+      device: device.device,
+      deviceType: device.deviceType,
+    }));
+
+    res.status(200).json(trustedDevices);
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
 
-    if (!result) {
-      return res.status(404).json({ message: "Not found" });
+/**
+ * @route PATCH /auth/devices/:deviceId
+ */
+const renameTrustedDevice = async (req, res) => {
+  try {
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    if (!name || name.length > 50) {
+      return res.status(400).json({
+        message: "Device name must be between 1 and 50 characters",
+      });
     }
 
-    const userContextData = {
-      firstAdded: formatCreatedAt(result.createdAt),
-      ip: result.ip,
-      country: result.country,
-      city: result.city,
-      browser: result.browser,
-      platform: result.platform,
-      os: result.os,
-      device: result.device,
-      deviceType: result.deviceType,
-    };
+    const device = await UserContext.findOneAndUpdate(
+      { _id: req.params.deviceId, user: req.userId },
+      { $set: { name } },
+      { new: true }
+    );
 
-    res.status(200).json(userContextData);
+    if (!device) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    res.status(200).json({
+      message: "Device renamed successfully",
+    });
   } catch (error) {
     res.status(500).json({
       message: "Internal server error",
@@ -358,32 +394,53 @@ const getAuthContextData = async (req, res) => {
 };
 
 /**
- * @route GET /auth/context-data/trusted
+ * @route DELETE /auth/devices/:deviceId
  */
-const getTrustedAuthContextData = async (req, res) => {
+const removeTrustedDevice = async (req, res) => {
   try {
-    const result = await SuspiciousLogin.find({
+    await UserContext.deleteOne({
+      _id: req.params.deviceId,
       user: req.userId,
-      isTrusted: true,
-      isBlocked: false,
     });
 
-    const trustedAuthContextData = result.map((item) => {
-      return {
-        _id: item._id,
-        time: formatCreatedAt(item.createdAt),
-        ip: item.ip,
-        country: item.country,
-        city: item.city,
-        browser: item.browser,
-        platform: item.platform,
-        os: item.os,
-        device: item.device,
-        deviceType: item.deviceType,
-      };
+    res.status(200).json({
+      message: "Device removed successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
     });
+  }
+};
 
-    res.status(200).json(trustedAuthContextData);
+/**
+ * Removes a trusted device and blocks sign ins from its context.
+ *
+ * @route PATCH /auth/devices/:deviceId/block
+ */
+const blockTrustedDevice = async (req, res) => {
+  try {
+    const device = await UserContext.findOne({
+      _id: req.params.deviceId,
+      user: req.userId,
+    });
+
+    if (!device) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    await new SuspiciousLogin({
+      user: device.user,
+      email: device.email,
+      ...toContextData(device),
+      isBlocked: true,
+      isTrusted: false,
+    }).save();
+    await UserContext.deleteOne({ _id: device._id });
+
+    res.status(200).json({
+      message: "Blocked successfully",
+    });
   } catch (error) {
     res.status(500).json({
       message: "Internal server error",
@@ -445,59 +502,27 @@ const getUserPreferences = async (req, res) => {
 };
 
 /**
- * @route DELETE /auth/context-data/:contextId
- */
-const deleteContextAuthData = async (req, res) => {
-  try {
-    const contextId = req.params.contextId;
-
-    await SuspiciousLogin.deleteOne({ _id: contextId });
-
-    res.status(200).json({
-      message: "Data deleted successfully",
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: "Internal server error",
-    });
-  }
-};
-
-/**
- * @route PATCH /auth/context-data/block/:contextId
+ * @route PATCH /auth/context-data/unblock/:contextId
  */
-const blockContextAuthData = async (req, res) => {
+const unblockContextAuthData = async (req, res) => {
   try {
     const contextId = req.params.contextId;
 
-    await SuspiciousLogin.findOneAndUpdate(
-      { _id: contextId },
-      { $set: { isBlocked: true, isTrusted: false } },
-      { new: true }
-    );
-
-    res.status(200).json({
-      message: "Blocked successfully",
-    });
-  } catch (error) {
-    res.status(500).json({
-      message: "Internal server error",
+    const suspiciousLogin = await SuspiciousLogin.findOne({
+      _id: contextId,
+      user: req.userId,
     });
-  }
-};
 
-/**
- * @route PATCH /auth/context-data/unblock/:contextId
- */
-const unblockContextAuthData = async (req, res) => {
-  try {
-    const contextId = req.params.contextId;
+    if (!suspiciousLogin) {
+      return res.status(404).json({ message: "Not found" });
+    }
 
-    await SuspiciousLogin.findOneAndUpdate(
-      { _id: contextId },
-      { $set: { isBlocked: false, isTrusted: true } },
-      { new: true }
+    // an unblocked context is trusted, it becomes a device
+    await registerDevice(
+      { _id: suspiciousLogin.user, email: suspiciousLogin.email },
+      suspiciousLogin
     );
+    await SuspiciousLogin.deleteOne({ _id: suspiciousLogin._id });
 
     res.status(200).json({
       message: "Unblocked successfully",
@@ -511,13 +536,14 @@ const unblockContextAuthData = async (req, res) => {
 
 module.exports = {
   verifyContextData,
+  getSuspiciousContextData,
   addContextData,
-  getAuthContextData,
+  getTrustedDevices,
+  renameTrustedDevice,
+  removeTrustedDevice,
+  blockTrustedDevice,
   getUserPreferences,
-  getTrustedAuthContextData,
   getBlockedAuthContextData,
-  deleteContextAuthData,
-  blockContextAuthData,
   unblockContextAuthData,
   types,
 };
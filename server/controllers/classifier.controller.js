@@ -0,0 +1,111 @@
+const ClassifierSync = require("../models/classifierSync.model");
+const TextRazorClassifierManager = require("../services/manageClassifier");
+const {
+  buildCategories,
+  buildClassifierData,
+  diffCategories,
+  pushClassifier,
+  deleteClassifier,
+} = TextRazorClassifierManager;
+const { getTopicLabels } = require("../services/moderation/topicLabels");
+
+const RECENT_SYNCS = 20;
+
+const findRecentSyncs = async () =>
+  await ClassifierSync.find({})
+    .populate("triggeredBy", "username")
+    .sort({ createdAt: -1 })
+    .limit(RECENT_SYNCS)
+    .lean();
+
+/**
+ * The categories generated from the communities, also as CSV, those stored at
+ * TextRazor, the differences between them and the recent pushes and
+ * deletions.
+ *
+ * @route GET /admin/textrazor-classifier
+ */
+const getClassifierStatus = async (req, res) => {
+  try {
+    const manager = new TextRazorClassifierManager();
+    const labels = await getTopicLabels();
+    const local = buildCategories(labels);
+
+    let remote = null;
+    let remoteError = null;
+    if (manager.isConfigured()) {
+      try {
+        remote = await manager.get();
+      } catch (error) {
+        remoteError = error.message;
+      }
+    }
+
+    res.status(200).json({
+      configured: manager.isConfigured(),
+      local,
+      csv: buildClassifierData(labels),
+      remote,
+      remoteError,
+      // a classifier that does not exist yet lacks every category
+      diff:
+        manager.isConfigured() && !remoteError
+          ? diffCategories(local, remote || [])
+          : null,
+      syncs: await findRecentSyncs(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving classifier status" });
+  }
+};
+
+/**
+ * Replaces the classifier at TextRazor with the categories generated from
+ * the communities.
+ *
+ * @route PUT /admin/textrazor-classifier
+ */
+const pushTextRazorClassifier = async (req, res) => {
+  try {
+    if (!new TextRazorClassifierManager().isConfigured()) {
+      return res
+        .status(400)
+        .json({ message: "TextRazor API key or URL not set" });
+    }
+
+    const sync = await pushClassifier(req.adminId);
+    if (sync.status === "failed") {
+      return res.status(502).json({ message: sync.error });
+    }
+    res.status(200).json(sync);
+  } catch (error) {
+    res.status(500).json({ message: "Error pushing classifier" });
+  }
+};
+
+/**
+ * @route DELETE /admin/textrazor-classifier
+ */
+const deleteTextRazorClassifier = async (req, res) => {
+  try {
+    if (!new TextRazorClassifierManager().isConfigured()) {
+      return res
+        .status(400)
+        .json({ message: "TextRazor API key or URL not set" });
+    }
+
+    const sync = await deleteClassifier(req.adminId);
+    if (sync.status === "failed") {
+      return res.status(502).json({ message: sync.error });
+    }
+    res.status(200).json(sync);
+  } catch (error) {
+    res.status(500).json({ message: "Error deleting classifier" });
+  }
+};
+
+module.exports = {
+  getClassifierStatus,
+  pushTextRazorClassifier,
+  deleteTextRazorClassifier,
+};
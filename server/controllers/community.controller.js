@@ -2,6 +2,23 @@ const Community = require("../models/community.model");
 const Rule = require("../models/rule.model");
 const User = require("../models/user.model");
 const Report = require("../models/report.model");
+const Post = require("../models/post.model");
+const Comment = require("../models/comment.model");
+const Config = require("../models/config.model");
+const { moderate } = require("../services/moderation/pipeline");
+const {
+  findPolicyViolation,
+  DEFAULT_POLICY,
+  POLICY_ACTIONS,
+} = require("../services/moderation/moderationPolicy");
+const { PERSPECTIVE_ATTRIBUTES } = require("../services/apiServices");
+const { recordOverride } = require("../services/moderation/decisionLog");
+const { invalidateTopicLabels } = require("../services/moderation/topicLabels");
+const TextRazorClassifierManager = require("../services/manageClassifier");
+const { PUSH_CLASSIFIER } = TextRazorClassifierManager;
+const { enqueueJob } = require("../services/jobQueue");
+const { saveLogInfo } = require("../middlewares/logger/logInfo");
+const { banPostMedia } = require("../services/moderation/mediaBlocklist");
 const dayjs = require("dayjs");
 const relativeTime = require("dayjs/plugin/relativeTime");
 dayjs.extend(relativeTime);
@@ -35,13 +52,43 @@ const getCommunity = async (req, res) => {
 const createCommunity = async (req, res) => {
   try {
     const communities = req.body;
+
+    for (const { name, description } of [].concat(communities)) {
+      const verdict = await moderate({
+        content: [name, description].filter(Boolean).join("\n"),
+        contentType: "community",
+      });
+      if (verdict.action === "block") {
+        return res.status(403).json({
+          message: `Community "${name}" contains inappropriate content`,
+        });
+      }
+    }
+
     const savedCommunities = await Community.insertMany(communities);
     res.status(201).json(savedCommunities);
   } catch (error) {
-    res.status(409).json({
+    return res.status(409).json({
       message: "Error creating community",
     });
   }
+
+  // New communities become topic labels right away. The TextRazor classifier
+  // has to be rebuilt to include them, which the job queue retries until it
+  // succeeds; the communities are created either way
+  invalidateTopicLabels();
+  if (new TextRazorClassifierManager().isConfigured()) {
+    try {
+      await enqueueJob(PUSH_CLASSIFIER, {});
+    } catch (error) {
+      await saveLogInfo(
+        req,
+        `Could not queue the classifier push: ${error.message}`,
+        "Classifier",
+        "error"
+      );
+    }
+  }
 };
 
 const addRules = async (req, res) => {
@@ -416,12 +463,41 @@ const getReportedPosts = async (req, res) => {
 };
 
 /**
+ * Dismisses the report of a post. With banMedia the post is removed instead
+ * and its attachment added to the media blocklist, so it cannot be uploaded
+ * again in any community.
+ *
  * @route DELETE /communities/reported-posts/:postId
+ *
+ * @param {string} [req.query.banMedia] - "true" to remove the post and ban its media.
  */
 const removeReportedPost = async (req, res) => {
   try {
     const postId = req.params.postId;
 
+    if (req.query.banMedia === "true") {
+      const post = await Post.findById(postId).select("+mediaHashes");
+      if (!post) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+      const isModerator = await Community.exists({
+        _id: post.community,
+        moderators: req.userId,
+      });
+      if (!isModerator) {
+        return res.status(401).json({
+          message: "Only moderators of this community can ban media",
+        });
+      }
+
+      await banPostMedia(post, req.userId, "User");
+      post.status = "removed";
+      post.reviewedBy = req.userId;
+      post.reviewedAt = new Date();
+      await post.save();
+      await recordOverride({ post: post._id }, "remove", req.userId);
+    }
+
     await Report.findOneAndDelete({
       post: postId,
     });
@@ -436,6 +512,203 @@ const removeReportedPost = async (req, res) => {
   }
 };
 
+/**
+ * Finds a community by name if the current user moderates it.
+ */
+const findModeratedCommunity = async (name, userId) =>
+  await Community.findOne({ name, moderators: userId }).select("_id").lean();
+
+/**
+ * Retrieves the posts and comments held for review in a community, oldest
+ * first, with the moderation reasons and scores that held them.
+ *
+ * @route GET /communities/:name/review-queue
+ */
+const getReviewQueue = async (req, res) => {
+  try {
+    const community = await findModeratedCommunity(req.params.name, req.userId);
+    if (!community) {
+      return res.status(401).json({
+        message: "Only moderators of this community can review content",
+      });
+    }
+
+    const [posts, comments] = await Promise.all([
+      Post.find({ community: community._id, status: "held" })
+        .select("_id content fileUrl fileType moderation createdAt user")
+        .populate("user", "name avatar")
+        .sort({ createdAt: 1 })
+        .lean(),
+      Comment.find({ community: community._id, status: "held" })
+        .select("_id content moderation createdAt user post")
+        .populate("user", "name avatar")
+        .populate("post", "_id content")
+        .sort({ createdAt: 1 })
+        .lean(),
+    ]);
+
+    const formatItem = (item) => ({
+      ...item,
+      createdAt: dayjs(item.createdAt).fromNow(),
+    });
+
+    res.status(200).json({
+      posts: posts.map(formatItem),
+      comments: comments.map(formatItem),
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error retrieving the review queue",
+    });
+  }
+};
+
+/**
+ * Approves or rejects a held post or comment. Approved content is published,
+ * rejected content stays hidden and is shown as rejected to its author.
+ *
+ * @route PATCH /communities/:name/review-queue/:contentType/:id
+ *
+ * @param {string} req.params.contentType - "posts" or "comments".
+ * @param {string} req.body.decision - "approve" or "reject".
+ */
+const reviewHeldContent = async (req, res) => {
+  try {
+    const { name, contentType, id } = req.params;
+    const { decision } = req.body;
+
+    const Model = { posts: Post, comments: Comment }[contentType];
+    if (!Model || !["approve", "reject"].includes(decision)) {
+      return res.status(400).json({
+        message: "Invalid data. A content type and decision are required.",
+      });
+    }
+
+    const community = await findModeratedCommunity(name, req.userId);
+    if (!community) {
+      return res.status(401).json({
+        message: "Only moderators of this community can review content",
+      });
+    }
+
+    const item = await Model.findOneAndUpdate(
+      { _id: id, community: community._id, status: "held" },
+      {
+        status: decision === "approve" ? "published" : "rejected",
+        reviewedBy: req.userId,
+        reviewedAt: new Date(),
+      },
+      { new: true }
+    );
+
+    if (!item) {
+      return res.status(404).json({
+        message: "Content not found. It may have been reviewed already",
+      });
+    }
+
+    await recordOverride(
+      Model === Post ? { post: item._id } : { comment: item._id },
+      decision,
+      req.userId
+    );
+
+    if (Model === Comment && decision === "approve") {
+      await Post.findByIdAndUpdate(item.post, {
+        $addToSet: { comments: item._id },
+      });
+    }
+
+    res.status(200).json({ _id: item._id, status: item.status });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error reviewing content",
+    });
+  }
+};
+
+const getModerationFloors = async () => {
+  const config = await Config.findOne({}).select("moderationFloors").lean();
+  return config && config.moderationFloors ? config.moderationFloors : [];
+};
+
+/**
+ * Retrieves the toxicity moderation policy of a community together with the
+ * default policy and the global floors it is bounded by.
+ *
+ * @route GET /communities/:name/moderation-policy
+ */
+const getModerationPolicy = async (req, res) => {
+  try {
+    const community = await Community.findOne({
+      name: req.params.name,
+      moderators: req.userId,
+    })
+      .select("moderationPolicy")
+      .lean();
+    if (!community) {
+      return res.status(401).json({
+        message: "Only moderators of this community can view its policy",
+      });
+    }
+
+    res.status(200).json({
+      policy: community.moderationPolicy || [],
+      defaultPolicy: DEFAULT_POLICY,
+      floors: await getModerationFloors(),
+      attributes: PERSPECTIVE_ATTRIBUTES,
+      actions: POLICY_ACTIONS,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error retrieving moderation policy",
+    });
+  }
+};
+
+/**
+ * Replaces the toxicity moderation policy of a community. An empty policy
+ * restores the default one.
+ *
+ * @route PUT /communities/:name/moderation-policy
+ *
+ * @param {Object[]} req.body.policy - Rules of {attribute, threshold, action}.
+ */
+const updateModerationPolicy = async (req, res) => {
+  try {
+    const { policy } = req.body;
+    const violation = findPolicyViolation(policy, await getModerationFloors());
+    if (violation) {
+      return res.status(400).json({ message: violation });
+    }
+
+    const community = await Community.findOneAndUpdate(
+      { name: req.params.name, moderators: req.userId },
+      {
+        moderationPolicy: policy.map(({ attribute, threshold, action }) => ({
+          attribute,
+          threshold,
+          action,
+        })),
+      },
+      { new: true }
+    )
+      .select("moderationPolicy")
+      .lean();
+    if (!community) {
+      return res.status(401).json({
+        message: "Only moderators of this community can change its policy",
+      });
+    }
+
+    res.status(200).json({ policy: community.moderationPolicy });
+  } catch (error) {
+    res.status(500).json({
+      message: "Error updating moderation policy",
+    });
+  }
+};
+
 /**
  * @route GET /communities/:name/members
  */
@@ -522,6 +795,10 @@ module.exports = {
   reportPost,
   getReportedPosts,
   removeReportedPost,
+  getReviewQueue,
+  reviewHeldContent,
+  getModerationPolicy,
+  updateModerationPolicy,
   getCommunityMembers,
   getCommunityMods,
   banUser,
@@ -0,0 +1,595 @@
+const KeywordRuleSet = require("../models/keywordRuleSet.model");
+const Config = require("../models/config.model");
+const ModerationDecision = require("../models/moderationDecision.model");
+const ReplayJob = require("../models/replayJob.model");
+const MediaHash = require("../models/mediaHash.model");
+const User = require("../models/user.model");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const {
+  findInvalidPattern,
+  invalidateKeywordRules,
+} = require("../services/moderation/keywordRules");
+const {
+  buildChain,
+  getProviderHealth,
+} = require("../services/moderation/providerChain");
+const {
+  getClassificationCacheStats,
+  invalidateClassificationCache,
+} = require("../services/moderation/classificationCache");
+const { MODERATION_STAGES } = require("../services/moderation/pipeline");
+const { LANGUAGES } = require("../services/moderation/languageDetection");
+const { startReplayJob } = require("../services/moderation/replay");
+const {
+  hashMedia,
+  addMediaHashes,
+  invalidateMediaBlocklist,
+} = require("../services/moderation/mediaBlocklist");
+
+const toList = (value) =>
+  Array.isArray(value)
+    ? value.map((item) => String(item).trim()).filter(Boolean)
+    : [];
+
+const parseRuleSet = (body) => ({
+  name: body.name,
+  community: body.community || null,
+  language: LANGUAGES[body.language] ? body.language : null,
+  inheritGlobal: body.inheritGlobal !== false,
+  enabled: body.enabled !== false,
+  words: toList(body.words),
+  patterns: toList(body.patterns),
+  allowList: toList(body.allowList),
+});
+
+/**
+ * @route GET /admin/keyword-rules
+ */
+const getKeywordRuleSets = async (req, res) => {
+  try {
+    const ruleSets = await KeywordRuleSet.find({})
+      .populate("community", "_id name")
+      .sort({ community: 1, name: 1 })
+      .lean();
+    res.status(200).json(ruleSets);
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving keyword rules" });
+  }
+};
+
+/**
+ * @route POST /admin/keyword-rules
+ */
+const createKeywordRuleSet = async (req, res) => {
+  try {
+    const ruleSet = parseRuleSet(req.body);
+
+    const invalidPattern = findInvalidPattern(ruleSet.patterns);
+    if (invalidPattern) {
+      return res
+        .status(400)
+        .json({ message: `Invalid pattern: ${invalidPattern}` });
+    }
+
+    const savedRuleSet = await KeywordRuleSet.create(ruleSet);
+    invalidateKeywordRules();
+
+    res.status(201).json(savedRuleSet);
+  } catch (error) {
+    res.status(500).json({ message: "Error creating keyword rules" });
+  }
+};
+
+/**
+ * @route PUT /admin/keyword-rules/:id
+ */
+const updateKeywordRuleSet = async (req, res) => {
+  try {
+    const ruleSet = parseRuleSet(req.body);
+
+    const invalidPattern = findInvalidPattern(ruleSet.patterns);
+    if (invalidPattern) {
+      return res
+        .status(400)
+        .json({ message: `Invalid pattern: ${invalidPattern}` });
+    }
+
+    const updatedRuleSet = await KeywordRuleSet.findByIdAndUpdate(
+      req.params.id,
+      ruleSet,
+      { new: true }
+    );
+
+    if (!updatedRuleSet) {
+      return res.status(404).json({ message: "Keyword rules not found" });
+    }
+
+    invalidateKeywordRules();
+    res.status(200).json(updatedRuleSet);
+  } catch (error) {
+    res.status(500).json({ message: "Error updating keyword rules" });
+  }
+};
+
+/**
+ * @route DELETE /admin/keyword-rules/:id
+ */
+const deleteKeywordRuleSet = async (req, res) => {
+  try {
+    const deletedRuleSet = await KeywordRuleSet.findByIdAndDelete(
+      req.params.id
+    );
+
+    if (!deletedRuleSet) {
+      return res.status(404).json({ message: "Keyword rules not found" });
+    }
+
+    invalidateKeywordRules();
+    res.status(200).json({ message: "Keyword rules deleted" });
+  } catch (error) {
+    res.status(500).json({ message: "Error deleting keyword rules" });
+  }
+};
+
+/**
+ * Circuit breaker state of the configured toxicity, media and category
+ * providers, as seen by this server process.
+ *
+ * @route GET /admin/provider-health
+ */
+const getModerationProviderHealth = async (req, res) => {
+  try {
+    const config = (await Config.findOne({})) || new Config();
+    res.status(200).json(
+      getProviderHealth({
+        toxicity: buildChain(
+          config.toxicityServiceProvider,
+          config.toxicityFallbackProviders
+        ),
+        media: buildChain(config.mediaModerationProvider),
+        category: buildChain(
+          config.categoryFilteringServiceProvider,
+          config.categoryFilteringFallbackProviders
+        ),
+      })
+    );
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving provider health" });
+  }
+};
+
+/**
+ * Hit rate of the toxicity and category result cache of this server process.
+ *
+ * @route GET /admin/classification-cache
+ */
+const getClassificationCache = async (req, res) => {
+  try {
+    res.status(200).json(getClassificationCacheStats());
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving cache statistics" });
+  }
+};
+
+/**
+ * Drops every cached result, for example after switching a provider's model.
+ *
+ * @route DELETE /admin/classification-cache
+ */
+const clearClassificationCache = async (req, res) => {
+  try {
+    invalidateClassificationCache();
+    res.status(200).json(getClassificationCacheStats());
+  } catch (error) {
+    res.status(500).json({ message: "Error clearing cache" });
+  }
+};
+
+const DECISIONS_PAGE_SIZE = 25;
+
+const buildDecisionFilter = (query) => {
+  const filter = {};
+  if (query.community && mongoose.isValidObjectId(query.community)) {
+    filter.community = new mongoose.Types.ObjectId(query.community);
+  }
+  if (query.provider) {
+    filter.providers = String(query.provider);
+  }
+  if (query.action) {
+    filter.action = String(query.action);
+  }
+  if (query.contentType) {
+    filter.contentType = String(query.contentType);
+  }
+  if (query.overridden === "true") {
+    filter["overrides.0"] = { $exists: true };
+  }
+  return filter;
+};
+
+/**
+ * Retrieves recorded moderation decisions, newest first, with counts per
+ * outcome. Held or blocked content later approved by a moderator is counted
+ * as a false positive.
+ *
+ * @route GET /admin/moderation-decisions
+ *
+ * @param {string} [req.query.community] - Community id.
+ * @param {string} [req.query.provider] - Provider that scored the content.
+ * @param {string} [req.query.action] - Final action of the pipeline.
+ * @param {string} [req.query.contentType] - "post", "comment", "community" or "profile".
+ * @param {string} [req.query.overridden] - "true" for overridden decisions only.
+ * @param {number} [req.query.page] - 1-based page number.
+ */
+const getModerationDecisions = async (req, res) => {
+  try {
+    const filter = buildDecisionFilter(req.query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [decisions, total, outcomes, falsePositives] = await Promise.all([
+      ModerationDecision.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * DECISIONS_PAGE_SIZE)
+        .limit(DECISIONS_PAGE_SIZE)
+        .populate("user", "_id name")
+        .populate("community", "_id name")
+        .lean(),
+      ModerationDecision.countDocuments(filter),
+      ModerationDecision.aggregate([
+        { $match: filter },
+        { $group: { _id: "$action", count: { $sum: 1 } } },
+      ]),
+      ModerationDecision.countDocuments({
+        ...filter,
+        action: { $in: ["hold", "block"] },
+        "overrides.action": "approve",
+      }),
+    ]);
+
+    const byAction = outcomes.reduce((counts, { _id, count }) => {
+      counts[_id] = count;
+      return counts;
+    }, {});
+    const flagged = (byAction.hold || 0) + (byAction.block || 0);
+
+    res.status(200).json({
+      decisions,
+      total,
+      page,
+      pageSize: DECISIONS_PAGE_SIZE,
+      stats: {
+        byAction,
+        falsePositives,
+        falsePositiveRate: flagged ? falsePositives / flagged : 0,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving moderation decisions" });
+  }
+};
+
+const REPLAY_CONTENT_TYPES = ["post", "comment"];
+// The category stage does not screen published posts again, see
+// categoryStage.js
+const REPLAY_STAGES = MODERATION_STAGES.filter((stage) => stage !== "category");
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Starts re-running the moderation pipeline over existing posts and comments.
+ * The job runs in the background, see services/moderation/replay.js.
+ *
+ * @route POST /admin/moderation-replays
+ *
+ * @param {string[]} req.body.contentTypes - "post" and/or "comment".
+ * @param {string} [req.body.community] - Community id, all communities if omitted.
+ * @param {string} [req.body.from] - Only content created at or after this date.
+ * @param {string} [req.body.to] - Only content created at or before this date.
+ * @param {string[]} [req.body.stages] - Stages to run, the configured stages if omitted. Not "category".
+ * @param {boolean} [req.body.dryRun=true] - Only report what would change.
+ * @param {string} [req.body.onBlock="hold"] - "hold" or "delete" blocked content.
+ */
+const createReplayJob = async (req, res) => {
+  try {
+    const { community, stages, onBlock = "hold" } = req.body;
+    const contentTypes = toList(req.body.contentTypes);
+    const from = parseDate(req.body.from);
+    const to = parseDate(req.body.to);
+
+    if (
+      contentTypes.length === 0 ||
+      contentTypes.some((type) => !REPLAY_CONTENT_TYPES.includes(type))
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Select posts and/or comments to replay" });
+    }
+    if (community && !mongoose.isValidObjectId(community)) {
+      return res.status(400).json({ message: "Invalid community" });
+    }
+    if (from === undefined || to === undefined || (from && to && from > to)) {
+      return res.status(400).json({ message: "Invalid date range" });
+    }
+    if (
+      stages &&
+      (toList(stages).length === 0 ||
+        toList(stages).some((stage) => !REPLAY_STAGES.includes(stage)))
+    ) {
+      return res.status(400).json({ message: "Invalid moderation stages" });
+    }
+    if (!["hold", "delete"].includes(onBlock)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid action for blocked content" });
+    }
+
+    const job = await ReplayJob.create({
+      contentTypes: [...new Set(contentTypes)],
+      community: community || null,
+      from,
+      to,
+      stages: stages ? toList(stages) : null,
+      dryRun: req.body.dryRun !== false,
+      onBlock,
+      createdBy: req.adminId,
+    });
+    startReplayJob(job._id);
+
+    res.status(201).json(job);
+  } catch (error) {
+    res.status(500).json({ message: "Error starting moderation replay" });
+  }
+};
+
+/**
+ * Recent replay jobs with their progress, without the recorded changes.
+ *
+ * @route GET /admin/moderation-replays
+ */
+const getReplayJobs = async (req, res) => {
+  try {
+    const jobs = await ReplayJob.find({})
+      .select("-changes")
+      .populate("community", "_id name")
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+    res.status(200).json(jobs);
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving moderation replays" });
+  }
+};
+
+/**
+ * A replay job with the changes it made or, in a dry run, would make.
+ *
+ * @route GET /admin/moderation-replays/:id
+ */
+const getReplayJob = async (req, res) => {
+  try {
+    const job = await ReplayJob.findById(req.params.id)
+      .populate("community", "_id name")
+      .populate("changes.community", "_id name")
+      .lean();
+    if (!job) {
+      return res.status(404).json({ message: "Moderation replay not found" });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving moderation replay" });
+  }
+};
+
+/**
+ * Stops a queued or running replay job after its current batch.
+ *
+ * @route POST /admin/moderation-replays/:id/cancel
+ */
+const cancelReplayJob = async (req, res) => {
+  try {
+    const job = await ReplayJob.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["queued", "running"] } },
+      { status: "cancelled", finishedAt: new Date() },
+      { new: true }
+    )
+      .select("-changes")
+      .lean();
+    if (!job) {
+      return res
+        .status(404)
+        .json({ message: "Moderation replay not found or already finished" });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    res.status(500).json({ message: "Error cancelling moderation replay" });
+  }
+};
+
+const MEDIA_HASHES_PAGE_SIZE = 50;
+
+/**
+ * Retrieves the media blocklist, newest first.
+ *
+ * @route GET /admin/media-hashes
+ *
+ * @param {number} [req.query.page] - 1-based page number.
+ */
+const getMediaHashes = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const [hashes, total] = await Promise.all([
+      MediaHash.find({})
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * MEDIA_HASHES_PAGE_SIZE)
+        .limit(MEDIA_HASHES_PAGE_SIZE)
+        .populate("community", "_id name")
+        .populate("post", "_id fileUrl fileType")
+        .populate("addedBy", "_id name username")
+        .lean(),
+      MediaHash.countDocuments(),
+    ]);
+
+    res.status(200).json({
+      hashes,
+      total,
+      page,
+      pageSize: MEDIA_HASHES_PAGE_SIZE,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving media blocklist" });
+  }
+};
+
+/**
+ * Adds an uploaded image or video, or a single hash, to the media blocklist.
+ * The uploaded file itself is not kept.
+ *
+ * @route POST /admin/media-hashes
+ *
+ * @param {File} [req.file] - Image or video to block.
+ * @param {string} [req.body.hash] - A dHash of 16 hex digits, without a file.
+ * @param {string} [req.body.note] - Why the media is blocked.
+ */
+const addMediaHash = async (req, res) => {
+  try {
+    const note =
+      typeof req.body.note === "string" ? req.body.note.trim() : undefined;
+
+    let hashes;
+    if (req.file) {
+      try {
+        hashes = await hashMedia({ path: req.file.path, type: req.fileType });
+      } catch (error) {
+        return res
+          .status(400)
+          .json({ message: "The file could not be analyzed" });
+      } finally {
+        fs.unlink(req.file.path, () => {});
+      }
+    } else {
+      const hash = String(req.body.hash || "")
+        .trim()
+        .toLowerCase();
+      if (!/^[0-9a-f]{16}$/.test(hash)) {
+        return res.status(400).json({
+          message: "Upload a file or enter a hash of 16 hex digits",
+        });
+      }
+      hashes = [hash];
+    }
+
+    const added = await addMediaHashes(hashes, {
+      fileType: req.file ? req.fileType : null,
+      note,
+      addedBy: req.adminId,
+      addedByModel: "Admin",
+    });
+
+    res.status(201).json({ added, hashes });
+  } catch (error) {
+    res.status(500).json({ message: "Error adding to media blocklist" });
+  }
+};
+
+/**
+ * @route DELETE /admin/media-hashes/:id
+ */
+const deleteMediaHash = async (req, res) => {
+  try {
+    const deletedHash = await MediaHash.findByIdAndDelete(req.params.id);
+
+    if (!deletedHash) {
+      return res.status(404).json({ message: "Media hash not found" });
+    }
+
+    invalidateMediaBlocklist();
+    res.status(200).json({ message: "Media hash deleted" });
+  } catch (error) {
+    res.status(500).json({ message: "Error deleting media hash" });
+  }
+};
+
+const SPAM_ACCOUNTS_PERIOD = 30 * 24 * 60 * 60 * 1000; // 30 days
+const MAX_SPAM_ACCOUNTS = 50;
+
+/**
+ * Users whose posts or comments the spam stage held or blocked in the last
+ * 30 days, those flagged most often first.
+ *
+ * @route GET /admin/spam-accounts
+ */
+const getSpamAccounts = async (req, res) => {
+  try {
+    const flagged = await ModerationDecision.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: new Date(Date.now() - SPAM_ACCOUNTS_PERIOD) },
+          user: { $ne: null },
+          stages: {
+            $elemMatch: { stage: "spam", action: { $in: ["hold", "block"] } },
+          },
+        },
+      },
+      { $unwind: "$stages" },
+      { $match: { "stages.stage": "spam" } },
+      {
+        $group: {
+          _id: "$user",
+          held: {
+            $sum: { $cond: [{ $eq: ["$stages.action", "hold"] }, 1, 0] },
+          },
+          blocked: {
+            $sum: { $cond: [{ $eq: ["$stages.action", "block"] }, 1, 0] },
+          },
+          maxScore: { $max: "$stages.scores.spam" },
+          lastFlaggedAt: { $max: "$createdAt" },
+        },
+      },
+      { $addFields: { flagged: { $add: ["$held", "$blocked"] } } },
+      { $sort: { flagged: -1, lastFlaggedAt: -1 } },
+      { $limit: MAX_SPAM_ACCOUNTS },
+    ]);
+
+    const users = await User.find({
+      _id: { $in: flagged.map(({ _id }) => _id) },
+    })
+      .select("_id name email avatar createdAt")
+      .lean();
+
+    res.status(200).json(
+      flagged
+        .map(({ _id, ...stats }) => ({
+          user: users.find((user) => user._id.equals(_id)),
+          ...stats,
+        }))
+        .filter(({ user }) => user)
+    );
+  } catch (error) {
+    res.status(500).json({ message: "Error retrieving spam accounts" });
+  }
+};
+
+module.exports = {
+  createReplayJob,
+  getReplayJobs,
+  getReplayJob,
+  cancelReplayJob,
+  getModerationDecisions,
+  getModerationProviderHealth,
+  getClassificationCache,
+  clearClassificationCache,
+  getKeywordRuleSets,
+  createKeywordRuleSet,
+  updateKeywordRuleSet,
+  deleteKeywordRuleSet,
+  getMediaHashes,
+  addMediaHash,
+  deleteMediaHash,
+  getSpamAccounts,
+};
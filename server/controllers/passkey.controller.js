@@ -0,0 +1,121 @@
+const User = require("../models/user.model");
+const Passkey = require("../models/passkey.model");
+const formatCreatedAt = require("../utils/timeConverter");
+const getCurrentContextData = require("../utils/contextData");
+const { getDeviceName } = require("../services/deviceRegistry");
+const {
+  WebauthnError,
+  createRegistrationOptions,
+  verifyRegistration,
+} = require("../services/webauthn");
+
+/**
+ * @route GET /auth/passkeys
+ */
+const getPasskeys = async (req, res) => {
+  try {
+    const passkeys = await Passkey.find({ user: req.userId }).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json(
+      passkeys.map((passkey) => ({
+        _id: passkey._id,
+        name: passkey.name,
+        added: formatCreatedAt(passkey.createdAt),
+        lastUsed: passkey.lastUsedAt
+          ? formatCreatedAt(passkey.lastUsedAt)
+          : null,
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Starts adding a passkey, returning the options for
+ * navigator.credentials.create().
+ *
+ * @route POST /auth/passkeys/registration-options
+ */
+const getPasskeyRegistrationOptions = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("email name");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json(await createRegistrationOptions(user));
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Saves the passkey the browser created, named after the browser and OS it
+ * was created on.
+ *
+ * @route POST /auth/passkeys
+ */
+const registerPasskey = async (req, res) => {
+  try {
+    const passkey = await verifyRegistration(
+      { _id: req.userId },
+      req.body.credential,
+      getDeviceName(getCurrentContextData(req))
+    );
+
+    res.status(201).json({
+      message: "Passkey added",
+      passkey: {
+        _id: passkey._id,
+        name: passkey.name,
+        added: formatCreatedAt(passkey.createdAt),
+        lastUsed: null,
+      },
+    });
+  } catch (error) {
+    if (error instanceof WebauthnError) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * @route DELETE /auth/passkeys/:passkeyId
+ */
+const removePasskey = async (req, res) => {
+  try {
+    const passkey = await Passkey.findOneAndDelete({
+      _id: req.params.passkeyId,
+      user: req.userId,
+    });
+
+    if (!passkey) {
+      return res.status(404).json({ message: "Passkey not found" });
+    }
+
+    res.status(200).json({ message: "Passkey removed" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  getPasskeys,
+  getPasskeyRegistrationOptions,
+  registerPasskey,
+  removePasskey,
+};
@@ -10,10 +10,21 @@ const User = require("../models/user.model");
 const Relationship = require("../models/relationship.model");
 const Report = require("../models/report.model");
 const PendingPost = require("../models/pendingPost.model");
+const Job = require("../models/job.model");
 const fs = require("fs");
 const path = require("path");
-const fetch = require("node-fetch");
-const moderationRules = require("../moderationRules.json");
+const {
+  isHeldForReview,
+  isWarned,
+  summarizeVerdict,
+} = require("../services/moderation/pipeline");
+const { banPostMedia } = require("../services/moderation/mediaBlocklist");
+const { enqueueJob } = require("../services/jobQueue");
+const { PROCESS_POST } = require("../services/postProcessingService");
+const {
+  linkDecision,
+  recordOverride,
+} = require("../services/moderation/decisionLog");
 
 /**
  * Helper: remove uploaded file on disk (if present)
@@ -25,95 +36,13 @@ const safeUnlink = (filePath) => {
   });
 };
 
-/**
- * Rule-based check using moderationRules.json
- * Checks text against banned words/patterns
- */
-const matchesRuleBased = (text) => {
-  if (!text) return false;
-  const rules = moderationRules.rules || [];
-  const lower = text.toLowerCase();
-
-  for (const r of rules) {
-    try {
-      if (typeof r === "string" && r.startsWith("/") && r.endsWith("/")) {
-        const re = new RegExp(r.slice(1, -1), "i");
-        if (re.test(text)) return true;
-      } else {
-        if (lower.includes(String(r).toLowerCase())) return true;
-      }
-    } catch (e) {
-      console.warn("Invalid moderation rule skipped:", r, e.message || e);
-    }
-  }
-  return false;
-};
-
-/**
- * AI moderation function (pluggable)
- * Uses Perspective API if configured, otherwise returns safe
- * Returns: { flagged: boolean, reason: string|null, details: object|null }
- */
-const aiModerationCheck = async (text) => {
-  if (!text) return { flagged: false, reason: null };
-
-  if (process.env.USE_PERSPECTIVE_API === "true" && process.env.PERSPECTIVE_API_KEY) {
-    try {
-      const body = {
-        comment: { text },
-        languages: ["en"],
-        requestedAttributes: {
-          TOXICITY: {},
-          SEXUALLY_EXPLICIT: {},
-          INSULT: {},
-          THREAT: {},
-          IDENTITY_ATTACK: {},
-        },
-      };
-      const resp = await fetch(
-        `https://commentanalyzer.googleapis.com/v1alpha1/comments:analyze?key=${process.env.PERSPECTIVE_API_KEY}`,
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(body),
-          timeout: process.env.CATEGORY_FILTERING_REQUEST_TIMEOUT || 5000,
-        }
-      );
-      if (!resp.ok) {
-        console.warn("Perspective API returned non-ok:", resp.status);
-        return { flagged: false, reason: null };
-      }
-      const json = await resp.json();
-      const thresholds = {
-        TOXICITY: 0.85,
-        INSULT: 0.85,
-        THREAT: 0.7,
-        IDENTITY_ATTACK: 0.8,
-        SEXUALLY_EXPLICIT: 0.9,
-      };
-      for (const attr of Object.keys(json.attributeScores || {})) {
-        const score = json.attributeScores[attr].summaryScore.value || 0;
-        if (score >= (thresholds[attr] || 0.9)) {
-          return {
-            flagged: true,
-            reason: `${attr} score ${score.toFixed(2)} >= ${thresholds[attr] || 0.9}`,
-            details: json,
-          };
-        }
-      }
-      return { flagged: false, reason: null, details: json };
-    } catch (err) {
-      console.warn("Perspective API error:", err.message || err);
-      return { flagged: false, reason: null };
-    }
-  }
-
-  return { flagged: false, reason: null };
-};
-
 /**
  * CREATE POST
- * Checks membership, runs moderation, creates post if safe
+ * Checks membership and stores the post as "processing". The moderation
+ * pipeline screens it in a background job, which the client follows with
+ * getPostJob.
+ *
+ * @route POST /posts/
  */
 const createPost = async (req, res) => {
   try {
@@ -134,54 +63,76 @@ const createPost = async (req, res) => {
       return res.status(401).json({ message: "Unauthorized to post in this community" });
     }
 
-    // 2) Rule-based moderation check
-    if (matchesRuleBased(content || "")) {
-      if (file) {
-        const filePath = path.join(__dirname, "..", "assets", "userFiles", file.filename);
-        safeUnlink(filePath);
-      }
-      return res.status(403).json({ message: "Post blocked by moderation (rule match)" });
-    }
-
-    // 3) AI moderation check
-    const aiCheck = await aiModerationCheck(content || "");
-    if (aiCheck.flagged) {
-      if (file) {
-        const filePath = path.join(__dirname, "..", "assets", "userFiles", file.filename);
-        safeUnlink(filePath);
-      }
-      return res.status(403).json({
-        message: "Post blocked by moderation (AI)",
-        reason: aiCheck.reason || "AI flagged the content",
-      });
-    }
-
-    // 4) Safe - create post
-    const newPost = new Post({
+    // 2) Store the post and queue its moderation
+    const savedPost = await Post.create({
       user: userId,
       community: communityId,
       content,
       fileUrl: fileUrl ? fileUrl : null,
       fileType: fileType ? fileType : null,
+      status: "processing",
     });
+    const job = await enqueueJob(
+      PROCESS_POST,
+      { postId: savedPost._id },
+      { user: userId }
+    );
 
-    const savedPost = await newPost.save();
-    const postId = savedPost._id;
+    return res.status(202).json({ jobId: job._id, status: job.status });
+  } catch (error) {
+    console.error("Error in createPost:", error.message || error);
+    return res.status(500).json({ message: "Error creating post" });
+  }
+};
+
+/**
+ * Progress of the background processing of a new post. Once the job is done,
+ * the outcome is returned along with the post if it was published or held.
+ *
+ * @route GET /posts/jobs/:id
+ */
+const getPostJob = async (req, res) => {
+  try {
+    const job = await Job.findOne({
+      _id: req.params.id,
+      type: PROCESS_POST,
+      user: req.userId,
+    }).lean();
+    if (!job) {
+      return res.status(404).json({ message: "Job not found" });
+    }
+
+    if (!["completed", "failed"].includes(job.status)) {
+      return res.status(200).json({ status: job.status });
+    }
+
+    const { postId, warnings, ...result } = job.result || {};
+    if (!postId) {
+      return res.status(200).json({ status: job.status, ...result });
+    }
 
     const post = await Post.findById(postId)
       .populate("user", "name avatar")
       .populate("community", "name")
       .lean();
+    if (!post) {
+      return res.status(200).json({ status: job.status, outcome: "deleted" });
+    }
 
     post.createdAt = dayjs(post.createdAt).fromNow();
+    if (warnings && warnings.length > 0) {
+      post.warnings = warnings;
+    }
 
-    return res.json(post);
+    res.status(200).json({ status: job.status, ...result, post });
   } catch (error) {
-    console.error("Error in createPost:", error.message || error);
-    return res.status(500).json({ message: "Error creating post" });
+    res.status(500).json({ message: "Error retrieving post status" });
   }
 };
 
+const getWarnings = (verdict) =>
+  verdict.reasons.map((reason) => reason.message);
+
 const confirmPost = async (req, res) => {
   try {
     const { confirmationToken } = req.params;
@@ -195,13 +146,15 @@ const confirmPost = async (req, res) => {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    const { user, community, content, fileUrl, fileType } = pendingPost;
+    const { user, community, content, fileUrl, fileType, language, decision } =
+      pendingPost;
     const newPost = new Post({
       user,
       community,
       content,
       fileUrl,
       fileType,
+      language,
     });
 
     await PendingPost.findOneAndDelete({
@@ -209,6 +162,7 @@ const confirmPost = async (req, res) => {
     });
     const savedPost = await newPost.save();
     const postId = savedPost._id;
+    await linkDecision(decision, { post: postId });
 
     const post = await Post.findById(postId)
       .populate("user", "name avatar")
@@ -278,7 +232,16 @@ const getPost = async (req, res) => {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    const comments = await findCommentsByPostId(postId);
+    const isModerator = await isCommunityModerator(post.community._id, userId);
+    if (!isModerator) {
+      const isAuthor = post.user._id.toString() === userId.toString();
+      if (post.status && post.status !== "published" && !isAuthor) {
+        return res.status(404).json({ message: "Post not found" });
+      }
+      delete post.moderation;
+    }
+
+    const comments = await findCommentsByPostId(postId, userId);
 
     post.comments = formatComments(comments);
     post.dateTime = formatCreatedAt(post.createdAt);
@@ -298,12 +261,23 @@ const getPost = async (req, res) => {
 
 const findPostById = async (postId) =>
   await Post.findById(postId)
+    .select("+moderation")
     .populate("user", "name avatar")
     .populate("community", "name")
     .lean();
 
-const findCommentsByPostId = async (postId) =>
-  await Comment.find({ post: postId })
+const isCommunityModerator = async (communityId, userId) =>
+  !!(await Community.exists({ _id: communityId, moderators: userId }));
+
+// Published comments, plus the user's own comments waiting for review
+const findCommentsByPostId = async (postId, userId) =>
+  await Comment.find({
+    post: postId,
+    $or: [
+      { status: { $nin: ["held", "rejected"] } },
+      { user: userId, status: "held" },
+    ],
+  })
     .sort({ createdAt: -1 })
     .populate("user", "name avatar")
     .lean();
@@ -320,6 +294,18 @@ const countSavedPosts = async (postId) =>
 const findReportByPostAndUser = async (postId, userId) =>
   await Report.findOne({ post: postId, reportedBy: userId });
 
+/**
+ * Limits a feed to the languages the user prefers, if any. Posts whose
+ * language was not detected are always shown.
+ */
+const findLanguageFilter = async (userId) => {
+  const user = await User.findById(userId).select("preferredLanguages").lean();
+  const languages = (user && user.preferredLanguages) || [];
+  return languages.length > 0
+    ? { language: { $in: [...languages, null] } }
+    : {};
+};
+
 const getPosts = async (req, res) => {
   try {
     const userId = req.userId;
@@ -330,12 +316,15 @@ const getPosts = async (req, res) => {
     });
 
     const communityIds = communities.map((community) => community._id);
+    const languageFilter = await findLanguageFilter(userId);
 
     const posts = await Post.find({
       community: {
         $in: communityIds,
       },
+      ...languageFilter,
     })
+      .published()
       .sort({
         createdAt: -1,
       })
@@ -354,7 +343,8 @@ const getPosts = async (req, res) => {
       community: {
         $in: communityIds,
       },
-    });
+      ...languageFilter,
+    }).published();
 
     res.status(200).json({
       formattedPosts,
@@ -385,9 +375,13 @@ const getCommunityPosts = async (req, res) => {
       });
     }
 
+    const languageFilter = await findLanguageFilter(userId);
+
     const posts = await Post.find({
       community: communityId,
+      ...languageFilter,
     })
+      .published()
       .sort({
         createdAt: -1,
       })
@@ -404,7 +398,8 @@ const getCommunityPosts = async (req, res) => {
 
     const totalCommunityPosts = await Post.countDocuments({
       community: communityId,
-    });
+      ...languageFilter,
+    }).published();
 
     res.status(200).json({
       formattedPosts,
@@ -436,6 +431,7 @@ const getFollowingUsersPosts = async (req, res) => {
       },
       community: communityId,
     })
+      .published()
       .sort({
         createdAt: -1,
       })
@@ -457,10 +453,16 @@ const getFollowingUsersPosts = async (req, res) => {
   }
 };
 
+/**
+ * @route DELETE /posts/:id
+ *
+ * @param {string} [req.query.banMedia] - "true" to also add the attachment to
+ * the media blocklist, for moderators removing someone else's post.
+ */
 const deletePost = async (req, res) => {
   try {
     const id = req.params.id;
-    const post = await Post.findById(id);
+    const post = await Post.findById(id).select("+mediaHashes");
 
     if (!post) {
       return res.status(404).json({
@@ -468,7 +470,31 @@ const deletePost = async (req, res) => {
       });
     }
 
-    await post.remove();
+    // Posts taken down by someone other than the author are only hidden, so
+    // they can be restored if the author appeals
+    if (post.user.toString() !== req.userId.toString()) {
+      if (req.query.banMedia === "true") {
+        const isModerator = await Community.exists({
+          _id: post.community,
+          moderators: req.userId,
+        });
+        if (!isModerator) {
+          return res.status(401).json({
+            message: "Only moderators of this community can ban media",
+          });
+        }
+        await banPostMedia(post, req.userId, "User");
+      }
+
+      post.status = "removed";
+      post.reviewedBy = req.userId;
+      post.reviewedAt = new Date();
+      await post.save();
+      await Report.deleteOne({ post: post._id });
+      await recordOverride({ post: post._id }, "remove", req.userId);
+    } else {
+      await post.remove();
+    }
     res.status(200).json({
       message: "Post deleted successfully",
     });
@@ -569,37 +595,42 @@ const unlikePost = async (req, res) => {
 };
 
 /**
- * ADD COMMENT with moderation checks
+ * ADD COMMENT
+ * Runs after the moderateContent middleware
  */
 const addComment = async (req, res) => {
   try {
     const { content, postId } = req.body;
     const userId = req.userId;
 
-    // 1) Rule-based moderation check
-    if (matchesRuleBased(content || "")) {
-      return res.status(403).json({ 
-        message: "Comment blocked by moderation (rule match)" 
-      });
-    }
-
-    // 2) AI moderation check
-    const aiCheck = await aiModerationCheck(content || "");
-    if (aiCheck.flagged) {
-      return res.status(403).json({
-        message: "Comment blocked by moderation (AI)",
-        reason: aiCheck.reason || "AI flagged the content",
-      });
-    }
-
-    // 3) Safe to create comment
+    // Content already passed the moderation pipeline, borderline comments
+    // wait in the community's review queue
+    const isHeld = !!req.moderation && isHeldForReview(req.moderation);
+    const warned = !!req.moderation && isWarned(req.moderation);
     const newComment = new Comment({
       user: userId,
       post: postId,
+      community: req.community ? req.community._id : null,
       content,
+      language: req.moderation ? req.moderation.language : null,
+      status: isHeld ? "held" : "published",
+      moderation: isHeld || warned ? summarizeVerdict(req.moderation) : null,
     });
 
     await newComment.save();
+    if (req.moderation) {
+      await linkDecision(req.moderation.decisionId, {
+        comment: newComment._id,
+      });
+    }
+
+    if (isHeld) {
+      return res.status(202).json({
+        message: "Comment is pending review by the community moderators",
+        status: "held",
+      });
+    }
+
     await Post.findOneAndUpdate(
       {
         _id: { $eq: postId },
@@ -613,6 +644,7 @@ const addComment = async (req, res) => {
 
     res.status(200).json({
       message: "Comment added successfully",
+      ...(warned && { warnings: getWarnings(req.moderation) }),
     });
   } catch (error) {
     res.status(500).json({
@@ -668,47 +700,6 @@ const deleteComment = async (req, res) => {
   }
 };
 
-/**
- * CLEANUP OFFENSIVE COMMENTS - ADMIN ONLY
- * Scans all comments and removes those matching moderation rules
- */
-const cleanupOffensiveComments = async (req, res) => {
-  try {
-    const userId = req.userId;
-    const user = await User.findById(userId);
-
-    // Only admins can run this
-    if (!user || user.role !== "admin") {
-      return res.status(403).json({ message: "Admin access required" });
-    }
-
-    const allComments = await Comment.find({});
-    let deletedCount = 0;
-
-    for (const comment of allComments) {
-      if (matchesRuleBased(comment.content)) {
-        // Remove from post's comments array
-        await Post.findByIdAndUpdate(comment.post, {
-          $pull: { comments: comment._id }
-        });
-        // Delete comment
-        await comment.remove();
-        deletedCount++;
-      }
-    }
-
-    res.status(200).json({
-      message: `Cleanup complete. Removed ${deletedCount} offensive comments.`,
-      deletedCount,
-    });
-  } catch (error) {
-    console.error("Error cleaning up comments:", error);
-    res.status(500).json({
-      message: "Error during cleanup",
-    });
-  }
-};
-
 const savePost = async (req, res) => {
   await saveOrUnsavePost(req, res, "$addToSet");
 };
@@ -780,6 +771,7 @@ const getSavedPosts = async (req, res) => {
       community: { $in: communityIds },
       _id: { $in: user.savedPosts },
     })
+      .published()
       .populate("user", "name avatar")
       .populate("community", "name");
 
@@ -817,6 +809,7 @@ const getPublicPosts = async (req, res) => {
       community: { $in: commonCommunityIds },
       user: publicUserId,
     })
+      .published()
       .populate("user", "_id name avatar")
       .populate("community", "_id name")
       .sort("-createdAt")
@@ -838,6 +831,7 @@ module.exports = {
   getPost,
   getPosts,
   createPost,
+  getPostJob,
   getCommunityPosts,
   deletePost,
   rejectPost,
@@ -847,7 +841,6 @@ module.exports = {
   unlikePost,
   addComment,
   deleteComment,  // NEW
-  cleanupOffensiveComments,  // NEW
   savePost,
   unsavePost,
   getSavedPosts,
@@ -22,6 +22,7 @@ const search = async (req, res) => {
         community: { $in: communities },
         $text: { $search: searchQuery },
       })
+        .published()
         .select("_id content")
         .populate("user", "name avatar")
         .populate("community", "name")
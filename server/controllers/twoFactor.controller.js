@@ -0,0 +1,147 @@
+const User = require("../models/user.model");
+const {
+  getTwoFactorStatus,
+  startSetup,
+  confirmSetup,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  resetTwoFactor,
+} = require("../services/twoFactor");
+
+/**
+ * @route GET /auth/two-factor
+ */
+const getTwoFactor = async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.userId);
+
+    if (!status) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.status(200).json(status);
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Starts setting up two-factor authentication, returning the secret to add
+ * to an authenticator app.
+ *
+ * @route POST /auth/two-factor/setup
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select("+twoFactor.enabled");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const { secret, uri } = await startSetup(user);
+
+    res.status(200).json({ secret, uri });
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Enables two-factor authentication with a code from the authenticator app,
+ * returning the recovery codes. They are never shown again.
+ *
+ * @route POST /auth/two-factor/enable
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await confirmSetup(req.userId, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    res.status(200).json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * @route POST /auth/two-factor/disable
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    const factor = await verifySecondFactor(req.userId, {
+      code,
+      recoveryCode,
+    });
+
+    if (!factor) {
+      return res.status(400).json({
+        message: recoveryCode ? "Invalid recovery code" : "Invalid code",
+      });
+    }
+
+    await resetTwoFactor(req.userId);
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Replaces the recovery codes with new ones, for a code from the
+ * authenticator app.
+ *
+ * @route POST /auth/two-factor/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const factor = await verifySecondFactor(req.userId, {
+      code: req.body.code,
+    });
+
+    if (!factor) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.userId);
+
+    res.status(200).json({
+      message: "Recovery codes regenerated",
+      recoveryCodes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: "Internal server error",
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
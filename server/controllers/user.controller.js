@@ -6,8 +6,32 @@ const Post = require("../models/post.model");
 const Community = require("../models/community.model");
 const UserPreference = require("../models/preference.model");
 const formatCreatedAt = require("../utils/timeConverter");
-const { verifyContextData, types } = require("./auth.controller");
+const SuspiciousLogin = require("../models/suspiciousLogin.model");
+const UserContext = require("../models/context.model");
+const getCurrentContextData = require("../utils/contextData");
+const {
+  verifyContextData,
+  getSuspiciousContextData,
+  types,
+} = require("./auth.controller");
+const {
+  createDeviceToken,
+  registerDevice,
+} = require("../services/deviceRegistry");
+const {
+  createChallengeToken,
+  verifyChallengeToken,
+  recordChallengeAttempt,
+  verifySecondFactor,
+} = require("../services/twoFactor");
+const {
+  WebauthnError,
+  createAuthenticationOptions,
+  verifyAuthentication,
+} = require("../services/webauthn");
 const { saveLogInfo } = require("../middlewares/logger/logInfo");
+const { moderate } = require("../services/moderation/pipeline");
+const { LANGUAGES } = require("../services/moderation/languageDetection");
 const duration = require("dayjs/plugin/duration");
 const dayjs = require("dayjs");
 dayjs.extend(duration);
@@ -33,6 +57,57 @@ const MESSAGE = {
   MULTIPLE_ATTEMPT_WITHOUT_VERIFY:
     "Multiple sign in attempts detected without verifying identity.",
   LOGOUT_SUCCESS: "User has logged out successfully",
+  TWO_FACTOR_REQUIRED: "Password correct, waiting for the second factor",
+  TWO_FACTOR_EXPIRED: "Second factor not entered in time",
+  TWO_FACTOR_INCORRECT: "Incorrect second factor",
+  TWO_FACTOR_TOO_MANY_ATTEMPTS: "Too many incorrect second factors",
+  TWO_FACTOR_CODE: "Signed in with an authenticator code",
+  TWO_FACTOR_RECOVERY_CODE: "Signed in with a recovery code",
+  PASSKEY: "Signed in with a passkey",
+  PASSKEY_INVALID: "Passkey sign in failed: ",
+};
+
+/**
+ * Signs a user in, responding with their access and refresh tokens.
+ *
+ * @param {Object} [trustedDevice] - The trusted device the user signed in
+ * from, remembered by the client with a device token.
+ */
+const sendTokens = async (res, existingUser, trustedDevice) => {
+  const payload = {
+    id: existingUser._id,
+    email: existingUser.email,
+  };
+
+  const accessToken = jwt.sign(payload, process.env.SECRET, {
+    expiresIn: "6h",
+  });
+
+  const refreshToken = jwt.sign(payload, process.env.REFRESH_SECRET, {
+    expiresIn: "7d",
+  });
+
+  const newRefreshToken = new Token({
+    user: existingUser._id,
+    refreshToken,
+    accessToken,
+  });
+  await newRefreshToken.save();
+
+  res.status(200).json({
+    accessToken,
+    refreshToken,
+    accessTokenUpdatedAt: new Date().toLocaleString(),
+    // remembered by the client to be recognized as this trusted device
+    deviceToken: trustedDevice ? createDeviceToken(trustedDevice) : null,
+    user: {
+      _id: existingUser._id,
+      name: existingUser.name,
+      email: existingUser.email,
+      role: existingUser.role,
+      avatar: existingUser.avatar,
+    },
+  });
 };
 
 const signin = async (req, res, next) => {
@@ -47,7 +122,7 @@ const signin = async (req, res, next) => {
     const { email, password } = req.body;
     const existingUser = await User.findOne({
       email: { $eq: email },
-    });
+    }).select("+twoFactor.enabled");
     if (!existingUser) {
       await saveLogInfo(
         req,
@@ -84,6 +159,10 @@ const signin = async (req, res, next) => {
       enableContextBasedAuth: true,
     });
 
+    // a sign in flagged by context based authentication, which users with
+    // two-factor authentication can verify with their second factor
+    let suspiciousLoginId = null;
+
     if (isContextAuthEnabled) {
       const contextDataResult = await verifyContextData(req, existingUser);
 
@@ -117,7 +196,10 @@ const signin = async (req, res, next) => {
         });
       }
 
-      if (contextDataResult === types.SUSPICIOUS) {
+      if (
+        contextDataResult === types.SUSPICIOUS &&
+        !existingUser.twoFactor.enabled
+      ) {
         await saveLogInfo(
           req,
           MESSAGE.MULTIPLE_ATTEMPT_WITHOUT_VERIFY,
@@ -135,64 +217,319 @@ const signin = async (req, res, next) => {
         });
       }
 
+      if (contextDataResult === types.SUSPICIOUS) {
+        suspiciousLoginId = req.suspiciousLogin._id;
+      }
+
+      // The risk of the sign in calls for a verification email
       if (contextDataResult.mismatchedProps) {
-        const mismatchedProps = contextDataResult.mismatchedProps;
-        const currentContextData = contextDataResult.currentContextData;
-        if (
-          mismatchedProps.some((prop) =>
-            [
-              "ip",
-              "country",
-              "city",
-              "device",
-              "deviceLOG_TYPE",
-              "os",
-              "platform",
-              "browser",
-            ].includes(prop)
-          )
-        ) {
-          req.mismatchedProps = mismatchedProps;
-          req.currentContextData = currentContextData;
+        if (existingUser.twoFactor.enabled) {
+          suspiciousLoginId = contextDataResult.currentContextData.id;
+        } else {
+          req.mismatchedProps = contextDataResult.mismatchedProps;
+          req.currentContextData = contextDataResult.currentContextData;
           req.user = existingUser;
           return next();
         }
       }
     }
 
-    const payload = {
-      id: existingUser._id,
-      email: existingUser.email,
-    };
+    if (existingUser.twoFactor.enabled) {
+      await saveLogInfo(
+        req,
+        MESSAGE.TWO_FACTOR_REQUIRED,
+        LOG_TYPE.SIGN_IN,
+        LEVEL.INFO
+      );
 
-    const accessToken = jwt.sign(payload, process.env.SECRET, {
-      expiresIn: "6h",
+      return res.status(200).json({
+        twoFactorRequired: true,
+        twoFactorToken: createChallengeToken({
+          id: existingUser._id,
+          deviceId: req.trustedDevice ? req.trustedDevice._id : undefined,
+          suspiciousLoginId: suspiciousLoginId || undefined,
+          // allowed from a device the second factor verifies
+          newDevice:
+            (isContextAuthEnabled &&
+              !req.trustedDevice &&
+              !suspiciousLoginId) ||
+            undefined,
+        }),
+        // the email link stays an option for a flagged sign in
+        canVerifyByEmail: Boolean(suspiciousLoginId),
+      });
+    }
+
+    await sendTokens(res, existingUser, req.trustedDevice);
+  } catch (err) {
+    await saveLogInfo(
+      req,
+      MESSAGE.SIGN_IN_ERROR + err.message,
+      LOG_TYPE.SIGN_IN,
+      LEVEL.ERROR
+    );
+
+    res.status(500).json({
+      message: "Something went wrong",
     });
+  }
+};
+
+/**
+ * Second step of a sign in with two-factor authentication, with a code from
+ * the authenticator app or a recovery code. A sign in flagged by context
+ * based authentication, or allowed from a new device, is verified by it too,
+ * trusting its device. After a few incorrect codes the user has to sign in
+ * again.
+ *
+ * @route POST /users/signin/2fa
+ */
+const signinTwoFactor = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+    const challenge = verifyChallengeToken(twoFactorToken);
+    if (!challenge) {
+      await saveLogInfo(
+        req,
+        MESSAGE.TWO_FACTOR_EXPIRED,
+        LOG_TYPE.SIGN_IN,
+        LEVEL.WARN
+      );
+
+      return res.status(401).json({
+        message: "Your sign in has expired. Please sign in again.",
+      });
+    }
+
+    const existingUser = await User.findById(challenge.id);
+    if (!existingUser) {
+      return res.status(404).json({
+        message: "Invalid credentials",
+      });
+    }
 
-    const refreshToken = jwt.sign(payload, process.env.REFRESH_SECRET, {
-      expiresIn: "7d",
+    if (!(await recordChallengeAttempt(challenge))) {
+      await saveLogInfo(
+        req,
+        MESSAGE.TWO_FACTOR_TOO_MANY_ATTEMPTS,
+        LOG_TYPE.SIGN_IN,
+        LEVEL.WARN
+      );
+
+      return res.status(401).json({
+        message: "Too many incorrect codes. Please sign in again.",
+      });
+    }
+
+    const factor = await verifySecondFactor(existingUser._id, {
+      code,
+      recoveryCode,
     });
+    if (!factor) {
+      await saveLogInfo(
+        req,
+        MESSAGE.TWO_FACTOR_INCORRECT,
+        LOG_TYPE.SIGN_IN,
+        LEVEL.WARN
+      );
 
-    const newRefreshToken = new Token({
-      user: existingUser._id,
-      refreshToken,
-      accessToken,
+      return res.status(400).json({
+        message: recoveryCode ? "Invalid recovery code" : "Invalid code",
+      });
+    }
+
+    let trustedDevice = null;
+    if (challenge.suspiciousLoginId) {
+      const suspiciousLogin = await SuspiciousLogin.findOne({
+        _id: challenge.suspiciousLoginId,
+        user: existingUser._id,
+      });
+
+      if (suspiciousLogin && suspiciousLogin.isBlocked) {
+        await saveLogInfo(
+          req,
+          MESSAGE.DEVICE_BLOCKED,
+          LOG_TYPE.SIGN_IN,
+          LEVEL.WARN
+        );
+
+        return res.status(401).json({
+          message:
+            "You've been blocked due to suspicious login activity. Please contact support for assistance.",
+        });
+      }
+
+      // verified by the second factor as by the email link
+      if (suspiciousLogin) {
+        trustedDevice = await registerDevice(
+          { _id: existingUser._id, email: existingUser.email },
+          suspiciousLogin
+        );
+        await SuspiciousLogin.deleteOne({ _id: suspiciousLogin._id });
+      }
+    } else if (challenge.deviceId) {
+      trustedDevice = await UserContext.findOne({
+        _id: challenge.deviceId,
+        user: existingUser._id,
+      });
+    } else if (challenge.newDevice) {
+      trustedDevice = await registerDevice(
+        { _id: existingUser._id, email: existingUser.email },
+        getCurrentContextData(req)
+      );
+    }
+
+    await saveLogInfo(
+      req,
+      factor === "recoveryCode"
+        ? MESSAGE.TWO_FACTOR_RECOVERY_CODE
+        : MESSAGE.TWO_FACTOR_CODE,
+      LOG_TYPE.SIGN_IN,
+      LEVEL.INFO
+    );
+
+    await sendTokens(res, existingUser, trustedDevice);
+  } catch (err) {
+    await saveLogInfo(
+      req,
+      MESSAGE.SIGN_IN_ERROR + err.message,
+      LOG_TYPE.SIGN_IN,
+      LEVEL.ERROR
+    );
+
+    res.status(500).json({
+      message: "Something went wrong",
     });
-    await newRefreshToken.save();
+  }
+};
 
-    res.status(200).json({
-      accessToken,
-      refreshToken,
-      accessTokenUpdatedAt: new Date().toLocaleString(),
-      user: {
-        _id: existingUser._id,
-        name: existingUser.name,
-        email: existingUser.email,
-        role: existingUser.role,
-        avatar: existingUser.avatar,
-      },
+/**
+ * Verifies a sign in flagged by context based authentication with the email
+ * link instead of the second factor, sending the email.
+ *
+ * @route POST /users/signin/2fa/email
+ */
+const requestSignInEmail = async (req, res, next) => {
+  try {
+    const challenge = verifyChallengeToken(req.body.twoFactorToken);
+    if (!challenge || !challenge.suspiciousLoginId) {
+      return res.status(401).json({
+        message: "Your sign in has expired. Please sign in again.",
+      });
+    }
+
+    const suspiciousLogin = await SuspiciousLogin.findOne({
+      _id: challenge.suspiciousLoginId,
+      user: challenge.id,
+      isBlocked: false,
+    });
+    if (!suspiciousLogin) {
+      return res.status(400).json({
+        message: "This sign in can no longer be verified by email",
+      });
+    }
+
+    req.user = await User.findById(challenge.id);
+    req.currentContextData = getSuspiciousContextData(suspiciousLogin);
+    next();
+  } catch (err) {
+    res.status(500).json({
+      message: "Something went wrong",
+    });
+  }
+};
+
+/**
+ * Starts a sign in with a passkey, returning the options for
+ * navigator.credentials.get().
+ *
+ * @route POST /users/signin/passkey/options
+ */
+const getPasskeySignInOptions = async (req, res) => {
+  try {
+    res.status(200).json(await createAuthenticationOptions());
+  } catch (err) {
+    res.status(500).json({
+      message: "Something went wrong",
+    });
+  }
+};
+
+/**
+ * Signs a user in with a passkey instead of their password. Passkeys verify
+ * the user with a PIN or biometrics, so two-factor authentication is not
+ * asked for, and context based authentication trusts the device like one
+ * verified by email.
+ *
+ * @route POST /users/signin/passkey
+ */
+const signinWithPasskey = async (req, res) => {
+  try {
+    const passkey = await verifyAuthentication(req.body.credential);
+    const existingUser = await User.findById(passkey.user);
+    if (!existingUser) {
+      return res.status(404).json({
+        message: "Invalid credentials",
+      });
+    }
+    // the sign in logs show the email of the user signing in
+    req.body.email = existingUser.email;
+
+    const isContextAuthEnabled = await UserPreference.findOne({
+      user: existingUser._id,
+      enableContextBasedAuth: true,
     });
+
+    if (isContextAuthEnabled) {
+      const contextDataResult = await verifyContextData(req, existingUser, {
+        passkey: true,
+      });
+
+      if (contextDataResult === types.BLOCKED) {
+        await saveLogInfo(
+          req,
+          MESSAGE.DEVICE_BLOCKED,
+          LOG_TYPE.SIGN_IN,
+          LEVEL.WARN
+        );
+
+        return res.status(401).json({
+          message:
+            "You've been blocked due to suspicious login activity. Please contact support for assistance.",
+        });
+      }
+
+      if (contextDataResult !== types.MATCH) {
+        await saveLogInfo(
+          req,
+          MESSAGE.CONTEXT_DATA_VERIFY_ERROR,
+          LOG_TYPE.SIGN_IN,
+          LEVEL.ERROR
+        );
+
+        return res.status(500).json({
+          message: "Error occurred while verifying context data",
+        });
+      }
+    }
+
+    await saveLogInfo(req, MESSAGE.PASSKEY, LOG_TYPE.SIGN_IN, LEVEL.INFO);
+
+    await sendTokens(res, existingUser, req.trustedDevice);
   } catch (err) {
+    if (err instanceof WebauthnError) {
+      await saveLogInfo(
+        req,
+        MESSAGE.PASSKEY_INVALID + err.message,
+        LOG_TYPE.SIGN_IN,
+        LEVEL.WARN
+      );
+
+      return res.status(401).json({
+        message: err.message,
+      });
+    }
+
     await saveLogInfo(
       req,
       MESSAGE.SIGN_IN_ERROR + err.message,
@@ -441,11 +778,27 @@ const updateInfo = async (req, res) => {
       });
     }
 
-    const { location, interests, bio } = req.body;
+    const { location, interests, bio, preferredLanguages } = req.body;
+
+    const verdict = await moderate({
+      content: [bio, interests].filter(Boolean).join("\n"),
+      contentType: "profile",
+      user: req.userId,
+    });
+    if (verdict.action === "block") {
+      return res.status(403).json({
+        message: "Your bio or interests contain inappropriate content",
+      });
+    }
 
     user.location = location;
     user.interests = interests;
     user.bio = bio;
+    if (Array.isArray(preferredLanguages)) {
+      user.preferredLanguages = preferredLanguages.filter(
+        (language) => LANGUAGES[language]
+      );
+    }
 
     await user.save();
 
@@ -462,6 +815,10 @@ const updateInfo = async (req, res) => {
 module.exports = {
   addUser,
   signin,
+  signinTwoFactor,
+  requestSignInEmail,
+  getPasskeySignInOptions,
+  signinWithPasskey,
   logout,
   refreshToken,
   getModProfile,
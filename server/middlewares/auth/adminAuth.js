@@ -9,6 +9,7 @@ const requireAdminAuth = async (req, res, next) => {
     const admin = await Admin.findById(decoded.id);
 
     if (admin) {
+      req.adminId = admin._id;
       next();
     } else {
       res.status(401).json({ message: "Unauthorized" });
@@ -7,8 +7,9 @@ const getCurrentContextData = require("../../utils/contextData");
  * @param message {string} - log message
  * @param type {string} - log type (sign in, sign out, api requests)
  * @param level {string} - log level (error, warning, info)
+ * @param details {Object} - optional sign in risk details ({riskScore, riskFactors})
  */
-const saveLogInfo = async (req, message, type, level) => {
+const saveLogInfo = async (req, message, type, level, details = {}) => {
   try {
     let context = null;
     if (req) {
@@ -24,6 +25,8 @@ const saveLogInfo = async (req, message, type, level) => {
       message,
       type,
       level,
+      riskScore: details.riskScore,
+      riskFactors: details.riskFactors,
     });
 
     await log.save();
@@ -0,0 +1,49 @@
+const Post = require("../../models/post.model");
+const { moderate } = require("../../services/moderation/pipeline");
+
+/**
+ * Screens a new comment with the moderation pipeline before it is saved, and
+ * attaches the verdict to req.moderation and the community of the post to
+ * req.community. Blocked comments are rejected with 403.
+ *
+ * New posts are not screened here: they are saved as processing and
+ * moderated in the background by the job queue, see
+ * services/postProcessingService.js.
+ *
+ * @route POST /posts/:id/comment
+ */
+const moderateContent = async (req, res, next) => {
+  let community;
+  let verdict;
+  try {
+    const post = await Post.findById(req.body.postId || req.params.id)
+      .select("community")
+      .populate("community")
+      .lean();
+    community = post ? post.community : null;
+    verdict = await moderate({
+      content: req.body.content,
+      contentType: "comment",
+      community,
+      post: post ? post._id : null,
+      user: req.userId,
+    });
+  } catch (error) {
+    return res.status(500).json({ message: "Error processing comment" });
+  }
+
+  req.moderation = verdict;
+  req.community = community;
+
+  if (verdict.action === "block") {
+    return res.status(403).json({
+      type: "inappropriateContent",
+      reasons: verdict.reasons.map((reason) => reason.message),
+      decisionId: verdict.decisionId,
+    });
+  }
+
+  next();
+};
+
+module.exports = moderateContent;
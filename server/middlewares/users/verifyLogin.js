@@ -1,6 +1,6 @@
 const nodemailer = require("nodemailer");
 const SuspiciousLogin = require("../../models/suspiciousLogin.model");
-const UserContext = require("../../models/context.model");
+const { registerDevice } = require("../../services/deviceRegistry");
 const EmailVerification = require("../../models/email.model");
 const { query, validationResult } = require("express-validator");
 const { verifyLoginHTML } = require("../../utils/emailTemplates");
@@ -82,25 +82,13 @@ const verifyLogin = async (req, res) => {
       return res.status(400).json({ message: "Invalid verification link" });
     }
 
-    const newContextData = new UserContext({
-      user: suspiciousLogin.user,
-      email: suspiciousLogin.email,
-      ip: suspiciousLogin.ip,
-      city: suspiciousLogin.city,
-      country: suspiciousLogin.country,
-      device: suspiciousLogin.device,
-      deviceType: suspiciousLogin.deviceType,
-      browser: suspiciousLogin.browser,
-      os: suspiciousLogin.os,
-      platform: suspiciousLogin.platform,
-    });
-
-    await newContextData.save();
-    await SuspiciousLogin.findOneAndUpdate(
-      { _id: { $eq: id } },
-      { $set: { isTrusted: true, isBlocked: false } },
-      { new: true }
+    // the verified context is trusted from now on, as one of the user's
+    // devices
+    await registerDevice(
+      { _id: suspiciousLogin.user, email: suspiciousLogin.email },
+      suspiciousLogin
     );
+    await SuspiciousLogin.deleteOne({ _id: { $eq: id } });
 
     res.status(200).json({ message: "Login verified" });
   } catch (err) {
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// An admin action on a user account, kept for auditing. Unlike the logs it
+// never expires and cannot be cleared from the admin panel
+const adminActionSchema = new Schema(
+  {
+    admin: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["resetTwoFactor"],
+      required: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // the email of the user at the time, it may change
+    email: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+adminActionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AdminAction", adminActionSchema);
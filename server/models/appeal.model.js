@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const appealSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // blockedContent: a post or comment rejected by the moderation pipeline
+    // removedPost: a post removed or rejected by a moderator
+    // ban: a ban from a community
+    type: {
+      type: String,
+      enum: ["blockedContent", "removedPost", "ban"],
+      required: true,
+    },
+    community: {
+      type: Schema.Types.ObjectId,
+      ref: "Community",
+      default: null,
+    },
+    // the removed post, or the post a blocked comment was written on
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    // the automated decision that blocked the content
+    decision: {
+      type: Schema.Types.ObjectId,
+      ref: "ModerationDecision",
+      default: null,
+    },
+    // blocked content is not stored by the pipeline, so the appellant resubmits
+    // it and it is checked against the content hash of the decision
+    contentType: {
+      type: String,
+      enum: ["post", "comment", null],
+      default: null,
+    },
+    content: {
+      type: String,
+      trim: true,
+    },
+    statement: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    // community appeals go to its moderators, platform-level blocks to admins
+    routedTo: {
+      type: String,
+      enum: ["moderators", "admins"],
+      required: true,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "reviewerModel",
+    },
+    reviewerModel: {
+      type: String,
+      enum: ["User", "Admin"],
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+appealSchema.index({ user: 1, createdAt: -1 });
+appealSchema.index({ routedTo: 1, community: 1, status: 1 });
+
+module.exports = mongoose.model("Appeal", appealSchema);
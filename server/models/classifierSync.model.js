@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+/**
+ * A push or deletion of the TextRazor "community" classifier, see
+ * services/manageClassifier.js.
+ */
+const classifierSyncSchema = new Schema(
+  {
+    action: { type: String, enum: ["push", "delete"], required: true },
+    status: { type: String, enum: ["success", "failed"], required: true },
+    // the number of categories pushed
+    categoryCount: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    // null when pushed automatically after a community was created
+    triggeredBy: { type: Schema.Types.ObjectId, ref: "Admin", default: null },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+classifierSyncSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("ClassifierSync", classifierSyncSchema);
@@ -16,10 +16,46 @@ const commentSchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: "Post",
     },
+    community: {
+      type: Schema.Types.ObjectId,
+      ref: "Community",
+    },
+    // ISO 639-1 code detected by the moderation pipeline, null when the text
+    // was too short to tell
+    language: {
+      type: String,
+      default: null,
+    },
+    // held comments are only visible to their author and the community moderators
+    status: {
+      type: String,
+      enum: ["published", "held", "rejected"],
+      default: "published",
+    },
+    // reasons and scores from the moderation pipeline for held or warned
+    // comments, only selected for moderators
+    moderation: {
+      type: Schema.Types.Mixed,
+      default: null,
+      select: false,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+commentSchema.index({ community: 1, status: 1 });
+
+commentSchema.query.published = function () {
+  return this.where({ status: { $nin: ["held", "rejected"] } });
+};
+
 module.exports = mongoose.model("Comment", commentSchema);
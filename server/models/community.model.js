@@ -18,6 +18,19 @@ const communitySchema = new Schema(
       type: String,
     },
 
+    // topic detection classifies posts against the names of all communities.
+    // Keywords become the concepts of the TextRazor classifier, hypotheses
+    // ("This post is about ...") are used by the zero-shot classifier instead
+    // of the name
+    topicKeywords: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+    topicHypotheses: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+
     moderators: [
       {
         type: Schema.Types.ObjectId,
@@ -49,6 +62,24 @@ const communitySchema = new Schema(
         default: [],
       },
     ],
+
+    // toxicity thresholds and actions set by the community moderators,
+    // empty to use the default policy
+    moderationPolicy: {
+      type: [
+        {
+          _id: false,
+          attribute: { type: String, required: true },
+          threshold: { type: Number, required: true, min: 0, max: 1 },
+          action: {
+            type: String,
+            enum: ["warn", "hold", "block"],
+            required: true,
+          },
+        },
+      ],
+      default: [],
+    },
   },
 
   {
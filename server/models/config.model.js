@@ -2,10 +2,128 @@ const mongoose = require("mongoose");
 
 const configSchema = new mongoose.Schema(
   {
-    usePerspectiveAPI: {
-      type: Boolean,
+    // "Local" scores toxicity offline with the bundled lexicon. Configs saved
+    // before the provider could be selected only had a usePerspectiveAPI flag
+    toxicityServiceProvider: {
+      type: String,
+      enum: ["Perspective", "Local", "disabled"],
+      default: function () {
+        return this.get("usePerspectiveAPI") ? "Perspective" : "disabled";
+      },
+      required: true,
+    },
+    // tried in order when the provider above fails or its circuit is open
+    toxicityFallbackProviders: {
+      type: [{ type: String, enum: ["Perspective", "Local"] }],
+      default: [],
+    },
+    moderationStages: {
+      type: [
+        {
+          type: String,
+          enum: ["keyword", "spam", "toxicity", "media", "category"],
+        },
+      ],
+      default: ["keyword", "spam", "toxicity", "media", "category"],
+    },
+    // what a stage does when it errors or none of its providers answer:
+    // "open" lets content through, "hold" sends it to the review queue and
+    // "closed" rejects it
+    moderationFailureModes: {
+      keyword: {
+        type: String,
+        enum: ["open", "hold", "closed"],
+        default: "open",
+      },
+      spam: {
+        type: String,
+        enum: ["open", "hold", "closed"],
+        default: "open",
+      },
+      toxicity: {
+        type: String,
+        enum: ["open", "hold", "closed"],
+        default: "open",
+      },
+      media: {
+        type: String,
+        enum: ["open", "hold", "closed"],
+        default: "hold",
+      },
+      category: {
+        type: String,
+        enum: ["open", "hold", "closed"],
+        default: "hold",
+      },
+    },
+    // toxicity rules applied in every community on top of its own policy
+    moderationFloors: {
+      type: [
+        {
+          _id: false,
+          attribute: { type: String, required: true },
+          threshold: { type: Number, required: true, min: 0, max: 1 },
+          action: {
+            type: String,
+            enum: ["warn", "hold", "block"],
+            required: true,
+          },
+        },
+      ],
+      default: [],
+    },
+    // spam scores from which posts and comments are held for review or
+    // blocked, see services/moderation/spamDetection.js
+    spamHoldThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.6,
+    },
+    spamBlockThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.9,
+    },
+    // sign in risk scores from which users with context based authentication
+    // verify the sign in by email or, if one of their devices is blocked, are
+    // blocked, see services/loginRisk.js
+    contextRiskStepUpThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.3,
+    },
+    contextRiskBlockThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.95,
+    },
+    // trusted devices a user can have, the least recently seen is forgotten
+    // when another one is added
+    maxTrustedDevices: {
+      type: Number,
+      min: 1,
+      max: 50,
+      default: 5,
+    },
+    // what the toxicity stage does with content in a language none of its
+    // providers handles: "hold" sends it to the review queue, "allow" lets it
+    // through unscored. The local provider only handles English
+    unsupportedLanguageAction: {
+      type: String,
+      enum: ["allow", "hold"],
+      default: "hold",
+    },
+    // classifies post attachments, "Local" scores them with a skin-tone
+    // heuristic. The media blocklist is checked whatever the provider
+    mediaModerationProvider: {
+      type: String,
+      enum: ["Local", "disabled"],
+      default: "Local",
       required: true,
-      default: false,
     },
     categoryFilteringServiceProvider: {
       type: String,
@@ -13,6 +131,15 @@ const configSchema = new mongoose.Schema(
       default: "disabled",
       required: true,
     },
+    categoryFilteringFallbackProviders: {
+      type: [
+        {
+          type: String,
+          enum: ["TextRazor", "InterfaceAPI", "ClassifierAPI"],
+        },
+      ],
+      default: [],
+    },
     categoryFilteringRequestTimeout: {
       type: Number,
       min: 5000,
@@ -20,6 +147,29 @@ const configSchema = new mongoose.Schema(
       default: 30000,
       required: true,
     },
+    // a post is accepted when its community scores within this margin of the
+    // top detected topic
+    categoryMatchMargin: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.1,
+    },
+    // communities suggested to the author of a post blocked for its topic
+    categorySuggestionCount: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 3,
+    },
+    // minutes the toxicity and category results of unchanged content are
+    // reused, 0 disables the cache
+    classificationCacheTTL: {
+      type: Number,
+      min: 0,
+      max: 10080,
+      default: 60,
+    },
   },
   { validateBeforeSave: true }
 );
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Fingerprint of a post or comment screened by the spam stage, see
+// services/moderation/spamDetection.js
+const contentFingerprintSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    contentType: {
+      type: String,
+      enum: ["post", "comment"],
+      required: true,
+    },
+    community: {
+      type: Schema.Types.ObjectId,
+      ref: "Community",
+      default: null,
+    },
+    // 64-bit simhash of the normalized text as 16 hex digits, null for text
+    // too short to compare
+    simhash: {
+      type: String,
+      match: /^[0-9a-f]{16}$/,
+      default: null,
+    },
+    // the stored post the fingerprint was taken of, see item.source in
+    // pipeline.js
+    source: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    // links in the text, without their protocol and tracking parameters
+    links: {
+      type: [String],
+      default: [],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 24 * 60 * 60, // 1 day
+    },
+  },
+  { versionKey: false }
+);
+
+contentFingerprintSchema.index({ user: 1, createdAt: -1 });
+contentFingerprintSchema.index({ source: 1 }, { sparse: true });
+
+module.exports = mongoose.model("ContentFingerprint", contentFingerprintSchema);
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const { encryptField, decryptField } = require("../utils/encryption");
 
+// A trusted device of a user, see services/deviceRegistry.js. The location
+// and browser are those it was last seen with
 const contextSchema = new mongoose.Schema(
   {
     user: {
@@ -60,6 +62,16 @@ const contextSchema = new mongoose.Schema(
       set: encryptField,
       get: decryptField,
     },
+    // chosen by the user, see getDeviceName for the default
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
     isTrusted: {
       type: Boolean,
       required: true,
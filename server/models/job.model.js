@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+/**
+ * A unit of background work, see services/jobQueue.js. Jobs are claimed by
+ * the worker in order of runAt; failed attempts are retried with exponential
+ * backoff until maxAttempts is reached.
+ */
+const jobSchema = new Schema(
+  {
+    type: { type: String, required: true },
+    payload: { type: Schema.Types.Mixed, default: {} },
+    // the user who submitted the job and may follow its progress
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    runAt: { type: Date, default: Date.now },
+    // set while running, a job locked for too long is claimed again
+    lockedAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    result: { type: Schema.Types.Mixed, default: null },
+
+    finishedAt: {
+      type: Date,
+      default: null,
+      expires: 604800, // 1 week
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const keywordRuleSetSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // null for the global rule set applied to every community
+    community: {
+      type: Schema.Types.ObjectId,
+      ref: "Community",
+      default: null,
+    },
+    // ISO 639-1 code of the content the rules apply to, null for every
+    // language. Content whose language was not detected is checked against
+    // every rule set
+    language: {
+      type: String,
+      default: null,
+    },
+    // community rule sets only, false replaces the global rules entirely
+    inheritGlobal: {
+      type: Boolean,
+      default: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // literal words and phrases, matched on word boundaries
+    words: {
+      type: [String],
+      default: [],
+    },
+    // regular expression sources, matched case-insensitively
+    patterns: {
+      type: [String],
+      default: [],
+    },
+    // words containing a match that must not be blocked (e.g. "Scunthorpe")
+    allowList: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+keywordRuleSetSchema.index({ community: 1 });
+
+module.exports = mongoose.model("KeywordRuleSet", keywordRuleSetSchema);
@@ -15,6 +15,12 @@ const LogSchema = new mongoose.Schema({
 
   level: { type: String, required: true },
 
+  // risk score of the sign in and the signals that raised it, see
+  // services/loginRisk.js
+  riskScore: { type: Number, min: 0, max: 1 },
+
+  riskFactors: { type: [String], default: undefined },
+
   timestamp: {
     type: Date,
     required: true,
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+const { encryptField, decryptField } = require("../utils/encryption");
+const Schema = mongoose.Schema;
+
+// Sign in scored by the context risk engine, see services/loginRisk.js
+const loginAttemptSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    riskScore: {
+      type: Number,
+      min: 0,
+      max: 1,
+      required: true,
+    },
+    decision: {
+      type: String,
+      enum: ["allow", "stepUp", "block"],
+      required: true,
+    },
+    // where the sign in came from, to tell how far the next one is
+    ip: {
+      type: String,
+      required: true,
+      set: encryptField,
+      get: decryptField,
+    },
+    country: {
+      type: String,
+      required: true,
+      set: encryptField,
+      get: decryptField,
+    },
+    city: {
+      type: String,
+      required: true,
+      set: encryptField,
+      get: decryptField,
+    },
+    // hour of the day where the user signed in from, in the time zone of
+    // their IP address when known
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      required: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 90 * 24 * 60 * 60, // 90 days
+    },
+  },
+  { versionKey: false }
+);
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
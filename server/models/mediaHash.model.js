@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// Perceptual hash of removed media. Uploads whose image or video keyframes
+// are near-duplicates of a listed hash are blocked
+const mediaHashSchema = new Schema(
+  {
+    // 64-bit dHash as 16 hex digits
+    hash: {
+      type: String,
+      required: true,
+      unique: true,
+      match: /^[0-9a-f]{16}$/,
+    },
+    fileType: {
+      type: String,
+      enum: ["image", "video", null],
+      default: null,
+    },
+    // the removed post the media was attached to, if any
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    community: {
+      type: Schema.Types.ObjectId,
+      ref: "Community",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    addedBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "addedByModel",
+    },
+    addedByModel: {
+      type: String,
+      enum: ["User", "Admin"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mediaHashSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("MediaHash", mediaHashSchema);
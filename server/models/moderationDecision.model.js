@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+const stageVerdictSchema = new Schema(
+  {
+    stage: { type: String, required: true },
+    action: { type: String, required: true },
+    reasons: { type: Schema.Types.Mixed, default: [] },
+    scores: { type: Schema.Types.Mixed, default: {} },
+    provider: { type: String, default: null },
+    skipped: { type: Boolean, default: false },
+    error: { type: String, default: null },
+    latency: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Approvals, rejections and removals by moderators after the automated
+// decision, used to measure false positives
+const overrideSchema = new Schema(
+  {
+    action: {
+      type: String,
+      enum: ["approve", "reject", "remove"],
+      required: true,
+    },
+    moderator: { type: Schema.Types.ObjectId, ref: "User" },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const moderationDecisionSchema = new Schema(
+  {
+    contentType: {
+      type: String,
+      enum: ["post", "comment", "community", "profile"],
+      required: true,
+    },
+    // sha256 of the screened text, the text itself is not stored
+    contentHash: { type: String, required: true },
+    user: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    community: { type: Schema.Types.ObjectId, ref: "Community", default: null },
+    // the post or comment created from the screened content, if any
+    post: { type: Schema.Types.ObjectId, ref: "Post", default: null },
+    comment: { type: Schema.Types.ObjectId, ref: "Comment", default: null },
+    // the stored post screened in the background, which has one decision
+    // however often its screening is retried
+    source: { type: Schema.Types.ObjectId, ref: "Post" },
+    // the post a screened comment was written on
+    commentedPost: { type: Schema.Types.ObjectId, ref: "Post", default: null },
+    // the attachment of a blocked post, kept for an appeal against the block
+    attachment: {
+      type: { fileUrl: String, fileType: String },
+      default: null,
+    },
+    // ISO 639-1 code of the screened text, null when it was not detected
+    language: { type: String, default: null },
+
+    // "error" when a stage failed closed and the content was rejected
+    action: {
+      type: String,
+      enum: ["allow", "warn", "hold", "block", "error"],
+      required: true,
+    },
+    reasons: { type: Schema.Types.Mixed, default: [] },
+    stages: { type: [stageVerdictSchema], default: [] },
+    providers: { type: [String], default: [] },
+    rule: { type: String, default: null },
+    latency: { type: Number, default: 0 },
+
+    overrides: { type: [overrideSchema], default: [] },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+moderationDecisionSchema.index({ createdAt: -1 });
+moderationDecisionSchema.index({ community: 1, createdAt: -1 });
+moderationDecisionSchema.index({ post: 1 });
+moderationDecisionSchema.index({ comment: 1 });
+moderationDecisionSchema.index({ source: 1 }, { sparse: true });
+
+module.exports = mongoose.model("ModerationDecision", moderationDecisionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A WebAuthn credential a user signs in with, see services/webauthn.js
+const passkeySchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // base64url, as the browser reports it
+    credentialId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // SPKI DER public key, base64
+    publicKey: {
+      type: String,
+      required: true,
+    },
+    // COSE algorithm: -7 ES256, -8 EdDSA, -257 RS256
+    algorithm: {
+      type: Number,
+      required: true,
+    },
+    signCount: {
+      type: Number,
+      default: 0,
+    },
+    transports: {
+      type: [String],
+      default: [],
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+passkeySchema.index({ user: 1 });
+
+module.exports = mongoose.model("Passkey", passkeySchema);
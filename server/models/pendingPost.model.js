@@ -18,6 +18,10 @@ const pendingPostSchema = new Schema(
     fileType: {
       type: String,
     },
+    language: {
+      type: String,
+      default: null,
+    },
     community: {
       type: Schema.Types.ObjectId,
       ref: "Community",
@@ -37,6 +41,12 @@ const pendingPostSchema = new Schema(
       type: String,
       unique: true,
     },
+    // the moderation decision, linked to the post once it is confirmed
+    decision: {
+      type: Schema.Types.ObjectId,
+      ref: "ModerationDecision",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -18,6 +18,19 @@ const postSchema = new Schema(
     fileType: {
       type: String,
     },
+    // ISO 639-1 code detected by the moderation pipeline, null when the text
+    // was too short to tell
+    language: {
+      type: String,
+      default: null,
+    },
+    // perceptual hashes of the attachment, added to the media blocklist if a
+    // moderator removes the post and bans its media
+    mediaHashes: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
     community: {
       type: Schema.Types.ObjectId,
       ref: "Community",
@@ -40,6 +53,29 @@ const postSchema = new Schema(
         ref: "User",
       },
     ],
+    // held, rejected and removed posts are only visible to their author and
+    // the community moderators, removed posts were taken down by a moderator
+    // and can be restored on appeal. New posts are "processing" until the
+    // moderation pipeline screened them, see services/postProcessingService.js
+    status: {
+      type: String,
+      enum: ["processing", "published", "held", "rejected", "removed"],
+      default: "published",
+    },
+    // reasons and scores from the moderation pipeline for held or warned
+    // posts, only selected for moderators
+    moderation: {
+      type: Schema.Types.Mixed,
+      default: null,
+      select: false,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -47,6 +83,14 @@ const postSchema = new Schema(
 );
 
 postSchema.index({ content: "text" });
+postSchema.index({ community: 1, status: 1 });
+postSchema.index({ community: 1, language: 1 });
+
+postSchema.query.published = function () {
+  return this.where({
+    status: { $nin: ["processing", "held", "rejected", "removed"] },
+  });
+};
 
 postSchema.pre("remove", async function (next) {
   try {
@@ -58,7 +102,10 @@ postSchema.pre("remove", async function (next) {
       await deleteFilePromise;
     }
 
-    await this.model("Comment").deleteMany({ _id: this.comments });
+    // held comments are not in this.comments until they are approved
+    await this.model("Comment").deleteMany({
+      $or: [{ _id: this.comments }, { post: this._id }],
+    });
 
     await this.model("Report").deleteOne({
       post: this._id,
@@ -0,0 +1,82 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A content change made, or in a dry run proposed, by a replay job
+const replayChangeSchema = new Schema(
+  {
+    contentType: { type: String, enum: ["post", "comment"], required: true },
+    item: { type: Schema.Types.ObjectId, required: true },
+    community: { type: Schema.Types.ObjectId, ref: "Community" },
+    action: { type: String, enum: ["hold", "block"], required: true },
+    // "held" or "deleted", or "none" in a dry run
+    applied: {
+      type: String,
+      enum: ["held", "deleted", "none"],
+      required: true,
+    },
+    reasons: { type: [String], default: [] },
+    content: { type: String },
+  },
+  { _id: false }
+);
+
+/**
+ * Re-runs the moderation pipeline over existing posts and comments, for
+ * example after keyword rules or toxicity policies changed. Jobs are processed
+ * in batches in the background; the cursor lets an interrupted job resume
+ * where it stopped.
+ */
+const replayJobSchema = new Schema(
+  {
+    contentTypes: {
+      type: [{ type: String, enum: ["post", "comment"] }],
+      required: true,
+    },
+    community: {
+      type: Schema.Types.ObjectId,
+      ref: "Community",
+      default: null,
+    },
+    from: { type: Date, default: null },
+    to: { type: Date, default: null },
+    // null runs the configured moderation stages
+    stages: { type: [String], default: null },
+    dryRun: { type: Boolean, default: true },
+    // what happens to content the pipeline now blocks, content it holds is
+    // always held for review
+    onBlock: { type: String, enum: ["hold", "delete"], default: "hold" },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", "cancelled"],
+      default: "queued",
+    },
+    // the content type being processed and the last processed id
+    cursor: {
+      contentType: { type: String, default: null },
+      lastId: { type: Schema.Types.ObjectId, default: null },
+    },
+    progress: {
+      total: { type: Number, default: 0 },
+      processed: { type: Number, default: 0 },
+      held: { type: Number, default: 0 },
+      blocked: { type: Number, default: 0 },
+      deleted: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    // capped, see MAX_RECORDED_CHANGES in services/moderation/replay.js
+    changes: { type: [replayChangeSchema], default: [] },
+    error: { type: String, default: null },
+
+    createdBy: { type: Schema.Types.ObjectId, ref: "Admin" },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+replayJobSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("ReplayJob", replayJobSchema);
@@ -55,6 +55,11 @@ const suspiciousLoginSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // where the previous sign in came from when this one was impossible
+    // travel, for the verification email
+    impossibleTravel: {
+      type: String,
+    },
   },
   {
     timestamps: true,
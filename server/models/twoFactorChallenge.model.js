@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// The codes tried against a two-factor challenge token, see
+// services/twoFactor.js. It expires with the token
+const twoFactorChallengeSchema = new Schema(
+  {
+    // the jti of the challenge token
+    challenge: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 5 * 60, // 5 minutes
+    },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("TwoFactorChallenge", twoFactorChallengeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { encryptField, decryptField } = require("../utils/encryption");
 const Schema = mongoose.Schema;
 const userSchema = new Schema(
   {
@@ -48,6 +49,12 @@ const userSchema = new Schema(
       default: "",
     },
 
+    // ISO 639-1 codes of the languages shown in the feed, empty for all
+    preferredLanguages: {
+      type: [String],
+      default: [],
+    },
+
     role: {
       type: String,
       enum: ["general", "moderator", "admin"],
@@ -66,6 +73,44 @@ const userSchema = new Schema(
       type: Boolean,
       default: false,
     },
+
+    // authenticator app second factor, see services/twoFactor.js. Not
+    // selected unless asked for, so profiles never include it
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+        select: false,
+      },
+      secret: {
+        type: String,
+        set: encryptField,
+        get: decryptField,
+        select: false,
+      },
+      // secret being set up, until the user enters a code generated from it
+      pendingSecret: {
+        type: String,
+        set: encryptField,
+        get: decryptField,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        default: undefined,
+        select: false,
+      },
+      // time step of the last accepted code, so a code works only once
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        select: false,
+      },
+    },
   },
   {
     timestamps: true,
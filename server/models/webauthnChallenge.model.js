@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const Schema = mongoose.Schema;
+
+// A WebAuthn challenge waiting for the browser's answer. It is deleted when
+// answered, so an answer cannot be replayed
+const webauthnChallengeSchema = new Schema(
+  {
+    // base64url
+    challenge: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["registration", "authentication"],
+      required: true,
+    },
+    // the user adding a passkey, a sign in does not know it yet
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: 5 * 60, // 5 minutes
+    },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("WebauthnChallenge", webauthnChallengeSchema);
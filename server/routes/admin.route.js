@@ -11,9 +11,41 @@ const {
   addModerator,
   removeModerator,
   getModerators,
+  resetUserTwoFactor,
 } = require("../controllers/admin.controller");
 
+const {
+  getModerationDecisions,
+  getModerationProviderHealth,
+  getClassificationCache,
+  clearClassificationCache,
+  createReplayJob,
+  getReplayJobs,
+  getReplayJob,
+  cancelReplayJob,
+  getKeywordRuleSets,
+  createKeywordRuleSet,
+  updateKeywordRuleSet,
+  deleteKeywordRuleSet,
+  getMediaHashes,
+  addMediaHash,
+  deleteMediaHash,
+  getSpamAccounts,
+} = require("../controllers/moderation.controller");
+
+const {
+  getClassifierStatus,
+  pushTextRazorClassifier,
+  deleteTextRazorClassifier,
+} = require("../controllers/classifier.controller");
+
+const {
+  getPlatformAppeals,
+  reviewPlatformAppeal,
+} = require("../controllers/appeal.controller");
+
 const requireAdminAuth = require("../middlewares/auth/adminAuth");
+const fileUpload = require("../middlewares/post/fileUpload");
 const {
   configLimiter,
   logLimiter,
@@ -30,11 +62,45 @@ router.get("/moderators", getModerators);
 
 router.patch("/add-moderators", addModerator);
 router.patch("/remove-moderators", removeModerator);
+router.patch("/users/reset-two-factor", configLimiter, resetUserTwoFactor);
 
 router
   .route("/preferences")
   .get(configLimiter, retrieveServicePreference)
   .put(configLimiter, updateServicePreference);
+router.get("/provider-health", configLimiter, getModerationProviderHealth);
+router
+  .route("/classification-cache")
+  .get(configLimiter, getClassificationCache)
+  .delete(configLimiter, clearClassificationCache);
+router
+  .route("/textrazor-classifier")
+  .get(configLimiter, getClassifierStatus)
+  .put(configLimiter, pushTextRazorClassifier)
+  .delete(configLimiter, deleteTextRazorClassifier);
+router.get("/moderation-decisions", logLimiter, getModerationDecisions);
+router.get("/spam-accounts", logLimiter, getSpamAccounts);
+router
+  .route("/moderation-replays")
+  .get(getReplayJobs)
+  .post(configLimiter, createReplayJob);
+router.get("/moderation-replays/:id", getReplayJob);
+router.post("/moderation-replays/:id/cancel", configLimiter, cancelReplayJob);
+router.get("/appeals", getPlatformAppeals);
+router.patch("/appeals/:id", reviewPlatformAppeal);
+router
+  .route("/keyword-rules")
+  .get(configLimiter, getKeywordRuleSets)
+  .post(configLimiter, createKeywordRuleSet);
+router
+  .route("/keyword-rules/:id")
+  .put(configLimiter, updateKeywordRuleSet)
+  .delete(configLimiter, deleteKeywordRuleSet);
+router
+  .route("/media-hashes")
+  .get(configLimiter, getMediaHashes)
+  .post(configLimiter, fileUpload, addMediaHash);
+router.delete("/media-hashes/:id", configLimiter, deleteMediaHash);
 router
   .route("/logs")
   .get(logLimiter, retrieveLogInfo)
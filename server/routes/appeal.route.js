@@ -0,0 +1,16 @@
+const router = require("express").Router();
+const passport = require("passport");
+
+const {
+  createAppeal,
+  getMyAppeals,
+} = require("../controllers/appeal.controller");
+
+const decodeToken = require("../middlewares/auth/decodeToken");
+
+router.use(passport.authenticate("jwt", { session: false }, null), decodeToken);
+
+router.get("/", getMyAppeals);
+router.post("/", createAppeal);
+
+module.exports = router;
@@ -8,6 +8,10 @@ const {
   getCommunityMods,
   getReportedPosts,
   removeReportedPost,
+  getReviewQueue,
+  reviewHeldContent,
+  getModerationPolicy,
+  updateModerationPolicy,
   joinCommunity,
   leaveCommunity,
   banUser,
@@ -21,6 +25,11 @@ const {
   addModToCommunity,
 } = require("../controllers/community.controller");
 
+const {
+  getCommunityAppeals,
+  reviewCommunityAppeal,
+} = require("../controllers/appeal.controller");
+
 const decodeToken = require("../middlewares/auth/decodeToken");
 
 router.use(passport.authenticate("jwt", { session: false }, null), decodeToken);
@@ -28,6 +37,9 @@ router.use(passport.authenticate("jwt", { session: false }, null), decodeToken);
 router.get("/notmember", getNotMemberCommunities);
 router.get("/member", getMemberCommunities);
 router.get("/:name/reported-posts", getReportedPosts);
+router.get("/:name/review-queue", getReviewQueue);
+router.get("/:name/moderation-policy", getModerationPolicy);
+router.get("/:name/appeals", getCommunityAppeals);
 router.get("/:name/moderators", getCommunityMods);
 router.get("/:name/members", getCommunityMembers);
 router.get("/:name", getCommunity);
@@ -42,8 +54,12 @@ router.post("/:name/leave", leaveCommunity);
 router.post("/:name/add-all-rules", addRulesToCommunity);
 router.post("/:name", createCommunity);
 
+router.put("/:name/moderation-policy", updateModerationPolicy);
+
 router.delete("/reported-posts/:postId", removeReportedPost);
 
 router.patch("/:name/add-moderators", addModToCommunity);
+router.patch("/:name/review-queue/:contentType/:id", reviewHeldContent);
+router.patch("/:name/appeals/:id", reviewCommunityAppeal);
 
 module.exports = router;
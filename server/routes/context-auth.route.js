@@ -4,15 +4,30 @@ const useragent = require("express-useragent");
 
 const {
   addContextData,
-  getAuthContextData,
-  getTrustedAuthContextData,
+  getTrustedDevices,
+  renameTrustedDevice,
+  removeTrustedDevice,
+  blockTrustedDevice,
   getUserPreferences,
   getBlockedAuthContextData,
-  deleteContextAuthData,
-  blockContextAuthData,
   unblockContextAuthData,
 } = require("../controllers/auth.controller");
 
+const {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require("../controllers/twoFactor.controller");
+
+const {
+  getPasskeys,
+  getPasskeyRegistrationOptions,
+  registerPasskey,
+  removePasskey,
+} = require("../controllers/passkey.controller");
+
 const {
   verifyEmailValidation,
   verifyEmail,
@@ -25,20 +40,28 @@ const {
 } = require("../middlewares/users/verifyLogin");
 
 const decodeToken = require("../middlewares/auth/decodeToken");
+const { signUpSignInLimiter } = require("../middlewares/limiter/limiter");
 
 const requireAuth = passport.authenticate("jwt", { session: false }, null);
 
-router.get(
-  "/context-data/primary",
+router.get("/devices", requireAuth, decodeToken, getTrustedDevices);
+router.patch(
+  "/devices/:deviceId",
   requireAuth,
   decodeToken,
-  getAuthContextData
+  renameTrustedDevice
 );
-router.get(
-  "/context-data/trusted",
+router.delete(
+  "/devices/:deviceId",
   requireAuth,
   decodeToken,
-  getTrustedAuthContextData
+  removeTrustedDevice
+);
+router.patch(
+  "/devices/:deviceId/block",
+  requireAuth,
+  decodeToken,
+  blockTrustedDevice
 );
 router.get(
   "/context-data/blocked",
@@ -48,21 +71,56 @@ router.get(
 );
 router.get("/user-preferences", requireAuth, decodeToken, getUserPreferences);
 
-router.delete("/context-data/:contextId", requireAuth, deleteContextAuthData);
-
-router.patch(
-  "/context-data/block/:contextId",
-  requireAuth,
-  blockContextAuthData
-);
 router.patch(
   "/context-data/unblock/:contextId",
   requireAuth,
+  decodeToken,
   unblockContextAuthData
 );
 
+router.get("/two-factor", requireAuth, decodeToken, getTwoFactor);
+router.post("/two-factor/setup", requireAuth, decodeToken, setupTwoFactor);
+router.post(
+  "/two-factor/enable",
+  signUpSignInLimiter,
+  requireAuth,
+  decodeToken,
+  enableTwoFactor
+);
+router.post(
+  "/two-factor/disable",
+  signUpSignInLimiter,
+  requireAuth,
+  decodeToken,
+  disableTwoFactor
+);
+router.post(
+  "/two-factor/recovery-codes",
+  signUpSignInLimiter,
+  requireAuth,
+  decodeToken,
+  regenerateRecoveryCodes
+);
+
+router.get("/passkeys", requireAuth, decodeToken, getPasskeys);
+router.post(
+  "/passkeys/registration-options",
+  requireAuth,
+  decodeToken,
+  getPasskeyRegistrationOptions
+);
+router.delete("/passkeys/:passkeyId", requireAuth, decodeToken, removePasskey);
+
 router.use(useragent.express());
 
+router.post(
+  "/passkeys",
+  signUpSignInLimiter,
+  requireAuth,
+  decodeToken,
+  registerPasskey
+);
+
 router.get("/verify", verifyEmailValidation, verifyEmail, addContextData);
 router.get("/verify-login", verifyLoginValidation, verifyLogin);
 router.get("/block-login", verifyLoginValidation, blockLogin);
@@ -6,6 +6,7 @@ const {
   getPosts,
   getPost,
   createPost,
+  getPostJob,
   confirmPost,
   rejectPost,
   deletePost,
@@ -15,7 +16,6 @@ const {
   unlikePost,
   addComment,
   deleteComment,  // ADD THIS
-  cleanupOffensiveComments,  // ADD THIS
   savePost,
   unsavePost,
   getSavedPosts,
@@ -34,9 +34,7 @@ const {
   commentLimiter,
 } = require("../middlewares/limiter/limiter");
 
-const postConfirmation = require("../middlewares/post/postConfirmation");
-const analyzeContent = require("../services/analyzeContent");
-const processPost = require("../services/processPost");
+const moderateContent = require("../middlewares/post/moderateContent");
 const fileUpload = require("../middlewares/post/fileUpload");
 const decodeToken = require("../middlewares/auth/decodeToken");
 
@@ -48,6 +46,7 @@ router.get("/community/:communityId", getCommunityPosts);
 router.get("/saved", getSavedPosts);
 router.get("/:publicUserId/userPosts", getPublicPosts);
 router.get("/:id/following", getFollowingUsersPosts);
+router.get("/jobs/:id", getPostJob);
 router.get("/:id", getPost);
 router.get("/", getPosts);
 
@@ -59,7 +58,7 @@ router.post(
   commentLimiter,
   commentValidator,
   validatorHandler,
-  analyzeContent,
+  moderateContent,
   addComment
 );
 
@@ -69,15 +68,11 @@ router.post(
   fileUpload,
   postValidator,
   validatorHandler,
-  analyzeContent,
-  processPost,
-  postConfirmation,
   createPost
 );
 
 // NEW ROUTES - Add these
 router.delete("/comments/:id", deleteComment);
-router.post("/cleanup-comments", cleanupOffensiveComments);
 
 router.delete("/pending", clearPendingPosts);
 router.delete("/:id", deletePost);
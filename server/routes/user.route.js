@@ -6,6 +6,10 @@ const requestIp = require("request-ip");
 const {
   addUser,
   signin,
+  signinTwoFactor,
+  requestSignInEmail,
+  getPasskeySignInOptions,
+  signinWithPasskey,
   logout,
   refreshToken,
   getModProfile,
@@ -64,6 +68,31 @@ router.post(
   signin,
   sendLoginVerificationEmail
 );
+router.post(
+  "/signin/2fa",
+  signUpSignInLimiter,
+  requestIp.mw(),
+  useragent.express(),
+  signinTwoFactor
+);
+router.post(
+  "/signin/2fa/email",
+  signUpSignInLimiter,
+  requestSignInEmail,
+  sendLoginVerificationEmail
+);
+router.post(
+  "/signin/passkey/options",
+  signUpSignInLimiter,
+  getPasskeySignInOptions
+);
+router.post(
+  "/signin/passkey",
+  signUpSignInLimiter,
+  requestIp.mw(),
+  useragent.express(),
+  signinWithPasskey
+);
 router.post("/logout", logout);
 
 router.put("/:id", requireAuth, decodeToken, updateInfo);
@@ -0,0 +1,143 @@
+require("dotenv").config();
+const express = require("express");
+const kleur = require("kleur");
+const LOG = console.log;
+
+/**
+ * A local stand-in for the parts of the TextRazor API the server uses: the
+ * custom classifier endpoints and classification with a custom classifier.
+ * A category matches when the text contains any of the concepts of its query,
+ * scored by the share of its concepts found. Classifiers are kept in memory.
+ *
+ * Run with `node scripts/mock-textrazor.js` and set TEXTRAZOR_API_URL to
+ * http://localhost:4100 (or MOCK_TEXTRAZOR_PORT) and TEXTRAZOR_API_KEY to any
+ * value. tests/controllers/classifier.controller.test.js runs the classifier
+ * management against it.
+ */
+
+const PORT = process.env.MOCK_TEXTRAZOR_PORT || 4100;
+
+const classifiers = {};
+
+// Splits a CSV line into fields, fields may be quoted with doubled quotes
+const parseCsvLine = (line) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+};
+
+const parseConcepts = (query) =>
+  [...query.matchAll(/concept\('((?:[^'\\]|\\.)*)'\)/g)].map(([, concept]) =>
+    concept.replace(/\\'/g, "'").toLowerCase()
+  );
+
+const app = express();
+app.use(express.text({ type: ["application/csv", "text/csv"] }));
+app.use(express.urlencoded({ extended: true }));
+
+app.use((req, res, next) => {
+  if (!req.get("X-TextRazor-Key")) {
+    return res.status(401).json({ ok: false, error: "Missing API key" });
+  }
+  LOG(kleur.gray(`${req.method} ${req.originalUrl}`));
+  next();
+});
+
+app.put("/categories/:classifierId", (req, res) => {
+  const lines = String(req.body || "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+
+  const categories = [];
+  for (const line of lines) {
+    const [categoryId, label, query] = parseCsvLine(line);
+    if (!categoryId || !label || !query) {
+      return res
+        .status(400)
+        .json({ ok: false, error: `Invalid category: ${line}` });
+    }
+    categories.push({ categoryId, label, query });
+  }
+
+  classifiers[req.params.classifierId] = categories;
+  res.status(200).json({ ok: true });
+});
+
+app.get("/categories/:classifierId/_all", (req, res) => {
+  const categories = classifiers[req.params.classifierId];
+  if (!categories) {
+    return res.status(404).json({ ok: false, error: "Classifier not found" });
+  }
+  const limit = parseInt(req.query.limit) || 20;
+  const offset = parseInt(req.query.offset) || 0;
+  res.status(200).json({
+    ok: true,
+    total: categories.length,
+    categories: categories.slice(offset, offset + limit),
+  });
+});
+
+app.delete("/categories/:classifierId", (req, res) => {
+  if (!classifiers[req.params.classifierId]) {
+    return res.status(404).json({ ok: false, error: "Classifier not found" });
+  }
+  delete classifiers[req.params.classifierId];
+  res.status(200).json({ ok: true });
+});
+
+app.post("/", (req, res) => {
+  const text = String(req.body.text || "").toLowerCase();
+  const classifierIds = String(req.body.classifiers || "")
+    .split(",")
+    .filter(Boolean);
+
+  const categories = [];
+  for (const classifierId of classifierIds) {
+    for (const category of classifiers[classifierId] || []) {
+      const concepts = parseConcepts(category.query);
+      const found = concepts.filter((concept) => text.includes(concept));
+      if (found.length > 0) {
+        categories.push({
+          classifierId,
+          categoryId: category.categoryId,
+          label: category.label,
+          score: found.length / concepts.length,
+        });
+      }
+    }
+  }
+
+  categories.sort((a, b) => b.score - a.score);
+  res.status(200).json({ ok: true, response: { categories } });
+});
+
+// The tests start the app on a port of their own
+if (require.main === module) {
+  app.listen(PORT, () => {
+    LOG(kleur.green().bold(`✅ Mock TextRazor API listening on port ${PORT}`));
+  });
+}
+
+module.exports = app;
@@ -1,6 +1,12 @@
 const axios = require("axios");
+const { google } = require("googleapis");
 
-const getCategoriesFromTextRazor = async (content, timeout) => {
+/**
+ * Classifies content with the "community" custom classifier, which is built
+ * from the topic keywords of the communities (see manageClassifier.js).
+ * Categories of communities that no longer exist are dropped.
+ */
+const getCategoriesFromTextRazor = async (content, timeout, labels) => {
   const API_KEY = process.env.TEXTRAZOR_API_KEY;
   const API_URL = process.env.TEXTRAZOR_API_URL;
 
@@ -35,17 +41,21 @@ const getCategoriesFromTextRazor = async (content, timeout) => {
       }
     );
 
+    const knownLabels = labels.map(({ label }) => label);
     if (response.data.response.categories) {
       response.data.response.categories.forEach(({ label, score }) => {
-        categories[label] = score;
+        if (knownLabels.includes(label)) {
+          categories[label] = score;
+        }
       });
     }
 
     return categories;
   } catch (error) {
     if (axios.isCancel(error)) {
-      console.log("TextRazor request cancelled");
-      return categories;
+      throw new Error("TextRazor request timed out");
+    } else if (!error.response) {
+      throw new Error(`TextRazor request failed: ${error.message}`);
     } else {
       const { status, statusText } = error.response;
       throw new Error(`Error ${status}: ${statusText}`);
@@ -55,7 +65,7 @@ const getCategoriesFromTextRazor = async (content, timeout) => {
   }
 };
 
-const getCategoriesFromClassifierAPI = async (content, timeout) => {
+const getCategoriesFromClassifierAPI = async (content, timeout, labels) => {
   const classifier_api_url = process.env.CLASSIFIER_API_URL;
   if (!classifier_api_url) {
     throw new Error("Classifier API URL not set");
@@ -75,6 +85,7 @@ const getCategoriesFromClassifierAPI = async (content, timeout) => {
       classifier_api_url,
       {
         text: content,
+        labels: labels.map(({ label, hypotheses }) => ({ label, hypotheses })),
       },
       {
         headers: {
@@ -95,8 +106,76 @@ const getCategoriesFromClassifierAPI = async (content, timeout) => {
     return categories;
   } catch (error) {
     if (axios.isCancel(error)) {
-      console.log("Classifier API request cancelled");
+      throw new Error("Classifier API request timed out");
+    } else if (!error.response) {
+      throw new Error(`Classifier API request failed: ${error.message}`);
+    } else {
+      const { status, statusText } = error.response;
+      throw new Error(`Error ${status}: ${statusText}`);
+    }
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Classifies several texts against the same labels in one request to the
+ * classifier server's batch endpoint.
+ *
+ * @returns {Promise<Object[]>} The categories of every text, in the order of
+ * contents.
+ */
+const getBatchCategoriesFromClassifierAPI = async (
+  contents,
+  timeout,
+  labels
+) => {
+  const classifier_api_url = process.env.CLASSIFIER_API_URL;
+  if (!classifier_api_url) {
+    throw new Error("Classifier API URL not set");
+  }
+
+  const scoreThreshold = 0.2;
+
+  const source = axios.CancelToken.source();
+  const timeoutId = setTimeout(() => {
+    source.cancel("Classifier API request timed out");
+  }, timeout);
+
+  try {
+    const response = await axios.post(
+      `${classifier_api_url.replace(/\/+$/, "")}/batch`,
+      {
+        texts: contents,
+        labels: labels.map(({ label, hypotheses }) => ({ label, hypotheses })),
+      },
+      {
+        headers: {
+          "Content-Type": "application/json",
+        },
+        cancelToken: source.token,
+      }
+    );
+
+    const results = response.data.response.results || [];
+    if (results.length !== contents.length) {
+      throw new Error("Classifier API returned an incomplete batch");
+    }
+
+    return results.map((result) => {
+      const categories = {};
+      (result.categories || []).forEach(({ label, score }) => {
+        if (score > scoreThreshold) {
+          categories[label] = score;
+        }
+      });
       return categories;
+    });
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error("Classifier API request timed out");
+    } else if (!error.response) {
+      throw new Error(`Classifier API request failed: ${error.message}`);
     } else {
       const { status, statusText } = error.response;
       throw new Error(`Error ${status}: ${statusText}`);
@@ -106,7 +185,7 @@ const getCategoriesFromClassifierAPI = async (content, timeout) => {
   }
 };
 
-const getCategoriesFromInterfaceAPI = async (content, timeout) => {
+const getCategoriesFromInterfaceAPI = async (content, timeout, labels) => {
   const API_URL = process.env.INTERFACE_API_URL;
   const API_KEY = process.env.INTERFACE_API_KEY;
 
@@ -116,19 +195,6 @@ const getCategoriesFromInterfaceAPI = async (content, timeout) => {
     throw new Error("Interface API key or URL not set");
   }
 
-  const CANDIDATE_LABELS = [
-    "Programming",
-    "Health and Fitness",
-    "Travel",
-    "Food and Cooking",
-    "Music",
-    "Sports",
-    "Fashion",
-    "Art and Design",
-    "Business and Entrepreneurship",
-    "Education",
-  ];
-
   const categories = {};
 
   const source = axios.CancelToken.source();
@@ -141,7 +207,7 @@ const getCategoriesFromInterfaceAPI = async (content, timeout) => {
       API_URL,
       {
         inputs: content,
-        parameters: { candidate_labels: CANDIDATE_LABELS },
+        parameters: { candidate_labels: labels.map(({ label }) => label) },
       },
       {
         headers: {
@@ -164,8 +230,9 @@ const getCategoriesFromInterfaceAPI = async (content, timeout) => {
     return categories;
   } catch (error) {
     if (axios.isCancel(error)) {
-      console.log("Interface API request cancelled");
-      return categories;
+      throw new Error("Interface API request timed out");
+    } else if (!error.response) {
+      throw new Error(`Interface API request failed: ${error.message}`);
     } else {
       const { status, statusText } = error.response;
       throw new Error(`Error ${status}: ${statusText}`);
@@ -175,8 +242,80 @@ const getCategoriesFromInterfaceAPI = async (content, timeout) => {
   }
 };
 
+const PERSPECTIVE_ATTRIBUTES = [
+  "INSULT",
+  "PROFANITY",
+  "THREAT",
+  "SEXUALLY_EXPLICIT",
+  "IDENTITY_ATTACK",
+  "TOXICITY",
+];
+
+/**
+ * Scores content with the Perspective API.
+ * Returns every requested attribute with its summary score, thresholds are
+ * applied by the moderation pipeline. Perspective detects the language itself
+ * unless it is given.
+ */
+const getToxicityScoresFromPerspective = async (
+  content,
+  timeout,
+  language = null
+) => {
+  const API_KEY = process.env.PERSPECTIVE_API_KEY;
+  const DISCOVERY_URL = process.env.PERSPECTIVE_API_DISCOVERY_URL;
+
+  if (!API_KEY || !DISCOVERY_URL) {
+    throw new Error("Perspective API URL or API Key not set");
+  }
+
+  const requestedAttributes = {};
+  PERSPECTIVE_ATTRIBUTES.forEach((attribute) => {
+    requestedAttributes[attribute] = {};
+  });
+
+  let timeoutId;
+  try {
+    const client = await google.discoverAPI(DISCOVERY_URL);
+
+    const responsePromise = client.comments.analyze({
+      key: API_KEY,
+      resource: {
+        comment: {
+          text: content,
+        },
+        requestedAttributes,
+        ...(language && { languages: [language] }),
+      },
+    });
+
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(new Error("Request timed out"));
+      }, timeout);
+    });
+
+    const response = await Promise.race([responsePromise, timeoutPromise]);
+
+    const scores = {};
+    for (const attribute in response.data.attributeScores) {
+      scores[attribute] =
+        response.data.attributeScores[attribute].summaryScore.value;
+    }
+
+    return scores;
+  } catch (error) {
+    throw new Error(`Error analyzing text: ${error.message}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
 module.exports = {
+  PERSPECTIVE_ATTRIBUTES,
+  getToxicityScoresFromPerspective,
   getCategoriesFromTextRazor,
   getCategoriesFromClassifierAPI,
+  getBatchCategoriesFromClassifierAPI,
   getCategoriesFromInterfaceAPI,
 };
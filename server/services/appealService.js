@@ -0,0 +1,204 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const Appeal = require("../models/appeal.model");
+const Post = require("../models/post.model");
+const Comment = require("../models/comment.model");
+const Community = require("../models/community.model");
+const User = require("../models/user.model");
+const ModerationDecision = require("../models/moderationDecision.model");
+const { linkDecision, recordOverride } = require("./moderation/decisionLog");
+const { saveLogInfo } = require("../middlewares/logger/logInfo");
+const { appealDecisionHTML } = require("../utils/emailTemplates");
+
+const EMAIL_SERVICE = process.env.EMAIL_SERVICE;
+
+/**
+ * Reverses the decision an approved appeal was filed against: blocked content
+ * is published, a removed post is restored and a ban is lifted.
+ */
+const applyApprovedAppeal = async (appeal, moderator) => {
+  // the language and the attachment of blocked content are kept with the
+  // decision
+  const decision =
+    appeal.type === "blockedContent"
+      ? (await ModerationDecision.findById(appeal.decision)
+          .select("language attachment")
+          .lean()) || {}
+      : {};
+  const attachment = decision.attachment || {};
+
+  if (appeal.type === "blockedContent" && appeal.contentType === "post") {
+    const post = await Post.create({
+      user: appeal.user,
+      community: appeal.community,
+      content: appeal.content,
+      fileUrl: attachment.fileUrl || null,
+      fileType: attachment.fileType || null,
+      language: decision.language || null,
+    });
+    await linkDecision(appeal.decision, { post: post._id });
+    await recordOverride({ _id: appeal.decision }, "approve", moderator);
+  }
+
+  if (appeal.type === "blockedContent" && appeal.contentType === "comment") {
+    const comment = await Comment.create({
+      user: appeal.user,
+      post: appeal.post,
+      community: appeal.community,
+      content: appeal.content,
+      language: decision.language || null,
+    });
+    await Post.findByIdAndUpdate(appeal.post, {
+      $addToSet: { comments: comment._id },
+    });
+    await linkDecision(appeal.decision, { comment: comment._id });
+    await recordOverride({ _id: appeal.decision }, "approve", moderator);
+  }
+
+  if (appeal.type === "removedPost") {
+    await Post.findByIdAndUpdate(appeal.post, { status: "published" });
+    await recordOverride({ post: appeal.post }, "approve", moderator);
+  }
+
+  if (appeal.type === "ban") {
+    await Community.findByIdAndUpdate(appeal.community, {
+      $pull: { bannedUsers: appeal.user },
+      $addToSet: { members: appeal.user },
+    });
+  }
+};
+
+/**
+ * Deletes the attachment kept for an appeal against a blocked post, once the
+ * block is upheld.
+ */
+const deleteBlockedAttachment = async (appeal) => {
+  const decision = await ModerationDecision.findByIdAndUpdate(appeal.decision, {
+    attachment: null,
+  })
+    .select("attachment")
+    .lean();
+  if (!decision || !decision.attachment) return;
+
+  fs.unlink(
+    path.join(
+      __dirname,
+      "../assets/userFiles",
+      path.basename(decision.attachment.fileUrl)
+    ),
+    (err) => {
+      if (err) {
+        console.error(err);
+      }
+    }
+  );
+};
+
+const describeAppeal = (appeal, communityName) => {
+  const where = communityName ? ` in ${communityName}` : "";
+  if (appeal.type === "ban") return `your ban from ${communityName}`;
+  if (appeal.type === "removedPost") return `your removed post${where}`;
+  return `your blocked ${appeal.contentType}${where}`;
+};
+
+const describeOutcome = (appeal) => {
+  if (appeal.status === "rejected") return "The original decision stands.";
+  if (appeal.type === "ban") return "The ban has been lifted.";
+  if (appeal.type === "removedPost") return "Your post has been restored.";
+  return `Your ${appeal.contentType} has been published.`;
+};
+
+/**
+ * Emails the appellant the outcome. A failed email never fails the review.
+ */
+const sendAppealDecisionEmail = async (appeal) => {
+  const USER = process.env.EMAIL;
+  const PASS = process.env.PASSWORD;
+
+  try {
+    const [user, community] = await Promise.all([
+      User.findById(appeal.user).select("name email").lean(),
+      appeal.community
+        ? Community.findById(appeal.community).select("name").lean()
+        : null,
+    ]);
+
+    const transporter = nodemailer.createTransport({
+      service: EMAIL_SERVICE,
+      auth: {
+        user: USER,
+        pass: PASS,
+      },
+    });
+
+    await transporter.sendMail({
+      from: `"ChimeIn" <${USER}>`,
+      to: user.email,
+      subject: `Your appeal was ${appeal.status}`,
+      html: appealDecisionHTML(
+        user.name,
+        describeAppeal(appeal, community ? community.name : null),
+        describeOutcome(appeal),
+        appeal.reviewNote
+      ),
+    });
+  } catch (error) {
+    await saveLogInfo(
+      null,
+      `Could not send appeal decision email: ${error.message}`,
+      "Appeal",
+      "error"
+    );
+  }
+};
+
+/**
+ * Records the review of a pending appeal, reverses the original decision if
+ * the appeal was approved and notifies the appellant.
+ *
+ * @param {string} appealId
+ * @param {Object} review
+ * @param {string} review.decision - "approve" or "reject".
+ * @param {string} review.note - Optional note shown to the appellant.
+ * @param {string} review.reviewer - Id of the reviewing moderator or admin.
+ * @param {string} review.reviewerModel - "User" or "Admin".
+ *
+ * @returns {Promise<Object|null>} The reviewed appeal, or null if it was
+ * reviewed already.
+ */
+const resolveAppeal = async (appealId, review) => {
+  // Claiming the pending appeal atomically keeps two reviewers from both
+  // applying it
+  const appeal = await Appeal.findOneAndUpdate(
+    { _id: appealId, status: "pending" },
+    {
+      status: review.decision === "approve" ? "approved" : "rejected",
+      reviewNote: review.note,
+      reviewedBy: review.reviewer,
+      reviewerModel: review.reviewerModel,
+      reviewedAt: new Date(),
+    },
+    { new: true }
+  );
+  if (!appeal) return null;
+
+  if (appeal.status === "approved") {
+    await applyApprovedAppeal(
+      appeal,
+      review.reviewerModel === "User" ? review.reviewer : null
+    );
+  } else if (
+    appeal.type === "blockedContent" &&
+    appeal.contentType === "post"
+  ) {
+    await deleteBlockedAttachment(appeal);
+  }
+
+  await sendAppealDecisionEmail(appeal);
+  return appeal;
+};
+
+module.exports = {
+  resolveAppeal,
+};
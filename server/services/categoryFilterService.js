@@ -1,30 +1,45 @@
 const {
   getCategoriesFromTextRazor,
   getCategoriesFromInterfaceAPI,
-  getCategoriesFromClassifierAPI,
 } = require("./apiServices");
+const { classifyInBatch } = require("./classificationBatcher");
 
+/**
+ * Providers classify content against the candidate labels passed with every
+ * request, see services/moderation/topicLabels.js.
+ */
 class CategoryFilterService {
-  async getCategories(content, timeout) {
+  async getCategories(content, timeout, labels) {
     throw new Error("Not implemented");
   }
+
+  /**
+   * The detected categories as a list of {label, score}, highest score first.
+   */
+  async rankCategories(content, timeout, labels) {
+    const categories = await this.getCategories(content, timeout, labels);
+    return Object.entries(categories)
+      .map(([label, score]) => ({ label, score }))
+      .sort((a, b) => b.score - a.score);
+  }
 }
 
 class TextRazorService extends CategoryFilterService {
-  async getCategories(content, timeout) {
-    return await getCategoriesFromTextRazor(content, timeout);
+  async getCategories(content, timeout, labels) {
+    return await getCategoriesFromTextRazor(content, timeout, labels);
   }
 }
 
 class InterfaceAPIService extends CategoryFilterService {
-  async getCategories(content, timeout) {
-    return await getCategoriesFromInterfaceAPI(content, timeout);
+  async getCategories(content, timeout, labels) {
+    return await getCategoriesFromInterfaceAPI(content, timeout, labels);
   }
 }
 
+// Batched with the other posts being classified, see classificationBatcher.js
 class ClassifierAPIService extends CategoryFilterService {
-  async getCategories(content, timeout) {
-    return await getCategoriesFromClassifierAPI(content, timeout);
+  async getCategories(content, timeout, labels) {
+    return await classifyInBatch(content, timeout, labels);
   }
 }
 
@@ -0,0 +1,65 @@
+const { getBatchCategoriesFromClassifierAPI } = require("./apiServices");
+
+/**
+ * Coalesces the topic detection requests made to the classifier server at
+ * about the same time, by the job queue or a moderation replay, into calls to
+ * its batch endpoint. Requests against the same labels wait up to
+ * BATCH_WINDOW for others to join them, a full batch is sent right away.
+ */
+
+const BATCH_WINDOW = 50;
+const MAX_BATCH_SIZE = 16;
+
+// Pending batches by the labels they are classified against
+const pending = new Map();
+
+const flush = async (key) => {
+  const batch = pending.get(key);
+  if (!batch) return;
+  pending.delete(key);
+  clearTimeout(batch.timer);
+
+  // The batch may take as long as its most patient request allows
+  const timeout = Math.max(...batch.requests.map(({ timeout }) => timeout));
+
+  try {
+    const results = await getBatchCategoriesFromClassifierAPI(
+      batch.requests.map(({ content }) => content),
+      timeout,
+      batch.labels
+    );
+    batch.requests.forEach(({ resolve }, index) => resolve(results[index]));
+  } catch (error) {
+    batch.requests.forEach(({ reject }) => reject(error));
+  }
+};
+
+/**
+ * Classifies a text with the classifier server, batched with the other texts
+ * classified against the same labels.
+ *
+ * @returns {Promise<Object>} The categories of the text and their scores.
+ */
+const classifyInBatch = (content, timeout, labels) =>
+  new Promise((resolve, reject) => {
+    const key = JSON.stringify(
+      labels.map(({ label, hypotheses }) => [label, hypotheses])
+    );
+
+    let batch = pending.get(key);
+    if (!batch) {
+      batch = {
+        labels,
+        requests: [],
+        timer: setTimeout(() => flush(key), BATCH_WINDOW),
+      };
+      pending.set(key, batch);
+    }
+
+    batch.requests.push({ content, timeout, resolve, reject });
+    if (batch.requests.length >= MAX_BATCH_SIZE) {
+      flush(key);
+    }
+  });
+
+module.exports = { classifyInBatch };
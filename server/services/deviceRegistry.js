@@ -0,0 +1,163 @@
+const crypto = require("crypto");
+const UserContext = require("../models/context.model");
+const SuspiciousLogin = require("../models/suspiciousLogin.model");
+const Config = require("../models/config.model");
+
+/**
+ * The trusted devices of users with context based authentication. A device
+ * is added when the user verifies a sign in or email address from it, or
+ * unblocks it, and is remembered by the client with a device token returned
+ * on sign in.
+ *
+ * Before devices, trusted contexts other than the first one were suspicious
+ * logins marked as trusted. They are moved to the registry the first time the
+ * devices of their user are listed.
+ */
+
+const DEFAULT_MAX_DEVICES = 5;
+
+const CONTEXT_FIELDS = [
+  "ip",
+  "country",
+  "city",
+  "browser",
+  "platform",
+  "os",
+  "device",
+  "deviceType",
+];
+
+const toContextData = (data) =>
+  Object.fromEntries(CONTEXT_FIELDS.map((field) => [field, data[field]]));
+
+const getBrowserFamily = (browser = "unknown") =>
+  browser.includes(" ") ? browser.slice(0, browser.lastIndexOf(" ")) : browser;
+
+/**
+ * Default name of a device, "Chrome on Windows 10.0".
+ */
+const getDeviceName = ({ browser, os }) =>
+  `${getBrowserFamily(browser)} on ${os}`;
+
+const signDeviceId = (deviceId) =>
+  crypto
+    .createHmac("sha256", process.env.SECRET)
+    .update(`device:${deviceId}`)
+    .digest("hex");
+
+/**
+ * A token for the client to prove it is the given device. It is not a JWT so
+ * it can never be mistaken for an access token, and it stops working when the
+ * device is removed.
+ */
+const createDeviceToken = (device) =>
+  `${device._id}.${signDeviceId(device._id)}`;
+
+const verifyDeviceToken = (token) => {
+  if (typeof token !== "string") return null;
+  const [deviceId, signature] = token.split(".");
+  if (!deviceId || !signature) return null;
+
+  const expected = Buffer.from(signDeviceId(deviceId));
+  const received = Buffer.from(signature);
+  return expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+    ? deviceId
+    : null;
+};
+
+/**
+ * Records that the user signed in from a device, with where from and the
+ * browser version when it was updated.
+ */
+const touchDevice = (device, contextData) => {
+  const update = {
+    lastSeenAt: new Date(),
+    ip: contextData.ip,
+    country: contextData.country,
+    city: contextData.city,
+  };
+  if (
+    getBrowserFamily(device.browser) === getBrowserFamily(contextData.browser)
+  ) {
+    update.browser = contextData.browser;
+  }
+  device.set(update);
+  return device.save();
+};
+
+/**
+ * Adds a trusted device, forgetting the least recently seen ones beyond the
+ * maximum device count of the system preferences. A device with the same
+ * context is seen again instead.
+ *
+ * @param {Object} user - {_id, email}
+ * @param {Object} contextData - See utils/contextData.js.
+ */
+const registerDevice = async (user, contextData) => {
+  const config = await Config.findOne({}).lean();
+  const maxDevices =
+    (config && config.maxTrustedDevices) || DEFAULT_MAX_DEVICES;
+
+  const devices = await UserContext.find({ user: user._id }).sort({
+    lastSeenAt: -1,
+  });
+  const sameDevice = devices.find((device) =>
+    CONTEXT_FIELDS.every((field) => device[field] === contextData[field])
+  );
+  if (sameDevice) {
+    return touchDevice(sameDevice, contextData);
+  }
+
+  const forgotten = devices.slice(maxDevices - 1).map((device) => device._id);
+  if (forgotten.length > 0) {
+    await UserContext.deleteMany({ _id: { $in: forgotten } });
+  }
+
+  return UserContext.create({
+    user: user._id,
+    email: user.email,
+    ...toContextData(contextData),
+    name: getDeviceName(contextData),
+    lastSeenAt: new Date(),
+  });
+};
+
+/**
+ * Moves the suspicious logins a user trusted before devices existed to the
+ * registry.
+ */
+const migrateTrustedLogins = async (userId) => {
+  const trustedLogins = await SuspiciousLogin.find({
+    user: userId,
+    isTrusted: true,
+    isBlocked: false,
+  });
+
+  for (const trustedLogin of trustedLogins) {
+    await registerDevice(
+      { _id: userId, email: trustedLogin.email },
+      trustedLogin
+    );
+    await SuspiciousLogin.deleteOne({ _id: trustedLogin._id });
+  }
+};
+
+/**
+ * The trusted devices of a user, the most recently seen first.
+ */
+const listDevices = async (userId) => {
+  await migrateTrustedLogins(userId);
+  return UserContext.find({ user: userId }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = {
+  CONTEXT_FIELDS,
+  toContextData,
+  getDeviceName,
+  createDeviceToken,
+  verifyDeviceToken,
+  registerDevice,
+  listDevices,
+  touchDevice,
+};
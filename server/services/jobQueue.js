@@ -0,0 +1,172 @@
+const Job = require("../models/job.model");
+const { saveLogInfo } = require("../middlewares/logger/logInfo");
+
+/**
+ * A job queue stored in MongoDB. Handlers are registered per job type and run
+ * by a worker in the server process, up to CONCURRENCY jobs at a time. A job
+ * whose handler throws is retried with exponential backoff; once it has used
+ * up its attempts it is marked failed and the handler's onFailed, if any,
+ * decides what happens to the work.
+ *
+ * Jobs are claimed atomically, so several server processes can share the
+ * queue. A job left running by a process that stopped is claimed again once
+ * its lock expires.
+ */
+
+const CONCURRENCY = 4;
+const POLL_INTERVAL = 1000;
+// Longer than the slowest provider chain, see categoryFilteringRequestTimeout
+const LOCK_TIMEOUT = 30 * 60 * 1000;
+const BASE_BACKOFF = 5 * 1000;
+
+const handlers = {};
+
+let started = false;
+let polling = false;
+let active = 0;
+let timer = null;
+
+/**
+ * @param {string} type - The job type.
+ * @param {Object} handler
+ * @param {function(Object, Object): Promise<*>} handler.run - Processes the
+ * payload of a job, the result is stored with the job.
+ * @param {function(Object, Error): Promise<*>} [handler.onFailed] - Called
+ * once the last attempt failed, the result is stored with the job.
+ */
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+const claimJob = () => {
+  const now = Date.now();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Object.keys(handlers) },
+      $or: [
+        { status: "queued", runAt: { $lte: new Date(now) } },
+        { status: "running", lockedAt: { $lt: new Date(now - LOCK_TIMEOUT) } },
+      ],
+    },
+    { status: "running", lockedAt: new Date(now), $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+  try {
+    const result = await handler.run(job.payload, job);
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        status: "completed",
+        result,
+        lockedAt: null,
+        finishedAt: new Date(),
+      }
+    );
+  } catch (error) {
+    if (job.attempts < job.maxAttempts) {
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          status: "queued",
+          lockedAt: null,
+          lastError: error.message,
+          runAt: new Date(Date.now() + BASE_BACKOFF * 2 ** (job.attempts - 1)),
+        }
+      );
+      return;
+    }
+
+    let result = null;
+    if (handler.onFailed) {
+      try {
+        result = await handler.onFailed(job.payload, error);
+      } catch (failedError) {
+        // the job is marked failed either way
+      }
+    }
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        status: "failed",
+        result,
+        lockedAt: null,
+        lastError: error.message,
+        finishedAt: new Date(),
+      }
+    );
+    await saveLogInfo(
+      null,
+      `Job ${job._id} (${job.type}) failed after ${job.attempts} attempts: ${error.message}`,
+      "Jobs",
+      "error"
+    );
+  }
+};
+
+const poll = async () => {
+  if (!started || polling) return;
+  polling = true;
+  clearTimeout(timer);
+
+  try {
+    while (active < CONCURRENCY) {
+      const job = await claimJob();
+      if (!job) break;
+
+      active += 1;
+      runJob(job)
+        .catch(() => {})
+        .finally(() => {
+          active -= 1;
+          poll();
+        });
+    }
+  } catch (error) {
+    await saveLogInfo(
+      null,
+      `Job queue error: ${error.message}`,
+      "Jobs",
+      "error"
+    );
+  } finally {
+    polling = false;
+    timer = setTimeout(poll, POLL_INTERVAL);
+  }
+};
+
+/**
+ * Adds a job to the queue. The worker picks it up right away if it has a
+ * free slot.
+ *
+ * @param {string} type - A registered job type.
+ * @param {Object} payload - Passed to the handler.
+ * @param {Object} [options]
+ * @param {string} [options.user] - The user allowed to follow the job.
+ * @param {number} [options.maxAttempts]
+ *
+ * @returns {Promise<Object>} The queued job.
+ */
+const enqueueJob = async (type, payload, { user = null, maxAttempts } = {}) => {
+  const job = await Job.create({ type, payload, user, maxAttempts });
+  poll();
+  return job;
+};
+
+/**
+ * Starts processing jobs, including those queued or running when the server
+ * stopped. Called once the database connection is established.
+ */
+const startJobWorker = () => {
+  started = true;
+  poll();
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+};
@@ -0,0 +1,372 @@
+const crypto = require("crypto");
+const net = require("net");
+const geoip = require("geoip-lite");
+const Config = require("../models/config.model");
+const LoginAttempt = require("../models/loginAttempt.model");
+
+/**
+ * Scores how risky a sign in is, from 0 to 1, by comparing its context with
+ * the contexts the user has already verified:
+ *
+ * - country and city, a different country weighs the most
+ * - network: the same IP, the same subnet (/24, or /48 for IPv6), the same
+ *   GeoIP network block or another network
+ * - device: a fingerprint of the browser, OS, platform and device, without
+ *   the browser version
+ * - browser: another browser, or another major or minor version of it
+ *
+ * The closest verified context is the one compared, or the trusted device the
+ * client proved to be with its device token. Three signals of the
+ * user's history are added: signing in at an unusual hour, many sign ins
+ * within the hour and impossible travel, a sign in too far from the last
+ * allowed one for the time between them.
+ */
+
+// How much each signal contributes to the risk score. The context weights
+// add up to 1, a sign in from nothing like a verified context
+const SIGNAL_WEIGHTS = {
+  country: 0.4,
+  city: 0.1,
+  network: 0.15,
+  device: 0.25,
+  browser: 0.1,
+  timeOfDay: 0.1,
+  velocity: 0.3,
+  travel: 0.5,
+};
+const CONTEXT_SIGNALS = ["country", "city", "network", "device", "browser"];
+
+const VELOCITY_WINDOW = 60 * 60 * 1000; // 1 hour
+// Sign ins within the window that count as an attack
+const VELOCITY_LIMIT = 5;
+const HISTORY_WINDOW = 90 * 24 * 60 * 60 * 1000; // 90 days
+// Allowed sign ins needed before the hour of a sign in can be unusual
+const MIN_HOUR_HISTORY = 5;
+const MAX_HOUR_HISTORY = 50;
+// Faster than an airliner, in km/h
+const MAX_TRAVEL_SPEED = 1000;
+// GeoIP locations can be this many km off, closer sign ins are never
+// impossible travel
+const MIN_TRAVEL_DISTANCE = 500;
+const EARTH_RADIUS = 6371; // km
+
+const DEFAULT_STEP_UP_THRESHOLD = 0.3;
+const DEFAULT_BLOCK_THRESHOLD = 0.95;
+
+/**
+ * "Chrome 118.0.5993.70" to its family and version numbers.
+ */
+const parseBrowser = (browser = "unknown") => {
+  const separator = browser.lastIndexOf(" ");
+  if (separator === -1) return { family: browser, version: [] };
+  return {
+    family: browser.slice(0, separator),
+    version: browser.slice(separator + 1).split("."),
+  };
+};
+
+const getDeviceFingerprint = ({ browser, os, platform, device, deviceType }) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      [parseBrowser(browser).family, os, platform, device, deviceType].join("|")
+    )
+    .digest("hex");
+
+const expandIPv6 = (ip) => {
+  const [head, tail = ""] = ip.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = ip.includes("::")
+    ? 8 - headGroups.length - tailGroups.length
+    : 0;
+  return [...headGroups, ...new Array(missing).fill("0"), ...tailGroups].map(
+    (group) => parseInt(group, 16)
+  );
+};
+
+/**
+ * The /24 subnet of an IPv4 address or the /48 of an IPv6 one.
+ */
+const getSubnet = (ip) => {
+  const address = ip.replace(/^::ffff:/, "");
+  if (net.isIPv4(address)) return address.split(".").slice(0, 3).join(".");
+  if (net.isIPv6(address)) return expandIPv6(address).slice(0, 3).join(":");
+  return null;
+};
+
+const lookup = (ip) => geoip.lookup(ip.replace(/^::ffff:/, "")) || {};
+
+const scoreNetwork = (ip, knownIp) => {
+  if (ip === knownIp) return 0;
+  const subnet = getSubnet(ip);
+  if (subnet && subnet === getSubnet(knownIp)) return 0.2;
+  const { range } = lookup(ip);
+  const { range: knownRange } = lookup(knownIp);
+  if (
+    Array.isArray(range) &&
+    Array.isArray(knownRange) &&
+    range[0] === knownRange[0]
+  ) {
+    return 0.5;
+  }
+  return 1;
+};
+
+const scoreBrowser = (browser, knownBrowser) => {
+  if (browser === knownBrowser) return 0;
+  const { family, version } = parseBrowser(browser);
+  const { family: knownFamily, version: knownVersion } =
+    parseBrowser(knownBrowser);
+  if (family !== knownFamily) return 1;
+  // browsers update themselves, a new major version is a small change
+  return version[0] !== knownVersion[0] ? 0.3 : 0.05;
+};
+
+const scoreDevice = (current, known) => {
+  if (getDeviceFingerprint(current) === getDeviceFingerprint(known)) return 0;
+  return current.os === known.os && current.deviceType === known.deviceType
+    ? 0.5
+    : 1;
+};
+
+const scoreContext = (current, known) => ({
+  country:
+    current.country === known.country
+      ? 0
+      : current.country === "unknown" || known.country === "unknown"
+      ? 0.5
+      : 1,
+  city:
+    current.country === known.country && current.city !== known.city ? 1 : 0,
+  network: scoreNetwork(current.ip, known.ip),
+  device: scoreDevice(current, known),
+  browser: scoreBrowser(current.browser, known.browser),
+});
+
+const weigh = (signals) =>
+  Object.entries(signals).reduce(
+    (score, [signal, value]) => score + SIGNAL_WEIGHTS[signal] * value,
+    0
+  );
+
+/**
+ * Great-circle distance in km between two [latitude, longitude] points.
+ */
+const getDistance = ([lat1, lon1], [lat2, lon2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const a =
+    Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(toRadians(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * How far and how fast the user would have travelled since their last
+ * allowed sign in, null when either location is unknown.
+ */
+const getTravel = (currentContext, previousAttempt, now) => {
+  if (!previousAttempt || !previousAttempt.ip) return null;
+  const { ll } = lookup(currentContext.ip);
+  const { ll: previousLl } = lookup(previousAttempt.ip);
+  if (!ll || !previousLl) return null;
+
+  const distance = getDistance(previousLl, ll);
+  const minutes = (now - previousAttempt.createdAt.getTime()) / (60 * 1000);
+  const speed = distance / Math.max(minutes / 60, 1 / 60);
+
+  return {
+    from: { city: previousAttempt.city, country: previousAttempt.country },
+    to: { city: currentContext.city, country: currentContext.country },
+    distance: Math.round(distance),
+    minutes: Math.round(minutes),
+    impossible: distance >= MIN_TRAVEL_DISTANCE && speed > MAX_TRAVEL_SPEED,
+  };
+};
+
+const formatPlace = ({ city, country }) =>
+  city && city !== "unknown" ? `${city}, ${country}` : country;
+
+/**
+ * "from London, GB to New York, US in 12 minutes"
+ */
+const describeTravel = ({ from, to, minutes }) =>
+  `from ${formatPlace(from)} to ${formatPlace(to)} in ${
+    minutes < 120
+      ? `${minutes} minute${minutes === 1 ? "" : "s"}`
+      : `${Math.round(minutes / 60)} hours`
+  }`;
+
+/**
+ * Hour of the day in the time zone of the IP address, or in UTC.
+ */
+const getLocalHour = (ip, date = new Date()) => {
+  const { timezone } = lookup(ip);
+  try {
+    return (
+      parseInt(
+        new Intl.DateTimeFormat("en-US", {
+          hour: "numeric",
+          hourCycle: "h23",
+          timeZone: timezone || "UTC",
+        }).format(date),
+        10
+      ) % 24
+    );
+  } catch (error) {
+    return date.getUTCHours();
+  }
+};
+
+const scoreTimeOfDay = (hour, pastHours) => {
+  if (pastHours.length < MIN_HOUR_HISTORY) return 0;
+  const distance = Math.min(
+    ...pastHours.map((pastHour) => {
+      const difference = Math.abs(hour - pastHour);
+      return Math.min(difference, 24 - difference);
+    })
+  );
+  // within an hour of a usual sign in is usual
+  return Math.min(Math.max((distance - 1) / 3, 0), 1);
+};
+
+/**
+ * Scores a sign in against the contexts the user has verified.
+ *
+ * @param {string} userId - The user signing in.
+ * @param {Object} currentContext - See utils/contextData.js.
+ * @param {Object[]} knownContexts - The verified contexts of the user, their
+ * trusted devices.
+ * @param {string} [knownDeviceId] - The trusted device of the device token
+ * sent with the sign in.
+ *
+ * @returns {Promise<{score: number, signals: Object, closestContext: Object,
+ * travel: Object, hour: number, location: Object}>} The risk score from 0 to
+ * 1, the score of every signal, the verified context the sign in is closest
+ * to and the travel since the last allowed sign in.
+ */
+const scoreLoginRisk = async (
+  userId,
+  currentContext,
+  knownContexts,
+  knownDeviceId
+) => {
+  const now = Date.now();
+  const [recentCount, pastAttempts, previousAttempt] = await Promise.all([
+    LoginAttempt.countDocuments({
+      user: userId,
+      createdAt: { $gte: new Date(now - VELOCITY_WINDOW) },
+    }),
+    LoginAttempt.find({
+      user: userId,
+      decision: "allow",
+      createdAt: { $gte: new Date(now - HISTORY_WINDOW) },
+    })
+      .sort({ createdAt: -1 })
+      .limit(MAX_HOUR_HISTORY)
+      .select("hour")
+      .lean(),
+    // not lean, the location is decrypted by the getters
+    LoginAttempt.findOne({ user: userId, decision: "allow" }).sort({
+      createdAt: -1,
+    }),
+  ]);
+
+  let closestContext = null;
+  let contextSignals = null;
+  const knownDevice = knownDeviceId
+    ? knownContexts.find(
+        (knownContext) => String(knownContext._id) === knownDeviceId
+      )
+    : null;
+  if (knownDevice) {
+    closestContext = knownDevice;
+    contextSignals = {
+      ...scoreContext(currentContext, knownDevice),
+      device: 0,
+    };
+  } else {
+    knownContexts.forEach((knownContext) => {
+      const signals = scoreContext(currentContext, knownContext);
+      if (!contextSignals || weigh(signals) < weigh(contextSignals)) {
+        closestContext = knownContext;
+        contextSignals = signals;
+      }
+    });
+  }
+  if (!contextSignals) {
+    contextSignals = Object.fromEntries(
+      CONTEXT_SIGNALS.map((signal) => [signal, 1])
+    );
+  }
+
+  const hour = getLocalHour(currentContext.ip, new Date(now));
+  const travel = getTravel(currentContext, previousAttempt, now);
+  const signals = {
+    ...contextSignals,
+    timeOfDay: scoreTimeOfDay(
+      hour,
+      pastAttempts.map((attempt) => attempt.hour)
+    ),
+    velocity: Math.min(recentCount / VELOCITY_LIMIT, 1),
+    travel: travel && travel.impossible ? 1 : 0,
+  };
+
+  return {
+    score: Math.min(weigh(signals), 1),
+    signals,
+    closestContext,
+    travel,
+    hour,
+    location: {
+      ip: currentContext.ip,
+      country: currentContext.country,
+      city: currentContext.city,
+    },
+  };
+};
+
+/**
+ * What to do with a sign in of the given risk score, with the thresholds
+ * of the system preferences. From the block threshold the sign in is only
+ * blocked if the account is already locked, otherwise it is verified by
+ * email like any risky sign in, so a user signing in from abroad is never
+ * shut out of their account.
+ *
+ * @param {number} score
+ * @param {Object} [options]
+ * @param {boolean} [options.locked] - Whether a device of the user was
+ * blocked, by the user or after too many unverified sign ins.
+ *
+ * @returns {Promise<"allow"|"stepUp"|"block">} "stepUp" asks the user to
+ * verify the sign in by email.
+ */
+const getRiskDecision = async (score, { locked = false } = {}) => {
+  const config = await Config.findOne({}).lean();
+  const {
+    contextRiskStepUpThreshold: stepUpThreshold = DEFAULT_STEP_UP_THRESHOLD,
+    contextRiskBlockThreshold: blockThreshold = DEFAULT_BLOCK_THRESHOLD,
+  } = config || {};
+
+  if (score >= blockThreshold) return locked ? "block" : "stepUp";
+  if (score >= stepUpThreshold) return "stepUp";
+  return "allow";
+};
+
+const recordLoginAttempt = (userId, { score, hour, location }, decision) =>
+  LoginAttempt.create({
+    user: userId,
+    riskScore: score,
+    hour,
+    decision,
+    ...location,
+  });
+
+module.exports = {
+  scoreLoginRisk,
+  getRiskDecision,
+  recordLoginAttempt,
+  describeTravel,
+};
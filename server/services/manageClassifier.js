@@ -1,60 +1,233 @@
 const axios = require("axios");
-const fs = require("fs");
+const ClassifierSync = require("../models/classifierSync.model");
+const { getTopicLabels } = require("./moderation/topicLabels");
+const { registerJobHandler } = require("./jobQueue");
+
+const PAGE_SIZE = 100;
+const REQUEST_TIMEOUT = 30000;
+
+const quote = (value) => value.replace(/'/g, "\\'");
+
+const toCsvField = (value) =>
+  /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * The categories of the "community" classifier, one per community matching
+ * any of its topic keywords, or its name if it has none.
+ */
+const buildCategories = (labels) =>
+  labels.map(({ label, keywords }, index) => {
+    const concepts = (keywords.length > 0 ? keywords : [label.toLowerCase()])
+      .map((keyword) => `concept('${quote(keyword)}')`)
+      .join(", ");
+    return {
+      categoryId: String(index + 1),
+      label,
+      query: `or(${concepts})`,
+    };
+  });
+
+/**
+ * The classifier as the CSV TextRazor expects: id, label and query per line.
+ */
+const buildClassifierData = (labels) =>
+  buildCategories(labels)
+    .map(({ categoryId, label, query }) =>
+      [categoryId, label, query].map(toCsvField).join(",")
+    )
+    .join("\n");
+
+/**
+ * Compares the categories generated from the communities with those stored
+ * at TextRazor, by label.
+ */
+const diffCategories = (local, remote) => {
+  const remoteByLabel = new Map(
+    remote.map((category) => [category.label, category])
+  );
+  const localLabels = new Set(local.map(({ label }) => label));
+
+  const added = local
+    .filter(({ label }) => !remoteByLabel.has(label))
+    .map(({ label }) => label);
+  const removed = remote
+    .filter(({ label }) => !localLabels.has(label))
+    .map(({ label }) => label);
+  const changed = local
+    .filter(
+      ({ label, query }) =>
+        remoteByLabel.has(label) && remoteByLabel.get(label).query !== query
+    )
+    .map(({ label }) => label);
+
+  return {
+    added,
+    removed,
+    changed,
+    inSync: added.length === 0 && removed.length === 0 && changed.length === 0,
+  };
+};
+
+const describeError = (error) => {
+  const data = error.response && error.response.data;
+  return (data && (data.error || data.message)) || error.message;
+};
+
+/**
+ * Manages the "community" custom classifier at TextRazor, which
+ * getCategoriesFromTextRazor classifies posts with.
+ */
 class TextRazorClassifierManager {
   constructor() {
     this.apiKey = process.env.TEXTRAZOR_API_KEY;
-    this.classifierData = fs.readFileSync(
-      "../data/community-classifier.csv",
-      "utf8"
-    );
     this.classifierId = "community";
-    this.url = process.env.TEXTRAZOR_API_URL;
+    this.url = (process.env.TEXTRAZOR_API_URL || "").replace(/\/+$/, "");
   }
 
-  create() {
-    axios
-      .put(`${this.url}/categories/${this.classifierId}`, this.classifierData, {
-        headers: {
-          "X-TextRazor-Key": this.apiKey,
-          "Content-Type": "application/csv",
-        },
-      })
-      .then(this.handleResponse)
-      .catch(this.handleError);
+  isConfigured() {
+    return !!this.apiKey && !!this.url;
   }
 
-  get() {
-    axios
-      .get(
-        `${this.url}/categories/${this.classifierId}/_all?limit=20&offset=0`,
+  headers(extraHeaders = {}) {
+    return { "X-TextRazor-Key": this.apiKey, ...extraHeaders };
+  }
+
+  /**
+   * Replaces the classifier with the categories generated from the labels.
+   */
+  async create(labels) {
+    try {
+      await axios.put(
+        `${this.url}/categories/${this.classifierId}`,
+        buildClassifierData(labels),
         {
-          headers: {
-            "X-TextRazor-Key": this.apiKey,
-          },
+          headers: this.headers({ "Content-Type": "application/csv" }),
+          timeout: REQUEST_TIMEOUT,
         }
-      )
-      .then(this.handleResponse)
-      .catch(this.handleError);
+      );
+    } catch (error) {
+      throw new Error(describeError(error));
+    }
   }
 
-  delete() {
-    axios
-      .delete(`${this.url}/categories/${this.classifierId}`, {
-        headers: {
-          "X-TextRazor-Key": this.apiKey,
-        },
-      })
-      .then(this.handleResponse)
-      .catch(this.handleError);
+  /**
+   * @returns {Promise<Object[]|null>} The categories of the classifier, or
+   * null if it does not exist.
+   */
+  async get() {
+    const categories = [];
+    try {
+      for (;;) {
+        const response = await axios.get(
+          `${this.url}/categories/${this.classifierId}/_all`,
+          {
+            headers: this.headers(),
+            params: { limit: PAGE_SIZE, offset: categories.length },
+            timeout: REQUEST_TIMEOUT,
+          }
+        );
+        const page = response.data.categories || [];
+        categories.push(
+          ...page.map(({ categoryId, label, query }) => ({
+            categoryId,
+            label,
+            query,
+          }))
+        );
+        if (
+          page.length < PAGE_SIZE ||
+          categories.length >= response.data.total
+        ) {
+          return categories;
+        }
+      }
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw new Error(describeError(error));
+    }
   }
 
-  handleResponse(response) {
-    console.log(JSON.stringify(response.data, null, 2));
+  async delete() {
+    try {
+      await axios.delete(`${this.url}/categories/${this.classifierId}`, {
+        headers: this.headers(),
+        timeout: REQUEST_TIMEOUT,
+      });
+    } catch (error) {
+      // deleting a classifier that does not exist is a no-op
+      if (error.response && error.response.status === 404) {
+        return;
+      }
+      throw new Error(describeError(error));
+    }
   }
+}
 
-  handleError(error) {
-    console.error(error);
+/**
+ * Pushes the categories generated from the current communities to TextRazor
+ * and records the outcome. Errors are recorded, not thrown.
+ *
+ * @param {string|null} adminId - The admin who pushed, null when the push
+ * followed the creation of a community.
+ *
+ * @returns {Promise<Object>} The recorded sync.
+ */
+const pushClassifier = async (adminId = null) => {
+  const labels = await getTopicLabels();
+  let error = null;
+  try {
+    await new TextRazorClassifierManager().create(labels);
+  } catch (pushError) {
+    error = pushError.message;
   }
-}
+  return await ClassifierSync.create({
+    action: "push",
+    status: error ? "failed" : "success",
+    categoryCount: labels.length,
+    error,
+    triggeredBy: adminId,
+  });
+};
+
+const PUSH_CLASSIFIER = "pushClassifier";
+
+// Pushes queued after a community was created are retried by the job queue
+// until TextRazor accepts them, each attempt is recorded as a sync
+registerJobHandler(PUSH_CLASSIFIER, {
+  async run() {
+    const sync = await pushClassifier();
+    if (sync.status === "failed") {
+      throw new Error(sync.error);
+    }
+    return { sync: sync._id };
+  },
+});
+
+/**
+ * Deletes the classifier at TextRazor and records the outcome. Errors are
+ * recorded, not thrown.
+ */
+const deleteClassifier = async (adminId) => {
+  let error = null;
+  try {
+    await new TextRazorClassifierManager().delete();
+  } catch (deleteError) {
+    error = deleteError.message;
+  }
+  return await ClassifierSync.create({
+    action: "delete",
+    status: error ? "failed" : "success",
+    error,
+    triggeredBy: adminId,
+  });
+};
 
 module.exports = TextRazorClassifierManager;
+module.exports.buildCategories = buildCategories;
+module.exports.buildClassifierData = buildClassifierData;
+module.exports.diffCategories = diffCategories;
+module.exports.pushClassifier = pushClassifier;
+module.exports.PUSH_CLASSIFIER = PUSH_CLASSIFIER;
+module.exports.deleteClassifier = deleteClassifier;
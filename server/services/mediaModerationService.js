@@ -0,0 +1,24 @@
+const { classifyFrames } = require("./moderation/localMedia");
+
+class MediaModerationService {
+  async classify(frames, media, timeout) {
+    throw new Error("Not implemented");
+  }
+}
+
+class LocalMediaModerationService extends MediaModerationService {
+  async classify(frames) {
+    return classifyFrames(frames);
+  }
+}
+
+function createMediaModerationService(servicePreference) {
+  switch (servicePreference) {
+    case "Local":
+      return new LocalMediaModerationService();
+    default:
+      throw new Error("Invalid service preference");
+  }
+}
+
+module.exports = createMediaModerationService;
@@ -0,0 +1,160 @@
+const Community = require("../../models/community.model");
+const createCategoryFilterService = require("../categoryFilterService");
+const { buildChain, routeChain } = require("./providerChain");
+const { callCachedProviderChain } = require("./classificationCache");
+const { getTopicLabels } = require("./topicLabels");
+
+const DEFAULT_MATCH_MARGIN = 0.1;
+const DEFAULT_SUGGESTION_COUNT = 3;
+
+/**
+ * The communities, other than the one posted to, that the author can post in
+ * and whose topic was detected, best match first.
+ */
+const findAlternatives = async (ranked, community, user, count) => {
+  const labels = ranked
+    .map(({ label }) => label)
+    .filter((label) => !community || label !== community.name);
+  if (!user || labels.length === 0) return [];
+
+  const communities = await Community.find({
+    name: { $in: labels },
+    members: user,
+    bannedUsers: { $ne: user },
+  })
+    .select("_id name")
+    .lean();
+
+  return ranked
+    .map(({ label, score }) => {
+      const match = communities.find(({ name }) => name === label);
+      return match ? { _id: match._id, name: match.name, score } : null;
+    })
+    .filter(Boolean)
+    .slice(0, count);
+};
+
+/**
+ * Detects the topics of a post and checks that the community it is posted to
+ * is among them. A community scoring within the configured margin of the top
+ * topic is accepted, otherwise the post is blocked and the author offered the
+ * best matching communities they can post in instead. Replays skip the stage,
+ * a retrained classifier or new topic labels must not remove posts their
+ * community already accepted.
+ */
+const categoryStage = {
+  name: "category",
+  contentTypes: ["post"],
+  failureMode: "hold",
+
+  async run({ content, community, user, language, replay }, config) {
+    if (replay) {
+      return { action: "allow", reasons: [], scores: {}, skipped: true };
+    }
+
+    const {
+      categoryFilteringServiceProvider: serviceProvider = "disabled",
+      categoryFilteringFallbackProviders: fallbackProviders = [],
+      categoryFilteringRequestTimeout: timeout = 10000,
+      categoryMatchMargin: margin = DEFAULT_MATCH_MARGIN,
+      categorySuggestionCount: suggestionCount = DEFAULT_SUGGESTION_COUNT,
+      classificationCacheTTL: ttl,
+    } = config;
+
+    const configured = buildChain(serviceProvider, fallbackProviders);
+    if (configured.length === 0) {
+      return { action: "allow", reasons: [], scores: {}, skipped: true };
+    }
+
+    // The English-only classifiers would misclassify posts in other
+    // languages, which are left unchecked rather than blocked
+    const chain = routeChain("category", configured, language);
+    if (chain.length === 0) {
+      return {
+        action: "allow",
+        reasons: [],
+        scores: {},
+        skipped: true,
+        info: { language, unsupportedLanguage: true },
+      };
+    }
+
+    const labels = await getTopicLabels();
+    if (labels.length === 0) {
+      return { action: "allow", reasons: [], scores: {}, skipped: true };
+    }
+
+    const {
+      provider,
+      result: ranked,
+      cached,
+    } = await callCachedProviderChain(
+      "category",
+      chain,
+      { content, labels, ttl },
+      (name) =>
+        createCategoryFilterService(name).rankCategories(
+          content,
+          timeout,
+          labels
+        )
+    );
+
+    const scores = ranked.reduce((categories, { label, score }) => {
+      categories[label] = score;
+      return categories;
+    }, {});
+
+    if (ranked.length === 0) {
+      return {
+        action: "hold",
+        reasons: [
+          {
+            code: "failedDetection",
+            message: "Could not detect the topic of the post",
+          },
+        ],
+        scores,
+        info: { provider, cached },
+      };
+    }
+
+    const top = ranked[0];
+    const communityName = community ? community.name : null;
+    const chosen = ranked.find(({ label }) => label === communityName);
+
+    if (!chosen || top.score - chosen.score > margin) {
+      return {
+        action: "block",
+        reasons: [
+          {
+            code: "categoryMismatch",
+            message: `Post topic matches ${top.label}, not ${communityName}`,
+          },
+        ],
+        scores,
+        info: {
+          provider,
+          cached,
+          community: communityName,
+          recommendedCommunity: top.label,
+          alternatives: await findAlternatives(
+            ranked,
+            community,
+            user,
+            suggestionCount
+          ),
+        },
+      };
+    }
+
+    return {
+      action: "allow",
+      reasons: [],
+      scores,
+      info: { provider, cached },
+    };
+  },
+};
+
+module.exports = categoryStage;
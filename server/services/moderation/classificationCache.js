@@ -0,0 +1,151 @@
+const crypto = require("crypto");
+const { callProviderChain } = require("./providerChain");
+
+/**
+ * Caches the results of the toxicity and category providers, so resubmitted
+ * and edited content with unchanged text does not call them again. Results
+ * are keyed by the normalized content, the provider and, for category
+ * detection, the set of candidate labels they were computed against.
+ *
+ * Like the circuit breakers, the cache is kept in memory, per server process.
+ */
+
+const DEFAULT_TTL = 60; // minutes
+// Least recently used entries are evicted beyond this size
+const MAX_ENTRIES = 5000;
+
+const entries = new Map();
+const stats = {};
+
+const getStats = (capability) => {
+  if (!stats[capability]) {
+    stats[capability] = { hits: 0, misses: 0 };
+  }
+  return stats[capability];
+};
+
+// Whitespace and Unicode variants of the same text share a cache entry
+const normalizeContent = (content) =>
+  (content || "").normalize("NFKC").replace(/\s+/g, " ").trim();
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const buildKey = (capability, provider, content, labels) =>
+  [
+    capability,
+    provider,
+    hash(normalizeContent(content)),
+    labels ? hash(JSON.stringify(labels)) : "",
+  ].join(":");
+
+const readEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+  // Re-inserting keeps the Map ordered from least to most recently used
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+};
+
+const writeEntry = (key, capability, result, ttl) => {
+  entries.delete(key);
+  entries.set(key, {
+    capability,
+    result,
+    expiresAt: Date.now() + ttl * 60 * 1000,
+  });
+  if (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Same as callProviderChain, but returns the cached result of the first
+ * provider of the chain that has one. Otherwise the chain is called and the
+ * result of the provider that answered is cached.
+ *
+ * @param {string} capability - "toxicity" or "category".
+ * @param {string[]} chain - Provider names, see buildChain.
+ * @param {Object} options
+ * @param {string} options.content - The classified text.
+ * @param {Object[]} [options.labels] - The candidate labels, if any.
+ * @param {number} [options.ttl] - Minutes to keep the result, 0 disables caching.
+ * @param {function(string): Promise<*>} call - Calls a single provider.
+ *
+ * @returns {Promise<{provider: string, result: *, failed: Object[], cached: boolean}>}
+ */
+const callCachedProviderChain = async (
+  capability,
+  chain,
+  { content, labels, ttl = DEFAULT_TTL },
+  call
+) => {
+  if (!ttl) {
+    return {
+      ...(await callProviderChain(capability, chain, call)),
+      cached: false,
+    };
+  }
+
+  const capabilityStats = getStats(capability);
+  for (const provider of chain) {
+    const entry = readEntry(buildKey(capability, provider, content, labels));
+    if (entry) {
+      capabilityStats.hits += 1;
+      return { provider, result: entry.result, failed: [], cached: true };
+    }
+  }
+
+  capabilityStats.misses += 1;
+  const response = await callProviderChain(capability, chain, call);
+  writeEntry(
+    buildKey(capability, response.provider, content, labels),
+    capability,
+    response.result,
+    ttl
+  );
+  return { ...response, cached: false };
+};
+
+/**
+ * Drops the cached results of a capability, or of every capability.
+ */
+const invalidateClassificationCache = (capability) => {
+  for (const [key, entry] of entries) {
+    if (!capability || entry.capability === capability) {
+      entries.delete(key);
+    }
+  }
+};
+
+/**
+ * Hits, misses and cached entries per capability since the server started,
+ * for the admin panel.
+ */
+const getClassificationCacheStats = () => {
+  const sizes = {};
+  for (const entry of entries.values()) {
+    sizes[entry.capability] = (sizes[entry.capability] || 0) + 1;
+  }
+
+  return ["toxicity", "category"].reduce((result, capability) => {
+    const { hits, misses } = getStats(capability);
+    result[capability] = {
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+      entries: sizes[capability] || 0,
+    };
+    return result;
+  }, {});
+};
+
+module.exports = {
+  callCachedProviderChain,
+  invalidateClassificationCache,
+  getClassificationCacheStats,
+};
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const ModerationDecision = require("../../models/moderationDecision.model");
+const { saveLogInfo } = require("../../middlewares/logger/logInfo");
+
+const hashContent = (content) =>
+  crypto
+    .createHash("sha256")
+    .update(content || "")
+    .digest("hex");
+
+/**
+ * Persists the verdict for a screened item, or replaces the verdict of an
+ * earlier attempt at screening the same stored post. Failing to write the
+ * audit record never fails the moderation itself.
+ *
+ * @returns {Promise<string|null>} The id of the decision record.
+ */
+const recordDecision = async (item, verdict) => {
+  try {
+    const keyword = verdict.stages.find((stage) => stage.stage === "keyword");
+    const record = {
+      contentType: item.contentType,
+      contentHash: hashContent(item.content),
+      user: item.user || null,
+      community: item.community ? item.community._id : null,
+      commentedPost: item.post || null,
+      language: verdict.language || null,
+      action: verdict.action,
+      reasons: verdict.reasons,
+      stages: verdict.stages.map((stage) => ({
+        stage: stage.stage,
+        action: stage.action,
+        reasons: stage.reasons,
+        scores: stage.scores,
+        provider:
+          stage.info && stage.info.provider ? stage.info.provider : null,
+        skipped: stage.skipped,
+        error: stage.error,
+        latency: stage.latency,
+      })),
+      providers: verdict.stages
+        .map((stage) => stage.info && stage.info.provider)
+        .filter(Boolean),
+      rule: keyword && keyword.info ? keyword.info.rule : null,
+      latency: verdict.latency,
+    };
+    const decision = item.source
+      ? await ModerationDecision.findOneAndUpdate(
+          { source: item.source },
+          { ...record, source: item.source },
+          { upsert: true, new: true }
+        )
+      : await ModerationDecision.create(record);
+    return decision._id;
+  } catch (error) {
+    await saveLogInfo(
+      null,
+      `Could not record moderation decision: ${error.message}`,
+      "Moderation",
+      "error"
+    );
+    return null;
+  }
+};
+
+/**
+ * Links a decision to the post or comment created from the screened content.
+ *
+ * @param {Object} target - {post} or {comment} with the created document id.
+ */
+const linkDecision = async (decisionId, target) => {
+  if (!decisionId) return;
+  try {
+    await ModerationDecision.updateOne({ _id: decisionId }, target);
+  } catch (error) {
+    await saveLogInfo(
+      null,
+      `Could not link moderation decision: ${error.message}`,
+      "Moderation",
+      "error"
+    );
+  }
+};
+
+/**
+ * Records a moderator overriding the automated decision for a post or comment.
+ *
+ * @param {Object} target - {post} or {comment} with the document id.
+ * @param {string} action - "approve", "reject" or "remove".
+ */
+const recordOverride = async (target, action, moderator) => {
+  try {
+    await ModerationDecision.findOneAndUpdate(
+      target,
+      { $push: { overrides: { action, moderator } } },
+      { sort: { createdAt: -1 } }
+    );
+  } catch (error) {
+    await saveLogInfo(
+      null,
+      `Could not record moderator override: ${error.message}`,
+      "Moderation",
+      "error"
+    );
+  }
+};
+
+module.exports = {
+  hashContent,
+  recordDecision,
+  linkDecision,
+  recordOverride,
+};
@@ -0,0 +1,247 @@
+const KeywordRuleSet = require("../../models/keywordRuleSet.model");
+const defaultKeywordRules = require("../../data/keywordRules.json");
+const normalizeText = require("./textNormalizer");
+const { termLetterSource } = normalizeText;
+const { LANGUAGES } = require("./languageDetection");
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+let cache = null;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Compiles a literal word or phrase into a regex over normalized text that
+ * only matches it as a whole word, so "ass" does not match "class", and that
+ * tolerates repeated letters ("fuuck") and look-alikes ("fvck").
+ */
+const compileWord = (word) => {
+  const source = Array.from(normalizeText(word.trim()), (char) =>
+    /\s/.test(char) ? "\\s+" : `${termLetterSource(char)}+`
+  )
+    .join("")
+    .replace(/(\\s\+)+/g, "\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`, "giu");
+};
+
+const compilePattern = (pattern) => new RegExp(pattern, "gi");
+
+/**
+ * Returns the first invalid regex source in the list, or null.
+ */
+const findInvalidPattern = (patterns = []) =>
+  patterns.find((pattern) => {
+    try {
+      compilePattern(pattern);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  }) || null;
+
+const compileRuleSet = (ruleSet) => {
+  const rules = [];
+
+  ruleSet.words.filter(Boolean).forEach((word) => {
+    rules.push({ type: "word", rule: word, regex: compileWord(word) });
+  });
+
+  ruleSet.patterns.filter(Boolean).forEach((pattern) => {
+    try {
+      rules.push({
+        type: "pattern",
+        rule: `/${pattern}/`,
+        regex: compilePattern(pattern),
+      });
+    } catch (error) {
+      console.warn("Invalid moderation pattern skipped:", pattern);
+    }
+  });
+
+  return {
+    _id: ruleSet._id,
+    name: ruleSet.name,
+    community: ruleSet.community ? ruleSet.community.toString() : null,
+    language: ruleSet.language || null,
+    inheritGlobal: ruleSet.inheritGlobal,
+    rules,
+    allowList: ruleSet.allowList
+      .filter(Boolean)
+      .map((term) => term.toLowerCase()),
+    normalizedAllowList: ruleSet.allowList
+      .filter(Boolean)
+      .map((term) => normalizeText(term)),
+  };
+};
+
+const splitRules = (rules) => {
+  const words = [];
+  const patterns = [];
+  rules.forEach((rule) => {
+    if (rule.startsWith("/") && rule.endsWith("/")) {
+      patterns.push(rule.slice(1, -1));
+    } else {
+      words.push(rule);
+    }
+  });
+  return { words, patterns };
+};
+
+/**
+ * Creates the global rule sets from data/keywordRules.json the first time the
+ * collection is used: the default rules, applied to content in any language,
+ * and one rule set per language.
+ */
+const ensureDefaultRuleSet = async () => {
+  const count = await KeywordRuleSet.estimatedDocumentCount();
+  if (count > 0) return;
+
+  await KeywordRuleSet.create([
+    { name: "Default", ...splitRules(defaultKeywordRules.rules) },
+    ...Object.entries(defaultKeywordRules.languages).map(
+      ([language, rules]) => ({
+        name: `Default (${LANGUAGES[language]})`,
+        language,
+        ...splitRules(rules),
+      })
+    ),
+  ]);
+};
+
+const loadRuleSets = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.ruleSets;
+  }
+
+  await ensureDefaultRuleSet();
+  const ruleSets = await KeywordRuleSet.find({ enabled: true }).lean();
+
+  cache = {
+    loadedAt: Date.now(),
+    ruleSets: ruleSets.map(compileRuleSet),
+  };
+  return cache.ruleSets;
+};
+
+/**
+ * Drops the compiled rule sets so the next check reloads them from the
+ * database. Called whenever a rule set is changed from the admin panel.
+ */
+const invalidateKeywordRules = () => {
+  cache = null;
+};
+
+/**
+ * Returns the rule sets that apply to a community: its own rule sets, plus
+ * the global ones unless one of them opts out of inheriting. Rule sets for
+ * another language than the content's are left out.
+ */
+const getApplicableRuleSets = (allRuleSets, communityId, language) => {
+  const ruleSets = language
+    ? allRuleSets.filter(
+        (ruleSet) => !ruleSet.language || ruleSet.language === language
+      )
+    : allRuleSets;
+  const communityRuleSets = communityId
+    ? ruleSets.filter((ruleSet) => ruleSet.community === communityId)
+    : [];
+  const inheritGlobal = communityRuleSets.every(
+    (ruleSet) => ruleSet.inheritGlobal
+  );
+  const globalRuleSets = inheritGlobal
+    ? ruleSets.filter((ruleSet) => ruleSet.community === null)
+    : [];
+
+  return [...globalRuleSets, ...communityRuleSets];
+};
+
+const findAllowedRanges = (text, allowList) => {
+  const lower = text.toLowerCase();
+  const ranges = [];
+
+  allowList.forEach((term) => {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push([index, index + term.length]);
+      index = lower.indexOf(term, index + 1);
+    }
+  });
+
+  return ranges;
+};
+
+const findMatchInText = (text, ruleSets, allowList, types) => {
+  const allowedRanges = findAllowedRanges(text, allowList);
+
+  const isAllowed = (start, end) =>
+    allowedRanges.some(
+      ([allowedStart, allowedEnd]) => start >= allowedStart && end <= allowedEnd
+    );
+
+  for (const ruleSet of ruleSets) {
+    for (const { type, rule, regex } of ruleSet.rules) {
+      if (!types.includes(type)) continue;
+
+      for (const match of text.matchAll(regex)) {
+        if (
+          match[0] &&
+          !isAllowed(match.index, match.index + match[0].length)
+        ) {
+          return {
+            rule,
+            type,
+            ruleSet: ruleSet.name,
+            global: !ruleSet.community,
+            match: match[0],
+          };
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Finds the first keyword rule matching the text, ignoring matches that fall
+ * inside an allow-listed term. Words are matched against the normalized text,
+ * regex patterns against both the original and the normalized text.
+ *
+ * @param {string} text - Text to check.
+ * @param {string} [communityId] - Community whose overrides apply.
+ * @param {string|null} [language] - ISO 639-1 code of the text.
+ *
+ * @returns {Promise<{rule: string, type: string, ruleSet: string, match: string, normalized: string}|null>}
+ */
+const findKeywordMatch = async (text, communityId, language = null) => {
+  if (!text) return null;
+
+  const ruleSets = getApplicableRuleSets(
+    await loadRuleSets(),
+    communityId ? communityId.toString() : null,
+    language
+  );
+  const normalized = normalizeText(text);
+
+  const match =
+    findMatchInText(
+      text,
+      ruleSets,
+      ruleSets.flatMap((ruleSet) => ruleSet.allowList),
+      ["pattern"]
+    ) ||
+    findMatchInText(
+      normalized,
+      ruleSets,
+      ruleSets.flatMap((ruleSet) => ruleSet.normalizedAllowList),
+      ["word", "pattern"]
+    );
+
+  return match ? { ...match, normalized } : null;
+};
+
+module.exports = {
+  findKeywordMatch,
+  findInvalidPattern,
+  invalidateKeywordRules,
+};
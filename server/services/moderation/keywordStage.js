@@ -0,0 +1,34 @@
+const { findKeywordMatch } = require("./keywordRules");
+
+const keywordStage = {
+  name: "keyword",
+  contentTypes: ["post", "comment", "community", "profile"],
+  failureMode: "open",
+
+  async run({ content, community, language }) {
+    const match = await findKeywordMatch(
+      content,
+      community ? community._id : null,
+      language
+    );
+
+    if (!match) {
+      return { action: "allow", reasons: [], scores: {} };
+    }
+
+    return {
+      action: "block",
+      reasons: [
+        {
+          code: "keywordMatch",
+          message: "Content matches a banned word or pattern",
+          global: match.global,
+        },
+      ],
+      scores: { matches: 1 },
+      info: match,
+    };
+  },
+};
+
+module.exports = keywordStage;
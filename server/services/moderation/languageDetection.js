@@ -0,0 +1,110 @@
+const profiles = require("../../data/languageProfiles.json");
+
+/**
+ * Offline language detection for posts and comments. Languages written in
+ * their own script are recognized by it, those written in the Latin script by
+ * the share of their most common words (data/languageProfiles.json). Texts too
+ * short or too mixed to tell have no detected language, null.
+ */
+
+const LANGUAGES = {
+  ar: "Arabic",
+  de: "German",
+  el: "Greek",
+  en: "English",
+  es: "Spanish",
+  fr: "French",
+  he: "Hebrew",
+  hi: "Hindi",
+  id: "Indonesian",
+  it: "Italian",
+  ja: "Japanese",
+  ko: "Korean",
+  nl: "Dutch",
+  pl: "Polish",
+  pt: "Portuguese",
+  ru: "Russian",
+  sv: "Swedish",
+  th: "Thai",
+  tr: "Turkish",
+  zh: "Chinese",
+};
+
+// Share of the letters a script needs to decide the language
+const MIN_SCRIPT_SHARE = 0.5;
+const MIN_WORDS = 3;
+const MIN_STOPWORDS = 2;
+// How far ahead of the runner-up the best Latin-script language must be
+const MIN_LEAD = 1.25;
+
+const scripts = Object.entries(profiles.scripts).map(([language, script]) => ({
+  language,
+  regex: new RegExp(`\\p{Script=${script}}`, "gu"),
+}));
+
+const stopwords = Object.entries(profiles.stopwords).map(
+  ([language, words]) => ({ language, words: new Set(words) })
+);
+
+const countMatches = (text, regex) => (text.match(regex) || []).length;
+
+const detectByScript = (text, letterCount) => {
+  const kana = countMatches(text, /[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+  const han = countMatches(text, /\p{Script=Han}/gu);
+  // Japanese mixes kana with Chinese characters
+  if (kana > 0 && (kana + han) / letterCount >= MIN_SCRIPT_SHARE) {
+    return { language: "ja", confidence: (kana + han) / letterCount };
+  }
+  if (han / letterCount >= MIN_SCRIPT_SHARE) {
+    return { language: "zh", confidence: han / letterCount };
+  }
+
+  for (const { language, regex } of scripts) {
+    const share = countMatches(text, regex) / letterCount;
+    if (share >= MIN_SCRIPT_SHARE) {
+      return { language, confidence: share };
+    }
+  }
+  return null;
+};
+
+const detectByStopwords = (text) => {
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  if (words.length < MIN_WORDS) return null;
+
+  const ranked = stopwords
+    .map(({ language, words: list }) => ({
+      language,
+      hits: words.filter((word) => list.has(word)).length,
+    }))
+    .sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = ranked;
+  if (best.hits < MIN_STOPWORDS || best.hits < runnerUp.hits * MIN_LEAD) {
+    return null;
+  }
+  return {
+    language: best.language,
+    confidence: best.hits / (best.hits + runnerUp.hits),
+  };
+};
+
+/**
+ * @param {string} text - Text to detect the language of.
+ *
+ * @returns {{language: string|null, confidence: number}} The ISO 639-1 code
+ * of the language, see LANGUAGES, and how sure the detection is, from 0 to 1.
+ */
+const detectLanguage = (text) => {
+  const letterCount = countMatches(text || "", /\p{L}/gu);
+  if (letterCount === 0) {
+    return { language: null, confidence: 0 };
+  }
+
+  return (
+    detectByScript(text, letterCount) ||
+    detectByStopwords(text) || { language: null, confidence: 0 }
+  );
+};
+
+module.exports = { detectLanguage, LANGUAGES };
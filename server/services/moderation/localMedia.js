@@ -0,0 +1,74 @@
+/**
+ * Offline media classifier. Scores frames with a skin-tone heuristic as a
+ * rough stand-in for a nudity classifier.
+ */
+
+// Pixels this close to the border make up the edges of a frame
+const EDGE_WIDTH = 4;
+
+// Widely used RGB skin-tone rule (Peer et al.)
+const isSkinTone = (r, g, b) =>
+  r > 95 &&
+  g > 40 &&
+  b > 20 &&
+  Math.max(r, g, b) - Math.min(r, g, b) > 15 &&
+  Math.abs(r - g) > 15 &&
+  r > g &&
+  r > b;
+
+/**
+ * The share of skin-toned pixels in a square frame, and in its edges.
+ */
+const skinRatios = (frame) => {
+  const pixels = frame.length / 3;
+  const size = Math.round(Math.sqrt(pixels));
+  let skin = 0;
+  let edge = 0;
+  let edgeSkin = 0;
+  for (let pixel = 0; pixel < pixels; pixel++) {
+    const x = pixel % size;
+    const y = Math.floor(pixel / size);
+    const isSkin = isSkinTone(
+      frame[pixel * 3],
+      frame[pixel * 3 + 1],
+      frame[pixel * 3 + 2]
+    );
+    const isEdge =
+      x < EDGE_WIDTH ||
+      y < EDGE_WIDTH ||
+      x >= size - EDGE_WIDTH ||
+      y >= size - EDGE_WIDTH;
+    if (isSkin) skin += 1;
+    if (isEdge) edge += 1;
+    if (isSkin && isEdge) edgeSkin += 1;
+  }
+  return { skin: skin / pixels, edge: edge ? edgeSkin / edge : 0 };
+};
+
+const round = (score) => Math.round(score * 100) / 100;
+
+/**
+ * Classifies the decoded frames of an attachment. A close-up portrait is
+ * mostly skin as well, but framed by hair, clothes or background, so a frame
+ * only scores as high as the skin reaching its edges.
+ *
+ * @param {Buffer[]} frames - RGB frames, see extractFrames.
+ *
+ * @returns {{scores: {EXPLICIT: number, SKIN: number}}} The highest score of
+ * any frame, and the highest share of skin-toned pixels.
+ */
+const classifyFrames = (frames) => {
+  const ratios = frames.map(skinRatios);
+  return {
+    scores: {
+      EXPLICIT: round(
+        Math.max(...ratios.map(({ skin, edge }) => Math.min(skin, edge)))
+      ),
+      SKIN: round(Math.max(...ratios.map(({ skin }) => skin))),
+    },
+  };
+};
+
+module.exports = {
+  classifyFrames,
+};
@@ -0,0 +1,110 @@
+const normalizeText = require("./textNormalizer");
+const { termLetterSource } = normalizeText;
+const lexicon = require("../../data/toxicityLexicon.json");
+
+/**
+ * Offline toxicity scorer for deployments without a Perspective API key.
+ * Weighted terms and phrase patterns from data/toxicityLexicon.json are
+ * matched against the normalized text and combined into Perspective-shaped
+ * attribute scores between 0 and 1, so the moderation policy applies the same
+ * way regardless of the provider.
+ */
+
+const ATTRIBUTES = [
+  "INSULT",
+  "PROFANITY",
+  "THREAT",
+  "SEXUALLY_EXPLICIT",
+  "IDENTITY_ATTACK",
+];
+
+// How much each attribute contributes to the overall TOXICITY score
+const TOXICITY_WEIGHTS = {
+  INSULT: 0.9,
+  PROFANITY: 0.85,
+  THREAT: 0.95,
+  SEXUALLY_EXPLICIT: 0.6,
+  IDENTITY_ATTACK: 0.95,
+};
+
+// Shouting raises every non-zero score by this share of what is left to 1
+const SHOUTING_BOOST = 0.2;
+const SHOUTING_MIN_LETTERS = 10;
+const SHOUTING_RATIO = 0.7;
+
+const compileLexicon = () =>
+  ATTRIBUTES.reduce((compiled, attribute) => {
+    const terms = Object.entries(lexicon.terms[attribute] || {}).map(
+      ([term, weight]) => ({
+        regex: new RegExp(
+          `(?<![\\p{L}\\p{N}])${Array.from(
+            normalizeText(term),
+            termLetterSource
+          ).join("")}(?![\\p{L}\\p{N}])`,
+          "u"
+        ),
+        weight,
+      })
+    );
+    const patterns = (lexicon.patterns[attribute] || []).map(
+      ({ pattern, weight }) => ({ regex: new RegExp(pattern, "i"), weight })
+    );
+
+    compiled[attribute] = [...terms, ...patterns];
+    return compiled;
+  }, {});
+
+const COMPILED_LEXICON = compileLexicon();
+
+// Combines independent signals like probabilities: 1 - (1 - a)(1 - b)...
+const combine = (weights) =>
+  1 - weights.reduce((remaining, weight) => remaining * (1 - weight), 1);
+
+const isShouting = (content) => {
+  const letters = content.match(/\p{L}/gu) || [];
+  if (letters.length < SHOUTING_MIN_LETTERS) return false;
+  const upper = letters.filter(
+    (letter) => letter !== letter.toLowerCase()
+  ).length;
+  return upper / letters.length >= SHOUTING_RATIO;
+};
+
+const round = (score) => Math.round(score * 1000) / 1000;
+
+/**
+ * Scores content locally.
+ *
+ * @param {string} content
+ *
+ * @returns {Object<string, number>} Scores keyed by Perspective attribute.
+ */
+const getToxicityScoresFromLexicon = (content) => {
+  const text = content || "";
+  const normalized = normalizeText(text);
+  const shouting = isShouting(text);
+
+  const scores = {};
+  for (const attribute of ATTRIBUTES) {
+    const weights = COMPILED_LEXICON[attribute]
+      .filter(({ regex }) => regex.test(normalized) || regex.test(text))
+      .map(({ weight }) => weight);
+
+    let score = combine(weights);
+    if (shouting && score > 0) {
+      score += (1 - score) * SHOUTING_BOOST;
+    }
+    scores[attribute] = round(score);
+  }
+
+  scores.TOXICITY = round(
+    combine(
+      ATTRIBUTES.map(
+        (attribute) => scores[attribute] * TOXICITY_WEIGHTS[attribute]
+      )
+    )
+  );
+
+  return scores;
+};
+
+module.exports = getToxicityScoresFromLexicon;
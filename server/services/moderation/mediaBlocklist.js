@@ -0,0 +1,131 @@
+const MediaHash = require("../../models/mediaHash.model");
+const { extractFrames, getStoredAttachment } = require("./mediaFrames");
+const { hashFrame, hammingDistance } = require("./perceptualHash");
+
+/**
+ * Index of perceptual hashes of removed media. Uploads are compared with it
+ * by Hamming distance, so re-encoded, resized or lightly edited copies of a
+ * removed file still match.
+ */
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+// Differing bits out of 64 for two hashes to be considered the same media
+const MATCH_DISTANCE = 10;
+
+let cache = null;
+
+const loadHashes = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.hashes;
+  }
+
+  const hashes = await MediaHash.find({})
+    .select("_id hash post community")
+    .lean();
+  cache = { loadedAt: Date.now(), hashes };
+  return hashes;
+};
+
+/**
+ * Drops the cached hashes so the next check reloads them from the database.
+ * Called whenever the blocklist changes.
+ */
+const invalidateMediaBlocklist = () => {
+  cache = null;
+};
+
+/**
+ * Finds the blocklist entry closest to any of the given hashes.
+ *
+ * @param {string[]} hashes - Hashes of the frames of an upload.
+ *
+ * @returns {Promise<{_id: string, hash: string, distance: number}|null>}
+ */
+const findMediaMatch = async (hashes) => {
+  if (hashes.length === 0) return null;
+
+  let closest = null;
+  for (const entry of await loadHashes()) {
+    for (const hash of hashes) {
+      const distance = hammingDistance(hash, entry.hash);
+      if (
+        distance <= MATCH_DISTANCE &&
+        (!closest || distance < closest.distance)
+      ) {
+        closest = { ...entry, distance };
+      }
+    }
+  }
+  return closest;
+};
+
+/**
+ * @param {Object} media - {path, type}, see extractFrames.
+ *
+ * @returns {Promise<string[]>} The distinct hashes of the decoded frames.
+ */
+const hashMedia = async (media) => {
+  const frames = await extractFrames(media);
+  return [...new Set(frames.map(hashFrame))];
+};
+
+/**
+ * Adds hashes to the blocklist. Hashes already listed are left as they are.
+ *
+ * @param {string[]} hashes
+ * @param {Object} entry - Fields stored with every hash: fileType, post,
+ * community, note, addedBy and addedByModel.
+ *
+ * @returns {Promise<number>} The number of hashes added.
+ */
+const addMediaHashes = async (hashes, entry) => {
+  if (hashes.length === 0) return 0;
+
+  const result = await MediaHash.bulkWrite(
+    hashes.map((hash) => ({
+      updateOne: {
+        filter: { hash },
+        update: { $setOnInsert: { ...entry, hash } },
+        upsert: true,
+      },
+    }))
+  );
+  invalidateMediaBlocklist();
+  return result.upsertedCount;
+};
+
+/**
+ * Adds the attachment of a post to the blocklist. The hashes computed when
+ * the post was screened are used if they were stored, otherwise the file is
+ * decoded again.
+ *
+ * @param {Object} post - The post, with its mediaHashes selected.
+ * @param {string} addedBy - Id of the moderator or admin.
+ * @param {string} addedByModel - "User" or "Admin".
+ *
+ * @returns {Promise<number>} The number of hashes added.
+ */
+const banPostMedia = async (post, addedBy, addedByModel) => {
+  if (!post.fileUrl) return 0;
+
+  const hashes =
+    post.mediaHashes && post.mediaHashes.length > 0
+      ? post.mediaHashes
+      : await hashMedia(getStoredAttachment(post));
+
+  return await addMediaHashes(hashes, {
+    fileType: post.fileType,
+    post: post._id,
+    community: post.community,
+    addedBy,
+    addedByModel,
+  });
+};
+
+module.exports = {
+  findMediaMatch,
+  hashMedia,
+  addMediaHashes,
+  banPostMedia,
+  invalidateMediaBlocklist,
+};
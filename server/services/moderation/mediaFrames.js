@@ -0,0 +1,210 @@
+const { execFile } = require("child_process");
+const path = require("path");
+const { saveLogInfo } = require("../../middlewares/logger/logInfo");
+
+/**
+ * Decodes post attachments into small RGB frames for the media moderation
+ * providers. Images yield a single frame, videos up to MAX_KEYFRAMES
+ * keyframes spread over their duration. Decoding is done by the ffmpeg and
+ * ffprobe binaries, found on the PATH unless FFMPEG_PATH and FFPROBE_PATH are
+ * set. Whether they run is checked when the server starts, see
+ * checkDecoders.
+ */
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+
+const FRAME_SIZE = 32;
+const FRAME_BYTES = FRAME_SIZE * FRAME_SIZE * 3;
+const MAX_KEYFRAMES = 8;
+// Used when the duration of a video cannot be read
+const DEFAULT_KEYFRAME_INTERVAL = 5;
+const DECODE_TIMEOUT = 30000;
+
+// Whether ffmpeg and ffprobe run, assumed until checkDecoders tells
+const decoders = { ffmpeg: true, ffprobe: true };
+
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    execFile(
+      command,
+      args,
+      {
+        encoding: "buffer",
+        timeout: DECODE_TIMEOUT,
+        maxBuffer: FRAME_BYTES * MAX_KEYFRAMES * 2,
+      },
+      (error, stdout, stderr) => {
+        if (error) {
+          const details = stderr && stderr.toString().trim();
+          reject(
+            new Error(
+              `${path.basename(command)} failed: ${details || error.message}`
+            )
+          );
+          return;
+        }
+        resolve(stdout);
+      }
+    );
+  });
+
+const probeDuration = async (filePath) => {
+  if (!decoders.ffprobe) return null;
+  const output = await run(FFPROBE_PATH, [
+    "-v",
+    "error",
+    "-show_entries",
+    "format=duration",
+    "-of",
+    "default=noprint_wrappers=1:nokey=1",
+    filePath,
+  ]);
+  const duration = parseFloat(output.toString());
+  return Number.isFinite(duration) ? duration : null;
+};
+
+const decodeImage = (filePath) =>
+  run(FFMPEG_PATH, [
+    "-v",
+    "error",
+    "-i",
+    filePath,
+    "-frames:v",
+    "1",
+    "-vf",
+    `scale=${FRAME_SIZE}:${FRAME_SIZE}`,
+    "-f",
+    "rawvideo",
+    "-pix_fmt",
+    "rgb24",
+    "pipe:1",
+  ]);
+
+// Only keyframes are decoded, and of those only one every interval seconds
+const decodeKeyframes = async (filePath) => {
+  const duration = await probeDuration(filePath);
+  const interval = duration
+    ? duration / MAX_KEYFRAMES
+    : DEFAULT_KEYFRAME_INTERVAL;
+
+  return run(FFMPEG_PATH, [
+    "-v",
+    "error",
+    "-skip_frame",
+    "nokey",
+    "-i",
+    filePath,
+    "-vf",
+    `select='isnan(prev_selected_t)+gte(t-prev_selected_t\\,${interval.toFixed(
+      3
+    )})',scale=${FRAME_SIZE}:${FRAME_SIZE}`,
+    "-vsync",
+    "vfr",
+    "-frames:v",
+    String(MAX_KEYFRAMES),
+    "-f",
+    "rawvideo",
+    "-pix_fmt",
+    "rgb24",
+    "pipe:1",
+  ]);
+};
+
+const runs = (command) =>
+  run(command, ["-version"]).then(
+    () => true,
+    () => false
+  );
+
+/**
+ * Checks that ffmpeg and ffprobe run and logs an error when they do not.
+ * Without ffmpeg no attachment can be decoded, without ffprobe the keyframes
+ * of videos are sampled at a fixed interval.
+ *
+ * @returns {Promise<{ffmpeg: boolean, ffprobe: boolean}>}
+ */
+const checkDecoders = async () => {
+  const [ffmpeg, ffprobe] = await Promise.all([
+    runs(FFMPEG_PATH),
+    runs(FFPROBE_PATH),
+  ]);
+  decoders.ffmpeg = ffmpeg;
+  decoders.ffprobe = ffprobe;
+
+  if (!ffmpeg) {
+    await saveLogInfo(
+      null,
+      `${FFMPEG_PATH} could not be run, post attachments are only screened once it is installed or FFMPEG_PATH is set`,
+      "Moderation",
+      "error"
+    );
+  } else if (!ffprobe) {
+    await saveLogInfo(
+      null,
+      `${FFPROBE_PATH} could not be run, video keyframes are sampled every ${DEFAULT_KEYFRAME_INTERVAL} seconds`,
+      "Moderation",
+      "warn"
+    );
+  }
+  return { ...decoders };
+};
+
+/**
+ * Whether attachments can be decoded, false when ffmpeg did not run.
+ */
+const canDecode = () => decoders.ffmpeg;
+
+/**
+ * @param {Object} media
+ * @param {string} media.path - Path of the uploaded file.
+ * @param {string} media.type - "image" or "video".
+ *
+ * @returns {Promise<Buffer[]>} FRAME_SIZE x FRAME_SIZE frames of RGB pixels.
+ *
+ * @throws {Error} When the file cannot be decoded.
+ */
+const extractFrames = async (media) => {
+  const output =
+    media.type === "video"
+      ? await decodeKeyframes(media.path)
+      : await decodeImage(media.path);
+
+  const frames = [];
+  for (
+    let offset = 0;
+    offset + FRAME_BYTES <= output.length;
+    offset += FRAME_BYTES
+  ) {
+    frames.push(output.subarray(offset, offset + FRAME_BYTES));
+  }
+  if (frames.length === 0) {
+    throw new Error("No frames could be decoded from the attachment");
+  }
+  return frames;
+};
+
+/**
+ * The file attached to a stored post, in the form extractFrames expects.
+ * Attachments are stored in assets/userFiles under the last segment of their
+ * URL.
+ */
+const getStoredAttachment = (post) =>
+  post.fileUrl
+    ? {
+        path: path.join(
+          __dirname,
+          "../../assets/userFiles",
+          path.basename(post.fileUrl)
+        ),
+        type: post.fileType,
+      }
+    : null;
+
+module.exports = {
+  checkDecoders,
+  canDecode,
+  extractFrames,
+  getStoredAttachment,
+  FRAME_SIZE,
+};
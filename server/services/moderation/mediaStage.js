@@ -0,0 +1,97 @@
+const createMediaModerationService = require("../mediaModerationService");
+const { canDecode, extractFrames } = require("./mediaFrames");
+const { hashFrame } = require("./perceptualHash");
+const { findMediaMatch } = require("./mediaBlocklist");
+const { buildChain, callProviderChain } = require("./providerChain");
+
+const MEDIA_REQUEST_TIMEOUT = 10000;
+// Explicit score above which the attachment waits for a moderator. The
+// heuristic is too rough to block on its own
+const EXPLICIT_HOLD_THRESHOLD = 0.7;
+
+/**
+ * Screens the image or video attached to a post. Attachments matching the
+ * media blocklist are blocked whatever the provider, likely explicit ones are
+ * held for review. An attachment that cannot be decoded fails the stage,
+ * which holds it for review by default. Without ffmpeg nothing can be
+ * decoded, and attachments are let through rather than all held, see
+ * checkDecoders.
+ *
+ * The hashes of the decoded frames are returned in info.hashes, so they can
+ * be stored with the post and added to the blocklist if it is removed.
+ */
+const mediaStage = {
+  name: "media",
+  contentTypes: ["post"],
+  failureMode: "hold",
+
+  async run({ media }, config) {
+    if (!media) {
+      return { action: "allow", reasons: [], scores: {}, skipped: true };
+    }
+    if (!canDecode()) {
+      return {
+        action: "allow",
+        reasons: [],
+        scores: {},
+        skipped: true,
+        info: { decoderUnavailable: true },
+      };
+    }
+
+    const frames = await extractFrames(media);
+    const hashes = [...new Set(frames.map(hashFrame))];
+
+    const match = await findMediaMatch(hashes);
+    if (match) {
+      return {
+        action: "block",
+        reasons: [
+          {
+            code: "mediaBlocklisted",
+            message: "The attachment matches media removed from the platform",
+            global: true,
+          },
+        ],
+        scores: { distance: match.distance },
+        info: { hashes, match },
+      };
+    }
+
+    const chain = buildChain(config.mediaModerationProvider || "Local");
+    if (chain.length === 0) {
+      return { action: "allow", reasons: [], scores: {}, info: { hashes } };
+    }
+
+    const { provider, result, failed } = await callProviderChain(
+      "media",
+      chain,
+      (name) =>
+        createMediaModerationService(name).classify(
+          frames,
+          media,
+          MEDIA_REQUEST_TIMEOUT
+        )
+    );
+    const { scores } = result;
+    const info = { provider, failed, hashes };
+
+    if (scores.EXPLICIT >= EXPLICIT_HOLD_THRESHOLD) {
+      return {
+        action: "hold",
+        reasons: [
+          {
+            code: "explicitMedia",
+            message: "The attachment may contain explicit imagery",
+          },
+        ],
+        scores,
+        info,
+      };
+    }
+
+    return { action: "allow", reasons: [], scores, info };
+  },
+};
+
+module.exports = mediaStage;
@@ -0,0 +1,146 @@
+const { PERSPECTIVE_ATTRIBUTES } = require("../apiServices");
+
+const POLICY_ACTIONS = ["warn", "hold", "block"];
+
+const ACTION_SEVERITY = {
+  allow: 0,
+  warn: 1,
+  hold: 2,
+  block: 3,
+};
+
+/**
+ * Policy used by communities that have not set their own. Scores at or above
+ * the block thresholds block the content, borderline scores hold it for
+ * review.
+ */
+const BLOCK_THRESHOLDS = {
+  TOXICITY: 0.85,
+  INSULT: 0.85,
+  PROFANITY: 0.85,
+  THREAT: 0.7,
+  IDENTITY_ATTACK: 0.8,
+  SEXUALLY_EXPLICIT: 0.9,
+};
+const HOLD_THRESHOLD = 0.5;
+
+const DEFAULT_POLICY = PERSPECTIVE_ATTRIBUTES.flatMap((attribute) => [
+  { attribute, threshold: HOLD_THRESHOLD, action: "hold" },
+  { attribute, threshold: BLOCK_THRESHOLDS[attribute], action: "block" },
+]);
+
+const isMoreSevere = (action, than) =>
+  ACTION_SEVERITY[action] > ACTION_SEVERITY[than];
+
+/**
+ * The policy rules applied to content in a community: the community's own
+ * rules, or the default policy, always followed by the admin-set global
+ * floors so that a community can never be more lenient than the floors.
+ *
+ * @param {Object} [community] - Community document with moderationPolicy.
+ * @param {Object} config - Moderation config with moderationFloors.
+ *
+ * @returns {{attribute: string, threshold: number, action: string, floor: boolean}[]}
+ */
+const resolvePolicy = (community, config) => {
+  const communityRules =
+    community && community.moderationPolicy && community.moderationPolicy.length
+      ? community.moderationPolicy
+      : DEFAULT_POLICY;
+
+  return [
+    ...communityRules.map((rule) => ({ ...rule, floor: false })),
+    ...(config.moderationFloors || []).map((rule) => ({
+      ...rule,
+      floor: true,
+    })),
+  ];
+};
+
+/**
+ * Applies policy rules to attribute scores. For each attribute the most
+ * severe action whose threshold is met wins.
+ *
+ * @returns {{action: string, reasons: {code: string, message: string}[]}}
+ */
+const evaluateScores = (scores, rules) => {
+  let action = "allow";
+  const reasons = [];
+
+  for (const attribute in scores) {
+    const score = scores[attribute];
+    const matched = rules
+      .filter((rule) => rule.attribute === attribute && score >= rule.threshold)
+      .reduce(
+        (worst, rule) =>
+          !worst || isMoreSevere(rule.action, worst.action) ? rule : worst,
+        null
+      );
+
+    if (!matched) {
+      continue;
+    }
+
+    if (isMoreSevere(matched.action, action)) {
+      action = matched.action;
+    }
+    reasons.push({
+      code: attribute,
+      action: matched.action,
+      global: matched.floor,
+      message: `${attribute} score ${score.toFixed(2)} >= ${matched.threshold}${
+        matched.floor ? " (global floor)" : ""
+      }`,
+    });
+  }
+
+  return { action, reasons };
+};
+
+/**
+ * Validates a community policy against the allowed attributes, actions and
+ * the global floors. A rule may not set a threshold above the floor of an
+ * attribute for an action at least as severe, since the floor would always
+ * apply first.
+ *
+ * @returns {string|null} The first problem found, or null if the policy is valid.
+ */
+const findPolicyViolation = (rules, floors = []) => {
+  if (!Array.isArray(rules)) {
+    return "Moderation policy must be a list of rules";
+  }
+
+  for (const rule of rules) {
+    const { attribute, threshold, action } = rule || {};
+    if (!PERSPECTIVE_ATTRIBUTES.includes(attribute)) {
+      return `Unknown attribute "${attribute}"`;
+    }
+    if (!POLICY_ACTIONS.includes(action)) {
+      return `Unknown action "${action}" for ${attribute}`;
+    }
+    if (typeof threshold !== "number" || threshold < 0 || threshold > 1) {
+      return `${attribute} threshold must be a number between 0 and 1`;
+    }
+
+    const floor = floors.find(
+      (floorRule) =>
+        floorRule.attribute === attribute &&
+        !isMoreSevere(action, floorRule.action) &&
+        threshold > floorRule.threshold
+    );
+    if (floor) {
+      return `${attribute} ${action} threshold may not exceed the global floor of ${floor.threshold}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  resolvePolicy,
+  evaluateScores,
+  findPolicyViolation,
+  ACTION_SEVERITY,
+  POLICY_ACTIONS,
+  DEFAULT_POLICY,
+};
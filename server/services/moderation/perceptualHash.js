@@ -0,0 +1,83 @@
+const { FRAME_SIZE } = require("./mediaFrames");
+
+/**
+ * Difference hashes (dHash) of decoded frames. A frame is shrunk to a
+ * grayscale thumbnail of HASH_WIDTH x HASH_HEIGHT pixels and every pixel
+ * compared with its right neighbour, which gives 64 bits that barely change
+ * when the media is re-encoded, resized or slightly edited.
+ */
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+const toGrayscale = (frame) => {
+  const gray = new Float64Array(FRAME_SIZE * FRAME_SIZE);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] =
+      0.299 * frame[i * 3] +
+      0.587 * frame[i * 3 + 1] +
+      0.114 * frame[i * 3 + 2];
+  }
+  return gray;
+};
+
+// Averages the pixels of the grayscale frame falling into each thumbnail cell
+const shrink = (gray) => {
+  const thumbnail = [];
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    const top = Math.floor((y * FRAME_SIZE) / HASH_HEIGHT);
+    const bottom = Math.floor(((y + 1) * FRAME_SIZE) / HASH_HEIGHT);
+    for (let x = 0; x < HASH_WIDTH; x++) {
+      const left = Math.floor((x * FRAME_SIZE) / HASH_WIDTH);
+      const right = Math.floor(((x + 1) * FRAME_SIZE) / HASH_WIDTH);
+      let sum = 0;
+      for (let row = top; row < bottom; row++) {
+        for (let column = left; column < right; column++) {
+          sum += gray[row * FRAME_SIZE + column];
+        }
+      }
+      thumbnail.push(Math.round(sum / ((bottom - top) * (right - left))));
+    }
+  }
+  return thumbnail;
+};
+
+/**
+ * @param {Buffer} frame - RGB frame, see extractFrames.
+ *
+ * @returns {string} The dHash of the frame as 16 hex digits.
+ */
+const hashFrame = (frame) => {
+  const thumbnail = shrink(toGrayscale(frame));
+  let hash = "";
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let row = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x;
+      row = (row << 1) | (thumbnail[index] < thumbnail[index + 1] ? 1 : 0);
+    }
+    hash += row.toString(16).padStart(2, "0");
+  }
+  return hash;
+};
+
+/**
+ * Number of differing bits between two hashes.
+ */
+const hammingDistance = (a, b) => {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let bits =
+      parseInt(a.slice(i, i + 2), 16) ^ parseInt(b.slice(i, i + 2), 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+};
+
+module.exports = {
+  hashFrame,
+  hammingDistance,
+};
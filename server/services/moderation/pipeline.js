@@ -0,0 +1,243 @@
+const { saveLogInfo } = require("../../middlewares/logger/logInfo");
+const Config = require("../../models/config.model");
+const keywordStage = require("./keywordStage");
+const spamStage = require("./spamStage");
+const toxicityStage = require("./toxicityStage");
+const mediaStage = require("./mediaStage");
+const categoryStage = require("./categoryStage");
+const { ACTION_SEVERITY } = require("./moderationPolicy");
+const { recordDecision } = require("./decisionLog");
+const { detectLanguage } = require("./languageDetection");
+
+const STAGES = {
+  [keywordStage.name]: keywordStage,
+  [spamStage.name]: spamStage,
+  [toxicityStage.name]: toxicityStage,
+  [mediaStage.name]: mediaStage,
+  [categoryStage.name]: categoryStage,
+};
+
+const DEFAULT_STAGE_ORDER = [
+  "keyword",
+  "spam",
+  "toxicity",
+  "media",
+  "category",
+];
+
+class ModerationError extends Error {
+  constructor(stage, message) {
+    super(message);
+    this.name = "ModerationError";
+    this.stage = stage;
+  }
+}
+
+const getModerationConfig = async () => {
+  try {
+    const config = await Config.findOne({}, { _id: 0, __v: 0 }).lean();
+    return config || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// "open", "hold" or "closed", see moderationFailureModes in the Config model
+const getFailureMode = (stage, config) =>
+  (config.moderationFailureModes &&
+    config.moderationFailureModes[stage.name]) ||
+  stage.failureMode;
+
+/**
+ * Runs content through the configured moderation stages in order and returns
+ * a single verdict. Stages that do not apply to the content type are skipped,
+ * and the first blocking stage ends the run. Stages route the content to the
+ * providers handling its language, detected first. Every verdict is recorded
+ * as a ModerationDecision, whose id is returned as verdict.decisionId, unless
+ * options.record is false.
+ *
+ * @param {Object} item
+ * @param {string} item.content - Text to screen.
+ * @param {string} item.contentType - "post", "comment", "community" or "profile".
+ * @param {Object} [item.community] - Community the content is posted to.
+ * @param {string} [item.post] - Id of the post a comment is written on.
+ * @param {string} [item.source] - Id of the stored post screened in the background. Screening it again replaces its decision and spam fingerprint.
+ * @param {string} [item.user] - Id of the author.
+ * @param {Object} [item.media] - Attached file, {path, type} with type "image" or "video".
+ * @param {string|null} [item.language] - ISO 639-1 code of the content, detected when omitted.
+ * @param {boolean} [item.replay] - Whether the content is existing content screened again.
+ * @param {string[]} [options.stages] - Stage names overriding the configured order.
+ * @param {boolean} [options.record=true] - Whether to record the decision.
+ *
+ * @returns {Promise<{action: string, reasons: Object[], scores: Object, stages: Object[], language: string|null}>}
+ *
+ * @throws {ModerationError} When a stage configured to fail closed errors.
+ */
+const moderate = async (item, options = {}) => {
+  const config = await getModerationConfig();
+  const stageNames =
+    options.stages || config.moderationStages || DEFAULT_STAGE_ORDER;
+
+  const startedAt = Date.now();
+  const language =
+    item.language !== undefined
+      ? item.language
+      : detectLanguage(item.content).language;
+  const verdict = {
+    action: "allow",
+    reasons: [],
+    scores: {},
+    stages: [],
+    language,
+    latency: 0,
+  };
+
+  for (const stageName of stageNames) {
+    const stage = STAGES[stageName];
+    if (!stage || !stage.contentTypes.includes(item.contentType)) {
+      continue;
+    }
+
+    let result;
+    const stageStartedAt = Date.now();
+    try {
+      result = await stage.run(
+        { ...item, content: item.content || "", language },
+        config
+      );
+    } catch (error) {
+      await saveLogInfo(
+        null,
+        `Moderation stage "${stage.name}" failed: ${error.message}`,
+        "Moderation",
+        "error"
+      );
+
+      const failureMode = getFailureMode(stage, config);
+      if (failureMode === "closed") {
+        verdict.action = "error";
+        verdict.stages.push({
+          stage: stage.name,
+          action: "error",
+          reasons: [],
+          scores: {},
+          info: null,
+          skipped: false,
+          error: error.message,
+          latency: Date.now() - stageStartedAt,
+        });
+        verdict.latency = Date.now() - startedAt;
+        if (options.record !== false) {
+          await recordDecision(item, verdict);
+        }
+        throw new ModerationError(stage.name, error.message);
+      }
+
+      result = {
+        action: failureMode === "hold" ? "hold" : "allow",
+        reasons:
+          failureMode === "hold"
+            ? [
+                {
+                  code: "providerUnavailable",
+                  message: `The ${stage.name} check could not be completed`,
+                },
+              ]
+            : [],
+        scores: {},
+        error: error.message,
+      };
+    }
+
+    const stageReasons = result.reasons.map((reason) => ({
+      action: result.action,
+      ...reason,
+      stage: stage.name,
+    }));
+
+    verdict.stages.push({
+      stage: stage.name,
+      action: result.action,
+      reasons: stageReasons,
+      scores: result.scores,
+      info: result.info || null,
+      skipped: !!result.skipped,
+      error: result.error || null,
+      latency: Date.now() - stageStartedAt,
+    });
+    verdict.scores[stage.name] = result.scores;
+    verdict.reasons.push(...stageReasons);
+
+    if (ACTION_SEVERITY[result.action] > ACTION_SEVERITY[verdict.action]) {
+      verdict.action = result.action;
+    }
+
+    if (verdict.action === "block") {
+      break;
+    }
+  }
+
+  verdict.latency = Date.now() - startedAt;
+  verdict.decisionId =
+    options.record === false ? null : await recordDecision(item, verdict);
+  return verdict;
+};
+
+/**
+ * Whether the verdict lets the content through with a warning to its author.
+ */
+const isWarned = (verdict) => verdict.action === "warn";
+
+/**
+ * Returns the stage entry of a verdict carrying a reason with the given code.
+ */
+const findStageByReason = (verdict, code) =>
+  verdict.stages.find((stage) =>
+    stage.reasons.some((reason) => reason.code === code)
+  );
+
+/**
+ * Whether the verdict holds the content for moderator review. Posts held only
+ * because their topic could not be detected are confirmed by the author
+ * instead.
+ */
+const isHeldForReview = (verdict) =>
+  verdict.action === "hold" &&
+  verdict.reasons.some(
+    (reason) => reason.action === "hold" && reason.code !== "failedDetection"
+  );
+
+/**
+ * The parts of a verdict stored on held content for moderators to review.
+ */
+const summarizeVerdict = (verdict) => {
+  const keyword = verdict.stages.find((stage) => stage.stage === "keyword");
+  return {
+    action: verdict.action,
+    reasons: verdict.reasons,
+    scores: verdict.scores,
+    rule: keyword && keyword.info ? keyword.info.rule : null,
+    normalized: keyword && keyword.info ? keyword.info.normalized : null,
+  };
+};
+
+/**
+ * Perceptual hashes of the attachment screened by the media stage, stored
+ * with posts so their media can be added to the blocklist if removed.
+ */
+const getMediaHashes = (verdict) => {
+  const media = verdict.stages.find((stage) => stage.stage === "media");
+  return media && media.info && media.info.hashes ? media.info.hashes : [];
+};
+
+module.exports = {
+  moderate,
+  findStageByReason,
+  getMediaHashes,
+  isHeldForReview,
+  isWarned,
+  summarizeVerdict,
+  ModerationError,
+  MODERATION_STAGES: Object.keys(STAGES),
+  DEFAULT_STAGE_ORDER,
+};
@@ -0,0 +1,220 @@
+/**
+ * Fallback chains and circuit breakers for the external moderation providers.
+ * Each capability ("toxicity", "media", "category") is served by a chain of
+ * providers tried in order. A provider that fails or times out repeatedly has
+ * its circuit opened and is skipped until the reset timeout passes, after
+ * which a single trial call decides whether it closes again.
+ *
+ * Breaker state is kept in memory, per server process.
+ *
+ * Providers that do not handle the language of the content are left out of
+ * its chain, see routeChain.
+ */
+
+const FAILURE_THRESHOLD = 3;
+const RESET_TIMEOUT = 60 * 1000;
+
+class CircuitBreaker {
+  constructor() {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.lastLatency = null;
+  }
+
+  canRequest() {
+    if (this.state === "closed") {
+      return true;
+    }
+    // Only one trial call while half-open
+    if (this.state === "open" && Date.now() - this.openedAt >= RESET_TIMEOUT) {
+      this.state = "half-open";
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess(latency) {
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastSuccessAt = new Date();
+    this.lastLatency = latency;
+  }
+
+  recordFailure(error, latency) {
+    this.failures += 1;
+    this.lastError = error.message;
+    this.lastFailureAt = new Date();
+    this.lastLatency = latency;
+
+    if (this.state === "half-open" || this.failures >= FAILURE_THRESHOLD) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt,
+      lastSuccessAt: this.lastSuccessAt,
+      lastLatency: this.lastLatency,
+      retryAt:
+        this.state === "open" ? new Date(this.openedAt + RESET_TIMEOUT) : null,
+    };
+  }
+}
+
+const breakers = {};
+
+const getBreaker = (capability, provider) => {
+  const key = `${capability}:${provider}`;
+  if (!breakers[key]) {
+    breakers[key] = new CircuitBreaker();
+  }
+  return breakers[key];
+};
+
+/**
+ * The providers to try for a capability: the primary provider followed by
+ * its fallbacks, up to the first "disabled" entry.
+ */
+const buildChain = (primary, fallbacks = []) => {
+  const chain = [];
+  for (const provider of [primary, ...fallbacks]) {
+    if (!provider || provider === "disabled") break;
+    if (!chain.includes(provider)) chain.push(provider);
+  }
+  return chain;
+};
+
+// Languages each provider handles, by capability. Providers missing from a
+// capability handle every language
+const PROVIDER_LANGUAGES = {
+  toxicity: {
+    Perspective: [
+      "ar",
+      "de",
+      "en",
+      "es",
+      "fr",
+      "hi",
+      "id",
+      "it",
+      "ja",
+      "ko",
+      "nl",
+      "pl",
+      "pt",
+      "ru",
+      "sv",
+      "zh",
+    ],
+    Local: ["en"],
+  },
+  category: {
+    TextRazor: [
+      "ar",
+      "de",
+      "el",
+      "en",
+      "es",
+      "fr",
+      "it",
+      "ja",
+      "ko",
+      "nl",
+      "pl",
+      "pt",
+      "ru",
+      "sv",
+      "zh",
+    ],
+    // BART Large MNLI is trained on English only
+    InterfaceAPI: ["en"],
+    ClassifierAPI: ["en"],
+  },
+};
+
+/**
+ * The providers of a chain that handle the language of the content. Content
+ * whose language was not detected goes to the whole chain.
+ *
+ * @param {string} capability - "toxicity", "media" or "category".
+ * @param {string[]} chain - Provider names, see buildChain.
+ * @param {string|null} language - ISO 639-1 code of the content.
+ */
+const routeChain = (capability, chain, language) => {
+  if (!language) return chain;
+  const languages = PROVIDER_LANGUAGES[capability] || {};
+  return chain.filter(
+    (provider) => !languages[provider] || languages[provider].includes(language)
+  );
+};
+
+/**
+ * Calls the providers of a chain in order until one succeeds. Providers with
+ * an open circuit are skipped.
+ *
+ * @param {string} capability - "toxicity", "media" or "category".
+ * @param {string[]} chain - Provider names, see buildChain.
+ * @param {function(string): Promise<*>} call - Calls a single provider.
+ *
+ * @returns {Promise<{provider: string, result: *, failed: Object[]}>}
+ *
+ * @throws {Error} When every provider in the chain failed or was skipped.
+ */
+const callProviderChain = async (capability, chain, call) => {
+  const failed = [];
+
+  for (const provider of chain) {
+    const breaker = getBreaker(capability, provider);
+    if (!breaker.canRequest()) {
+      failed.push({ provider, error: "circuit open" });
+      continue;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await call(provider);
+      breaker.recordSuccess(Date.now() - startedAt);
+      return { provider, result, failed };
+    } catch (error) {
+      breaker.recordFailure(error, Date.now() - startedAt);
+      failed.push({ provider, error: error.message });
+    }
+  }
+
+  throw new Error(
+    `No ${capability} provider available (${failed
+      .map(({ provider, error }) => `${provider}: ${error}`)
+      .join(", ")})`
+  );
+};
+
+/**
+ * Breaker state of every provider in the given chains, for the admin panel.
+ *
+ * @param {Object<string, string[]>} chains - Provider chains by capability.
+ */
+const getProviderHealth = (chains) =>
+  Object.entries(chains).reduce((health, [capability, chain]) => {
+    health[capability] = chain.map((provider) => ({
+      provider,
+      ...getBreaker(capability, provider).toJSON(),
+    }));
+    return health;
+  }, {});
+
+module.exports = {
+  buildChain,
+  routeChain,
+  callProviderChain,
+  getProviderHealth,
+};
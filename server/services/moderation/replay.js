@@ -0,0 +1,317 @@
+const Post = require("../../models/post.model");
+const Comment = require("../../models/comment.model");
+const ReplayJob = require("../../models/replayJob.model");
+const { saveLogInfo } = require("../../middlewares/logger/logInfo");
+const { moderate, isHeldForReview, summarizeVerdict } = require("./pipeline");
+const { linkDecision } = require("./decisionLog");
+const { getStoredAttachment } = require("./mediaFrames");
+
+/**
+ * Replays the moderation pipeline over existing posts and comments. Jobs run
+ * one at a time in the background of the server process, in batches of
+ * BATCH_SIZE items screened CONCURRENCY at a time, and store their progress
+ * and cursor after every batch so the admin panel can follow them and an
+ * interrupted job can resume.
+ */
+
+const BATCH_SIZE = 100;
+// Items of a batch screened at the same time
+const CONCURRENCY = 8;
+// Changes kept on the job for the admin panel, the counters cover all of them
+const MAX_RECORDED_CHANGES = 500;
+
+const MODELS = { post: Post, comment: Comment };
+
+const buildFilter = (job) => {
+  const filter = {};
+  if (job.community) {
+    filter.community = job.community;
+  }
+  if (job.from || job.to) {
+    filter.createdAt = {};
+    if (job.from) filter.createdAt.$gte = job.from;
+    if (job.to) filter.createdAt.$lte = job.to;
+  }
+  return filter;
+};
+
+/**
+ * Comments from before they stored their own community get the one of their
+ * post, so a job can filter them by community. Only a job replaying a single
+ * community needs it, and after the first one there is little left to do.
+ */
+const backfillCommentCommunities = async () => {
+  const cursor = Comment.find({ community: null, post: { $ne: null } })
+    .select("post")
+    .populate({ path: "post", select: "community" })
+    .lean()
+    .cursor();
+
+  for await (const comment of cursor) {
+    if (comment.post && comment.post.community) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { community: comment.post.community }
+      );
+    }
+  }
+};
+
+const countItems = async (job) => {
+  const counts = await Promise.all(
+    job.contentTypes.map((contentType) =>
+      MODELS[contentType].countDocuments(buildFilter(job)).published()
+    )
+  );
+  return counts.reduce((total, count) => total + count, 0);
+};
+
+const loadBatch = (contentType, filter, lastId) => {
+  const query = MODELS[contentType]
+    .find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+    .published()
+    .sort({ _id: 1 })
+    .limit(BATCH_SIZE)
+    .populate("community");
+
+  // Comments written before they stored their community inherit it from
+  // the post
+  if (contentType === "comment") {
+    query.populate({
+      path: "post",
+      select: "community",
+      populate: { path: "community" },
+    });
+  }
+  return query.lean();
+};
+
+const holdItem = async (contentType, item, verdict) => {
+  await MODELS[contentType].updateOne(
+    { _id: item._id },
+    { status: "held", moderation: summarizeVerdict(verdict) }
+  );
+  // Held comments are only added to their post once approved
+  if (contentType === "comment" && item.post) {
+    await Post.updateOne(
+      { _id: item.post._id },
+      { $pull: { comments: item._id } }
+    );
+  }
+};
+
+const deleteItem = async (contentType, item) => {
+  if (contentType === "post") {
+    // remove() runs the hooks cleaning up the post's file, comments and reports
+    const post = await Post.findById(item._id);
+    if (post) await post.remove();
+    return;
+  }
+  await Comment.deleteOne({ _id: item._id });
+  if (item.post) {
+    await Post.updateOne(
+      { _id: item.post._id },
+      { $pull: { comments: item._id } }
+    );
+  }
+};
+
+/**
+ * Screens a single item and, unless the job is a dry run, applies the
+ * verdict to it.
+ *
+ * @returns {Promise<Object|null>} The change, or null if the item is unchanged.
+ */
+const replayItem = async (job, contentType, item) => {
+  const community =
+    item.community || (item.post ? item.post.community : null) || null;
+
+  const verdict = await moderate(
+    {
+      content: item.content,
+      contentType,
+      community,
+      user: item.user,
+      media: getStoredAttachment(item),
+      post: contentType === "comment" && item.post ? item.post._id : null,
+      replay: true,
+    },
+    { stages: job.stages || undefined, record: !job.dryRun }
+  );
+
+  // Content from before languages were detected gets its language stored
+  if (!job.dryRun && item.language !== verdict.language) {
+    await MODELS[contentType].updateOne(
+      { _id: item._id },
+      { language: verdict.language }
+    );
+  }
+
+  const held = verdict.action === "hold" && isHeldForReview(verdict);
+  const blocked = verdict.action === "block";
+  if (!held && !blocked) {
+    return null;
+  }
+
+  let applied = "none";
+  if (!job.dryRun) {
+    if (blocked && job.onBlock === "delete") {
+      await deleteItem(contentType, item);
+      applied = "deleted";
+    } else {
+      await holdItem(contentType, item, verdict);
+      await linkDecision(
+        verdict.decisionId,
+        contentType === "post" ? { post: item._id } : { comment: item._id }
+      );
+      applied = "held";
+    }
+  }
+
+  return {
+    contentType,
+    item: item._id,
+    community: community ? community._id : null,
+    action: blocked ? "block" : "hold",
+    applied,
+    reasons: verdict.reasons.map((reason) => reason.message),
+    content: item.content,
+  };
+};
+
+/**
+ * Processes a job from its cursor to the end, or until it is cancelled.
+ */
+const runReplayJob = async (jobId) => {
+  try {
+    const job = await ReplayJob.findById(jobId);
+    if (!job || !["queued", "running"].includes(job.status)) {
+      return;
+    }
+
+    if (job.status === "queued") {
+      if (job.community && job.contentTypes.includes("comment")) {
+        await backfillCommentCommunities();
+      }
+      job.status = "running";
+      job.startedAt = new Date();
+      job.progress.total = await countItems(job);
+      await job.save();
+    }
+
+    const startIndex = job.cursor.contentType
+      ? job.contentTypes.indexOf(job.cursor.contentType)
+      : 0;
+
+    for (const contentType of job.contentTypes.slice(startIndex)) {
+      const filter = buildFilter(job);
+      let lastId =
+        job.cursor.contentType === contentType ? job.cursor.lastId : null;
+
+      for (;;) {
+        const batch = await loadBatch(contentType, filter, lastId);
+        if (batch.length === 0) break;
+
+        const counts = { processed: 0, held: 0, blocked: 0, deleted: 0 };
+        const changes = [];
+        let errors = 0;
+
+        // Items are screened a few at a time so their classifications can
+        // share requests to the providers, see classificationBatcher.js
+        for (let i = 0; i < batch.length; i += CONCURRENCY) {
+          const results = await Promise.all(
+            batch.slice(i, i + CONCURRENCY).map(async (item) => {
+              if (!item.content && !item.fileUrl) return null;
+              try {
+                return await replayItem(job, contentType, item);
+              } catch (error) {
+                return { error };
+              }
+            })
+          );
+
+          for (const change of results) {
+            counts.processed += 1;
+            if (!change) continue;
+            if (change.error) {
+              errors += 1;
+              continue;
+            }
+            changes.push(change);
+            if (change.action === "hold") counts.held += 1;
+            if (change.action === "block") counts.blocked += 1;
+            if (change.applied === "deleted") counts.deleted += 1;
+          }
+        }
+        lastId = batch[batch.length - 1]._id;
+
+        // Only a running job is updated, so a cancelled job stops here
+        const updated = await ReplayJob.findOneAndUpdate(
+          { _id: job._id, status: "running" },
+          {
+            cursor: { contentType, lastId },
+            $inc: {
+              "progress.processed": counts.processed,
+              "progress.held": counts.held,
+              "progress.blocked": counts.blocked,
+              "progress.deleted": counts.deleted,
+              "progress.errors": errors,
+            },
+            $push: {
+              changes: { $each: changes, $slice: MAX_RECORDED_CHANGES },
+            },
+          },
+          { new: true }
+        );
+        if (!updated) {
+          return;
+        }
+      }
+    }
+
+    await ReplayJob.updateOne(
+      { _id: job._id, status: "running" },
+      { status: "completed", finishedAt: new Date() }
+    );
+  } catch (error) {
+    await ReplayJob.updateOne(
+      { _id: jobId },
+      { status: "failed", error: error.message, finishedAt: new Date() }
+    );
+    await saveLogInfo(
+      null,
+      `Moderation replay ${jobId} failed: ${error.message}`,
+      "Moderation",
+      "error"
+    );
+  }
+};
+
+// Jobs run one after another so a replay never competes with itself for the
+// moderation providers
+let queue = Promise.resolve();
+
+/**
+ * Queues a job to run in the background.
+ */
+const startReplayJob = (jobId) => {
+  queue = queue.then(() => runReplayJob(jobId));
+};
+
+/**
+ * Queues the jobs that were queued or running when the server stopped. Called
+ * once the database connection is established.
+ */
+const resumeReplayJobs = async () => {
+  const jobs = await ReplayJob.find({ status: { $in: ["running", "queued"] } })
+    .select("_id")
+    .sort({ createdAt: 1 })
+    .lean();
+  jobs.forEach((job) => startReplayJob(job._id));
+};
+
+module.exports = {
+  startReplayJob,
+  resumeReplayJobs,
+  MAX_RECORDED_CHANGES,
+};
@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const ContentFingerprint = require("../../models/contentFingerprint.model");
+const User = require("../../models/user.model");
+const normalizeText = require("./textNormalizer");
+const { hammingDistance } = require("./perceptualHash");
+
+/**
+ * Scores how likely a post or comment is spam from four signals:
+ *
+ * - velocity: how many posts and comments the author submitted recently
+ * - duplicates: how many recent submissions are near-duplicates of this one
+ *   (by simhash of word shingles), by the author within a day or by anyone
+ *   within the hour. Submissions of the author sharing one of its links count
+ *   too, popular sites are linked by many users
+ * - links: the share of the text made of links
+ * - account age: accounts younger than a day weigh every other signal more
+ *
+ * Every screened submission leaves a fingerprint, see ContentFingerprint.
+ */
+
+const VELOCITY_WINDOW = 10 * 60 * 1000; // 10 minutes
+// Submissions within the window that count as a flood
+const VELOCITY_LIMIT = 10;
+const USER_DUPLICATE_WINDOW = 24 * 60 * 60 * 1000; // 1 day
+const GLOBAL_DUPLICATE_WINDOW = 60 * 60 * 1000; // 1 hour
+// Near-duplicates that count as a copy-paste flood
+const DUPLICATE_LIMIT = 3;
+// Differing bits out of 64 for two texts to be near-duplicates
+const DUPLICATE_DISTANCE = 10;
+// Fingerprints of other users compared at most
+const MAX_COMPARED = 1000;
+// Shorter texts ("thanks!", "lol") are not compared
+const MIN_COMPARED_LENGTH = 20;
+const SHINGLE_SIZE = 3;
+const NEW_ACCOUNT_AGE = 24 * 60 * 60 * 1000; // 1 day
+
+// How much each signal contributes to the spam score
+const SIGNAL_WEIGHTS = {
+  velocity: 0.7,
+  duplicates: 0.8,
+  links: 0.5,
+};
+// A new account raises a non-zero score by up to this share of what is left
+// to 1
+const NEW_ACCOUNT_BOOST = 0.5;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+// Query parameters that only tell where a visitor came from
+const TRACKING_PARAMETER = /^(?:utm_.*|fbclid|gclid)$/i;
+
+const normalizeLink = (link) => {
+  let url;
+  try {
+    url = new URL(
+      link.replace(/[.,;:!)]+$/, "").replace(/^(?!https?:\/\/)/i, "http://")
+    );
+  } catch (error) {
+    return null;
+  }
+  [...url.searchParams.keys()]
+    .filter((key) => TRACKING_PARAMETER.test(key))
+    .forEach((key) => url.searchParams.delete(key));
+  const host = url.hostname.replace(/^www\./, "");
+  const path = url.pathname.replace(/\/+$/, "");
+  const query = url.searchParams.toString();
+  return `${host}${path}${query ? `?${query}` : ""}`;
+};
+
+/**
+ * Links without their protocol, "www.", fragment and tracking parameters, so
+ * the same page shared from different places is the same link. The rest of
+ * the query string is kept, it often tells which page it is ("?v=" of a
+ * video).
+ */
+const extractLinks = (text) =>
+  [...new Set((text.match(LINK_PATTERN) || []).map(normalizeLink))].filter(
+    Boolean
+  );
+
+const hashShingle = (shingle) =>
+  BigInt(
+    `0x${crypto.createHash("md5").update(shingle).digest("hex").slice(0, 16)}`
+  );
+
+/**
+ * 64-bit simhash of the word shingles of the normalized text, or of its
+ * character shingles for text without spaces between words.
+ *
+ * @returns {string|null} 16 hex digits, null for text too short to compare.
+ */
+const simhash = (text) => {
+  const normalized = normalizeText(text.replace(LINK_PATTERN, " ")).trim();
+  if (normalized.length < MIN_COMPARED_LENGTH) return null;
+
+  const words = normalized.match(/[\p{L}\p{N}]+/gu) || [];
+  const shingles = [];
+  if (words.length >= SHINGLE_SIZE) {
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+      shingles.push(words.slice(i, i + SHINGLE_SIZE).join(" "));
+    }
+  } else {
+    const characters = Array.from(words.join(""));
+    for (let i = 0; i <= characters.length - SHINGLE_SIZE - 1; i++) {
+      shingles.push(characters.slice(i, i + SHINGLE_SIZE + 1).join(""));
+    }
+  }
+  if (shingles.length === 0) return null;
+
+  const weights = new Array(64).fill(0);
+  shingles.forEach((shingle) => {
+    const hash = hashShingle(shingle);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  });
+
+  const fingerprint = weights.reduce(
+    (result, weight, bit) =>
+      weight > 0 ? result | (1n << BigInt(bit)) : result,
+    0n
+  );
+  return fingerprint.toString(16).padStart(16, "0");
+};
+
+const isNearDuplicate = (fingerprint, other) =>
+  fingerprint.simhash &&
+  other.simhash &&
+  hammingDistance(fingerprint.simhash, other.simhash) <= DUPLICATE_DISTANCE;
+
+const sharesLink = (fingerprint, other) =>
+  fingerprint.links.some((link) => other.links.includes(link));
+
+const countDuplicates = async (fingerprint) => {
+  if (!fingerprint.simhash && fingerprint.links.length === 0) return 0;
+
+  const now = Date.now();
+  const [own, others] = await Promise.all([
+    ContentFingerprint.find({
+      user: fingerprint.user,
+      createdAt: { $gte: new Date(now - USER_DUPLICATE_WINDOW) },
+    })
+      .select("simhash links")
+      .lean(),
+    // only near-duplicates count across users
+    fingerprint.simhash
+      ? ContentFingerprint.find({
+          user: { $ne: fingerprint.user },
+          createdAt: { $gte: new Date(now - GLOBAL_DUPLICATE_WINDOW) },
+        })
+          .sort({ createdAt: -1 })
+          .limit(MAX_COMPARED)
+          .select("simhash")
+          .lean()
+      : [],
+  ]);
+
+  return (
+    own.filter(
+      (other) =>
+        isNearDuplicate(fingerprint, other) || sharesLink(fingerprint, other)
+    ).length +
+    others.filter((other) => isNearDuplicate(fingerprint, other)).length
+  );
+};
+
+const scoreLinks = (content, links) => {
+  if (links.length === 0) return 0;
+  const words = content.split(/\s+/).filter(Boolean).length;
+  return Math.min((links.length / Math.max(words, 1)) * 2, 1);
+};
+
+const getAccountAge = async (userId) => {
+  const user = await User.findById(userId).select("createdAt").lean();
+  return user ? Date.now() - new Date(user.createdAt).getTime() : null;
+};
+
+/**
+ * Scores a submission and stores its fingerprint. The fingerprint of an
+ * earlier attempt at screening the same stored post is replaced, a retried
+ * post is no duplicate of itself.
+ *
+ * @param {Object} item - {content, contentType, community, user, source}, see
+ * moderate.
+ *
+ * @returns {Promise<{score: number, signals: Object, info: Object}>} The spam
+ * score from 0 to 1, the score of every signal and what they were computed
+ * from.
+ */
+const scoreSpam = async ({ content, contentType, community, user, source }) => {
+  const fingerprint = {
+    user,
+    contentType,
+    community: community ? community._id : null,
+    simhash: simhash(content),
+    links: extractLinks(content),
+    source,
+  };
+  if (source) {
+    await ContentFingerprint.deleteMany({ source });
+  }
+
+  const [recentCount, duplicates, accountAge] = await Promise.all([
+    ContentFingerprint.countDocuments({
+      user,
+      createdAt: { $gte: new Date(Date.now() - VELOCITY_WINDOW) },
+    }),
+    countDuplicates(fingerprint),
+    getAccountAge(user),
+  ]);
+  await ContentFingerprint.create(fingerprint);
+
+  const signals = {
+    velocity: Math.min(recentCount / VELOCITY_LIMIT, 1),
+    duplicates: Math.min(duplicates / DUPLICATE_LIMIT, 1),
+    links: scoreLinks(content, fingerprint.links),
+    newAccount:
+      accountAge !== null && accountAge < NEW_ACCOUNT_AGE
+        ? 1 - accountAge / NEW_ACCOUNT_AGE
+        : 0,
+  };
+
+  // The weighted signals are combined like independent probabilities
+  let score =
+    1 -
+    Object.entries(SIGNAL_WEIGHTS).reduce(
+      (remaining, [signal, weight]) =>
+        remaining * (1 - weight * signals[signal]),
+      1
+    );
+  if (score > 0) {
+    score += (1 - score) * NEW_ACCOUNT_BOOST * signals.newAccount;
+  }
+
+  return {
+    score,
+    signals,
+    info: {
+      recentCount,
+      duplicates,
+      links: fingerprint.links,
+      accountAge,
+    },
+  };
+};
+
+module.exports = { scoreSpam, simhash, extractLinks, DUPLICATE_DISTANCE };
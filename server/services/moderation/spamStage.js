@@ -0,0 +1,51 @@
+const { scoreSpam } = require("./spamDetection");
+
+const DEFAULT_HOLD_THRESHOLD = 0.6;
+const DEFAULT_BLOCK_THRESHOLD = 0.9;
+
+/**
+ * Holds or blocks posts and comments whose spam score reaches the configured
+ * thresholds. Replays skip the stage, the velocity and duplicates of existing
+ * content are not those it was submitted with.
+ */
+const spamStage = {
+  name: "spam",
+  contentTypes: ["post", "comment"],
+  failureMode: "open",
+
+  async run(item, config) {
+    if (!item.user || item.replay) {
+      return { action: "allow", reasons: [], scores: {}, skipped: true };
+    }
+
+    const {
+      spamHoldThreshold: holdThreshold = DEFAULT_HOLD_THRESHOLD,
+      spamBlockThreshold: blockThreshold = DEFAULT_BLOCK_THRESHOLD,
+    } = config;
+
+    const { score, signals, info } = await scoreSpam(item);
+    const scores = { spam: score, ...signals };
+
+    if (score < holdThreshold) {
+      return { action: "allow", reasons: [], scores, info };
+    }
+
+    const action = score >= blockThreshold ? "block" : "hold";
+    return {
+      action,
+      reasons: [
+        {
+          code: "spam",
+          message:
+            action === "block"
+              ? "Content was detected as spam"
+              : "Content looks like spam",
+        },
+      ],
+      scores,
+      info,
+    };
+  },
+};
+
+module.exports = spamStage;
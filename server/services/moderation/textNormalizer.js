@@ -0,0 +1,152 @@
+/**
+ * Folds text into a canonical form before keyword matching, so obfuscated
+ * spellings ("f.u.c.k", "fvck", "5h1t", "ｆｕｃｋ", Cyrillic look-alikes,
+ * zero-width characters, "fuuuuck") match the same rules as the plain word.
+ * The same function is applied to the rules themselves, which also accept the
+ * look-alikes too common in clean words to be folded in the text, see
+ * termLetterSource.
+ *
+ * Text in other scripts keeps its combining marks, so Devanagari or Thai vowel
+ * signs still tell words apart, and look-alikes are only folded in words that
+ * mix them with Latin letters, so Russian or Greek text stays as it is.
+ */
+
+// Cyrillic and Greek look-alikes of Latin letters, folded in mixed words
+const CONFUSABLES = {
+  а: "a",
+  в: "b",
+  е: "e",
+  ё: "e",
+  к: "k",
+  м: "m",
+  н: "h",
+  о: "o",
+  р: "p",
+  с: "c",
+  т: "t",
+  у: "y",
+  х: "x",
+  ь: "b",
+  ѕ: "s",
+  і: "i",
+  ї: "i",
+  ј: "j",
+  ԁ: "d",
+  һ: "h",
+  ԛ: "q",
+  ԝ: "w",
+  α: "a",
+  β: "b",
+  ε: "e",
+  η: "n",
+  ι: "i",
+  κ: "k",
+  ν: "v",
+  ο: "o",
+  ρ: "p",
+  τ: "t",
+  υ: "u",
+  χ: "x",
+};
+
+// Latin letters NFKC does not fold into plain ones
+const LATIN_FOLDS = {
+  ı: "i",
+  ł: "l",
+  ø: "o",
+  đ: "d",
+  ß: "ss",
+  ɡ: "g",
+};
+
+// Look-alikes that only rule terms accept: folding them in the text would
+// turn "love" into "loue" and "Henry V should" into a threat
+const TERM_LOOK_ALIKES = {
+  // "fvck", "cvnt"
+  u: "[uv]",
+};
+
+const LEETSPEAK = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  8: "b",
+  9: "g",
+  "@": "a",
+  $: "s",
+  "!": "i",
+  "|": "l",
+  "+": "t",
+};
+
+// A run of letters and leetspeak characters containing at least one letter
+const LEET_TOKEN = /[\p{L}0-9@$!|+]*\p{L}[\p{L}0-9@$!|+]*/gu;
+
+// Single letters separated by punctuation or spaces: "f.u.c.k", "f u c k"
+const SPACED_LETTERS =
+  /(?<!\p{L})\p{L}(?:[\s.\-_*·,'"~/\\]{1,3}\p{L}(?!\p{L})){2,}/gu;
+
+const INVISIBLE = /\p{Cf}/gu;
+
+// Accents, once decomposed: "fück" -> "fuck"
+const LATIN_MARKS = /(\p{Script=Latin})\p{M}+/gu;
+
+const WORD = /[\p{L}\p{M}0-9@$!|+]+/gu;
+
+const isMixedScript = (word) =>
+  /\p{Script=Latin}/u.test(word) &&
+  /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const mapCharacters = (text, table) =>
+  Array.from(text, (char) =>
+    Object.prototype.hasOwnProperty.call(table, char) ? table[char] : char
+  ).join("");
+
+/**
+ * @param {string} text
+ * @returns {string} The normalized, lower-case form of the text.
+ */
+const normalizeText = (text) => {
+  if (!text) return "";
+
+  let normalized = text
+    .normalize("NFKC")
+    .normalize("NFD")
+    .replace(INVISIBLE, "")
+    .replace(LATIN_MARKS, "$1")
+    .normalize("NFC")
+    .toLowerCase();
+
+  normalized = mapCharacters(normalized, LATIN_FOLDS);
+  normalized = normalized.replace(LEET_TOKEN, (token) =>
+    mapCharacters(token, LEETSPEAK)
+  );
+  normalized = normalized.replace(SPACED_LETTERS, (letters) =>
+    letters.replace(/[^\p{L}]/gu, "")
+  );
+  normalized = normalized.replace(WORD, (word) =>
+    isMixedScript(word)
+      ? mapCharacters(word.normalize("NFD").replace(/\p{M}/gu, ""), CONFUSABLES)
+      : word
+  );
+
+  // "fuuuuck" -> "fuuck", keyword regexes tolerate the remaining repeats
+  return normalized.replace(/(.)\1{2,}/gu, "$1$1");
+};
+
+/**
+ * @param {string} char - A character of a normalized rule term.
+ * @returns {string} Regex source matching the character or its look-alikes.
+ */
+const termLetterSource = (char) =>
+  Object.prototype.hasOwnProperty.call(TERM_LOOK_ALIKES, char)
+    ? TERM_LOOK_ALIKES[char]
+    : escapeRegExp(char);
+
+module.exports = normalizeText;
+module.exports.termLetterSource = termLetterSource;
@@ -0,0 +1,52 @@
+const Community = require("../../models/community.model");
+const { invalidateClassificationCache } = require("./classificationCache");
+
+/**
+ * The candidate labels of topic detection, one per community, passed to the
+ * category providers with every request so a new community takes part in
+ * topic detection as soon as it is created.
+ */
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+let cache = null;
+
+/**
+ * @returns {Promise<{label: string, keywords: string[], hypotheses: string[]}[]>}
+ */
+const getTopicLabels = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL) {
+    return cache.labels;
+  }
+
+  const communities = await Community.find({})
+    .select("name topicKeywords topicHypotheses")
+    .sort({ name: 1 })
+    .lean();
+
+  cache = {
+    loadedAt: Date.now(),
+    labels: communities.map((community) => ({
+      label: community.name,
+      keywords: community.topicKeywords || [],
+      hypotheses: community.topicHypotheses || [],
+    })),
+  };
+  return cache.labels;
+};
+
+/**
+ * Drops the cached labels so the next request reloads them, along with the
+ * cached category results. Called whenever a community is created or its
+ * topic keywords or hypotheses change.
+ */
+const invalidateTopicLabels = () => {
+  cache = null;
+  // Results computed against the previous labels are stale
+  invalidateClassificationCache("category");
+};
+
+module.exports = {
+  getTopicLabels,
+  invalidateTopicLabels,
+};
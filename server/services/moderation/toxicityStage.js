@@ -0,0 +1,92 @@
+const createToxicityService = require("../toxicityService");
+const { resolvePolicy, evaluateScores } = require("./moderationPolicy");
+const { buildChain, routeChain } = require("./providerChain");
+const { LANGUAGES } = require("./languageDetection");
+const { callCachedProviderChain } = require("./classificationCache");
+
+const TOXICITY_REQUEST_TIMEOUT = 5000;
+
+// Configs saved before the provider could be selected only had a flag for
+// the Perspective API
+const getToxicityServiceProvider = (config) =>
+  config.toxicityServiceProvider ||
+  (config.usePerspectiveAPI ? "Perspective" : "disabled");
+
+/**
+ * Content in a language none of the configured providers handles is held for
+ * review, or let through unscored when unsupportedLanguageAction is "allow".
+ */
+const unsupportedLanguage = (language, config) => {
+  const info = { language, unsupportedLanguage: true };
+  if (config.unsupportedLanguageAction === "allow") {
+    return { action: "allow", reasons: [], scores: {}, skipped: true, info };
+  }
+  return {
+    action: "hold",
+    reasons: [
+      {
+        code: "unsupportedLanguage",
+        message: `No toxicity provider supports ${LANGUAGES[language]}`,
+      },
+    ],
+    scores: {},
+    info,
+  };
+};
+
+/**
+ * Scores content with the first available provider of the configured chain
+ * that handles its language and applies the moderation policy of the
+ * community the content is posted to.
+ */
+const toxicityStage = {
+  name: "toxicity",
+  contentTypes: ["post", "comment"],
+  failureMode: "open",
+
+  async run({ content, community, language }, config) {
+    const configured = buildChain(
+      getToxicityServiceProvider(config),
+      config.toxicityFallbackProviders
+    );
+    if (configured.length === 0) {
+      return { action: "allow", reasons: [], scores: {}, skipped: true };
+    }
+
+    const chain = routeChain("toxicity", configured, language);
+    if (chain.length === 0) {
+      return unsupportedLanguage(language, config);
+    }
+
+    const {
+      provider,
+      result: scores,
+      failed,
+      cached,
+    } = await callCachedProviderChain(
+      "toxicity",
+      chain,
+      { content, ttl: config.classificationCacheTTL },
+      (name) =>
+        createToxicityService(name).getScores(
+          content,
+          TOXICITY_REQUEST_TIMEOUT,
+          language
+        )
+    );
+
+    const { action, reasons } = evaluateScores(
+      scores,
+      resolvePolicy(community, config)
+    );
+
+    return {
+      action,
+      reasons,
+      scores,
+      info: { provider, failed, cached, language },
+    };
+  },
+};
+
+module.exports = toxicityStage;
@@ -0,0 +1,146 @@
+const Post = require("../models/post.model");
+const Community = require("../models/community.model");
+const PendingPost = require("../models/pendingPost.model");
+const ModerationDecision = require("../models/moderationDecision.model");
+const generateConfirmationToken = require("../utils/confirmationToken");
+const { registerJobHandler } = require("./jobQueue");
+const {
+  moderate,
+  findStageByReason,
+  isHeldForReview,
+  isWarned,
+  summarizeVerdict,
+  getMediaHashes,
+} = require("./moderation/pipeline");
+const { linkDecision } = require("./moderation/decisionLog");
+const { getStoredAttachment } = require("./moderation/mediaFrames");
+
+/**
+ * New posts are stored with the "processing" status and screened by the
+ * moderation pipeline in a background job, so slow category providers never
+ * hold the author's request open. The job result tells the author's client
+ * the outcome:
+ *
+ * - "published" or "held": the post was published or waits for review
+ * - "categoryMismatch": the post is off-topic, it was discarded
+ * - "inappropriateContent": the post was blocked and discarded
+ * - "failedDetection": the topic was not detected, the author has to confirm
+ *   the post, see PendingPost
+ */
+
+const PROCESS_POST = "processPost";
+
+const processPost = async ({ postId }) => {
+  const post = await Post.findById(postId);
+  // deleted by its author in the meantime
+  if (!post || post.status !== "processing") {
+    return { outcome: "deleted" };
+  }
+
+  const community = await Community.findById(post.community).lean();
+  const verdict = await moderate({
+    content: post.content,
+    contentType: "post",
+    community,
+    user: post.user,
+    media: getStoredAttachment(post),
+    // a retry replaces what the previous attempt recorded
+    source: post._id,
+  });
+
+  if (verdict.action === "block") {
+    if (post.fileUrl && verdict.decisionId) {
+      // the uploaded file is kept for an appeal against the block
+      await ModerationDecision.updateOne(
+        { _id: verdict.decisionId },
+        { attachment: { fileUrl: post.fileUrl, fileType: post.fileType } }
+      );
+      await Post.deleteOne({ _id: post._id });
+    } else {
+      // remove() also deletes the uploaded file
+      await post.remove();
+    }
+
+    const mismatch = findStageByReason(verdict, "categoryMismatch");
+    if (mismatch) {
+      return {
+        outcome: "categoryMismatch",
+        info: mismatch.info,
+        decisionId: verdict.decisionId,
+      };
+    }
+    return {
+      outcome: "inappropriateContent",
+      reasons: verdict.reasons.map((reason) => reason.message),
+      decisionId: verdict.decisionId,
+    };
+  }
+
+  const isHeld = isHeldForReview(verdict);
+  if (!isHeld && findStageByReason(verdict, "failedDetection")) {
+    const confirmationToken = generateConfirmationToken(post.user);
+    await PendingPost.create({
+      user: post.user,
+      community: post.community,
+      content: post.content,
+      fileUrl: post.fileUrl,
+      fileType: post.fileType,
+      language: verdict.language,
+      confirmationToken,
+      status: "pending",
+      decision: verdict.decisionId,
+    });
+    // the pending post keeps the uploaded file
+    await Post.deleteOne({ _id: post._id });
+    return { outcome: "failedDetection", confirmationToken };
+  }
+
+  const warned = isWarned(verdict);
+  post.status = isHeld ? "held" : "published";
+  post.language = verdict.language;
+  post.moderation = isHeld || warned ? summarizeVerdict(verdict) : null;
+  if (post.fileUrl) {
+    post.mediaHashes = getMediaHashes(verdict);
+  }
+  await post.save();
+  await linkDecision(verdict.decisionId, { post: post._id });
+
+  return {
+    outcome: isHeld ? "held" : "published",
+    postId: post._id,
+    warnings: warned ? verdict.reasons.map((reason) => reason.message) : [],
+  };
+};
+
+// Posts that could not be screened after every retry are left to the
+// community moderators
+const holdUnprocessedPost = async ({ postId }) => {
+  const post = await Post.findOneAndUpdate(
+    { _id: postId, status: "processing" },
+    {
+      status: "held",
+      moderation: {
+        action: "hold",
+        reasons: [
+          {
+            code: "processingFailed",
+            message: "The post could not be screened automatically",
+          },
+        ],
+        scores: {},
+      },
+    }
+  );
+  return post
+    ? { outcome: "held", postId: post._id, warnings: [] }
+    : { outcome: "deleted" };
+};
+
+registerJobHandler(PROCESS_POST, {
+  run: processPost,
+  onFailed: holdUnprocessedPost,
+});
+
+module.exports = {
+  PROCESS_POST,
+};
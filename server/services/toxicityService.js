@@ -0,0 +1,33 @@
+const { getToxicityScoresFromPerspective } = require("./apiServices");
+const getToxicityScoresFromLexicon = require("./moderation/localToxicity");
+
+class ToxicityService {
+  async getScores(content, timeout, language) {
+    throw new Error("Not implemented");
+  }
+}
+
+class PerspectiveService extends ToxicityService {
+  async getScores(content, timeout, language) {
+    return await getToxicityScoresFromPerspective(content, timeout, language);
+  }
+}
+
+class LocalToxicityService extends ToxicityService {
+  async getScores(content) {
+    return getToxicityScoresFromLexicon(content);
+  }
+}
+
+function createToxicityService(servicePreference) {
+  switch (servicePreference) {
+    case "Perspective":
+      return new PerspectiveService();
+    case "Local":
+      return new LocalToxicityService();
+    default:
+      throw new Error("Invalid service preference");
+  }
+}
+
+module.exports = createToxicityService;
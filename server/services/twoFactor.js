@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user.model");
+const TwoFactorChallenge = require("../models/twoFactorChallenge.model");
+const {
+  base32Encode,
+  generateSecret,
+  verifyCode,
+  getProvisioningUri,
+} = require("../utils/totp");
+
+/**
+ * Two-factor authentication with an authenticator app (TOTP, see
+ * utils/totp.js). Setting it up stores a pending secret until the user
+ * enters a code generated from it, which enables it and returns recovery
+ * codes, each usable once instead of a code. Only hashes of the recovery
+ * codes are stored.
+ *
+ * A sign in that passed the password check gets a short lived challenge
+ * token instead of access tokens, exchanged for them with a code. A few codes
+ * can be tried per token, then the user signs in again.
+ */
+
+const ISSUER = "ChimeIn";
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_EXPIRY = "5m";
+// Codes that can be tried with one challenge token
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const TWO_FACTOR_FIELDS = [
+  "enabled",
+  "secret",
+  "pendingSecret",
+  "recoveryCodes",
+  "lastUsedStep",
+  "enabledAt",
+]
+  .map((field) => `+twoFactor.${field}`)
+  .join(" ");
+
+const findUser = (userId) => User.findById(userId).select(TWO_FACTOR_FIELDS);
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.toUpperCase().replace(/[^A-Z0-9]/g, ""))
+    .digest("hex");
+
+/**
+ * Ten codes like "K3M9Q-T7XWA".
+ */
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+const getTwoFactorStatus = async (userId) => {
+  const user = await findUser(userId);
+  if (!user) return null;
+  const { enabled, enabledAt, recoveryCodes = [] } = user.twoFactor;
+  return {
+    enabled,
+    enabledAt: enabled ? enabledAt : null,
+    recoveryCodesLeft: enabled ? recoveryCodes.length : 0,
+  };
+};
+
+/**
+ * Creates the secret to add to an authenticator app, replacing one that was
+ * not confirmed.
+ *
+ * @returns {Promise<{secret: string, uri: string}>} The secret and the
+ * otpauth:// URI of it.
+ */
+const startSetup = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": secret } }
+  );
+  return { secret, uri: getProvisioningUri(secret, user.email, ISSUER) };
+};
+
+/**
+ * Enables two-factor authentication if the code was generated from the
+ * pending secret.
+ *
+ * @returns {Promise<string[]|null>} The recovery codes, null when the code is
+ * wrong or no setup was started.
+ */
+const confirmSetup = async (userId, code) => {
+  const user = await findUser(userId);
+  if (!user || user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+    return null;
+  }
+
+  const secret = user.twoFactor.pendingSecret;
+  const step = verifyCode(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": secret,
+        "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.enabledAt": new Date(),
+      },
+      $unset: { "twoFactor.pendingSecret": "" },
+    }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Checks a code from the authenticator app, or uses up a recovery code. A
+ * code is accepted once, signing in twice needs the next one.
+ *
+ * @param {Object} factor - {code} or {recoveryCode}
+ *
+ * @returns {Promise<"code"|"recoveryCode"|null>} What the user signed in
+ * with, null when it is wrong.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await findUser(userId);
+  if (!user || !user.twoFactor.enabled) return null;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(String(recoveryCode));
+    const { modifiedCount } = await User.updateOne(
+      { _id: userId, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return modifiedCount === 1 ? "recoveryCode" : null;
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+  if (step === null) return null;
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { "twoFactor.lastUsedStep": { $exists: false } },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return modifiedCount === 1 ? "code" : null;
+};
+
+/**
+ * Replaces the recovery codes of the user.
+ *
+ * @returns {Promise<string[]>} The new recovery codes.
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId, "twoFactor.enabled": true },
+    { $set: { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Turns two-factor authentication off, forgetting the secret and the
+ * recovery codes.
+ */
+const resetTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.enabledAt": "",
+      },
+    }
+  );
+
+// Challenge tokens are signed with a key of their own, access tokens are
+// signed with SECRET and a challenge token must never pass as one
+const getChallengeKey = () =>
+  crypto
+    .createHmac("sha256", process.env.SECRET)
+    .update("two-factor challenge")
+    .digest("hex");
+
+/**
+ * A token for the second step of a sign in.
+ *
+ * @param {Object} challenge - {id} of the user, with the {deviceId} of the
+ * trusted device signing in, or the {suspiciousLoginId} of a sign in that
+ * context based authentication flagged or {newDevice: true} for a sign in it
+ * allowed from a new device, verified by the second factor.
+ */
+const createChallengeToken = (challenge) =>
+  jwt.sign({ ...challenge, purpose: "two-factor" }, getChallengeKey(), {
+    expiresIn: CHALLENGE_EXPIRY,
+    jwtid: crypto.randomBytes(16).toString("hex"),
+  });
+
+const verifyChallengeToken = (token) => {
+  try {
+    const challenge = jwt.verify(token, getChallengeKey());
+    return challenge.purpose === "two-factor" && challenge.jti
+      ? challenge
+      : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Counts a code tried with a challenge token.
+ *
+ * @returns {Promise<boolean>} Whether the code may still be checked, false
+ * once the token was used for too many codes.
+ */
+const recordChallengeAttempt = async (challenge) => {
+  const { attempts } = await TwoFactorChallenge.findOneAndUpdate(
+    { challenge: challenge.jti },
+    { $inc: { attempts: 1 } },
+    { upsert: true, new: true }
+  );
+  return attempts <= MAX_CHALLENGE_ATTEMPTS;
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  startSetup,
+  confirmSetup,
+  verifySecondFactor,
+  replaceRecoveryCodes,
+  resetTwoFactor,
+  createChallengeToken,
+  verifyChallengeToken,
+  recordChallengeAttempt,
+};
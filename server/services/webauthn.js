@@ -0,0 +1,391 @@
+const crypto = require("crypto");
+const Passkey = require("../models/passkey.model");
+const WebauthnChallenge = require("../models/webauthnChallenge.model");
+const cbor = require("../utils/cbor");
+
+/**
+ * Passkeys: WebAuthn registration and assertion (sign in) ceremonies, the
+ * relying party side. Credentials are discoverable and require user
+ * verification, so a passkey alone is a second factor as well. Attestation
+ * is not requested, the authenticator is not checked, only that it holds the
+ * private key.
+ *
+ * The relying party is the client: its origin is CLIENT_URL and its ID the
+ * host name of it, or WEBAUTHN_RP_ID for a parent domain.
+ */
+
+const RP_NAME = "ChimeIn";
+const TIMEOUT = 60 * 1000;
+// COSE algorithms, preferred first
+const ES256 = -7;
+const EDDSA = -8;
+const RS256 = -257;
+const ALGORITHMS = [ES256, EDDSA, RS256];
+
+// authenticator data flags
+const USER_PRESENT = 0x01;
+const USER_VERIFIED = 0x04;
+const ATTESTED_CREDENTIAL_DATA = 0x40;
+
+class WebauthnError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebauthnError";
+  }
+}
+
+const getExpectedOrigin = () => new URL(process.env.CLIENT_URL).origin;
+
+const getRpId = () =>
+  process.env.WEBAUTHN_RP_ID || new URL(process.env.CLIENT_URL).hostname;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+const fromBase64Url = (value) => {
+  if (typeof value !== "string") {
+    throw new WebauthnError("Invalid passkey response");
+  }
+  return Buffer.from(value, "base64url");
+};
+
+const createChallenge = async (type, userId) => {
+  const challenge = toBase64Url(crypto.randomBytes(32));
+  await WebauthnChallenge.create({ challenge, type, user: userId });
+  return challenge;
+};
+
+/**
+ * Checks the client data of a ceremony and uses up its challenge.
+ *
+ * @returns {Promise<Object>} The challenge, with the user it was for.
+ */
+const verifyClientData = async (clientDataJSON, type) => {
+  let clientData;
+  try {
+    clientData = JSON.parse(fromBase64Url(clientDataJSON).toString("utf8"));
+  } catch (error) {
+    throw new WebauthnError("Invalid passkey response");
+  }
+
+  if (
+    clientData.type !== `webauthn.${type === "registration" ? "create" : "get"}`
+  ) {
+    throw new WebauthnError("Invalid passkey response");
+  }
+  if (clientData.origin !== getExpectedOrigin()) {
+    throw new WebauthnError("The passkey was used on another site");
+  }
+
+  const challenge = await WebauthnChallenge.findOneAndDelete({
+    challenge: { $eq: String(clientData.challenge) },
+    type,
+  });
+  if (!challenge) {
+    throw new WebauthnError("The passkey request has expired, try again");
+  }
+  return challenge;
+};
+
+/**
+ * Parses authenticator data: the RP ID hash, flags, signature counter and,
+ * when a credential was created, its ID and COSE public key.
+ */
+const parseAuthenticatorData = (authData) => {
+  if (authData.length < 37) {
+    throw new WebauthnError("Invalid authenticator data");
+  }
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33),
+  };
+
+  if (parsed.flags & ATTESTED_CREDENTIAL_DATA) {
+    const idLength = authData.readUInt16BE(53);
+    parsed.credentialId = authData.subarray(55, 55 + idLength);
+    parsed.publicKey = cbor.decodeFirst(authData.subarray(55 + idLength)).value;
+  }
+  return parsed;
+};
+
+const verifyAuthenticatorData = (authData) => {
+  const expectedRpIdHash = crypto
+    .createHash("sha256")
+    .update(getRpId())
+    .digest();
+  if (!expectedRpIdHash.equals(authData.rpIdHash)) {
+    throw new WebauthnError("The passkey is for another site");
+  }
+  if (!(authData.flags & USER_PRESENT)) {
+    throw new WebauthnError("The passkey was used without you");
+  }
+  if (!(authData.flags & USER_VERIFIED)) {
+    throw new WebauthnError(
+      "Your device did not verify it's you, with a PIN or biometrics"
+    );
+  }
+};
+
+/**
+ * A COSE key (RFC 9053) as a Node.js public key.
+ */
+const coseToPublicKey = (coseKey) => {
+  if (!(coseKey instanceof Map)) {
+    throw new WebauthnError("Invalid passkey public key");
+  }
+  const keyType = coseKey.get(1);
+  const algorithm = coseKey.get(3);
+  const jwkByAlgorithm = {
+    // EC2 on P-256
+    [ES256]: () =>
+      keyType === 2 &&
+      coseKey.get(-1) === 1 && {
+        kty: "EC",
+        crv: "P-256",
+        x: toBase64Url(coseKey.get(-2)),
+        y: toBase64Url(coseKey.get(-3)),
+      },
+    // OKP on Ed25519
+    [EDDSA]: () =>
+      keyType === 1 &&
+      coseKey.get(-1) === 6 && {
+        kty: "OKP",
+        crv: "Ed25519",
+        x: toBase64Url(coseKey.get(-2)),
+      },
+    [RS256]: () =>
+      keyType === 3 && {
+        kty: "RSA",
+        n: toBase64Url(coseKey.get(-1)),
+        e: toBase64Url(coseKey.get(-2)),
+      },
+  };
+
+  const jwk = jwkByAlgorithm[algorithm] && jwkByAlgorithm[algorithm]();
+  if (!jwk) {
+    throw new WebauthnError("Unsupported passkey algorithm");
+  }
+  try {
+    return {
+      algorithm,
+      publicKey: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+    };
+  } catch (error) {
+    throw new WebauthnError("Invalid passkey public key");
+  }
+};
+
+/**
+ * @throws {WebauthnError} When the signature is wrong, or so malformed that
+ * crypto.verify throws instead of returning false.
+ */
+const verifySignature = (algorithm, publicKey, data, signature) => {
+  let verified;
+  try {
+    switch (algorithm) {
+      case ES256:
+        verified = crypto.verify(
+          "sha256",
+          data,
+          { key: publicKey, dsaEncoding: "der" },
+          signature
+        );
+        break;
+      case RS256:
+        verified = crypto.verify("sha256", data, publicKey, signature);
+        break;
+      case EDDSA:
+        verified = crypto.verify(null, data, publicKey, signature);
+        break;
+      default:
+        verified = false;
+    }
+  } catch (error) {
+    verified = false;
+  }
+  if (!verified) {
+    throw new WebauthnError("Invalid passkey signature");
+  }
+};
+
+/**
+ * Options for navigator.credentials.create(), binary values base64url.
+ *
+ * @param {Object} user - {_id, email, name}
+ */
+const createRegistrationOptions = async (user) => {
+  const [challenge, passkeys] = await Promise.all([
+    createChallenge("registration", user._id),
+    Passkey.find({ user: user._id }).select("credentialId transports"),
+  ]);
+
+  return {
+    challenge,
+    rp: { id: getRpId(), name: RP_NAME },
+    user: {
+      id: toBase64Url(Buffer.from(String(user._id))),
+      name: user.email,
+      displayName: user.name,
+    },
+    pubKeyCredParams: ALGORITHMS.map((alg) => ({ type: "public-key", alg })),
+    timeout: TIMEOUT,
+    attestation: "none",
+    authenticatorSelection: {
+      residentKey: "required",
+      requireResidentKey: true,
+      userVerification: "required",
+    },
+    // a second passkey on the same authenticator is refused
+    excludeCredentials: passkeys.map((passkey) => ({
+      type: "public-key",
+      id: passkey.credentialId,
+      transports: passkey.transports,
+    })),
+  };
+};
+
+/**
+ * Verifies the credential the browser created and saves it.
+ *
+ * @param {Object} user - {_id}
+ * @param {Object} credential - The PublicKeyCredential, binary values
+ * base64url.
+ * @param {string} name - What to call the passkey.
+ *
+ * @throws {WebauthnError} When the credential is invalid.
+ */
+const verifyRegistration = async (user, credential, name) => {
+  const { response = {} } = credential || {};
+  const challenge = await verifyClientData(
+    response.clientDataJSON,
+    "registration"
+  );
+  if (String(challenge.user) !== String(user._id)) {
+    throw new WebauthnError("The passkey request has expired, try again");
+  }
+
+  let attestation;
+  try {
+    attestation = cbor.decode(fromBase64Url(response.attestationObject));
+  } catch (error) {
+    throw new WebauthnError("Invalid passkey response");
+  }
+  if (!(attestation instanceof Map) || !attestation.get("authData")) {
+    throw new WebauthnError("Invalid passkey response");
+  }
+
+  let authData;
+  try {
+    authData = parseAuthenticatorData(attestation.get("authData"));
+  } catch (error) {
+    throw new WebauthnError("Invalid authenticator data");
+  }
+  verifyAuthenticatorData(authData);
+  if (!authData.credentialId) {
+    throw new WebauthnError("No passkey was created");
+  }
+
+  const credentialId = toBase64Url(authData.credentialId);
+  if (await Passkey.exists({ credentialId })) {
+    throw new WebauthnError("This passkey is already registered");
+  }
+
+  const { algorithm, publicKey } = coseToPublicKey(authData.publicKey);
+
+  return Passkey.create({
+    user: user._id,
+    credentialId,
+    publicKey: publicKey
+      .export({ type: "spki", format: "der" })
+      .toString("base64"),
+    algorithm,
+    signCount: authData.signCount,
+    transports: Array.isArray(response.transports)
+      ? response.transports.filter((transport) => typeof transport === "string")
+      : [],
+    name,
+  });
+};
+
+/**
+ * Options for navigator.credentials.get(). Any passkey of the site can
+ * answer, the browser lets the user pick one.
+ */
+const createAuthenticationOptions = async () => ({
+  challenge: await createChallenge("authentication"),
+  rpId: getRpId(),
+  timeout: TIMEOUT,
+  userVerification: "required",
+});
+
+/**
+ * Verifies a passkey assertion.
+ *
+ * @param {Object} credential - The PublicKeyCredential, binary values
+ * base64url.
+ *
+ * @returns {Promise<Object>} The passkey signed in with.
+ *
+ * @throws {WebauthnError} When the assertion is invalid.
+ */
+const verifyAuthentication = async (credential) => {
+  const { id, response = {} } = credential || {};
+  const passkey = await Passkey.findOne({ credentialId: { $eq: String(id) } });
+  if (!passkey) {
+    throw new WebauthnError("This passkey is not registered");
+  }
+  if (
+    response.userHandle &&
+    fromBase64Url(response.userHandle).toString() !== String(passkey.user)
+  ) {
+    throw new WebauthnError("This passkey is not registered");
+  }
+
+  await verifyClientData(response.clientDataJSON, "authentication");
+
+  const rawAuthData = fromBase64Url(response.authenticatorData);
+  let authData;
+  try {
+    authData = parseAuthenticatorData(rawAuthData);
+  } catch (error) {
+    throw new WebauthnError("Invalid authenticator data");
+  }
+  verifyAuthenticatorData(authData);
+
+  const clientDataHash = crypto
+    .createHash("sha256")
+    .update(fromBase64Url(response.clientDataJSON))
+    .digest();
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.from(passkey.publicKey, "base64"),
+    format: "der",
+    type: "spki",
+  });
+  verifySignature(
+    passkey.algorithm,
+    publicKey,
+    Buffer.concat([rawAuthData, clientDataHash]),
+    fromBase64Url(response.signature)
+  );
+
+  // authenticators that count signatures never go back, unless cloned.
+  // Synced passkeys always report 0
+  if (
+    (authData.signCount > 0 || passkey.signCount > 0) &&
+    authData.signCount <= passkey.signCount
+  ) {
+    throw new WebauthnError("This passkey may have been cloned");
+  }
+
+  passkey.signCount = authData.signCount;
+  passkey.lastUsedAt = new Date();
+  return passkey.save();
+};
+
+module.exports = {
+  WebauthnError,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication,
+};
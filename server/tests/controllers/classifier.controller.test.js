@@ -0,0 +1,194 @@
+jest.mock("../../services/moderation/topicLabels", () => ({
+  getTopicLabels: jest.fn(),
+}));
+
+// The mock logs every request, with console.log taken when it is loaded
+jest.spyOn(console, "log").mockImplementation(() => {});
+
+const ClassifierSync = require("../../models/classifierSync.model");
+const { getTopicLabels } = require("../../services/moderation/topicLabels");
+const TextRazorClassifierManager = require("../../services/manageClassifier");
+const { getCategoriesFromTextRazor } = require("../../services/apiServices");
+const mockTextRazor = require("../../scripts/mock-textrazor");
+const {
+  getClassifierStatus,
+  pushTextRazorClassifier,
+  deleteTextRazorClassifier,
+} = require("../../controllers/classifier.controller");
+
+const LABELS = [
+  { label: "Cooking", keywords: ["recipe", "baking"], hypotheses: [] },
+  { label: "Gaming", keywords: [], hypotheses: [] },
+];
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const call = async (handler) => {
+  const res = createResponse();
+  await handler({ adminId: null }, res);
+  return { status: res.status.mock.calls[0][0], body: res.body };
+};
+
+describe("classifier management against the mock TextRazor API", () => {
+  let server;
+  let url;
+
+  beforeAll((done) => {
+    server = mockTextRazor.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    process.env.TEXTRAZOR_API_URL = url;
+    process.env.TEXTRAZOR_API_KEY = "test-key";
+    getTopicLabels.mockResolvedValue(LABELS);
+
+    const syncs = [];
+    jest
+      .spyOn(ClassifierSync, "create")
+      .mockImplementation(async (sync) => syncs.push(sync) && sync);
+    jest.spyOn(ClassifierSync, "find").mockReturnValue({
+      populate: () => ({
+        sort: () => ({ limit: () => ({ lean: async () => syncs }) }),
+      }),
+    });
+  });
+
+  afterEach(async () => {
+    process.env.TEXTRAZOR_API_URL = url;
+    process.env.TEXTRAZOR_API_KEY = "test-key";
+    await call(deleteTextRazorClassifier);
+    ClassifierSync.create.mockRestore();
+    ClassifierSync.find.mockRestore();
+  });
+
+  it("reports every category missing before the first push", async () => {
+    const { status, body } = await call(getClassifierStatus);
+
+    expect(status).toBe(200);
+    expect(body.configured).toBe(true);
+    expect(body.remote).toBeNull();
+    expect(body.diff).toEqual({
+      added: ["Cooking", "Gaming"],
+      removed: [],
+      changed: [],
+      inSync: false,
+    });
+  });
+
+  it("pushes the categories and reports them in sync", async () => {
+    const push = await call(pushTextRazorClassifier);
+    expect(push.status).toBe(200);
+    expect(push.body).toMatchObject({
+      action: "push",
+      status: "success",
+      categoryCount: 2,
+    });
+
+    const { body } = await call(getClassifierStatus);
+    expect(body.remote).toEqual([
+      {
+        categoryId: "1",
+        label: "Cooking",
+        query: "or(concept('recipe'), concept('baking'))",
+      },
+      { categoryId: "2", label: "Gaming", query: "or(concept('gaming'))" },
+    ]);
+    expect(body.diff.inSync).toBe(true);
+    expect(body.syncs).toHaveLength(1);
+  });
+
+  it("classifies posts with the pushed classifier", async () => {
+    await call(pushTextRazorClassifier);
+
+    await expect(
+      getCategoriesFromTextRazor(
+        "My favourite baking recipe for sourdough",
+        5000,
+        LABELS
+      )
+    ).resolves.toEqual({ Cooking: 1 });
+  });
+
+  it("reports the communities changed since the last push", async () => {
+    await call(pushTextRazorClassifier);
+    getTopicLabels.mockResolvedValue([
+      { label: "Cooking", keywords: ["recipe"], hypotheses: [] },
+      { label: "Music", keywords: [], hypotheses: [] },
+    ]);
+
+    const { body } = await call(getClassifierStatus);
+    expect(body.diff).toEqual({
+      added: ["Music"],
+      removed: ["Gaming"],
+      changed: ["Cooking"],
+      inSync: false,
+    });
+  });
+
+  it("deletes the classifier", async () => {
+    await call(pushTextRazorClassifier);
+
+    const deletion = await call(deleteTextRazorClassifier);
+    expect(deletion.status).toBe(200);
+    expect(deletion.body).toMatchObject({
+      action: "delete",
+      status: "success",
+    });
+
+    const { body } = await call(getClassifierStatus);
+    expect(body.remote).toBeNull();
+  });
+
+  it("records a failed push and answers 502 when TextRazor rejects it", async () => {
+    // the mock, like TextRazor, rejects requests without an API key
+    process.env.TEXTRAZOR_API_KEY = "";
+    const isConfigured = jest
+      .spyOn(TextRazorClassifierManager.prototype, "isConfigured")
+      .mockReturnValue(true);
+
+    const push = await call(pushTextRazorClassifier);
+    expect(push.status).toBe(502);
+    expect(push.body).toEqual({ message: "Missing API key" });
+    expect(ClassifierSync.create).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "failed", error: "Missing API key" })
+    );
+
+    const { body } = await call(getClassifierStatus);
+    expect(body.remoteError).toBe("Missing API key");
+    expect(body.diff).toBeNull();
+    isConfigured.mockRestore();
+  });
+
+  it("answers 400 without an API key or URL", async () => {
+    process.env.TEXTRAZOR_API_URL = "";
+
+    expect((await call(pushTextRazorClassifier)).status).toBe(400);
+    expect((await call(deleteTextRazorClassifier)).status).toBe(400);
+    const { body } = await call(getClassifierStatus);
+    expect(body.configured).toBe(false);
+    expect(body.remote).toBeNull();
+  });
+
+  it("reports an unreachable TextRazor API", async () => {
+    process.env.TEXTRAZOR_API_URL = "http://127.0.0.1:1";
+
+    const push = await call(pushTextRazorClassifier);
+    expect(push.status).toBe(502);
+    expect(push.body.message).toMatch(/ECONNREFUSED/);
+  });
+});
@@ -0,0 +1,250 @@
+const Config = require("../../models/config.model");
+const LoginAttempt = require("../../models/loginAttempt.model");
+const {
+  scoreLoginRisk,
+  getRiskDecision,
+  describeTravel,
+} = require("../../services/loginRisk");
+
+const USER_ID = "64b7f0c2a1b2c3d4e5f60718";
+
+const KNOWN = {
+  _id: "64b7f0c2a1b2c3d4e5f60719",
+  ip: "81.2.69.142",
+  country: "GB",
+  city: "Newmarket",
+  browser: "Chrome 118.0.5993.70",
+  platform: "Microsoft Windows",
+  os: "Windows 10.0",
+  device: "unknown",
+  deviceType: "Desktop",
+};
+
+// The sign in history of the user
+const mockHistory = ({ recentCount = 0, hours = [], previous = null } = {}) => {
+  jest.spyOn(LoginAttempt, "countDocuments").mockResolvedValue(recentCount);
+  jest.spyOn(LoginAttempt, "find").mockReturnValue({
+    sort: () => ({
+      limit: () => ({
+        select: () => ({ lean: async () => hours.map((hour) => ({ hour })) }),
+      }),
+    }),
+  });
+  jest
+    .spyOn(LoginAttempt, "findOne")
+    .mockReturnValue({ sort: async () => previous });
+};
+
+const mockConfig = (config) =>
+  jest.spyOn(Config, "findOne").mockReturnValue({ lean: async () => config });
+
+const score = async (context, knownContexts = [KNOWN], knownDeviceId) =>
+  scoreLoginRisk(
+    USER_ID,
+    { ...KNOWN, ...context },
+    knownContexts,
+    knownDeviceId
+  );
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe("scoreLoginRisk", () => {
+  beforeEach(() => mockHistory());
+
+  it.each([
+    ["the verified context", {}, 0],
+    ["a minor browser update", { browser: "Chrome 118.0.6045.105" }, 0.005],
+    ["a major browser update", { browser: "Chrome 119.0.6045.105" }, 0.03],
+    ["another IP of the same subnet", { ip: "81.2.69.1" }, 0.03],
+    [
+      "another browser on the same computer",
+      { browser: "Firefox 119.0" },
+      0.225,
+    ],
+    [
+      "another city of the same country",
+      { ip: "2.125.160.216", city: "Lisburn" },
+      0.25,
+    ],
+    [
+      "another computer",
+      { browser: "Safari 17.0", platform: "Apple Mac", os: "OS X" },
+      0.35,
+    ],
+    [
+      "another country",
+      { ip: "8.8.8.8", country: "US", city: "unknown" },
+      0.55,
+    ],
+  ])("scores %s", async (_, context, expected) => {
+    const { score: risk } = await score(context);
+    expect(risk).toBeCloseTo(expected, 10);
+  });
+
+  it("compares the closest verified context", async () => {
+    const { score: risk, closestContext } = await score(
+      { ip: "8.8.8.8", country: "US", city: "unknown" },
+      [
+        KNOWN,
+        {
+          ...KNOWN,
+          _id: "other",
+          ip: "8.8.8.9",
+          country: "US",
+          city: "unknown",
+        },
+      ]
+    );
+    expect(closestContext._id).toBe("other");
+    expect(risk).toBeCloseTo(0.03, 10);
+  });
+
+  it("trusts the device of the device token", async () => {
+    const { signals, closestContext } = await score(
+      { browser: "Firefox 119.0" },
+      [KNOWN],
+      KNOWN._id
+    );
+    expect(closestContext).toBe(KNOWN);
+    expect(signals.device).toBe(0);
+    expect(signals.browser).toBe(1);
+  });
+
+  it("scores a user without verified contexts as a stranger", async () => {
+    const { score: risk, closestContext } = await score({}, []);
+    expect(closestContext).toBeNull();
+    expect(risk).toBe(1);
+  });
+
+  it.each([
+    [4, 0.24],
+    [5, 0.3],
+    [20, 0.3],
+  ])("adds %i sign ins within the hour", async (recentCount, expected) => {
+    mockHistory({ recentCount });
+    const { score: risk } = await score({});
+    expect(risk).toBeCloseTo(expected, 10);
+  });
+
+  it("adds a sign in at an unusual hour", async () => {
+    jest.useFakeTimers("modern");
+    // 4 in the morning in London
+    jest.setSystemTime(new Date("2023-06-01T03:00:00Z"));
+
+    mockHistory({ hours: [5, 14, 15, 16, 15] });
+    expect((await score({})).hour).toBe(4);
+    expect((await score({})).signals.timeOfDay).toBe(0);
+
+    mockHistory({ hours: [14, 15, 16, 14, 15] });
+    expect((await score({})).score).toBeCloseTo(0.1, 10);
+
+    // too few sign ins to tell what is usual
+    mockHistory({ hours: [14, 15, 16, 14] });
+    expect((await score({})).signals.timeOfDay).toBe(0);
+  });
+
+  it("adds impossible travel", async () => {
+    mockHistory({
+      previous: {
+        ip: "8.8.8.8",
+        country: "US",
+        city: "unknown",
+        createdAt: new Date(Date.now() - 30 * 60 * 1000),
+      },
+    });
+
+    const { score: risk, travel } = await score({});
+    expect(travel).toMatchObject({ minutes: 30, impossible: true });
+    expect(risk).toBeCloseTo(0.5, 10);
+    expect(describeTravel(travel)).toBe(
+      "from US to Newmarket, GB in 30 minutes"
+    );
+  });
+
+  it("does not add travel a plane could have made", async () => {
+    mockHistory({
+      previous: {
+        ip: "8.8.8.8",
+        country: "US",
+        city: "unknown",
+        createdAt: new Date(Date.now() - 10 * 60 * 60 * 1000),
+      },
+    });
+
+    const { score: risk, travel } = await score({});
+    expect(travel.impossible).toBe(false);
+    expect(risk).toBe(0);
+    expect(describeTravel(travel)).toBe("from US to Newmarket, GB in 10 hours");
+  });
+});
+
+describe("getRiskDecision", () => {
+  it.each([
+    [0, "allow"],
+    [0.2999, "allow"],
+    [0.3, "stepUp"],
+    [0.9499, "stepUp"],
+    [0.95, "stepUp"],
+    [1, "stepUp"],
+  ])("decides %d with the default thresholds", async (risk, decision) => {
+    mockConfig(null);
+    await expect(getRiskDecision(risk)).resolves.toBe(decision);
+  });
+
+  it.each([
+    [0.4999, "allow"],
+    [0.5, "stepUp"],
+    [0.8, "stepUp"],
+  ])("decides %d with the configured thresholds", async (risk, decision) => {
+    mockConfig({
+      contextRiskStepUpThreshold: 0.5,
+      contextRiskBlockThreshold: 0.8,
+    });
+    await expect(getRiskDecision(risk)).resolves.toBe(decision);
+  });
+
+  it.each([
+    [0.9499, "stepUp"],
+    [0.95, "block"],
+    [1, "block"],
+  ])(
+    "decides %d for an account with a blocked device",
+    async (risk, decision) => {
+      mockConfig(null);
+      await expect(getRiskDecision(risk, { locked: true })).resolves.toBe(
+        decision
+      );
+    }
+  );
+
+  it("verifies a traveller on a new phone by email", async () => {
+    mockHistory({
+      previous: {
+        ...KNOWN,
+        createdAt: new Date(Date.now() - 60 * 60 * 1000),
+      },
+    });
+    mockConfig(null);
+    const { score: risk } = await score({
+      ip: "8.8.8.8",
+      country: "US",
+      city: "unknown",
+      browser: "Safari 17.0",
+      platform: "iPhone",
+      os: "iOS",
+      deviceType: "Mobile",
+    });
+    expect(risk).toBeGreaterThanOrEqual(0.95);
+    await expect(getRiskDecision(risk)).resolves.toBe("stepUp");
+  });
+
+  it("allows a new browser on a verified computer", async () => {
+    mockHistory();
+    mockConfig(null);
+    const { score: risk } = await score({ browser: "Firefox 119.0" });
+    await expect(getRiskDecision(risk)).resolves.toBe("allow");
+  });
+});
@@ -0,0 +1,17 @@
+const getToxicityScoresFromLexicon = require("../../../services/moderation/localToxicity");
+
+describe("getToxicityScoresFromLexicon", () => {
+  it("scores obfuscated terms", () => {
+    expect(getToxicityScoresFromLexicon("you fvcking idiot").PROFANITY).toBe(
+      0.9
+    );
+  });
+
+  it.each([
+    ["I love the vent in the dove cote"],
+    ["Nobody thinks Henry V should die in the first act"],
+  ])("does not flag clean words containing a v: %s", (text) => {
+    const scores = getToxicityScoresFromLexicon(text);
+    expect(Math.max(...Object.values(scores))).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock("../../../services/moderation/mediaFrames", () => ({
+  canDecode: jest.fn(),
+  extractFrames: jest.fn(),
+  FRAME_SIZE: 32,
+}));
+jest.mock("../../../services/moderation/mediaBlocklist", () => ({
+  findMediaMatch: jest.fn(),
+}));
+
+const {
+  canDecode,
+  extractFrames,
+} = require("../../../services/moderation/mediaFrames");
+const {
+  findMediaMatch,
+} = require("../../../services/moderation/mediaBlocklist");
+const mediaStage = require("../../../services/moderation/mediaStage");
+
+const SIZE = 32;
+const SKIN = [200, 140, 110];
+const BACKGROUND = [90, 110, 140];
+const HAIR = [40, 30, 20];
+
+// An RGB frame whose pixel at (x, y) has the color given by paint
+const createFrame = (paint) => {
+  const frame = Buffer.alloc(SIZE * SIZE * 3);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      frame.set(paint(x, y), (y * SIZE + x) * 3);
+    }
+  }
+  return frame;
+};
+
+const isInEllipse = (x, y, cx, cy, rx, ry) =>
+  ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1;
+
+// A face filling most of the frame, in front of a background
+const portrait = createFrame((x, y) => {
+  if (isInEllipse(x, y, 16, 19, 14, 16)) return SKIN;
+  if (isInEllipse(x, y, 16, 10, 15, 11)) return HAIR;
+  return BACKGROUND;
+});
+
+// Skin from edge to edge
+const closeUpOfSkin = createFrame((x, y) =>
+  (x + y) % 7 === 0 ? [210, 150, 120] : SKIN
+);
+
+const MEDIA = { path: "/tmp/upload.jpg", type: "image" };
+
+describe("mediaStage", () => {
+  beforeEach(() => {
+    canDecode.mockReturnValue(true);
+    findMediaMatch.mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.resetAllMocks());
+
+  it("does not hold a close-up portrait", async () => {
+    extractFrames.mockResolvedValue([portrait]);
+
+    const result = await mediaStage.run({ media: MEDIA }, {});
+    // a face covers most of the frame...
+    expect(result.scores.SKIN).toBeGreaterThan(0.6);
+    // ...but not its edges
+    expect(result.scores.EXPLICIT).toBeLessThan(0.3);
+    expect(result.action).toBe("allow");
+  });
+
+  it("holds a frame filled with skin", async () => {
+    extractFrames.mockResolvedValue([portrait, closeUpOfSkin]);
+
+    const result = await mediaStage.run({ media: MEDIA }, {});
+    expect(result.scores).toEqual({ EXPLICIT: 1, SKIN: 1 });
+    expect(result.action).toBe("hold");
+    expect(result.reasons[0].code).toBe("explicitMedia");
+  });
+
+  it("lets attachments through when ffmpeg cannot be run", async () => {
+    canDecode.mockReturnValue(false);
+
+    const result = await mediaStage.run({ media: MEDIA }, {});
+    expect(result).toMatchObject({
+      action: "allow",
+      skipped: true,
+      info: { decoderUnavailable: true },
+    });
+    expect(extractFrames).not.toHaveBeenCalled();
+  });
+});
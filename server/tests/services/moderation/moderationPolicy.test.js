@@ -0,0 +1,140 @@
+const {
+  resolvePolicy,
+  evaluateScores,
+  findPolicyViolation,
+  DEFAULT_POLICY,
+} = require("../../../services/moderation/moderationPolicy");
+
+describe("findPolicyViolation", () => {
+  const floors = [
+    { attribute: "TOXICITY", threshold: 0.5, action: "hold" },
+    { attribute: "THREAT", threshold: 0.8, action: "block" },
+  ];
+
+  it("accepts a stricter rule than the floors", () => {
+    expect(
+      findPolicyViolation(
+        [
+          { attribute: "TOXICITY", threshold: 0.4, action: "hold" },
+          { attribute: "THREAT", threshold: 0.6, action: "block" },
+        ],
+        floors
+      )
+    ).toBeNull();
+  });
+
+  it("accepts a rule for a more severe action above a floor", () => {
+    expect(
+      findPolicyViolation(
+        [{ attribute: "TOXICITY", threshold: 0.9, action: "block" }],
+        floors
+      )
+    ).toBeNull();
+  });
+
+  it("rejects a rule above the floor of the same action", () => {
+    expect(
+      findPolicyViolation(
+        [{ attribute: "TOXICITY", threshold: 0.6, action: "hold" }],
+        floors
+      )
+    ).toBe("TOXICITY hold threshold may not exceed the global floor of 0.5");
+  });
+
+  it("rejects a rule for a less severe action above a floor", () => {
+    expect(
+      findPolicyViolation(
+        [{ attribute: "THREAT", threshold: 0.9, action: "hold" }],
+        floors
+      )
+    ).toBe("THREAT hold threshold may not exceed the global floor of 0.8");
+  });
+
+  it("rejects unknown attributes, actions and thresholds", () => {
+    expect(findPolicyViolation("rules")).toBe(
+      "Moderation policy must be a list of rules"
+    );
+    expect(
+      findPolicyViolation([{ attribute: "RUDENESS", threshold: 0.5 }])
+    ).toBe('Unknown attribute "RUDENESS"');
+    expect(
+      findPolicyViolation([
+        { attribute: "INSULT", threshold: 0.5, action: "delete" },
+      ])
+    ).toBe('Unknown action "delete" for INSULT');
+    expect(
+      findPolicyViolation([
+        { attribute: "INSULT", threshold: 1.5, action: "hold" },
+      ])
+    ).toBe("INSULT threshold must be a number between 0 and 1");
+  });
+});
+
+describe("resolvePolicy", () => {
+  it("uses the default policy for communities without their own", () => {
+    const rules = resolvePolicy({ moderationPolicy: [] }, {});
+    expect(rules).toHaveLength(DEFAULT_POLICY.length);
+    expect(rules.every((rule) => !rule.floor)).toBe(true);
+  });
+
+  it("appends the global floors to the community rules", () => {
+    const rules = resolvePolicy(
+      {
+        moderationPolicy: [
+          { attribute: "INSULT", threshold: 0.3, action: "hold" },
+        ],
+      },
+      {
+        moderationFloors: [
+          { attribute: "INSULT", threshold: 0.9, action: "block" },
+        ],
+      }
+    );
+    expect(rules).toEqual([
+      { attribute: "INSULT", threshold: 0.3, action: "hold", floor: false },
+      { attribute: "INSULT", threshold: 0.9, action: "block", floor: true },
+    ]);
+  });
+});
+
+describe("evaluateScores", () => {
+  const rules = [
+    { attribute: "TOXICITY", threshold: 0.5, action: "hold", floor: false },
+    { attribute: "TOXICITY", threshold: 0.85, action: "block", floor: false },
+    { attribute: "THREAT", threshold: 0.7, action: "block", floor: true },
+  ];
+
+  it("allows scores below every threshold", () => {
+    expect(evaluateScores({ TOXICITY: 0.49, THREAT: 0.2 }, rules)).toEqual({
+      action: "allow",
+      reasons: [],
+    });
+  });
+
+  it("applies the most severe action whose threshold is met", () => {
+    expect(evaluateScores({ TOXICITY: 0.5 }, rules).action).toBe("hold");
+    expect(evaluateScores({ TOXICITY: 0.85 }, rules).action).toBe("block");
+  });
+
+  it("reports the rules that matched", () => {
+    const { action, reasons } = evaluateScores(
+      { TOXICITY: 0.6, THREAT: 0.75 },
+      rules
+    );
+    expect(action).toBe("block");
+    expect(reasons).toEqual([
+      {
+        code: "TOXICITY",
+        action: "hold",
+        global: false,
+        message: "TOXICITY score 0.60 >= 0.5",
+      },
+      {
+        code: "THREAT",
+        action: "block",
+        global: true,
+        message: "THREAT score 0.75 >= 0.7 (global floor)",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+const {
+  hashFrame,
+  hammingDistance,
+} = require("../../../services/moderation/perceptualHash");
+const { FRAME_SIZE } = require("../../../services/moderation/mediaFrames");
+
+// An RGB frame whose gray level at (x, y) is given by shade
+const createFrame = (shade) => {
+  const frame = Buffer.alloc(FRAME_SIZE * FRAME_SIZE * 3);
+  for (let y = 0; y < FRAME_SIZE; y++) {
+    for (let x = 0; x < FRAME_SIZE; x++) {
+      const value = Math.max(0, Math.min(255, Math.round(shade(x, y))));
+      frame.fill(value, (y * FRAME_SIZE + x) * 3, (y * FRAME_SIZE + x + 1) * 3);
+    }
+  }
+  return frame;
+};
+
+const brighterToTheRight = createFrame((x) => x * 6);
+const darkerToTheRight = createFrame((x) => 255 - x * 6);
+const checkerboard = createFrame((x, y) =>
+  (Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? 200 : 40
+);
+
+describe("hashFrame", () => {
+  it("sets a bit for every cell darker than its right neighbour", () => {
+    expect(hashFrame(brighterToTheRight)).toBe("ffffffffffffffff");
+    expect(hashFrame(darkerToTheRight)).toBe("0000000000000000");
+  });
+
+  it("returns 16 hex digits", () => {
+    expect(hashFrame(checkerboard)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it("barely changes when the frame is brightened or noisy", () => {
+    const brightened = createFrame((x, y) =>
+      (Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? 230 : 70
+    );
+    const noisy = createFrame(
+      (x, y) =>
+        ((Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? 200 : 40) +
+        ((x * 7 + y * 13) % 5) -
+        2
+    );
+    expect(
+      hammingDistance(hashFrame(checkerboard), hashFrame(brightened))
+    ).toBeLessThanOrEqual(4);
+    expect(
+      hammingDistance(hashFrame(checkerboard), hashFrame(noisy))
+    ).toBeLessThanOrEqual(4);
+  });
+});
+
+describe("hammingDistance", () => {
+  it("is large between different images", () => {
+    expect(
+      hammingDistance(hashFrame(checkerboard), hashFrame(brighterToTheRight))
+    ).toBeGreaterThan(16);
+  });
+
+  it("counts the differing bits", () => {
+    expect(hammingDistance("0000000000000000", "0000000000000000")).toBe(0);
+    expect(hammingDistance("0000000000000001", "0000000000000000")).toBe(1);
+    expect(hammingDistance("f000000000000000", "0000000000000000")).toBe(4);
+    expect(hammingDistance("ffffffffffffffff", "0000000000000000")).toBe(64);
+  });
+});
@@ -0,0 +1,176 @@
+const ContentFingerprint = require("../../../models/contentFingerprint.model");
+const User = require("../../../models/user.model");
+const {
+  scoreSpam,
+  simhash,
+  extractLinks,
+  DUPLICATE_DISTANCE,
+} = require("../../../services/moderation/spamDetection");
+const {
+  hammingDistance,
+} = require("../../../services/moderation/perceptualHash");
+
+const OFFER =
+  "Earn money from home with this one simple trick, thousands of people are already making a fortune every single week";
+
+describe("simhash", () => {
+  it("hashes text to 16 hex digits", () => {
+    expect(simhash(OFFER)).toMatch(/^[0-9a-f]{16}$/);
+    expect(simhash(OFFER)).toBe(simhash(OFFER));
+  });
+
+  it.each([
+    ["with different case and punctuation", OFFER.toUpperCase() + "!!!"],
+    ["with an obfuscated word", OFFER.replace("money", "m.o.n.e.y")],
+    ["with a link added", `${OFFER} https://example.com/offer?ref=1`],
+  ])("keeps a copy %s a near-duplicate", (_, copy) => {
+    expect(hammingDistance(simhash(OFFER), simhash(copy))).toBeLessThanOrEqual(
+      DUPLICATE_DISTANCE
+    );
+  });
+
+  it("keeps a longer copy with a word changed a near-duplicate", () => {
+    const text = `${OFFER}. Sign up today, it only takes a minute and you can start earning right away without any experience or investment`;
+    expect(
+      hammingDistance(
+        simhash(text),
+        simhash(text.replace("thousands", "hundreds"))
+      )
+    ).toBeLessThanOrEqual(DUPLICATE_DISTANCE);
+  });
+
+  it("tells different texts apart", () => {
+    const other =
+      "The community garden meets on Saturday morning to plant tomatoes and build new raised beds near the fence";
+    expect(hammingDistance(simhash(OFFER), simhash(other))).toBeGreaterThan(
+      DUPLICATE_DISTANCE
+    );
+  });
+
+  it("hashes text without spaces between words by its characters", () => {
+    const text = "今日はとても良い天気ですね、公園に散歩に行きましょう";
+    expect(simhash(text)).toMatch(/^[0-9a-f]{16}$/);
+    expect(
+      hammingDistance(simhash(text), simhash(`${text}!`))
+    ).toBeLessThanOrEqual(DUPLICATE_DISTANCE);
+  });
+
+  it.each(["thanks!", "lol", "https://example.com/a-very-long-page-name"])(
+    "does not hash short text %p",
+    (text) => {
+      expect(simhash(text)).toBeNull();
+    }
+  );
+});
+
+describe("extractLinks", () => {
+  it("strips the protocol, www., fragment and tracking parameters", () => {
+    expect(
+      extractLinks(
+        "Visit https://www.Example.com/offer?utm_source=x&fbclid=1 and http://example.com/offer/#top."
+      )
+    ).toEqual(["example.com/offer"]);
+  });
+
+  it("keeps the query string telling pages apart", () => {
+    expect(
+      extractLinks(
+        "https://www.youtube.com/watch?v=dQw4w9WgXcQ&utm_campaign=share and https://youtube.com/watch?v=9bZkp7q19f0"
+      )
+    ).toEqual([
+      "youtube.com/watch?v=dQw4w9WgXcQ",
+      "youtube.com/watch?v=9bZkp7q19f0",
+    ]);
+  });
+
+  it("finds links without a protocol", () => {
+    expect(extractLinks("see www.shop.example/deals, now!")).toEqual([
+      "shop.example/deals",
+    ]);
+  });
+
+  it("returns no links for plain text", () => {
+    expect(extractLinks("no links here")).toEqual([]);
+  });
+});
+
+describe("scoreSpam duplicates", () => {
+  const AUTHOR = "64b7f0c2a1b2c3d4e5f60718";
+  const OTHER_USER = "64b7f0c2a1b2c3d4e5f60719";
+
+  // Fingerprints stored within the duplicate windows
+  const mockFingerprints = (fingerprints) => {
+    jest.spyOn(ContentFingerprint, "deleteMany").mockResolvedValue({});
+    jest.spyOn(ContentFingerprint, "countDocuments").mockResolvedValue(0);
+    jest.spyOn(ContentFingerprint, "create").mockResolvedValue({});
+    jest.spyOn(ContentFingerprint, "find").mockImplementation((query) => {
+      const matching = fingerprints.filter((fingerprint) =>
+        query.user.$ne
+          ? fingerprint.user !== query.user.$ne
+          : fingerprint.user === query.user
+      );
+      const chain = {
+        sort: () => chain,
+        limit: () => chain,
+        select: () => chain,
+        lean: async () => matching,
+      };
+      return chain;
+    });
+    jest.spyOn(User, "findById").mockReturnValue({
+      select: () => ({ lean: async () => null }),
+    });
+  };
+
+  const countDuplicates = async (content, user = AUTHOR) =>
+    (await scoreSpam({ content, contentType: "post", user })).info.duplicates;
+
+  const fingerprintOf = (content, user) => ({
+    user,
+    simhash: simhash(content),
+    links: extractLinks(content),
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it("does not count links to different videos as duplicates", async () => {
+    mockFingerprints([
+      fingerprintOf("https://www.youtube.com/watch?v=dQw4w9WgXcQ", AUTHOR),
+    ]);
+
+    await expect(
+      countDuplicates("https://www.youtube.com/watch?v=9bZkp7q19f0")
+    ).resolves.toBe(0);
+  });
+
+  it("counts a link the author shared again", async () => {
+    mockFingerprints([
+      fingerprintOf("https://www.youtube.com/watch?v=dQw4w9WgXcQ", AUTHOR),
+    ]);
+
+    await expect(
+      countDuplicates(
+        "Watch this https://youtube.com/watch?v=dQw4w9WgXcQ&utm_source=x"
+      )
+    ).resolves.toBe(1);
+  });
+
+  it("does not count a link other users shared", async () => {
+    mockFingerprints([
+      fingerprintOf("https://www.youtube.com/watch?v=dQw4w9WgXcQ", OTHER_USER),
+    ]);
+
+    await expect(
+      countDuplicates("Great song https://youtube.com/watch?v=dQw4w9WgXcQ")
+    ).resolves.toBe(0);
+  });
+
+  it("counts near-duplicates of other users", async () => {
+    mockFingerprints([
+      fingerprintOf(OFFER, OTHER_USER),
+      fingerprintOf(OFFER.toUpperCase(), OTHER_USER),
+    ]);
+
+    await expect(countDuplicates(`${OFFER}!`)).resolves.toBe(2);
+  });
+});
@@ -0,0 +1,65 @@
+const normalizeText = require("../../../services/moderation/textNormalizer");
+const { termLetterSource } = normalizeText;
+
+describe("normalizeText", () => {
+  it.each([
+    ["f.u.c.k", "fuck"],
+    ["f u c k", "fuck"],
+    ["5h1t", "shit"],
+    ["ｆｕｃｋ", "fuck"],
+    ["f\u200buck", "fuck"],
+    ["fück", "fuck"],
+    ["FUCK", "fuck"],
+  ])("folds %s into %s", (text, expected) => {
+    expect(normalizeText(text)).toBe(expected);
+  });
+
+  it("squeezes long runs of a repeated letter", () => {
+    expect(normalizeText("fuuuuuck")).toBe("fuuck");
+  });
+
+  it("folds Cyrillic and Greek look-alikes in words mixing them with Latin", () => {
+    expect(normalizeText("ѕhit")).toBe("shit");
+    expect(normalizeText("fυck")).toBe("fuck");
+    expect(normalizeText("f.υ.c.k")).toBe("fuck");
+  });
+
+  it("leaves Russian and Greek words alone", () => {
+    expect(normalizeText("Привет мир")).toBe("привет мир");
+    expect(normalizeText("Ελληνικά")).toBe("ελληνικά");
+  });
+
+  it("keeps the vowel signs that tell Devanagari words apart", () => {
+    const words = ["कुत्ता", "कुत्ते", "कत्था"].map(normalizeText);
+    expect(new Set(words).size).toBe(3);
+    expect(words[0]).toBe("कुत्ता");
+  });
+
+  it("keeps Thai vowel and tone marks", () => {
+    expect(normalizeText("สวัสดี")).toBe("สวัสดี");
+  });
+
+  it("returns an empty string for empty text", () => {
+    expect(normalizeText("")).toBe("");
+    expect(normalizeText(undefined)).toBe("");
+  });
+
+  it("keeps the v of clean words", () => {
+    expect(normalizeText("I love the vent")).toBe("i love the vent");
+  });
+});
+
+describe("termLetterSource", () => {
+  const compile = (term) =>
+    new RegExp(`^${Array.from(term, termLetterSource).join("")}$`, "u");
+
+  it("lets rule terms match look-alikes of their letters", () => {
+    expect(compile("fuck").test(normalizeText("fvck"))).toBe(true);
+    expect(compile("cunt").test(normalizeText("C.V.N.T"))).toBe(true);
+  });
+
+  it("escapes regex syntax", () => {
+    expect(compile("a.b").test("a.b")).toBe(true);
+    expect(compile("a.b").test("axb")).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+const TwoFactorChallenge = require("../../models/twoFactorChallenge.model");
+const {
+  createChallengeToken,
+  verifyChallengeToken,
+  recordChallengeAttempt,
+} = require("../../services/twoFactor");
+
+const USER_ID = "64b7f0c2a1b2c3d4e5f60718";
+
+beforeAll(() => {
+  process.env.SECRET = "test-secret";
+});
+
+describe("challenge tokens", () => {
+  it("carry the challenge and an id of their own", () => {
+    const token = createChallengeToken({ id: USER_ID, newDevice: true });
+    const challenge = verifyChallengeToken(token);
+
+    expect(challenge).toMatchObject({ id: USER_ID, newDevice: true });
+    expect(challenge.jti).toMatch(/^[0-9a-f]{32}$/);
+    expect(
+      verifyChallengeToken(createChallengeToken({ id: USER_ID })).jti
+    ).not.toBe(challenge.jti);
+  });
+
+  it("are not valid once tampered with", () => {
+    const token = createChallengeToken({ id: USER_ID });
+    expect(verifyChallengeToken(`${token}x`)).toBeNull();
+    expect(verifyChallengeToken(undefined)).toBeNull();
+  });
+});
+
+describe("recordChallengeAttempt", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("allows five codes per challenge token", async () => {
+    const attempts = {};
+    jest
+      .spyOn(TwoFactorChallenge, "findOneAndUpdate")
+      .mockImplementation(async ({ challenge }, update) => {
+        attempts[challenge] = (attempts[challenge] || 0) + update.$inc.attempts;
+        return { challenge, attempts: attempts[challenge] };
+      });
+    const challenge = verifyChallengeToken(
+      createChallengeToken({ id: USER_ID })
+    );
+
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push(await recordChallengeAttempt(challenge));
+    }
+    expect(results).toEqual([true, true, true, true, true, false]);
+
+    // a new sign in gets a new token
+    const next = verifyChallengeToken(createChallengeToken({ id: USER_ID }));
+    await expect(recordChallengeAttempt(next)).resolves.toBe(true);
+  });
+});
@@ -0,0 +1,318 @@
+const crypto = require("crypto");
+const Passkey = require("../../models/passkey.model");
+const WebauthnChallenge = require("../../models/webauthnChallenge.model");
+const {
+  WebauthnError,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication,
+} = require("../../services/webauthn");
+
+const ORIGIN = "http://localhost:3000";
+const USER = {
+  _id: "64b7f0c2a1b2c3d4e5f60718",
+  email: "jane@example.com",
+  name: "Jane",
+};
+
+// authenticator data flags: user present, user verified, credential data
+const UP = 0x01;
+const UV = 0x04;
+const AT = 0x40;
+
+const encodeHead = (major, length) => {
+  if (length < 24) return Buffer.from([(major << 5) | length]);
+  if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+  const head = Buffer.alloc(3);
+  head[0] = (major << 5) | 25;
+  head.writeUInt16BE(length, 1);
+  return head;
+};
+
+// The CBOR an authenticator writes: integers, byte and text strings, maps
+const encodeCbor = (value) => {
+  if (typeof value === "number") {
+    return value >= 0 ? encodeHead(0, value) : encodeHead(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([encodeHead(2, value.length), value]);
+  }
+  if (typeof value === "string") {
+    const text = Buffer.from(value);
+    return Buffer.concat([encodeHead(3, text.length), text]);
+  }
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([
+    encodeHead(5, entries.length),
+    ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]),
+  ]);
+};
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString("base64url");
+
+const createClientData = (type, challenge, origin) =>
+  Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+/**
+ * A passkey on an ES256 (P-256) software authenticator, answering
+ * navigator.credentials.create() and get() as a browser would.
+ */
+const createAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  const { x, y } = publicKey.export({ format: "jwk" });
+  const credentialId = crypto.randomBytes(16);
+  let signCount = 0;
+
+  const createAuthenticatorData = (rpId, flags, attestedCredentialData) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    return Buffer.concat([
+      crypto.createHash("sha256").update(rpId).digest(),
+      Buffer.from([flags]),
+      counter,
+      attestedCredentialData || Buffer.alloc(0),
+    ]);
+  };
+
+  return {
+    id: toBase64Url(credentialId),
+
+    register(options, { origin = ORIGIN } = {}) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      const coseKey = new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, Buffer.from(x, "base64url")],
+        [-3, Buffer.from(y, "base64url")],
+      ]);
+      const authData = createAuthenticatorData(
+        options.rp.id,
+        UP | UV | AT,
+        Buffer.concat([
+          Buffer.alloc(16),
+          idLength,
+          credentialId,
+          encodeCbor(coseKey),
+        ])
+      );
+
+      return {
+        id: toBase64Url(credentialId),
+        rawId: toBase64Url(credentialId),
+        type: "public-key",
+        response: {
+          clientDataJSON: toBase64Url(
+            createClientData("webauthn.create", options.challenge, origin)
+          ),
+          attestationObject: toBase64Url(
+            encodeCbor({ fmt: "none", attStmt: {}, authData })
+          ),
+          transports: ["internal"],
+        },
+      };
+    },
+
+    sign(options, { origin = ORIGIN, flags = UP | UV } = {}) {
+      signCount += 1;
+      const authData = createAuthenticatorData(options.rpId, flags);
+      const clientData = createClientData(
+        "webauthn.get",
+        options.challenge,
+        origin
+      );
+      const signature = crypto.sign(
+        "sha256",
+        Buffer.concat([
+          authData,
+          crypto.createHash("sha256").update(clientData).digest(),
+        ]),
+        privateKey
+      );
+
+      return {
+        id: toBase64Url(credentialId),
+        rawId: toBase64Url(credentialId),
+        type: "public-key",
+        response: {
+          clientDataJSON: toBase64Url(clientData),
+          authenticatorData: toBase64Url(authData),
+          signature: toBase64Url(signature),
+          userHandle: toBase64Url(Buffer.from(USER._id)),
+        },
+      };
+    },
+  };
+};
+
+describe("passkeys", () => {
+  let challenges;
+  let passkeys;
+  let authenticator;
+
+  beforeEach(() => {
+    process.env.CLIENT_URL = ORIGIN;
+    challenges = [];
+    passkeys = [];
+    authenticator = createAuthenticator();
+
+    jest
+      .spyOn(WebauthnChallenge, "create")
+      .mockImplementation(async (challenge) => challenges.push(challenge));
+    jest
+      .spyOn(WebauthnChallenge, "findOneAndDelete")
+      .mockImplementation(async ({ challenge, type }) => {
+        const index = challenges.findIndex(
+          (stored) => stored.challenge === challenge.$eq && stored.type === type
+        );
+        return index === -1 ? null : challenges.splice(index, 1)[0];
+      });
+
+    jest
+      .spyOn(Passkey, "find")
+      .mockReturnValue({ select: async () => passkeys });
+    jest
+      .spyOn(Passkey, "exists")
+      .mockImplementation(async ({ credentialId }) =>
+        passkeys.some((passkey) => passkey.credentialId === credentialId)
+      );
+    jest.spyOn(Passkey, "create").mockImplementation(async (data) => {
+      const passkey = new Passkey(data);
+      passkeys.push(passkey);
+      return passkey;
+    });
+    jest
+      .spyOn(Passkey, "findOne")
+      .mockImplementation(
+        async ({ credentialId }) =>
+          passkeys.find(
+            (passkey) => passkey.credentialId === credentialId.$eq
+          ) || null
+      );
+    jest.spyOn(Passkey.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const register = async (options) =>
+    verifyRegistration(
+      USER,
+      authenticator.register(await createRegistrationOptions(USER), options),
+      "Laptop"
+    );
+
+  const signIn = async (options) =>
+    verifyAuthentication(
+      authenticator.sign(await createAuthenticationOptions(), options)
+    );
+
+  it("registers a passkey and signs in with it", async () => {
+    const passkey = await register();
+    expect(passkey).toMatchObject({
+      credentialId: authenticator.id,
+      algorithm: -7,
+      signCount: 0,
+      transports: ["internal"],
+      name: "Laptop",
+    });
+    expect(String(passkey.user)).toBe(USER._id);
+
+    const signedIn = await signIn();
+    expect(signedIn).toBe(passkey);
+    expect(signedIn.signCount).toBe(1);
+    expect(signedIn.lastUsedAt).toBeInstanceOf(Date);
+
+    await expect(signIn()).resolves.toMatchObject({ signCount: 2 });
+  });
+
+  it("asks for the passkeys of the user to exclude", async () => {
+    await register();
+
+    const options = await createRegistrationOptions(USER);
+    expect(options.rp.id).toBe("localhost");
+    expect(options.excludeCredentials).toEqual([
+      { type: "public-key", id: authenticator.id, transports: ["internal"] },
+    ]);
+    await expect(
+      verifyRegistration(USER, authenticator.register(options), "Again")
+    ).rejects.toThrow("This passkey is already registered");
+  });
+
+  it("rejects a malformed signature", async () => {
+    await register();
+    const assertion = authenticator.sign(await createAuthenticationOptions());
+    assertion.response.signature = toBase64Url(Buffer.from("not a signature"));
+
+    await expect(verifyAuthentication(assertion)).rejects.toThrow(
+      new WebauthnError("Invalid passkey signature")
+    );
+  });
+
+  it("rejects a signature crypto.verify cannot check", async () => {
+    const passkey = await register();
+    // an ES256 passkey whose stored key is not an EC key
+    passkey.publicKey = crypto
+      .generateKeyPairSync("ed25519")
+      .publicKey.export({ type: "spki", format: "der" })
+      .toString("base64");
+
+    await expect(signIn()).rejects.toThrow(
+      new WebauthnError("Invalid passkey signature")
+    );
+  });
+
+  it("rejects a signature of another passkey", async () => {
+    await register();
+    const assertion = authenticator.sign(await createAuthenticationOptions());
+    const other = createAuthenticator().sign({
+      challenge: JSON.parse(
+        Buffer.from(assertion.response.clientDataJSON, "base64url")
+      ).challenge,
+      rpId: "localhost",
+    });
+    assertion.response.signature = other.response.signature;
+
+    await expect(verifyAuthentication(assertion)).rejects.toThrow(
+      "Invalid passkey signature"
+    );
+  });
+
+  it("rejects a passkey used on another site", async () => {
+    await expect(register({ origin: "https://evil.example" })).rejects.toThrow(
+      new WebauthnError("The passkey was used on another site")
+    );
+
+    await register();
+    await expect(signIn({ origin: "https://evil.example" })).rejects.toThrow(
+      "The passkey was used on another site"
+    );
+  });
+
+  it("rejects an answer replayed to the same challenge", async () => {
+    await register();
+    const assertion = authenticator.sign(await createAuthenticationOptions());
+
+    await verifyAuthentication(assertion);
+    await expect(verifyAuthentication(assertion)).rejects.toThrow(
+      "The passkey request has expired, try again"
+    );
+  });
+
+  it("rejects a sign in the device did not verify", async () => {
+    await register();
+
+    await expect(signIn({ flags: UP })).rejects.toThrow(
+      "Your device did not verify it's you, with a PIN or biometrics"
+    );
+  });
+
+  it("rejects a passkey that is not registered", async () => {
+    await expect(signIn()).rejects.toThrow("This passkey is not registered");
+  });
+});
@@ -0,0 +1,106 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  getProvisioningUri,
+} = require("../../utils/totp");
+
+// The secret of the test vectors of RFC 4226 and RFC 6238
+const SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", () => {
+  it("encodes as authenticator apps expect", () => {
+    expect(SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(base32Encode(Buffer.from("foobar"))).toBe("MZXW6YTBOI");
+  });
+
+  it("decodes what it encodes", () => {
+    const bytes = Buffer.from([0, 1, 127, 128, 255, 42, 7]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(base32Decode(SECRET).toString()).toBe("12345678901234567890");
+  });
+
+  it("decodes lowercase, spaced and padded secrets", () => {
+    expect(base32Decode("mzxw 6ytb oi======").toString()).toBe("foobar");
+  });
+
+  it("rejects characters outside the alphabet", () => {
+    expect(() => base32Decode("MZXW1")).toThrow("Invalid base32 character");
+  });
+
+  it("generates 20 byte secrets", () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateSecret()).not.toBe(secret);
+  });
+});
+
+describe("generateCode", () => {
+  // RFC 4226, appendix D
+  it.each([
+    [0, "755224"],
+    [1, "287082"],
+    [2, "359152"],
+    [3, "969429"],
+    [4, "338314"],
+    [5, "254676"],
+    [6, "287922"],
+    [7, "162583"],
+    [8, "399871"],
+    [9, "520489"],
+  ])("generates the HOTP code of counter %i", (counter, code) => {
+    expect(generateCode(SECRET, counter)).toBe(code);
+  });
+
+  // RFC 6238, appendix B, SHA1
+  it.each([
+    [59, "94287082"],
+    [1111111109, "07081804"],
+    [1111111111, "14050471"],
+    [1234567890, "89005924"],
+    [2000000000, "69279037"],
+    [20000000000, "65353130"],
+  ])("generates the TOTP code at %i seconds", (seconds, code) => {
+    expect(generateCode(SECRET, getTimeStep(seconds * 1000), 8)).toBe(code);
+  });
+});
+
+describe("verifyCode", () => {
+  const time = 1111111109 * 1000;
+  const step = getTimeStep(time);
+
+  it("returns the step of the current code", () => {
+    expect(verifyCode(SECRET, generateCode(SECRET, step), time)).toBe(step);
+  });
+
+  it.each([-1, 1])("allows a step of clock drift (%i)", (drift) => {
+    expect(verifyCode(SECRET, generateCode(SECRET, step + drift), time)).toBe(
+      step + drift
+    );
+  });
+
+  it.each([-2, 2])("rejects a code %i steps away", (drift) => {
+    expect(
+      verifyCode(SECRET, generateCode(SECRET, step + drift), time)
+    ).toBeNull();
+  });
+
+  it.each([undefined, 123456, "12345", "1234567", "12345a", " 081804"])(
+    "rejects the malformed code %p",
+    (code) => {
+      expect(verifyCode(SECRET, code, time)).toBeNull();
+    }
+  );
+});
+
+describe("getProvisioningUri", () => {
+  it("describes the secret for authenticator apps", () => {
+    expect(getProvisioningUri(SECRET, "jane@example.com", "ChimeIn")).toBe(
+      "otpauth://totp/ChimeIn%3Ajane%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=ChimeIn&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
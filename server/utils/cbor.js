@@ -0,0 +1,128 @@
+/**
+ * A CBOR (RFC 8949) decoder for what WebAuthn authenticators send: the
+ * attestation object and COSE public keys. Maps are decoded to Map, their
+ * keys are integers in COSE keys. Indefinite lengths are not supported,
+ * authenticators never use them.
+ */
+
+const readLength = (buffer, offset, info) => {
+  if (info < 24) return { value: info, offset };
+  if (info === 24) {
+    return { value: buffer.readUInt8(offset), offset: offset + 1 };
+  }
+  if (info === 25) {
+    return { value: buffer.readUInt16BE(offset), offset: offset + 2 };
+  }
+  if (info === 26) {
+    return { value: buffer.readUInt32BE(offset), offset: offset + 4 };
+  }
+  if (info === 27) {
+    return {
+      value: Number(buffer.readBigUInt64BE(offset)),
+      offset: offset + 8,
+    };
+  }
+  throw new Error("Unsupported CBOR length");
+};
+
+const decodeItem = (buffer, start) => {
+  if (start >= buffer.length) throw new Error("Truncated CBOR data");
+  const initial = buffer[start];
+  const majorType = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (majorType === 7) {
+    if (info === 20) return { value: false, offset: start + 1 };
+    if (info === 21) return { value: true, offset: start + 1 };
+    if (info === 22) return { value: null, offset: start + 1 };
+    if (info === 23) return { value: undefined, offset: start + 1 };
+    if (info === 25) {
+      return { value: readHalfFloat(buffer, start + 1), offset: start + 3 };
+    }
+    if (info === 26) {
+      return { value: buffer.readFloatBE(start + 1), offset: start + 5 };
+    }
+    if (info === 27) {
+      return { value: buffer.readDoubleBE(start + 1), offset: start + 9 };
+    }
+    throw new Error("Unsupported CBOR simple value");
+  }
+
+  const { value: length, offset } = readLength(buffer, start + 1, info);
+
+  switch (majorType) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+    case 3: {
+      if (offset + length > buffer.length) {
+        throw new Error("Truncated CBOR data");
+      }
+      const bytes = buffer.subarray(offset, offset + length);
+      return {
+        value: majorType === 2 ? Buffer.from(bytes) : bytes.toString("utf8"),
+        offset: offset + length,
+      };
+    }
+    case 4: {
+      const items = [];
+      let next = offset;
+      for (let i = 0; i < length; i++) {
+        const item = decodeItem(buffer, next);
+        items.push(item.value);
+        next = item.offset;
+      }
+      return { value: items, offset: next };
+    }
+    case 5: {
+      const map = new Map();
+      let next = offset;
+      for (let i = 0; i < length; i++) {
+        const key = decodeItem(buffer, next);
+        const value = decodeItem(buffer, key.offset);
+        map.set(key.value, value.value);
+        next = value.offset;
+      }
+      return { value: map, offset: next };
+    }
+    // tags only annotate the item after them
+    case 6:
+      return decodeItem(buffer, offset);
+    default:
+      throw new Error("Unsupported CBOR type");
+  }
+};
+
+const readHalfFloat = (buffer, offset) => {
+  const half = buffer.readUInt16BE(offset);
+  const exponent = (half >> 10) & 0x1f;
+  const fraction = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * 2 ** -14 * (fraction / 1024);
+  if (exponent === 31) return fraction ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + fraction / 1024);
+};
+
+/**
+ * Decodes the first item of the buffer.
+ *
+ * @returns {{value: *, length: number}} The item and how many bytes it takes,
+ * for data followed by something else.
+ */
+const decodeFirst = (buffer) => {
+  const { value, offset } = decodeItem(buffer, 0);
+  return { value, length: offset };
+};
+
+/**
+ * Decodes a buffer holding a single item.
+ */
+const decode = (buffer) => {
+  const { value, length } = decodeFirst(buffer);
+  if (length !== buffer.length) throw new Error("Unexpected data after CBOR");
+  return value;
+};
+
+module.exports = { decode, decodeFirst };
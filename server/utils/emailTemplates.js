@@ -15,12 +15,20 @@ const verifyEmailHTML = (name, verificationLink, verificationCode) =>
    </div>
 </div>`;
 
+const impossibleTravelHTML = (impossibleTravel) =>
+  impossibleTravel
+    ? `<p><strong>Impossible travel:</strong> logins to your account moved ${impossibleTravel}, faster than anyone could travel between them.</p>`
+    : "";
+
 const verifyLoginHTML = (
   name,
   verificationLink,
   blockLink,
   currentContextData
-) => `
+) => {
+  const travelHTML = impossibleTravelHTML(currentContextData.impossibleTravel);
+
+  return `
   <div style="background-color: #F4F4F4; padding: 20px;">
     <div style="background-color: #fff; padding: 20px; border-radius: 10px;">
       <h1 style="color: black; font-size: 24px; margin-bottom: 20px;">New login attempt detected</h1>
@@ -34,6 +42,7 @@ const verifyLoginHTML = (
         <li><strong>Operating System:</strong> ${currentContextData.os}</li>
         <li><strong>Platform:</strong> ${currentContextData.platform}</li>
       </ul>
+      ${travelHTML}
       <p>If this was you, please click the button below to verify your login:</p>
       <div style="text-align: center;">
         <a href="${verificationLink}" style="display: inline-block; padding: 10px 20px; background-color: #1da1f2; color: #fff; text-decoration: none; border-radius: 5px; margin-bottom: 20px;">Verify Login</a>
@@ -46,5 +55,38 @@ const verifyLoginHTML = (
     </div>
   </div>
 `;
+};
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHTML = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+// names and the reviewer's note are user input
+const appealDecisionHTML = (name, subject, outcome, reviewNote) => `
+  <div style="background-color: #F4F4F4; padding: 20px;">
+    <div style="background-color: #fff; padding: 20px; border-radius: 10px;">
+      <h1 style="color: black; font-size: 24px; margin-bottom: 20px;">Your appeal has been reviewed</h1>
+      <p>Dear ${escapeHTML(name)},</p>
+      <p>Your appeal regarding ${escapeHTML(
+        subject
+      )} has been reviewed. ${outcome}</p>
+      ${
+        reviewNote
+          ? `<p><strong>Note from the reviewer:</strong> ${escapeHTML(
+              reviewNote
+            )}</p>`
+          : ""
+      }
+      <p>If you have any questions or concerns, please contact our customer support team.</p>
+    </div>
+  </div>
+`;
 
-module.exports = { verifyEmailHTML, verifyLoginHTML };
+module.exports = { verifyEmailHTML, verifyLoginHTML, appealDecisionHTML };
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+
+/**
+ * Time-based one-time passwords (RFC 6238) as authenticator apps generate
+ * them: HMAC-SHA1, 6 digits, a new code every 30 seconds.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const SECRET_BYTES = 20;
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+  let encoded = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return encoded;
+};
+
+const base32Decode = (encoded) => {
+  let bits = "";
+  for (const char of encoded.toUpperCase().replace(/[\s=]/g, "")) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * A random base32 secret for an authenticator app.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * The number of 30 second steps since the Unix epoch.
+ */
+const getTimeStep = (time = Date.now()) =>
+  Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * The HOTP code (RFC 4226) of a step, the TOTP code of that time.
+ */
+const generateCode = (secret, step, digits = DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+/**
+ * Finds the step a code was generated for, allowing one step of clock drift
+ * either way.
+ *
+ * @returns {number|null} The matching step, null when the code is wrong.
+ */
+const verifyCode = (secret, code, time = Date.now(), window = 1) => {
+  if (typeof code !== "string" || !/^\d{6}$/.test(code)) return null;
+  const currentStep = getTimeStep(time);
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+/**
+ * The otpauth:// URI authenticator apps scan as a QR code.
+ */
+const getProvisioningUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  getProvisioningUri,
+};